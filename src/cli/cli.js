@@ -4,7 +4,8 @@ import { Command } from 'commander';
 import { processEndActiveSockets } from '../common/process.js';
 import { stringToPositiveInteger } from '../common/string.js';
 import { DEFAULT_MNEMONIC } from '../services/default-config.js';
-import { PROD_BIN, PROD_CONFIG_BASENAME, PROD_NAME, PROD_VERSION } from '../common/consts.js';
+import { setConfigProfile } from '../services/config-layers.js';
+import { PROD_BIN, PROD_CONFIG_BASENAME, PROD_INSTALL_MANIFEST_BASENAME, PROD_LOCAL_CONFIG_BASENAME, PROD_NAME, PROD_VERSION } from '../common/consts.js';
 
 const program = new Command();
 
@@ -19,6 +20,8 @@ async function execCmd(cmd, ...args) {
     const debugMode = (opts.debug === true);
     // --config option
     const dir = (opts.config) ? opts.config : process.cwd();
+    // --profile option
+    setConfigProfile(opts.profile);
     let cmdModule = null;
     try { cmdModule = await import(jsFile); } catch (err) {
         if (err instanceof Error) {
@@ -44,6 +47,18 @@ async function execCmd(cmd, ...args) {
     }
 }
 
+/** @param {Command} cmd */
+function addExplorerFilterOptions(cmd) {
+    return cmd
+        .option('--requester <address>', 'Only list items requested by <address>.')
+        .option('--app <address>', 'Only list items running app <address>.')
+        .option('--workerpool <address>', 'Only list items scheduled by workerpool <address>.')
+        .option('--status <status>', 'Only list items with status <"UNSET"|"ACTIVE"|"REVEALING"|"COMPLETED"|"FAILED">.')
+        .option('--from-block <block>', 'Only search events emitted since block number <block>.')
+        .option('--since <duration|date>', "Only list items started since <duration> (ex: '30s', '5m', '2h', '1d') or <date>.")
+        .option('--json', 'Json output.');
+}
+
 /** @param {Command} cmd */
 function addChainAndHubOptions(cmd) {
     return cmd
@@ -73,6 +88,13 @@ const stopCmd = program.command('stop');
 const resetCmd = program.command('reset');
 const killCmd = program.command('kill');
 const pidCmd = program.command('pid');
+const statusCmd = program.command('status');
+const logsCmd = program.command('logs');
+const doctorCmd = program.command('doctor');
+const graphCmd = program.command('graph');
+const portsCmd = program.command('ports');
+const cacheCmd = program.command('cache');
+const configCmd = program.command('config');
 const showCmd = program.command('show');
 
 const appCmd = program.command('app');
@@ -81,7 +103,12 @@ const workerpoolCmd = program.command('workerpool');
 const dealCmd = program.command('deal');
 const taskCmd = program.command('task');
 const kycCmd = program.command('kyc');
+const accountCmd = program.command('account');
+const orderbookCmd = program.command('orderbook');
+const orderCmd = program.command('order');
 const sdkCmd = program.command('sdk');
+const scenarioCmd = program.command('scenario');
+const watchCmd = program.command('watch');
 
 /* ------------- init -------------- */
 
@@ -106,6 +133,9 @@ By default all the chainids are sharing the same following mnemonic: "${DEFAULT_
 installCmd.description(`Installs a new ${PROD_NAME} workspace in the current working directory (or in the folder specified using the global '--config' option). The command will fail if the install directory does contain a valid '${PROD_CONFIG_BASENAME}' file. Use the '${PROD_BIN} init' command to generate a new config file.`)
     .summary(`Installs a new ${PROD_NAME} workspace.`)
     .option('--type <type>', 'Only installs configs with a specific type <"all"|"iexecsdk">')
+    .option('--only <services>', `Comma-separated list of service names or types to install (ex: 'core,worker'). The other services are left untouched. Accepts 'worker' and 'iexecsdk'.`)
+    .option('--force-step <steps>', `Comma-separated list of install steps re-executed even if already completed : clone, checkout, patch, npm, build, deploy, wallets, init. Completed steps are recorded in '${PROD_INSTALL_MANIFEST_BASENAME}' and skipped by the next install unless their inputs (commit, patch, config) changed.`)
+    .option('--from-cache <directory>', `Installs without network access, using the package cache located in <directory> (see '${PROD_BIN} cache create'). All the repositories are cloned from the cache local mirrors, gradle and npm run offline. The cache directory must be writable.`)
     .action((options) => {
         execCmd('install', options);
     });
@@ -128,6 +158,9 @@ testCmd.description('Runs a test app on the specified chain.')
     .option('--dataset-file <file>', "Run the test using a custom dataset file.")
     .option('--dataset-name <name>', "Run the test using a custom dataset name.")
     .option('--input-file <urls...>', "Specify custom input file request parameter. (Variadic option)")
+    .option('--app-price <price>', "App order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
+    .option('--dataset-price <price>', "Dataset order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
+    .option('--workerpool-price <price>', "Workerpool order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
     .action((options) => {
         execCmd('test', options);
     });
@@ -220,6 +253,135 @@ cmd.description("Revokes 'kyc' role from address.\nThis command only runs on an
         execCmd('kyc', 'revoke', address, options);
     });
 
+/* ------------- account -------------- */
+
+accountCmd.description("Manages hub accounts (wallet balance, stake and locked amounts).");
+
+cmd = accountCmd.command('show');
+addChainAndHubOptions(cmd);
+cmd.description(`Prints the wallet balance, hub stake and locked amounts (in nRLC) of an account.
+If no argument is specified, lists all the default wallets : admin, workerpool, app, dataset, requester and workers.`)
+    .summary('Prints the wallet balance, hub stake and locked amounts of an account.')
+    .argument('[address|walletIndex]', 'Account address or wallet index.')
+    .option('--json', 'Json output.')
+    .action((address, options) => {
+        execCmd('account', 'show', address, options);
+    });
+
+cmd = accountCmd.command('deposit');
+addChainAndHubOptions(cmd);
+cmd.description(`Deposits <amount> into the wallet hub account.
+- Token hubs : approves the hub on the RLC token, then deposits.
+- Native hub : sends <amount> as transaction value.`)
+    .summary('Deposits <amount> into the wallet hub account.')
+    .argument('<amount>', "Amount in nRLC (ex: '1000', '1000 nRLC' or '5 RLC').")
+    .option('--wallet <type|index>', 'Wallet type <"admin"|"workerpool"|"app"|"dataset"|"requester"|"worker"> or wallet index.', 'requester')
+    .action((amount, options) => {
+        execCmd('account', 'deposit', amount, options);
+    });
+
+cmd = accountCmd.command('withdraw');
+addChainAndHubOptions(cmd);
+cmd.description('Withdraws <amount> from the wallet hub account stake.')
+    .argument('<amount>', "Amount in nRLC (ex: '1000', '1000 nRLC' or '5 RLC').")
+    .option('--wallet <type|index>', 'Wallet type <"admin"|"workerpool"|"app"|"dataset"|"requester"|"worker"> or wallet index.', 'requester')
+    .action((amount, options) => {
+        execCmd('account', 'withdraw', amount, options);
+    });
+
+/* ------------- orderbook -------------- */
+
+orderbookCmd.description("Manages the market api orderbook (app, dataset, workerpool and request orders).");
+
+const orderTypeArg = '<"app"|"dataset"|"workerpool"|"request">';
+const orderWalletOption = 'Signer wallet type <"admin"|"workerpool"|"app"|"dataset"|"requester"|"worker"> or wallet index.\n(default: the order type default wallet)';
+
+cmd = orderbookCmd.command('publish');
+addChainAndHubOptions(cmd);
+cmd.description(`Signs a new order and publishes it in the market api orderbook.
+  - app order : --app is required
+  - dataset order : --dataset is required
+  - workerpool order : --workerpool defaults to the hub workerpool
+  - request order : --app is required, --workerpool defaults to the hub workerpool`)
+    .summary('Signs a new order and publishes it in the market api orderbook.')
+    .argument('<type>', orderTypeArg)
+    .option('--app <address>', 'App address.')
+    .option('--dataset <address>', 'Dataset address.')
+    .option('--workerpool <address>', 'Workerpool address.')
+    .option('--price <price>', "App, dataset or workerpool order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
+    .option('--app-price <price>', "Request order app max price (default=0).")
+    .option('--dataset-price <price>', "Request order dataset max price (default=0).")
+    .option('--workerpool-price <price>', "Request order workerpool max price (default=0).")
+    .option('--volume <count>', 'Order volume.')
+    .option('--tag <tag>', 'Order tag.')
+    .option('--category <id>', 'Workerpool or request order category.')
+    .option('--trust <trust>', 'Workerpool or request order trust.')
+    .option('--args <args>', 'Request order app arguments.')
+    .option('--input-file <urls...>', 'Request order input files. (Variadic option)')
+    .option('--wallet <type|index>', orderWalletOption)
+    .option('--out <file>', 'Saves the signed order in a json file.')
+    .action((type, options) => {
+        execCmd('orderbook', 'publish', type, undefined, options);
+    });
+
+cmd = orderbookCmd.command('list');
+addChainAndHubOptions(cmd);
+cmd.description('Lists the open orders of the market api orderbook, with their remaining volume computed on-chain.')
+    .argument('<type>', orderTypeArg)
+    .option('--app <address>', 'Only list orders of app <address>.')
+    .option('--dataset <address>', 'Only list orders of dataset <address>.')
+    .option('--workerpool <address>', 'Only list orders of workerpool <address>.')
+    .option('--requester <address>', 'Only list request orders of requester <address>.')
+    .option('--category <id>', 'Only list orders of category <id>.')
+    .option('--json', 'Json output.')
+    .action((type, options) => {
+        execCmd('orderbook', 'list', type, undefined, options);
+    });
+
+cmd = orderbookCmd.command('unpublish');
+addChainAndHubOptions(cmd);
+cmd.description('Removes an order from the market api orderbook. The order remains valid on-chain.')
+    .argument('<type>', orderTypeArg)
+    .argument('<orderHash>', 'The order hash.')
+    .option('--wallet <type|index>', orderWalletOption)
+    .action((type, orderHash, options) => {
+        execCmd('orderbook', 'unpublish', type, orderHash, options);
+    });
+
+cmd = orderbookCmd.command('cancel');
+addChainAndHubOptions(cmd);
+cmd.description('Cancels a published order on-chain (the order volume is fully consumed). The market api removes the order from the orderbook.')
+    .argument('<type>', orderTypeArg)
+    .argument('<orderHash>', 'The order hash.')
+    .option('--wallet <type|index>', orderWalletOption)
+    .action((type, orderHash, options) => {
+        execCmd('orderbook', 'cancel', type, orderHash, options);
+    });
+
+/* ------------- order -------------- */
+
+orderCmd.description("Signed order files related commands (see 'orderbook publish --out').");
+
+cmd = orderCmd.command('status');
+addChainAndHubOptions(cmd);
+cmd.description(`Prints the on-chain status of a signed order : order hash, volume, consumed and remaining volume.
+Status is one of OPEN, CONSUMED (fully consumed by deals) or CANCELLED.`)
+    .summary('Prints the on-chain status of a signed order.')
+    .argument('<order.json>', "A signed order json file : '{ type, order }' or a raw iExec sdk signed order.")
+    .option('--json', 'Json output.')
+    .action((file, options) => {
+        execCmd('order', 'status', file, options);
+    });
+
+cmd = orderCmd.command('cancel');
+addChainAndHubOptions(cmd);
+cmd.description('Cancels a signed order on-chain (the order volume is fully consumed).')
+    .argument('<order.json>', "A signed order json file : '{ type, order }' or a raw iExec sdk signed order.")
+    .option('--wallet <type|index>', orderWalletOption)
+    .action((file, options) => {
+        execCmd('order', 'cancel', file, options);
+    });
+
 /* ------------- app -------------- */
 
 appCmd.description('Apps related commands.');
@@ -232,12 +394,20 @@ cmd.description(`Runs an app within the ${PROD_NAME} 'local' microservices archi
   - If needed, add the <datasetFile> to ${PROD_NAME} 'local' private ipfs node.
   - Deploy the dataset
   - Compute the necessary orders and request the app execution.
-  - Wait for final result.`)
+  - Wait for final result of each task.
+When prices are specified, the missing requester (and workerpool owner) stake is automatically deposited.
+Once completed, a settlement report lists each party's hub account delta.
+The command exits with a non-zero code if any task fails or times out.`)
     .summary(`Runs an app within the ${PROD_NAME} 'local' microservices architecture.`)
     .argument('<directory>', "The folder containing the app's Dockerfile to execute.")
     .requiredOption('--name <app name>', "The app name (required).")
     .option('--dataset <datasetFile>', 'A dataset file.')
     .option('--args <args>', 'App arguments.')
+    .option('--volume <count>', 'Number of tasks in the deal (default=1).')
+    .option('--workers <count>', 'Number of workers to start (default=1).')
+    .option('--app-price <price>', "App order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
+    .option('--dataset-price <price>', "Dataset order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
+    .option('--workerpool-price <price>', "Workerpool order price (ex: '10', '10 nRLC' or '1 RLC', default=0).")
     .action((directory, options) => {
         execCmd('app/run', directory, options);
     });
@@ -296,8 +466,9 @@ dealCmd.description('Deals related commands.');
 
 cmd = dealCmd.command('show');
 addChainAndHubOptions(cmd);
+addExplorerFilterOptions(cmd);
 cmd.description('Show deals.')
-    .argument('[dealid]', 'a dealid. If unspecified, lists all existing dealids.')
+    .argument('[dealid]', 'a dealid. If unspecified, lists all existing deals matching the filter options.')
     .action((dealid, options) => {
         execCmd('deal', dealid, options);
     });
@@ -308,24 +479,91 @@ taskCmd.description('Tasks related commands.');
 
 cmd = taskCmd.command('show');
 addChainAndHubOptions(cmd);
+addExplorerFilterOptions(cmd);
 cmd.description('Show tasks.')
-    .argument('[taskid]', 'a taskid. If unspecified, lists all existing taskids')
+    .argument('[taskid]', 'a taskid. If unspecified, lists all existing tasks matching the filter options.')
     .action((dealid, options) => {
         execCmd('task', dealid, options);
     });
 
+cmd = taskCmd.command('timeline');
+addChainAndHubOptions(cmd);
+cmd.description(`Prints out the lifecycle of a task : all the hub events related to the task (TaskInitialize, TaskContribute, TaskConsensus, TaskReveal, TaskFinalize, TaskClaimed) merged with the matching core and worker log lines, ordered by time.`)
+    .summary('Prints out the lifecycle of a task.')
+    .argument('<taskid>', 'a taskid.')
+    .option('--no-logs', 'Only print out hub events.')
+    .action((taskid, options) => {
+        execCmd('task/timeline', taskid, options);
+    });
+
+cmd = taskCmd.command('result');
+addChainAndHubOptions(cmd);
+cmd.description(`Downloads and unzips the results of a completed task, then prints out its 'computed.json' and 'stdout.txt' files.
+By default, the results zip file is retrieved using the ${PROD_NAME} 'local' ipfs gateway.`)
+    .summary('Downloads and unzips the results of a completed task.')
+    .argument('<taskid>', 'a taskid.')
+    .option('--out <directory>', "The folder where the task results will be unzipped.\n(default: ./<taskid>)")
+    .option('--force', "Overrides any existing non-empty output folder.")
+    .option('--resultproxy', "Download the results using the result proxy instead of the ipfs gateway (requester wallet).")
+    .action((taskid, options) => {
+        execCmd('task/result', taskid, options);
+    });
+
+/* ------------- scenario -------------- */
+
+scenarioCmd.description('Scenarios related commands.');
+
+cmd = scenarioCmd.command('run');
+addChainAndHubOptions(cmd);
+cmd.description(`Runs a declarative scenario file (json or yaml) within the ${PROD_NAME} 'local' microservices architecture. A scenario is a list of steps executed sequentially:
+  - deployApp, deployDataset : deploy assets
+  - appOrder, datasetOrder, workerpoolOrder, requestOrder : create orders (custom volume/price/tag/category)
+  - match : match orders and create a new deal
+  - wait : wait until the deal tasks are completed
+  - assert : check the deal tasks status and/or result content
+  - run : deploy, match and run an app in one shot
+Once completed, a pass/fail report is saved in a json file.`)
+    .summary(`Runs a declarative scenario file (json or yaml).`)
+    .argument('<file>', "The scenario file (.json, .yaml or .yml).")
+    .option('--restart', "Restart all services before running the scenario.")
+    .option('--reset', "Reset before running the scenario.")
+    .option('--report <file>', "The json report file.\n(default: <scenario file basename>.report.json in the scenario directory)")
+    .action((file, options) => {
+        execCmd('scenario/run', file, options);
+    });
+
+/* ------------- watch -------------- */
+
+addChainAndHubOptions(watchCmd);
+watchCmd.description(`Streams the hub events live as they are mined : OrdersMatched, SchedulerNotice, TaskInitialize, TaskContribute, TaskFinalize, account Deposit/Withdraw and registries Transfer. Hit Ctrl-C to stop.`)
+    .summary('Streams the hub events live as they are mined.')
+    .action((options) => {
+        execCmd('watch', options);
+    });
+
 /* ------------- stop -------------- */
 
-stopCmd.description('Stops services.');
+stopCmd.description(`Stops services.
+A single service can be stopped using its name in the '${PROD_CONFIG_BASENAME}' file (ex: '${PROD_BIN} stop core.1337.standard'). Type '${PROD_BIN} graph' to list the service names.`)
+    .argument('[name]', 'Name of the service to stop.')
+    .option('--with-dependents', 'Also stops all the services depending on <name> (ex: the workers when stopping a core).')
+    .action((name, options) => {
+        if (!name) {
+            stopCmd.help();
+        }
+        execCmd('stop', name, options);
+    });
 
 cmd = stopCmd.command('all');
-cmd.description('Stops all running services.')
+cmd.description('Stops all running services of the current workspace.')
+    .option('--global', 'Stops the running services of all the workspaces on this machine.')
     .action((options) => {
         execCmd('stopAll', 'all', false, options);
     });
 
 cmd = stopCmd.command('worker');
-cmd.description('Stops all running workers.')
+cmd.description('Stops all running workers of the current workspace.')
+    .option('--global', 'Stops the running workers of all the workspaces on this machine.')
     .action((options) => {
         execCmd('stopAll', 'worker', false, options);
     });
@@ -335,13 +573,15 @@ cmd.description('Stops all running workers.')
 killCmd.description('Kills services.');
 
 cmd = killCmd.command('all');
-cmd.description('Kills all running services.')
+cmd.description('Kills all running services of the current workspace.')
+    .option('--global', 'Kills the running services of all the workspaces on this machine.')
     .action((options) => {
         execCmd('stopAll', 'all', true, options);
     });
 
 cmd = killCmd.command('worker');
-cmd.description('Kills all running workers.')
+cmd.description('Kills all running workers of the current workspace.')
+    .option('--global', 'Kills the running workers of all the workspaces on this machine.')
     .action((options) => {
         execCmd('stopAll', 'worker', true, options);
     });
@@ -351,14 +591,35 @@ cmd.description('Kills all running workers.')
 resetCmd.description('Stops and resets services.');
 
 cmd = resetCmd.command('all');
-cmd.description('Stops and resets all services.')
+cmd.description('Stops and resets all services of the current workspace.')
+    .option('--global', 'Stops the running services of all the workspaces on this machine before resetting the current workspace.')
     .action((options) => {
         execCmd('resetAll', options);
     });
 
 /* ------------- start -------------- */
 
-startCmd.description('Starts services.');
+startCmd.description(`Starts services.
+A single service can be started using its name in the '${PROD_CONFIG_BASENAME}' file (ex: '${PROD_BIN} start core.1337.standard'). Type '${PROD_BIN} graph' to list the service names.`)
+    .argument('[name]', 'Name of the service to start.')
+    .option('--with-deps', 'Also starts all the services <name> depends on.')
+    .action((name, options) => {
+        if (!name) {
+            startCmd.help();
+        }
+        execCmd('start', null, { ...options, name });
+    });
+
+cmd = startCmd.command('all');
+cmd.description(`Starts all the services listed in the '${PROD_CONFIG_BASENAME}' file (workers excluded).
+With --supervise, the command keeps running and restarts any service that exits unexpectedly (including the running workers), using an exponential backoff. The maximum number of restarts is set in the 'supervisor' section of the '${PROD_CONFIG_BASENAME}' file (default=3) :
+  "supervisor": { "maxRetries": 3, "backoffMS": 1000, "maxBackoffMS": 30000, "services": { "<type or name>": { "maxRetries": 5 } } }
+Each restart is logged in the '<workspace>/shared/run/supervisor/supervisor.log' file. The supervisor is terminated by 'stop', 'kill' and 'reset'.`)
+    .summary(`Starts all the services listed in the '${PROD_CONFIG_BASENAME}' file.`)
+    .option('--supervise', 'Restarts the services that exit unexpectedly (Ctrl-C to stop supervising).')
+    .action((options) => {
+        execCmd('start', 'all', options);
+    });
 
 cmd = startCmd.command('ganache');
 addChainAndHubOptions(cmd);
@@ -413,7 +674,7 @@ cmd.description('Starts a new Core service.')
 cmd = startCmd.command('worker');
 addChainAndHubOptions(cmd);
 cmd.description('Starts a given number of Worker services.')
-    .option('--count <count>', 'Number of workers to start (default=1)')
+    .option('--count <count>', `Number of workers to start (default='chains.<name>.worker.count' property or 1, see '${PROD_BIN} config add-worker')`)
     .action((options) => {
         execCmd('start', 'worker', options);
     });
@@ -433,57 +694,233 @@ cmd.description('Starts Docker Desktop.')
         execCmd('start', 'docker', options);
     });
 
+/* ------------- status -------------- */
+
+statusCmd.description(`Displays a health dashboard of all the services listed in the '${PROD_CONFIG_BASENAME}' file : running/stopped, PID, port and readiness.
+Also reports the ganache chain id and block height, the mongo/redis ping results, the market api and watchers state, the number of workers connected to each core and the ipfs gateway reachability.`)
+    .summary('Displays a health dashboard of the whole stack.')
+    .option('--watch', `Refreshes the dashboard every 2 seconds until Ctrl-C is hit.`)
+    .option('--json', 'Json output.')
+    .action((options) => {
+        execCmd('status', options);
+    });
+
+/* ------------- logs -------------- */
+
+logsCmd.description(`Prints the log files of the services listed in the '${PROD_CONFIG_BASENAME}' file (including workers, market api and watchers).
+Lines are interleaved by timestamp and prefixed by the service name. Spring log lines are parsed to allow level filtering.`)
+    .summary('Prints the merged log files of the services.')
+    .argument('[service...]', "Service names or types (ex: 'core', 'market.api', 'worker.0.1337.standard'). If unspecified, print all the log files.")
+    .option('-f, --follow', 'Waits for new lines to be appended (Ctrl-C to stop).')
+    .option('--since <duration|date>', "Only prints lines more recent than a relative duration (ex: '30s', '5m', '2h') or a date.")
+    .option('--grep <pattern>', 'Only prints lines matching the given regular expression.')
+    .option('--level <level>', 'Only prints lines with the given level or above (TRACE, DEBUG, INFO, WARN, ERROR, FATAL).')
+    .action((services, options) => {
+        execCmd('logs', services, options);
+    });
+
+/* ------------- doctor -------------- */
+
+doctorCmd.description(`Scans the log files of all the services listed in the '${PROD_CONFIG_BASENAME}' file and looks for known failures (port already in use, mongo lock file, wrong chain id, PoCo not deployed, missing SMS secret, docker image pull failure etc.).
+For each problem found, prints an explanation and the ${PROD_BIN} command that usually fixes it.`)
+    .summary('Diagnoses common service failures using the log files.')
+    .option('--json', 'Json output.')
+    .action((options) => {
+        execCmd('doctor', options);
+    });
+
+/* ------------- graph -------------- */
+
+graphCmd.description(`Prints the start order graph of the services listed in the '${PROD_CONFIG_BASENAME}' file (ganache -> ipfs -> mongo/redis -> market -> sms/resultproxy/blockchainadapter -> core -> worker), with the running/stopped status of each service.
+Each service only points to its direct dependencies. Workers are listed once they have been started at least once.`)
+    .summary('Prints the service dependency graph.')
+    .option('--format <format>', 'Output format <"text"|"dot"|"mermaid">.', 'text')
+    .action((options) => {
+        execCmd('graph', options);
+    });
+
+/* ------------- ports -------------- */
+
+portsCmd.description('Port management.');
+
+cmd = portsCmd.command('check');
+cmd.description(`Checks that none of the ports listed in the '${PROD_CONFIG_BASENAME}' file (and none of the worker ports) is used by another program.
+Ports used by the running services of the workspace are not reported as conflicts. Worker ports are computed from the chains order and cannot be moved. With --fix, each conflicting port is moved to the first free port of its range and the moved ports (including the urls referring to them) are saved in the '${PROD_LOCAL_CONFIG_BASENAME}' file.
+Note: '${PROD_BIN} init' and '${PROD_BIN} install' automatically perform the same port reassignment.`)
+    .summary(`Checks the ports listed in the '${PROD_CONFIG_BASENAME}' file.`)
+    .option('--fix', `Moves the conflicting ports and saves them in the '${PROD_LOCAL_CONFIG_BASENAME}' file.`)
+    .option('--json', 'Json output.')
+    .action((options) => {
+        execCmd('ports', 'check', options);
+    });
+
+/* ------------- cache -------------- */
+
+cacheCmd.description('Package cache management.');
+
+cmd = cacheCmd.command('create');
+cmd.description(`Creates (or updates) a portable package cache in <directory>, to be used by '${PROD_BIN} install --from-cache <directory>' on a machine without network access.
+The cache contains :
+  - a git mirror (all branches and tags) of each package repository listed in the '${PROD_CONFIG_BASENAME}' file (services, workers, PoCo, iexec-sdk) and of each of their dependencies
+  - a copy of the gradle dependencies and wrappers
+  - a copy of the npm cache (package tarballs)
+  - the docker base images (private local registry, test app) plus the ones specified with --image
+Note: the gradle and npm caches are filled by '${PROD_BIN} install', the command should be executed after a successful install. Mirroring the repositories requires network access.`)
+    .summary('Creates a portable package cache for offline installs.')
+    .argument('<directory>', 'Cache directory, created if it does not exist.')
+    .option('--image <name...>', 'Additional docker images to save in the cache.')
+    .option('--no-docker', 'Do not save any docker image.')
+    .action((directory, options) => {
+        execCmd('cache', 'create', directory, options);
+    });
+
+/* ------------- config -------------- */
+
+configCmd.description(`'${PROD_CONFIG_BASENAME}' file management.`);
+
+cmd = configCmd.command('validate');
+cmd.description(`Validates the '${PROD_CONFIG_BASENAME}' file and reports all the errors at once, each one with its JSON path.
+Checks the structure of the shared services, chains, market watchers/api and workers entries, the ganache deploy sequence items, the hub references and the localhost ports (duplicates, workers reserved range).
+Note: the same validation is performed each time the '${PROD_CONFIG_BASENAME}' file is loaded.`)
+    .summary(`Validates the '${PROD_CONFIG_BASENAME}' file.`)
+    .option('--json', 'Json output.')
+    .action((options) => {
+        execCmd('config', 'validate', undefined, undefined, options);
+    });
+
+cmd = configCmd.command('show');
+cmd.description(`Prints the effective config, the deep-merge of the following layers (the last one wins) :
+  1. '${PROD_CONFIG_BASENAME}'
+  2. 'profiles.<name>' property of '${PROD_CONFIG_BASENAME}' or '${PROD_LOCAL_CONFIG_BASENAME}', selected with --profile <name> (or IXCDV_PROFILE)
+  3. '${PROD_LOCAL_CONFIG_BASENAME}' (optional, developer specific, should not be committed)
+  4. 'IXCDV_CONFIG_<path>' env vars, path segments separated by '__' (ex: IXCDV_CONFIG_CHAINS__1337_STANDARD__CORE__PORT=13050)
+Objects are merged, arrays and values are replaced, null removes a property.
+With --resolved, all the default values (ports, directories, versions) are computed and each value is printed along with the layer it comes from.`)
+    .summary('Prints the effective config.')
+    .option('--resolved', 'Computes all the default values and prints the layer of each value.')
+    .option('--json', 'Json output.')
+    .action((options) => {
+        execCmd('config', 'show', undefined, undefined, options);
+    });
+
+cmd = configCmd.command('get');
+cmd.description(`Prints the value of an effective config property (see '${PROD_BIN} config show'), all default values (ports, directories, versions) being computed.
+Keys containing dots may be written with or without brackets (ex: 'chains["1337.standard"].core.port' or 'chains.1337.standard.core.port').`)
+    .summary(`Prints the value of a '${PROD_CONFIG_BASENAME}' property.`)
+    .argument('<path>', 'Property json path.')
+    .option('--json', 'Json output.')
+    .action((jsonPath, options) => {
+        execCmd('config', 'get', jsonPath, undefined, options);
+    });
+
+cmd = configCmd.command('set');
+cmd.description(`Sets the value of a '${PROD_CONFIG_BASENAME}' property. The value is parsed as json, or kept as a string if it is not valid json.
+The modified config is validated and reloaded before being saved (missing ports and directories are allocated). Only the '${PROD_CONFIG_BASENAME}' file is modified, the command fails if the property is overridden by a profile, '${PROD_LOCAL_CONFIG_BASENAME}' or an env var.`)
+    .summary(`Sets the value of a '${PROD_CONFIG_BASENAME}' property.`)
+    .argument('<path>', 'Property json path.')
+    .argument('<value>', "Property value (ex: 8545, true, '[\"1337.standard\"]' or v8.0.1).")
+    .action((jsonPath, value, options) => {
+        execCmd('config', 'set', jsonPath, value, options);
+    });
+
+cmd = configCmd.command('unset');
+cmd.description(`Removes a '${PROD_CONFIG_BASENAME}' property. Ports, directories and versions are reset to their default value.`)
+    .summary(`Removes a '${PROD_CONFIG_BASENAME}' property.`)
+    .argument('<path>', 'Property json path.')
+    .action((jsonPath, options) => {
+        execCmd('config', 'unset', jsonPath, undefined, options);
+    });
+
+cmd = configCmd.command('add-chain');
+cmd.description(`Adds a new '<chainid>.<flavour>' chain to the '${PROD_CONFIG_BASENAME}' file : a new ganache PoCo deployment, the chain services (using the versions of the existing chains) and its market api.
+Type '${PROD_BIN} install' to install the new chain.`)
+    .summary('Adds a new chain.')
+    .requiredOption('--chainid <chainid>', 'Chain id.')
+    .option('--flavour <flavour>', 'Chain flavour <"standard"|"enterprise"|"native">.', 'standard')
+    .option('-m, --mnemonic <mnemonic>', 'Mnemonic of the new ganache chain (default: the mnemonic of the existing chains).')
+    .action((options) => {
+        execCmd('config', 'add-chain', undefined, undefined, options);
+    });
+
+cmd = configCmd.command('add-worker');
+cmd.description(`Increases the number of workers started by default on a given hub ('${PROD_BIN} start worker').`)
+    .summary('Adds workers to a hub.')
+    .option('--hub <hubAlias>', `Hub alias (default: the default chain hub). Type '${PROD_BIN} show hubs' to list all available hub aliases.`)
+    .option('--count <count>', 'Number of workers to add (default=1).')
+    .action((options) => {
+        execCmd('config', 'add-worker', undefined, undefined, options);
+    });
+
+cmd = configCmd.command('set-version');
+cmd.description(`Sets the version (git tag, commit or branch) of all the services of a given type.
+Type '${PROD_BIN} install' to install the new version.`)
+    .summary('Sets the version of a service.')
+    .argument('<service>', 'Service <"market"|"sms"|"resultproxy"|"blockchainadapter"|"core"|"worker"|"iexecsdk"|"poco">.')
+    .argument('<version>', 'Version (ex: v8.0.1).')
+    .action((service, version, options) => {
+        execCmd('config', 'set-version', service, version, options);
+    });
+
 /* ------------- pid -------------- */
 
-pidCmd.description('Displays all running services.')
+pidCmd.description('Displays all running services of the current workspace.')
+    .option('--global', 'Displays the running services of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'all', options);
     });
 
 pidCmd.command('ganache')
     .description('Displays the ganache PoCo service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'ganache', options);
     });
 
 pidCmd.command('ipfs')
     .description('Displays the ipfs service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'ipfs', options);
     });
 
 pidCmd.command('market')
     .description('Displays the Market service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'market', options);
     });
 
 pidCmd.command('sms')
     .description('Displays the Sms service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'sms', options);
     });
 
 pidCmd.command('resultproxy')
     .description('Displays the Result Proxy service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'resultproxy', options);
     });
 
 pidCmd.command('blockchainadapter')
     .description('Displays the Blockchain Adapter service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'blockchainadapter', options);
     });
 
 pidCmd.command('core')
     .description('Displays the Core service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'core', options);
     });
 
 pidCmd.command('worker')
     .description('Displays the Worker service pids.')
+    .option('--global', 'Displays the pids of all the workspaces on this machine.')
     .action((options) => {
         execCmd('pid', 'worker', options);
     });
@@ -517,5 +954,6 @@ These files are required by the iExec sdk. If 'chain.json' or 'iexec.json' is mi
     });
 
 program.option('--config <directory>', `Folder where the '${PROD_CONFIG_BASENAME}' file is located.\nThis option is ignored when used in conjonction with the 'init' command.`);
+program.option('--profile <name>', `Config profile, declared in the 'profiles' property of the '${PROD_CONFIG_BASENAME}' file (default: IXCDV_PROFILE env var).`);
 program.option('--debug', `Enable ${PROD_NAME} debug mode (development only).`);
 program.parse();
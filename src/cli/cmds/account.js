@@ -0,0 +1,134 @@
+import { Cmd } from "../Cmd.js";
+import assert from 'assert';
+import { Inventory } from "../../services/Inventory.js";
+import { CodeError } from "../../common/error.js";
+import { PoCoContractRef, PoCoHubRef } from "../../common/contractref.js";
+import { Hub } from "../../contracts/Hub.js";
+import { Order } from "../../contracts/Order.js";
+import { isValidAddress, toChecksumAddress } from "../../common/ethers.js";
+import { isPositiveInteger } from "../../common/number.js";
+import { DEFAULT_WALLET_INDEX } from "../../services/default-config.js";
+import { printTable } from "../table.js";
+
+// Same number of workers as the 'show wallets' command
+const WORKER_WALLETS_COUNT = 5;
+
+export default class AccountCmd extends Cmd {
+
+    static cmdname() { return 'account'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {'show' | 'deposit' | 'withdraw'} cmd
+     * @param {string | undefined} arg address or wallet index (show), amount (deposit, withdraw)
+     * @param {{
+     *      hub?: string
+     *      chain?: string
+     *      wallet?: string
+     *      json?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, cmd, arg, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+
+            // Retrieve the ganache service
+            const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
+            if (!g) {
+                throw new CodeError('Unknown ganache config');
+            }
+
+            const hub = g.resolve(hubAlias);
+            assert(hub);
+            assert(hub.address);
+            assert(hub instanceof PoCoHubRef);
+
+            const chainName = inventory._inv.hubAliasToChainName(hubAlias);
+
+            const ensRef = g.resolve(hubAlias, 'ENSRegistry');
+            assert(ensRef);
+            assert(ensRef.address);
+            assert(ensRef instanceof PoCoContractRef);
+
+            const providerOpts = { ensAddress: ensRef.address, networkName: chainName ?? 'unknown' };
+
+            const hubContract = Hub.sharedReadOnly(hub, g.contractsMinDir, providerOpts);
+
+            if (cmd === 'show') {
+                /** @type {{ name: string, address: string }[]} */
+                const accounts = [];
+                if (arg === undefined) {
+                    // All the default wallets
+                    Object.entries(DEFAULT_WALLET_INDEX).forEach(([type, index]) => {
+                        const n = (type === 'worker') ? WORKER_WALLETS_COUNT : 1;
+                        for (let i = 0; i < n; ++i) {
+                            accounts.push({
+                                name: (type === 'worker') ? `worker#${i} (wallet${index + i})` : `${type} (wallet${index})`,
+                                address: g.walletKeysAtIndex(index + i).address
+                            });
+                        }
+                    });
+                } else if (isValidAddress(arg)) {
+                    accounts.push({ name: '', address: toChecksumAddress(arg) });
+                } else {
+                    const index = Number(arg);
+                    if (!isPositiveInteger(index)) {
+                        throw new CodeError(`Invalid argument '${arg}', expecting an address or a wallet index`);
+                    }
+                    accounts.push({ name: `wallet${index}`, address: g.walletKeysAtIndex(index).address });
+                }
+
+                const rows = [];
+                for (let i = 0; i < accounts.length; ++i) {
+                    const { stake, locked } = await hubContract.viewAccount(accounts[i].address);
+                    const balance = await hubContract.viewWalletBalance(accounts[i].address);
+                    rows.push({
+                        name: accounts[i].name,
+                        address: accounts[i].address,
+                        balance: balance.toString(),
+                        stake: stake.toString(),
+                        locked: locked.toString()
+                    });
+                }
+
+                if (options.json) {
+                    console.log(JSON.stringify(rows, null, 2));
+                    return;
+                }
+                console.log(`Hub ${hubAlias} (${hub.address}), amounts in nRLC`);
+                printTable(
+                    ['WALLET', 'ADDRESS', 'BALANCE', 'STAKE', 'LOCKED'],
+                    rows.map(r => [r.name, r.address, r.balance, r.stake, r.locked]));
+            } else if (cmd === 'deposit' || cmd === 'withdraw') {
+                if (!arg) {
+                    throw new CodeError(`Missing ${cmd} amount`);
+                }
+                const amount = Order.validatePrice(arg, 'nRLC');
+                if (amount.isZero()) {
+                    throw new CodeError(`Invalid amount '${arg}', expecting a strictly positive value`);
+                }
+
+                const walletIndex = inventory.resolveWalletIndex(options.wallet ?? 'requester');
+                const wallet = g.newWalletAtIndex(walletIndex, providerOpts);
+
+                const { stake, locked } = (cmd === 'deposit') ?
+                    await hubContract.deposit(amount, wallet) :
+                    await hubContract.withdraw(amount, wallet);
+
+                console.log(`${(cmd === 'deposit') ? 'Deposited' : 'Withdrawn'} ${amount.toString()} nRLC (wallet${walletIndex}=${wallet.address})`);
+                console.log(`stake  : ${stake.toString()} nRLC`);
+                console.log(`locked : ${locked.toString()} nRLC`);
+            } else {
+                throw new CodeError(`Unknown account command '${cmd}'`);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
@@ -71,6 +71,7 @@ export default class AppInitCmd extends Cmd {
 
             const dockerImageName = options.name;
             const dockerUrl = inventory._inv.getDockerUrl();
+            const containerRuntime = inventory._inv.getContainerRuntime();
             const appDockerRepo = dockerAppName(dockerImageName);
             const rebuildDockerImage = true;
 
@@ -80,7 +81,8 @@ export default class AppInitCmd extends Cmd {
                 appDockerRepo, /* app docker repo */
                 '1.0.0', /* app docker tag */
                 dockerUrl, /* docker registry url */
-                rebuildDockerImage ?? false /* rebuild docker image */
+                rebuildDockerImage ?? false, /* rebuild docker image */
+                containerRuntime /* docker, rootless docker or podman */
             );
 
             /** @type {cTypes.App} */
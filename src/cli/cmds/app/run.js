@@ -4,15 +4,16 @@ import { Cmd } from "../../Cmd.js";
 import cliProgress from 'cli-progress';
 import { CodeError } from '../../../common/error.js';
 import { Inventory } from '../../../services/Inventory.js';
-import { dirExists, errorDirDoesNotExist, errorFileDoesNotExist, fileExists, getTmpDir, mkDirP, readFile, resolveAbsolutePath, rmrfDir } from '../../../common/fs.js';
+import { dirExists, errorDirDoesNotExist, errorFileDoesNotExist, fileExists, getTmpDir, readFile, resolveAbsolutePath, rmrfDir } from '../../../common/fs.js';
 import ResetAllCmd from '../resetAll.js';
 import StopAllCmd from '../stopAll.js';
 import StartCmd from '../start.js';
-import { runIexecApp, waitUntilTaskCompleted } from '../../../services/Exec.js';
+import { computeSettlement, downloadTaskResult, runIexecApp, validateRunPrices, waitUntilDealCompleted } from '../../../services/Exec.js';
 import { Task } from '../../../contracts/Task.js';
-import { downloadAndUnzipZipFile } from '../../../common/zip.js';
-import { isNullishOrEmptyString, stringIsPOSIXPortable } from '../../../common/string.js';
+import { isNullishOrEmptyString, stringIsPOSIXPortable, stringToPositiveInteger } from '../../../common/string.js';
 import { dockerAppName } from '../../../common/consts.js';
+import { printTable } from '../../table.js';
+import { printSettlementReport } from '../../settlement-report.js';
 
 export default class AppRunCmd extends Cmd {
 
@@ -20,7 +21,7 @@ export default class AppRunCmd extends Cmd {
 
     /** 
      @type {{
-        [name:string]: cliProgress.SingleBar
+        [taskid:string]: cliProgress.SingleBar
      }} 
      */
     static progressBars;
@@ -28,6 +29,13 @@ export default class AppRunCmd extends Cmd {
     /** @type {cliProgress.MultiBar} */
     static multiBar;
 
+    /** 
+     @type {{
+        [taskid:string]: { status:string, date:number }[]
+     }} 
+     */
+    static transitions = {};
+
     /**
      * @param {string} cliDir 
      * @param {string} directory 
@@ -52,9 +60,27 @@ export default class AppRunCmd extends Cmd {
                 throw new CodeError(`Invalid app name '${options.name}'`);
             }
 
-            const numWorkers = 1;
+            let numWorkers = 1;
+            if (options.workers !== undefined) {
+                const n = stringToPositiveInteger(options.workers);
+                if (!n) {
+                    throw new CodeError(`Invalid workers option '${options.workers}'`);
+                }
+                numWorkers = n;
+            }
+            let volume = 1;
+            if (options.volume !== undefined) {
+                const n = stringToPositiveInteger(options.volume);
+                if (!n) {
+                    throw new CodeError(`Invalid volume option '${options.volume}'`);
+                }
+                volume = n;
+            }
             const trust = 1;
 
+            // Throws an error if any price is invalid
+            const prices = validateRunPrices(options);
+
             const imageName = options.name;
             const appName = dockerAppName(imageName);
             const appDir = directory;
@@ -91,7 +117,7 @@ export default class AppRunCmd extends Cmd {
             if (options.reset) {
                 await ResetAllCmd.exec(inventory, null);
             } else if (options.restart) {
-                await StopAllCmd.exec(false, null);
+                await StopAllCmd.exec(false, inventory, null);
             }
             // Start 'numWorkers' worker + all the specified chain services
             await StartCmd.exec(inventory, 'worker', { count: numWorkers, hub: hubAlias });
@@ -105,13 +131,16 @@ export default class AppRunCmd extends Cmd {
             const outRun = await runIexecApp(inventory, {
                 hub: hubAlias,
                 trust,
+                volume,
                 args,
                 // inputFiles: [
                 //     "https://<my-site>/helloworld.txt"
                 // ],
                 appDir,
                 appName,
-                datasetFile
+                datasetFile,
+                ...prices,
+                workers: numWorkers
             });
 
             /* -------------------------------------------------------------- */
@@ -120,20 +149,20 @@ export default class AppRunCmd extends Cmd {
             /*                                                                */
             /* -------------------------------------------------------------- */
 
-            const task = await waitUntilTaskCompleted(
+            // Each worker computes one task at a time.
+            const timeout = 200000 * Math.ceil(volume / numWorkers);
+            const tasks = await waitUntilDealCompleted(
                 outRun.hubContract,
                 outRun.deal.dealid,
-                0,
-                testProgress);
+                testProgress,
+                { timeout });
 
             AppRunCmd.multiBar?.stop();
 
-            if (task.status !== 'COMPLETED') {
-                throw new CodeError(`Task failed`);
-            }
-            if (task.results.storage !== 'ipfs') {
-                throw new CodeError(`Task failed`);
-            }
+            printTasksTable(tasks);
+
+            const settlement = await computeSettlement(outRun.hubContract, outRun.accounts);
+            printSettlementReport(settlement);
 
             /* -------------------------------------------------------------- */
             /*                                                                */
@@ -144,24 +173,34 @@ export default class AppRunCmd extends Cmd {
             const ipfs = await inventory._inv.newIpfsInstance();
             assert(ipfs);
 
-            const resultsTmpDir = path.join(getTmpDir(), `/${imageName}/results`);
-            const zipURL = new URL(task.results.location, ipfs.urlString);
+            for (let i = 0; i < tasks.length; ++i) {
+                const task = tasks[i];
+                if (task.status !== 'COMPLETED') {
+                    continue;
+                }
+
+                const resultsTmpDir = path.join(getTmpDir(), `/${imageName}/results`);
+                await downloadTaskResult(ipfs, task, resultsTmpDir);
 
-            // Throws an error if 'resultsDir' parent directory does not exist
-            // Creates 'resultsDir' if needed
-            mkDirP(resultsTmpDir);
-            await downloadAndUnzipZipFile(zipURL, resultsTmpDir);
+                // read inflated 'stdout.txt' 
+                const stdout = await readFile(path.join(resultsTmpDir, "stdout.txt"));
 
-            // read inflated 'stdout.txt' 
-            const stdout = await readFile(path.join(resultsTmpDir, "stdout.txt"));
+                await rmrfDir(resultsTmpDir);
 
-            rmrfDir(resultsTmpDir);
+                if (!stdout) {
+                    throw new CodeError(`Task #${i} failed. 'stdout.txt' file is empty`)
+                }
 
-            if (!stdout) {
-                throw new CodeError("Test Failed. 'stdout.txt' file is empty")
+                if (tasks.length > 1) {
+                    console.log(`--- Task #${i} (${task.id}) ---`);
+                }
+                console.log(stdout);
             }
 
-            console.log(stdout);
+            const failed = tasks.filter(t => t.status !== 'COMPLETED');
+            if (failed.length > 0) {
+                throw new CodeError(`${failed.length} task(s) failed or timed out`);
+            }
 
         } catch (err) {
             AppRunCmd.multiBar?.stop();
@@ -193,10 +232,20 @@ function testProgress({ count, total, value }) {
         return;
     }
 
-    assert(value instanceof Task);
+    const { slot, task } = value;
+    assert(typeof slot === 'number');
+    assert(task instanceof Task);
 
-    const name = value.id;
-    const state = value.status;
+    // 'task.idx' is 0 until the task is initialized, use the deal slot instead
+    const name = `#${slot.toString()} ${task.id}`;
+    const state = task.status;
+
+    // record status transitions
+    const history = AppRunCmd.transitions[task.id] ?? [];
+    if (history.length === 0 || history[history.length - 1].status !== state) {
+        history.push({ status: state, date: Date.now() });
+    }
+    AppRunCmd.transitions[task.id] = history;
 
     if (!AppRunCmd.multiBar) {
         AppRunCmd.multiBar = new cliProgress.MultiBar({
@@ -210,9 +259,30 @@ function testProgress({ count, total, value }) {
         AppRunCmd.progressBars = {};
     }
 
-    if (!AppRunCmd.progressBars[name]) {
-        AppRunCmd.progressBars[name] = AppRunCmd.multiBar.create(total, 0, { state: formattedState[state], name });
+    if (!AppRunCmd.progressBars[task.id]) {
+        AppRunCmd.progressBars[task.id] = AppRunCmd.multiBar.create(total, 0, { state: formattedState[state], name });
     }
 
-    AppRunCmd.progressBars[name].update(count, { state: formattedState[state], name });
-}
\ No newline at end of file
+    AppRunCmd.progressBars[task.id].update(count, { state: formattedState[state], name });
+}
+
+/**
+ * @param {Task[]} tasks 
+ */
+function printTasksTable(tasks) {
+    const rows = tasks.map((t, i) => {
+        const history = AppRunCmd.transitions[t.id] ?? [];
+        const duration = (history.length > 0) ?
+            ((history[history.length - 1].date - history[0].date) / 1000).toFixed(0) + 's' :
+            '';
+        return [
+            i.toString(),
+            t.id,
+            (t.status === 'COMPLETED' || t.status === 'FAILED') ? t.status : `${t.status} (timeout)`,
+            history.map(h => h.status).join(' > '),
+            duration
+        ];
+    });
+    printTable(['idx', 'taskid', 'status', 'transitions', 'duration'], rows);
+    console.log('');
+}
@@ -0,0 +1,67 @@
+import { Cmd } from "../Cmd.js";
+import { CodeError } from '../../common/error.js';
+import { PROD_BIN } from '../../common/consts.js';
+import { isNullishOrEmptyString } from '../../common/string.js';
+import { resolveAbsolutePath } from '../../common/fs.js';
+import { Inventory } from '../../services/Inventory.js';
+import { dockerBaseImageNames } from '../../docker/docker-api.js';
+import { createPackageCache } from '../../pkgmgr/pkgcache.js';
+
+export default class CacheCmd extends Cmd {
+
+    static cmdname() { return 'cache'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {string} cmd
+     * @param {string} directory
+     * @param {{
+     *      image?: string[]
+     *      docker?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, cmd, directory, options) {
+        try {
+            if (cmd !== 'create') {
+                throw new CodeError(`Unknown cache command '${cmd}'`);
+            }
+            if (isNullishOrEmptyString(directory)) {
+                throw new CodeError('Missing cache directory');
+            }
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            const dir = resolveAbsolutePath(directory);
+
+            const inventory = await Inventory.fromConfigFile(configDir);
+            const runtime = inventory.getContainerRuntime();
+
+            /** @type {string[]} */
+            let images = [];
+            if (options.docker !== false) {
+                images = [...dockerBaseImageNames(runtime), ...(options.image ?? [])];
+                images = images.filter((img, i) => images.indexOf(img) === i);
+            }
+
+            const manifest = await createPackageCache(
+                dir,
+                {
+                    packages: await inventory.packages(),
+                    images,
+                    runtime
+                },
+                (msg) => console.log(msg));
+
+            console.log();
+            console.log(`Package cache saved in '${dir}'`);
+            console.log(`  repositories : ${Object.keys(manifest.repositories).length}`);
+            console.log(`  gradle       : ${(manifest.gradle) ? 'yes' : 'no'}`);
+            console.log(`  npm          : ${(manifest.npm) ? 'yes' : 'no'}`);
+            console.log(`  images       : ${manifest.images.map(img => img.name).join(', ')}`);
+            console.log();
+            console.log(`Type '${PROD_BIN} install --from-cache ${directory}' to install the workspace from this cache.`);
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
@@ -0,0 +1,624 @@
+import path from 'path';
+import { Cmd } from "../Cmd.js";
+import { CodeError } from '../../common/error.js';
+import { PROD_BIN, PROD_CONFIG_BASENAME } from '../../common/consts.js';
+import { readObjectFromJSONFile, saveToFile } from '../../common/fs.js';
+import { parseJSONPath, toJSONPath } from '../../common/json-schema.js';
+import { isNullishOrEmptyString, stringToPositiveInteger } from '../../common/string.js';
+import { ConfigFile } from '../../services/ConfigFile.js';
+import { formatConfigErrors, validateConfig } from '../../services/config-schema.js';
+import { DEFAULT_LAYER_NAME, derivedProperties, layerOf, layersToString, readLayeredConfigFile } from '../../services/config-layers.js';
+import { CHAIN_FLAVOURS, DEFAULT_MNEMONIC, computeChainName, computeHubAlias, defaultDeployItem } from '../../services/default-config.js';
+import { PoCoDeployer } from '../../poco/PoCoDeployer.js';
+import { printTable } from '../table.js';
+
+/**
+ * `set-version` service types and the location of their repository
+ */
+const VERSIONED_SERVICE_TYPES = ['market', 'sms', 'resultproxy', 'blockchainadapter', 'core', 'worker', 'iexecsdk', 'poco'];
+const CHAIN_SERVICE_TYPES = ['sms', 'resultproxy', 'blockchainadapter', 'core', 'worker'];
+
+export default class ConfigCmd extends Cmd {
+
+    static cmdname() { return 'config'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {'validate' | 'show' | 'get' | 'set' | 'unset' | 'add-chain' | 'add-worker' | 'set-version'} cmd
+     * @param {string | undefined} arg0 json path (get, set, unset) or service type (set-version)
+     * @param {string | undefined} arg1 value (set) or version (set-version)
+     * @param {{
+     *      json?: boolean
+     *      resolved?: boolean
+     *      chainid?: string
+     *      flavour?: string
+     *      mnemonic?: string
+     *      hub?: string
+     *      count?: string
+     * }} options
+     */
+    async cliExec(cliDir, cmd, arg0, arg1, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            switch (cmd) {
+                case 'validate': await this.#validate(configDir, options); break;
+                case 'show': await this.#show(configDir, options); break;
+                case 'get': await this.#get(configDir, arg0, options); break;
+                case 'set': await this.#set(configDir, arg0, arg1); break;
+                case 'unset': await this.#unset(configDir, arg0); break;
+                case 'add-chain': await this.#addChain(configDir, options); break;
+                case 'add-worker': await this.#addWorker(configDir, options); break;
+                case 'set-version': await this.#setVersion(configDir, arg0, arg1); break;
+                default: throw new CodeError(`Unknown config command '${cmd}'`);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+
+    /**
+     * Validates the effective config (base file + selected profile + local
+     * file + env vars), then each one of the other profiles.
+     * @param {string} configDir
+     * @param {{ json?: boolean }} options
+     */
+    async #validate(configDir, options) {
+        const { profiles, layers, configJson } = await readLayeredConfigFile(configDir);
+        const results = [{ name: layersToString(layers), errors: validateConfig(configJson) }];
+
+        const selected = layers.find(l => l.name.startsWith('profile '));
+        const profileNames = Object.keys(profiles).filter(n => selected?.name !== `profile '${n}'`);
+        for (let i = 0; i < profileNames.length; ++i) {
+            const p = await readLayeredConfigFile(configDir, { profile: profileNames[i] });
+            results.push({ name: layersToString(p.layers), errors: validateConfig(p.configJson) });
+        }
+
+        const count = results.reduce((n, r) => n + r.errors.length, 0);
+        if (options.json) {
+            console.log(JSON.stringify({ ok: (count === 0), configs: results }, null, 2));
+        } else {
+            results.forEach(r => {
+                if (r.errors.length > 0) {
+                    console.log(`${r.name} :`);
+                    console.log(formatConfigErrors(r.errors));
+                    console.log('');
+                }
+            });
+        }
+
+        if (count > 0) {
+            throw new CodeError(`${count} error(s) found in config file.`);
+        }
+        if (!options.json) {
+            results.forEach(r => console.log(`Config '${r.name}' is valid.`));
+        }
+    }
+
+    /**
+     * Prints the effective config (base file + profile + local file + env vars)
+     * - `--resolved` : once all the default values have been computed, with
+     *   the layer each value comes from.
+     * @param {string} configDir
+     * @param {{ json?: boolean, resolved?: boolean }} options
+     */
+    async #show(configDir, options) {
+        if (!options.resolved) {
+            const { configJson } = await readLayeredConfigFile(configDir);
+            console.log(JSON.stringify(configJson, null, 2));
+            return;
+        }
+
+        const { configJson, origins } = await loadConfigJSON(configDir, true);
+
+        /** @type {{ path: string, value: any, layer: string }[]} */
+        const rows = [];
+        /**
+         * @param {any} value
+         * @param {(string | number)[]} segments
+         */
+        const walk = (value, segments) => {
+            if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+                Object.keys(value).forEach(k =>
+                    walk(value[k], [...segments, (Array.isArray(value)) ? Number.parseInt(k, 10) : k]));
+                return;
+            }
+            rows.push({ path: toJSONPath(segments), value, layer: layerOf(origins, segments) });
+        };
+        walk(configJson, []);
+
+        if (options.json) {
+            console.log(JSON.stringify({ config: configJson, origins: Object.fromEntries(rows.map(r => [r.path, r.layer])) }, null, 2));
+        } else {
+            printTable(
+                ['PROPERTY', 'VALUE', 'LAYER'],
+                rows.map(r => [r.path, (typeof r.value === 'string') ? r.value : JSON.stringify(r.value), r.layer]));
+        }
+    }
+
+    /**
+     * Prints a config property, once all the default values have been
+     * computed (ports, directories, versions).
+     * @param {string} configDir
+     * @param {string | undefined} jsonPath
+     * @param {{ json?: boolean }} options
+     */
+    async #get(configDir, jsonPath, options) {
+        const { configJson } = await loadConfigJSON(configDir, true);
+        const segments = resolvePath(configJson, jsonPath);
+        const value = getValue(configJson, segments);
+        if (value === undefined) {
+            throw new CodeError(`Unknown config property '${toJSONPath(segments)}'`);
+        }
+        if (typeof value === 'string' && !options.json) {
+            console.log(value);
+        } else {
+            console.log(JSON.stringify(value, null, 2));
+        }
+    }
+
+    /**
+     * - `value` is parsed as json, or kept as a string if not a valid json
+     *   value (ex: `8545`, `true`, `'{"port":8545}'` or `v8.0.1`)
+     * @param {string} configDir
+     * @param {string | undefined} jsonPath
+     * @param {string | undefined} value
+     */
+    async #set(configDir, jsonPath, value) {
+        if (value === undefined) {
+            throw new CodeError('Missing value');
+        }
+        /** @type {any} */
+        let v;
+        try { v = JSON.parse(value); } catch { v = value; }
+
+        await updateConfigFile(configDir, (configJson) => {
+            const segments = resolvePath(configJson, jsonPath);
+            setValue(configJson, segments, v);
+            return `${toJSONPath(segments)} = ${JSON.stringify(v)}`;
+        });
+    }
+
+    /**
+     * Removes a config property. Properties with a default value (ports,
+     * directories, versions) are reset to their default.
+     * @param {string} configDir
+     * @param {string | undefined} jsonPath
+     */
+    async #unset(configDir, jsonPath) {
+        await updateConfigFile(configDir, (configJson) => {
+            const segments = resolvePath(configJson, jsonPath);
+            const parent = getValue(configJson, segments.slice(0, -1));
+            const key = segments[segments.length - 1];
+            if (parent === null || typeof parent !== 'object' || parent[key] === undefined) {
+                throw new CodeError(`Unknown config property '${toJSONPath(segments)}'`);
+            }
+            if (Array.isArray(parent)) {
+                parent.splice(/** @type {number} */(key), 1);
+            } else {
+                delete parent[key];
+            }
+            return `${toJSONPath(segments)} removed`;
+        });
+    }
+
+    /**
+     * Adds a new `<chainid>.<flavour>` chain :
+     * - a new ganache service (or a new deploy sequence item of the existing
+     *   ganache service with the same chainid)
+     * - the chain services, using the same versions as the existing chains
+     * - the hub is added to the `market.<flavour>` market api
+     * @param {string} configDir
+     * @param {{ chainid?: string, flavour?: string, mnemonic?: string }} options
+     */
+    async #addChain(configDir, options) {
+        const chainid = stringToPositiveInteger(options.chainid ?? '');
+        if (!chainid) {
+            throw new CodeError(`Invalid chainid '${options.chainid}'`);
+        }
+        const flavour = options.flavour ?? 'standard';
+        if (!CHAIN_FLAVOURS.includes(/** @type {any} */(flavour))) {
+            throw new CodeError(`Invalid flavour '${flavour}', expecting one of ${CHAIN_FLAVOURS.join(', ')}`);
+        }
+        const f = /** @type {import('../../services/default-config.js').ChainFlavour} */(flavour);
+
+        await updateConfigFile(configDir, (configJson) => {
+            const chainName = computeChainName(chainid, f);
+            const hub = computeHubAlias(chainid, f);
+            if (configJson.chains[chainName]) {
+                throw new CodeError(`Chain '${chainName}' already exists`);
+            }
+
+            const sharedConfs = Object.values(configJson.shared);
+            const ganacheConfs = sharedConfs.filter(c => c.type === 'ganache');
+
+            // ganache
+            let ganacheConf = ganacheConfs.find(c => c.config.chainid === chainid);
+            if (!ganacheConf) {
+                const ganacheName = `ganache.${chainid}`;
+                if (configJson.shared[ganacheName]) {
+                    throw new CodeError(`Shared service '${ganacheName}' already exists`);
+                }
+                ganacheConf = {
+                    type: 'ganache',
+                    config: {
+                        chainid,
+                        mnemonic: options.mnemonic ?? ganacheConfs[0]?.config.mnemonic ?? DEFAULT_MNEMONIC,
+                        deploySequence: [],
+                        ... (ganacheConfs[0]?.config.PoCo && { PoCo: ganacheConfs[0].config.PoCo })
+                    }
+                };
+                configJson.shared[ganacheName] = ganacheConf;
+            } else if (options.mnemonic) {
+                throw new CodeError(`Chainid ${chainid} already exists, its mnemonic cannot be changed`);
+            }
+            /** @type {any[]} */
+            const seq = ganacheConf.config.deploySequence;
+            if (!seq.some(d => d.name === defaultDeployItem(f).name)) {
+                seq.push(defaultDeployItem(f));
+            }
+
+            // chain services, same versions as the existing chains
+            /** @type {any} */
+            const chain = { hub };
+            const otherChains = Object.values(configJson.chains);
+            CHAIN_SERVICE_TYPES.forEach(type => {
+                const other = otherChains.find(c => c[type]?.repository);
+                if (other) {
+                    chain[type] = { repository: other[type].repository };
+                }
+            });
+            configJson.chains[chainName] = chain;
+
+            // market
+            const marketName = `market.${f}`;
+            const marketConf = configJson.shared[marketName];
+            if (marketConf) {
+                if (marketConf.type !== 'market') {
+                    throw new CodeError(`Shared service '${marketName}' is not a market`);
+                }
+                if (!marketConf.api.chains.includes(hub)) {
+                    marketConf.api.chains.push(hub);
+                }
+            } else {
+                const otherMarket = sharedConfs.find(c => c.type === 'market' && c.repository);
+                configJson.shared[marketName] = {
+                    type: 'market',
+                    watchers: 'all',
+                    api: { chains: [hub] },
+                    ... (otherMarket && { repository: otherMarket.repository })
+                };
+            }
+
+            return `Chain '${chainName}' added (hub=${hub}). Type '${PROD_BIN} install' to install the new chain.`;
+        });
+    }
+
+    /**
+     * Increases the default number of workers started on a hub
+     * (`chains.<name>.worker.count`)
+     * @param {string} configDir
+     * @param {{ hub?: string, count?: string }} options
+     */
+    async #addWorker(configDir, options) {
+        const count = (options.count === undefined) ? 1 : stringToPositiveInteger(options.count);
+        if (!count) {
+            throw new CodeError(`Invalid count '${options.count}'`);
+        }
+        await updateConfigFile(configDir, (configJson) => {
+            const hub = (isNullishOrEmptyString(options.hub)) ?
+                configJson.chains[configJson.default]?.hub :
+                options.hub;
+            const chain = Object.values(configJson.chains).find(c => c.hub === hub);
+            if (!chain) {
+                throw new CodeError(`Unknown hub '${hub}'`);
+            }
+            chain.worker = {
+                ...chain.worker,
+                count: (chain.worker?.count ?? 0) + count
+            };
+            return `Hub ${hub} : ${chain.worker.count} worker(s)`;
+        });
+    }
+
+    /**
+     * Sets the version (git commitish) of all the services of a given type.
+     * @param {string} configDir
+     * @param {string | undefined} type
+     * @param {string | undefined} version
+     */
+    async #setVersion(configDir, type, version) {
+        if (!type || !VERSIONED_SERVICE_TYPES.includes(type)) {
+            throw new CodeError(`Invalid service '${type}', expecting one of ${VERSIONED_SERVICE_TYPES.join(', ')}`);
+        }
+        if (isNullishOrEmptyString(version)) {
+            throw new CodeError('Missing version');
+        }
+        const v = /** @type {string} */(version);
+
+        await updateConfigFile(configDir, (configJson) => {
+            /** @type {string[]} */
+            const paths = [];
+            if (type === 'iexecsdk') {
+                if (configJson.iexecsdk) {
+                    configJson.iexecsdk.repository = setCommitish(configJson.iexecsdk.repository, v);
+                    paths.push('iexecsdk.repository');
+                }
+            } else if (type === 'market' || type === 'poco') {
+                Object.entries(configJson.shared).forEach(([name, c]) => {
+                    if (type === 'market' && c.type === 'market') {
+                        c.repository = setCommitish(c.repository, v);
+                        paths.push(toJSONPath(['shared', name, 'repository']));
+                    } else if (type === 'poco' && c.type === 'ganache') {
+                        const PoCo = (typeof c.config.PoCo === 'string') ?
+                            { ...PoCoDeployer.toPackage(c.config.PoCo, configDir), directory: c.config.PoCo } :
+                            c.config.PoCo;
+                        c.config.PoCo = setCommitish(PoCo, v);
+                        paths.push(toJSONPath(['shared', name, 'config', 'PoCo']));
+                    }
+                });
+            } else {
+                Object.entries(configJson.chains).forEach(([name, c]) => {
+                    c[type] = { ...c[type], repository: setCommitish(c[type]?.repository, v) };
+                    paths.push(toJSONPath(['chains', name, type, 'repository']));
+                });
+            }
+            if (paths.length === 0) {
+                throw new CodeError(`No '${type}' service in config file`);
+            }
+            return paths.map(p => `${p} : ${v}`).join('\n');
+        });
+    }
+}
+
+/**
+ * Loads the config file and returns the equivalent config json object with
+ * all the default values computed (ports, directories, versions).
+ * - `layered = true` : effective config (base file + profile + local file +
+ *   env vars), `origins` lists the layer of each value.
+ * - `layered = false` : base file only, `profiles` are kept as is.
+ * @param {string} configDir
+ * @param {boolean} layered
+ */
+async function loadConfigJSON(configDir, layered) {
+    const configFile = path.join(configDir, PROD_CONFIG_BASENAME);
+
+    /** @type {any} */
+    let rawConfigJson;
+    /** @type {Map<string, string>} */
+    let origins = new Map();
+    let description = configFile;
+    if (layered) {
+        const l = await readLayeredConfigFile(configDir);
+        rawConfigJson = l.configJson;
+        origins = l.origins;
+        description = layersToString(l.layers);
+    } else {
+        rawConfigJson = await readObjectFromJSONFile(configFile, { strict: true });
+    }
+
+    const { profiles, ...loadable } = rawConfigJson;
+    const inventory = await ConfigFile.loadJSON(structuredClone(loadable), configDir, description);
+    /** @type {any} */
+    const configJson = await inventory.toConfigJSON(configDir);
+    // Not part of the inventory
+    if (rawConfigJson.supervisor !== undefined) {
+        configJson.supervisor = rawConfigJson.supervisor;
+    }
+    if (profiles !== undefined) {
+        configJson.profiles = profiles;
+    }
+    return { configJson, origins };
+}
+
+/**
+ * - Applies `updateFn` on the base config file json object. Fails if a
+ *   modified property is overridden by a higher layer (profile, local file
+ *   or env var), the modification would have no effect.
+ * - The modified config json object is reloaded through `ConfigFile.load`
+ *   (all missing ports and directories are allocated by the
+ *   `InventoryDB.add*` methods). Properties derived from other ones (service
+ *   urls, mongo hosts) are dropped before, to be derived again.
+ * - Saves the properties which differ between the previous and the new
+ *   `inventoryToConfigFile` outputs, and the removed properties. Other
+ *   properties of the base file are left unchanged.
+ * @param {string} configDir
+ * @param {(configJson: any) => string} updateFn returns a message to print
+ */
+async function updateConfigFile(configDir, updateFn) {
+    const configFile = path.join(configDir, PROD_CONFIG_BASENAME);
+    /** @type {any} */
+    const rawConfigJson = await readObjectFromJSONFile(configFile, { strict: true });
+    const { configJson: oldConfigJson } = await loadConfigJSON(configDir, false);
+
+    const configJson = structuredClone(rawConfigJson);
+    const message = updateFn(configJson);
+
+    const edits = diffPaths(rawConfigJson, configJson);
+    const { origins } = await readLayeredConfigFile(configDir);
+    edits.forEach(e => {
+        const layer = overridingLayer(origins, e.segments);
+        if (layer) {
+            throw new CodeError(`Config property '${toJSONPath(e.segments)}' is overridden by ${layer}, modify it there instead`);
+        }
+    });
+
+    // Values left as computed from the previous config
+    const derived = derivedProperties(oldConfigJson).filter(d =>
+        d.value !== undefined && getValue(configJson, d.segments) === d.value);
+
+    const { profiles, ...loadable } = structuredClone(configJson);
+    derived.forEach(d => deleteValue(loadable, d.segments));
+    const inventory = await ConfigFile.loadJSON(loadable, configDir, configFile);
+    /** @type {any} */
+    const newConfigJson = await inventory.toConfigJSON(configDir);
+
+    const removed = edits.filter(e => e.value === undefined).map(e => toJSONPath(e.segments));
+    /** @param {(string | number)[]} segments */
+    const isRemoved = (segments) => {
+        const p = toJSONPath(segments);
+        return removed.some(r => p === r || p.startsWith(r + '.') || p.startsWith(r + '['));
+    };
+
+    const savedConfigJson = structuredClone(rawConfigJson);
+    edits.forEach(e => (e.value === undefined) ?
+        deleteValue(savedConfigJson, e.segments) :
+        setValue(savedConfigJson, e.segments, e.value));
+    // Removed properties are computed again on load
+    diffPaths(oldConfigJson, newConfigJson)
+        .filter(c => c.value !== undefined && !isRemoved(c.segments))
+        .forEach(c => setValue(savedConfigJson, c.segments, c.value));
+    // A derived property cannot refer to a port which is allocated on load
+    derived.forEach(d => {
+        if (d.sources.some(s => s[s.length - 1] !== 'hostname' && getValue(savedConfigJson, s) === undefined)) {
+            deleteValue(savedConfigJson, d.segments);
+        }
+    });
+
+    await saveToFile(JSON.stringify(savedConfigJson, null, 2), configDir, PROD_CONFIG_BASENAME, { strict: true });
+    console.log(message);
+}
+
+/**
+ * Returns the name of the layer above the base file (profile, local file or
+ * env var) which overrides `segments` or one of its sub-properties.
+ * @param {Map<string, string>} origins
+ * @param {(string | number)[]} segments
+ */
+function overridingLayer(origins, segments) {
+    /** @param {string} layer */
+    const isOverride = (layer) => (layer !== PROD_CONFIG_BASENAME && layer !== DEFAULT_LAYER_NAME);
+
+    const layer = layerOf(origins, segments);
+    if (isOverride(layer)) {
+        return layer;
+    }
+    const p = toJSONPath(segments);
+    return [...origins.entries()].find(([k, l]) =>
+        (k.startsWith(p + '.') || k.startsWith(p + '[')) && isOverride(l))?.[1];
+}
+
+/**
+ * Lists the properties of `next` which differ from `prev` (`value` is
+ * `undefined` if the property has been removed). Arrays and scalar values
+ * are compared as a whole.
+ * @param {any} prev
+ * @param {any} next
+ * @param {(string | number)[]} segments
+ * @returns {{ segments: (string | number)[], value: any }[]}
+ */
+function diffPaths(prev, next, segments = []) {
+    const isObject = (/** @type {any} */ v) => (v !== null && typeof v === 'object' && !Array.isArray(v));
+    if (isObject(prev) && isObject(next)) {
+        const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+        return [...keys].flatMap(k => diffPaths(prev[k], next[k], [...segments, k]));
+    }
+    if (JSON.stringify(prev) === JSON.stringify(next)) {
+        return [];
+    }
+    return [{ segments, value: next }];
+}
+
+/**
+ * Resolves a json path against `obj`. Keys containing dots (ex: chain names)
+ * may be written without brackets : `chains.1337.standard.core.port`
+ * @param {any} obj
+ * @param {string | undefined} jsonPath
+ */
+function resolvePath(obj, jsonPath) {
+    if (isNullishOrEmptyString(jsonPath)) {
+        throw new CodeError('Missing json path');
+    }
+    /** @type {(string | number)[]} */
+    let segments;
+    try {
+        segments = parseJSONPath(/** @type {string} */(jsonPath));
+    } catch (err) {
+        throw new CodeError(`Invalid json path '${jsonPath}'`);
+    }
+
+    /** @type {(string | number)[]} */
+    const resolved = [];
+    let o = obj;
+    for (let i = 0; i < segments.length; ++i) {
+        let seg = segments[i];
+        if (typeof seg === 'string' && o !== null && typeof o === 'object' && !(seg in o)) {
+            // try 'a.b', 'a.b.c', ...
+            let key = seg;
+            for (let j = i + 1; j < segments.length && typeof segments[j] === 'string'; ++j) {
+                key += '.' + segments[j];
+                if (key in o) {
+                    seg = key;
+                    i = j;
+                    break;
+                }
+            }
+        }
+        resolved.push(seg);
+        o = (o !== null && typeof o === 'object') ? o[seg] : undefined;
+    }
+    return resolved;
+}
+
+/**
+ * @param {any} obj
+ * @param {(string | number)[]} segments
+ */
+function getValue(obj, segments) {
+    let o = obj;
+    for (let i = 0; i < segments.length; ++i) {
+        if (o === null || typeof o !== 'object') {
+            return undefined;
+        }
+        o = o[segments[i]];
+    }
+    return o;
+}
+
+/**
+ * @param {any} obj
+ * @param {(string | number)[]} segments
+ */
+function deleteValue(obj, segments) {
+    const parent = getValue(obj, segments.slice(0, -1));
+    if (parent !== null && typeof parent === 'object') {
+        delete parent[segments[segments.length - 1]];
+    }
+}
+
+/**
+ * Missing intermediate objects are created.
+ * @param {any} obj
+ * @param {(string | number)[]} segments
+ * @param {any} value
+ */
+function setValue(obj, segments, value) {
+    let o = obj;
+    for (let i = 0; i < segments.length - 1; ++i) {
+        if (o[segments[i]] === undefined) {
+            o[segments[i]] = {};
+        }
+        o = o[segments[i]];
+        if (o === null || typeof o !== 'object') {
+            throw new CodeError(`Config property '${toJSONPath(segments.slice(0, i + 1))}' is not an object`);
+        }
+    }
+    o[segments[segments.length - 1]] = value;
+}
+
+/**
+ * @param {any} repository
+ * @param {string} version
+ */
+function setCommitish(repository, version) {
+    if (!repository) {
+        return { commitish: version };
+    }
+    if (typeof repository === 'string') {
+        return { directory: repository, commitish: version };
+    }
+    const pkg = { ...repository, commitish: version };
+    delete pkg.branch;
+    return pkg;
+}
@@ -6,6 +6,8 @@ import { isNullishOrEmptyString } from '../../common/string.js';
 import { PoCoContractRef, PoCoHubRef } from '../../common/contractref.js';
 import { Inventory } from '../../services/Inventory.js';
 import { Hub } from '../../contracts/Hub.js';
+import { queryDeals, toExplorerFilters } from '../../services/Explorer.js';
+import { printTable } from '../table.js';
 
 export default class DealCmd extends Cmd {
 
@@ -17,6 +19,13 @@ export default class DealCmd extends Cmd {
      * @param {{
      *      hub?: string
      *      chain?: string
+     *      requester?: string
+     *      app?: string
+     *      workerpool?: string
+     *      status?: string
+     *      fromBlock?: string
+     *      since?: string
+     *      json?: boolean
      * }} options 
      */
     async cliExec(cliDir, dealid, options) {
@@ -50,9 +59,23 @@ export default class DealCmd extends Cmd {
             const hubContract = Hub.sharedReadOnly(hub, g.contractsMinDir, providerOpts);
 
             if (isNullishOrEmptyString(dealid)) {
-                const dealids = await hubContract.queryOrdersMatchedEvents();
-                for (let i = 0; i < dealids.length; ++i) {
-                    console.log(dealids[i]);
+                const deals = await queryDeals(hubContract, toExplorerFilters(options));
+                if (options.json) {
+                    console.log(JSON.stringify(deals, null, 2));
+                } else if (deals.length === 0) {
+                    console.log('No deal found.');
+                } else {
+                    printTable(
+                        ['dealid', 'app', 'dataset', 'requester', 'tasks', 'status', 'start time'],
+                        deals.map(d => [
+                            d.dealid,
+                            d.app,
+                            d.dataset,
+                            d.requester,
+                            `${d.completed}/${d.total}`,
+                            d.status,
+                            d.startTime
+                        ]));
                 }
             } else {
                 if (!isBytes32String(dealid)) {
@@ -0,0 +1,48 @@
+import { Cmd } from "../Cmd.js";
+import { Inventory } from '../../services/Inventory.js';
+import { diagnose } from '../../services/diagnosis.js';
+
+export default class DoctorCmd extends Cmd {
+
+    static cmdname() { return 'doctor'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {{
+     *      json?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const diagnoses = await diagnose(inventory._inv);
+
+            if (options.json) {
+                console.log(JSON.stringify(diagnoses, null, 2));
+                return;
+            }
+            if (diagnoses.length === 0) {
+                console.log('No known failure found in the log files.');
+                return;
+            }
+
+            for (let i = 0; i < diagnoses.length; ++i) {
+                const d = diagnoses[i];
+                const occurrences = (d.count > 1) ? ` (${d.count} occurrences)` : '';
+                console.log(`[${d.name}] ${d.id}${occurrences}`);
+                console.log(`  log     : ${d.logFile}`);
+                console.log(`  line    : ${d.logLine}`);
+                console.log(`  problem : ${d.explanation}`);
+                console.log(`  fix     : ${d.fix}`);
+                console.log('');
+            }
+            console.log(`${diagnoses.length} problem(s) found.`);
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
@@ -0,0 +1,154 @@
+import { Cmd } from "../Cmd.js";
+import { Inventory } from '../../services/Inventory.js';
+import { DependencyGraph } from '../../services/DependencyGraph.js';
+import { Market } from '../../services/Market.js';
+import { CodeError } from '../../common/error.js';
+import { printTable } from '../table.js';
+
+const FORMATS = ['text', 'dot', 'mermaid'];
+
+/** @typedef {'running' | 'stopped' | 'not installed'} NodeStatus */
+
+/** @type {{[status:string]: { ansi: number, color: string }}} */
+const STATUS_COLORS = {
+    'running': { ansi: 32, color: '#8fd18f' },
+    'stopped': { ansi: 31, color: '#f0a0a0' },
+    'not installed': { ansi: 90, color: '#d0d0d0' },
+};
+
+export default class GraphCmd extends Cmd {
+
+    static cmdname() { return 'graph'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {{
+     *      format?: string
+     * }} options
+     */
+    async cliExec(cliDir, options) {
+        try {
+            const format = options.format ?? 'text';
+            if (!FORMATS.includes(format)) {
+                throw new CodeError(`Invalid --format option '${format}', expecting one of ${FORMATS.join(', ')}`);
+            }
+
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const graph = DependencyGraph.fromInventory(inventory._inv, { withWorkers: true });
+            const statuses = await computeStatuses(inventory, graph);
+
+            if (format === 'dot') {
+                printDot(graph, statuses);
+            } else if (format === 'mermaid') {
+                printMermaid(graph, statuses);
+            } else {
+                printText(graph, statuses);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {Inventory} inventory
+ * @param {DependencyGraph} graph
+ * @returns {Promise<Map<string, NodeStatus>>}
+ */
+async function computeStatuses(inventory, graph) {
+    /** @type {Map<string, NodeStatus>} */
+    const statuses = new Map();
+    const nodes = graph.nodes;
+    for (let i = 0; i < nodes.length; ++i) {
+        const n = nodes[i];
+        let service;
+        try {
+            service = (n.type === 'worker') ?
+                await inventory._inv.newWorkerInstance(/** @type {string} */(n.hubAlias), /** @type {number} */(n.workerIndex)) :
+                await inventory._inv.newInstanceFromName(n.name);
+        } catch {
+            statuses.set(n.name, 'not installed');
+            continue;
+        }
+        let pid;
+        try {
+            // Market is a compound service, use the api
+            pid = (service instanceof Market) ? await service.api?.getPID() : await service.getPID();
+        } catch { }
+        statuses.set(n.name, (pid) ? 'running' : 'stopped');
+    }
+    return statuses;
+}
+
+/**
+ * @param {DependencyGraph} graph
+ * @param {Map<string, NodeStatus>} statuses
+ */
+function printText(graph, statuses) {
+    const useColors = !!process.stdout.isTTY;
+    printTable(
+        ['DEPTH', 'NAME', 'TYPE', 'DEPENDS ON', 'STATUS'],
+        graph.nodes.map(n => {
+            const status = statuses.get(n.name) ?? 'stopped';
+            return [
+                graph.depth(n.name).toString(),
+                n.name,
+                n.type,
+                graph.dependencies(n.name).join(', '),
+                (useColors) ? `\x1b[${STATUS_COLORS[status].ansi}m${status}\x1b[0m` : status
+            ];
+        }));
+}
+
+/**
+ * Graphviz output, edges go from a service to its dependencies.
+ * @param {DependencyGraph} graph
+ * @param {Map<string, NodeStatus>} statuses
+ */
+function printDot(graph, statuses) {
+    const lines = ['digraph ixcdv {', '    rankdir=BT;', '    node [shape=box, style=filled];'];
+    const nodes = graph.nodes;
+    for (let d = 0; d <= graph.maxDepth; ++d) {
+        const names = nodes.filter(n => graph.depth(n.name) === d).map(n => `"${n.name}"`);
+        lines.push(`    { rank=same; ${names.join('; ')}; }`);
+    }
+    nodes.forEach(n => {
+        const status = statuses.get(n.name) ?? 'stopped';
+        lines.push(`    "${n.name}" [label="${n.name}\\n${status}", fillcolor="${STATUS_COLORS[status].color}"];`);
+    });
+    nodes.forEach(n => {
+        graph.dependencies(n.name).forEach(dep => lines.push(`    "${n.name}" -> "${dep}";`));
+    });
+    lines.push('}');
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Mermaid flowchart output, edges go from a service to its dependencies.
+ * @param {DependencyGraph} graph
+ * @param {Map<string, NodeStatus>} statuses
+ */
+function printMermaid(graph, statuses) {
+    /** @param {string} name */
+    const id = (name) => name.replace(/[^a-zA-Z0-9_]/g, '_');
+    /** @param {string} status */
+    const cls = (status) => status.replace(' ', '');
+
+    const lines = ['flowchart BT'];
+    const nodes = graph.nodes;
+    nodes.forEach(n => {
+        const status = statuses.get(n.name) ?? 'stopped';
+        lines.push(`    ${id(n.name)}["${n.name}<br/>${status}"]:::${cls(status)}`);
+    });
+    nodes.forEach(n => {
+        graph.dependencies(n.name).forEach(dep => lines.push(`    ${id(n.name)} --> ${id(dep)}`));
+    });
+    Object.entries(STATUS_COLORS).forEach(([status, c]) => {
+        lines.push(`    classDef ${cls(status)} fill:${c.color}`);
+    });
+    console.log(lines.join('\n'));
+}
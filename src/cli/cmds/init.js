@@ -1,5 +1,6 @@
 import { Cmd } from "../Cmd.js";
 import { Inventory } from "../../services/Inventory.js";
+import { printPortChanges } from "./ports.js";
 
 export default class InitCmd extends Cmd {
 
@@ -13,7 +14,12 @@ export default class InitCmd extends Cmd {
     async cliExec(cliDir, directory, options) {
         try {
             const inventory = await Inventory.newDefault(directory, options);
-            await inventory.saveConfigFile({ directory, overrideExistingFile: options.force });
+            const changes = await inventory.saveConfigFile({
+                directory,
+                overrideExistingFile: options.force,
+                reassignBusyPorts: true
+            });
+            printPortChanges(changes);
         } catch(err) {
             this.exit(options, err);
         }
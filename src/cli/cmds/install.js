@@ -1,3 +1,4 @@
+import assert from 'assert';
 import { Cmd } from "../Cmd.js";
 import cliProgress from 'cli-progress';
 import StopAllCmd from "./stopAll.js";
@@ -7,6 +8,12 @@ import { CodeError } from "../../common/error.js";
 import { Inventory } from "../../services/Inventory.js";
 import { PROD_BIN, PROD_NAME } from "../../common/consts.js";
 import { isNullishOrEmptyString } from "../../common/string.js";
+import { dirExists } from "../../common/fs.js";
+import { getWorkspacePorts, reassignBusyPorts } from "../../services/PortAllocator.js";
+import { readLayeredConfigFile, saveLocalConfigChanges } from "../../services/config-layers.js";
+import { printPortChanges } from "./ports.js";
+import { enablePackageCache, loadPackageCacheImages } from "../../pkgmgr/pkgcache.js";
+import { hashInputs, InstallManifest, setInstallManifest } from "../../pkgmgr/install-manifest.js";
 
 export default class InstallCmd extends Cmd {
 
@@ -31,6 +38,15 @@ export default class InstallCmd extends Cmd {
             const configDir = this.resolveConfigDir(cliDir);
             this.exitIfNoConfig(configDir);
 
+            /** @type {string[]=} */
+            const only = splitList(options.only);
+
+            // Completed steps are recorded in the workspace and skipped
+            // by the next install
+            const manifest = InstallManifest.load(configDir);
+            manifest.setForceSteps(splitList(options.forceStep) ?? []);
+            setInstallManifest(manifest);
+
             const checkRequirements = !true;
             if (checkRequirements) {
                 const sysReq = await getSysReq(installProgress);
@@ -58,11 +74,38 @@ export default class InstallCmd extends Cmd {
                 throw new CodeError(`Unknown Ganache version : ${checkGanache.version}`);
             }
             
+            // Must be enabled before loading the inventory (package versions
+            // are resolved using the git remote repositories)
+            let cacheManifest;
+            if (!isNullishOrEmptyString(options.fromCache)) {
+                cacheManifest = await enablePackageCache(options.fromCache);
+                console.log(`Install from package cache '${options.fromCache}'`);
+            }
+
             // Load inventory from config json file
-            const inventory = await Inventory.fromConfigFile(configDir);
+            let inventory = await Inventory.fromConfigFile(configDir);
+
+            if (cacheManifest) {
+                await loadPackageCacheImages(
+                    options.fromCache,
+                    cacheManifest,
+                    inventory.getContainerRuntime(),
+                    (msg) => console.log(msg));
+            }
 
             // First stop (gently)
-            await StopAllCmd.exec(false /* only gentle stop */, null);
+            await StopAllCmd.exec(false /* only gentle stop */, inventory, null);
+
+            // Once stopped, the remaining busy ports are used by other programs
+            // (the ports still used by the workspace services are kept if the
+            // gentle stop failed). The moved ports are saved in the local file.
+            const { configJson } = await readLayeredConfigFile(configDir);
+            const previousConfigJson = structuredClone(configJson);
+            const changes = await reassignBusyPorts(configJson, await getWorkspacePorts(configJson, inventory._inv.workspace));
+            if ((await saveLocalConfigChanges(configDir, previousConfigJson, configJson)) > 0) {
+                inventory = await Inventory.fromConfigFile(configDir);
+            }
+            printPortChanges(changes);
 
             let installWallets = false;
 
@@ -76,7 +119,7 @@ export default class InstallCmd extends Cmd {
                     } else {
                         console.log(`${progress}/${progressTotal} Install ${type} : ${name}`);
                     }
-                });
+                }, { only });
             } else if (type === 'iexecsdk') {
                 await inventory.installIExecSdk((name, type, progress, progressTotal) => {
                     console.log(`${progress}/${progressTotal} Install iexec-sdk`);
@@ -84,10 +127,15 @@ export default class InstallCmd extends Cmd {
             }
 
             if (installWallets) {
-                const configNames = inventory._inv.getConfigNamesFromType('ganache');
+                const configNames = inventory._inv.getConfigNamesFromType('ganache')
+                    ?.filter(name => !only || only.includes(name) || only.includes('ganache'));
                 if (configNames && configNames.length > 0) {
                     for (let i = 0; i < configNames.length; ++i) {
                         const g = await inventory._inv.newGanacheInstance(configNames[i]);
+                        const walletsInputs = hashInputs(inventory._inv.getConfig(configNames[i]).unsolved);
+                        if (g && manifest.isDone(configNames[i], 'wallets', walletsInputs) && dirExists(g.walletsDir)) {
+                            continue;
+                        }
                         if (g) {
                             let f;
                             f = await g.walletFileAtIndex(inventory.getDefaultWalletIndex('admin'));
@@ -110,6 +158,7 @@ export default class InstallCmd extends Cmd {
                             console.log('Generates wallet file : worker #3   = ' + f);
                             f = await g.walletFileAtIndex(inventory.getDefaultWalletIndex('worker') + 4);
                             console.log('Generates wallet file : worker #4   = ' + f);
+                            manifest.setDone(configNames[i], 'wallets', walletsInputs);
                         }
                     }
                 }
@@ -120,6 +169,18 @@ export default class InstallCmd extends Cmd {
     }
 }
 
+/**
+ * `'a, b,c'` -> `['a', 'b', 'c']`
+ * @param {string=} list 
+ */
+function splitList(list) {
+    if (isNullishOrEmptyString(list)) {
+        return;
+    }
+    assert(list);
+    return list.split(',').map(s => s.trim()).filter(s => s.length > 0);
+}
+
 /**
  * @param {{
  *      count: number 
@@ -0,0 +1,301 @@
+import * as fs from 'fs';
+import { Cmd } from "../Cmd.js";
+import { CodeError } from '../../common/error.js';
+import { fileExists } from '../../common/fs.js';
+import { springParseLogLine } from '../../common/spring.js';
+import { isNullishOrEmptyString, stringToSinceDate } from '../../common/string.js';
+import { Inventory } from '../../services/Inventory.js';
+
+const LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+
+// Log files polling interval in follow mode
+const FOLLOW_INTERVAL_MS = 500;
+
+// ANSI foreground colors used to prefix each service
+const COLORS = [36, 33, 32, 35, 34, 96, 93, 92, 95, 94, 91];
+
+// Log files are read by chunks, a large log file is never loaded at once
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// Matches the first ISO-like date in non-Spring log lines (mongo json logs, market api etc.)
+const ISO_DATE_REGEX = /\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/;
+
+/**
+ * @typedef {{
+ *      name: string
+ *      logFile: string
+ *      prefix: string
+ *      offset: number
+ *      partial: string
+ *      lastDate: Date | null
+ *      lastLevel: string | null
+ * }} LogSource
+ */
+
+/**
+ * @typedef {{
+ *      date: Date | null
+ *      level: string | null
+ *      source: LogSource
+ *      text: string
+ * }} LogLine
+ */
+
+export default class LogsCmd extends Cmd {
+
+    static cmdname() { return 'logs'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {string[]} services
+     * @param {{
+     *      follow?: boolean
+     *      since?: string
+     *      grep?: string
+     *      level?: string
+     * }} options
+     */
+    async cliExec(cliDir, services, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            const since = (options.since) ? stringToSinceDate(options.since) : undefined;
+            if (options.since && !since) {
+                throw new CodeError(`Invalid --since option '${options.since}', expecting a duration (30s, 5m, 2h, 1d) or a date`);
+            }
+
+            // Throws an error if --level or --grep is invalid
+            const keep = logLineFilter({ since, level: options.level, grep: options.grep });
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const allSources = await inventory._inv.getLogSources();
+            const selected = allSources.filter(s => {
+                if (!services || services.length === 0) {
+                    return true;
+                }
+                // Match by name, name prefix ('market.0' -> 'market.0.api') or type
+                return services.some(arg =>
+                    s.name === arg ||
+                    s.name.startsWith(arg + '.') ||
+                    s.type === arg);
+            });
+            if (selected.length === 0) {
+                const names = allSources.map(s => s.name).join(', ');
+                throw new CodeError(`No log file found (available: ${names})`);
+            }
+
+            const useColors = !!process.stdout.isTTY;
+            const nameLen = Math.max(...selected.map(s => s.name.length));
+
+            /** @type {LogSource[]} */
+            const sources = selected.map((s, i) => {
+                const label = s.name.padEnd(nameLen);
+                return {
+                    name: s.name,
+                    logFile: s.logFile,
+                    prefix: (useColors) ? `\x1b[${COLORS[i % COLORS.length]}m${label}\x1b[0m` : label,
+                    offset: 0,
+                    partial: '',
+                    lastDate: null,
+                    lastLevel: null
+                };
+            });
+
+            // Without --follow, the last line is complete even if it has no trailing newline
+            printLines(sources.flatMap(s => readNewLines(s, { flush: !options.follow, keep })));
+
+            if (!options.follow) {
+                return;
+            }
+
+            let stopped = false;
+            process.once('SIGINT', () => { stopped = true; });
+            while (!stopped) {
+                await new Promise(resolve => setTimeout(resolve, FOLLOW_INTERVAL_MS));
+                printLines(sources.flatMap(s => readNewLines(s, { keep })));
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * Returns the `--since`, `--level` and `--grep` log line filter.
+ * - `level` : minimum level, lines without level (non-Spring logs) are
+ *   filtered out. Lines without date (stack traces) have the level of the
+ *   previous dated line (see `readNewLines`).
+ * - Throws an error if `level` or `grep` is invalid.
+ * @param {{
+ *      since?: Date
+ *      level?: string
+ *      grep?: string
+ * }} options
+ * @returns {(l: LogLine) => boolean}
+ */
+export function logLineFilter({ since, level, grep }) {
+    const minLevel = (level) ? LEVELS.indexOf(level.toUpperCase()) : -1;
+    if (level && minLevel < 0) {
+        throw new CodeError(`Invalid --level option '${level}', expecting one of ${LEVELS.join(', ')}`);
+    }
+
+    /** @type {RegExp | undefined} */
+    let grepRegex;
+    try {
+        grepRegex = (isNullishOrEmptyString(grep)) ? undefined : new RegExp(/** @type {string} */(grep));
+    } catch {
+        throw new CodeError(`Invalid --grep pattern '${grep}'`);
+    }
+
+    return (l) => {
+        if (since && (!l.date || l.date < since)) {
+            return false;
+        }
+        if (minLevel >= 0 && (!l.level || LEVELS.indexOf(l.level) < minLevel)) {
+            return false;
+        }
+        if (grepRegex && !grepRegex.test(l.text)) {
+            return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Interleaves the lines by timestamp, Array.sort is stable : lines
+ * with the same date keep the file order.
+ * @param {LogLine[]} lines
+ */
+function printLines(lines) {
+    lines.sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0));
+    for (let i = 0; i < lines.length; ++i) {
+        console.log(`${lines[i].source.prefix} | ${lines[i].text}`);
+    }
+}
+
+/**
+ * Reads the lines appended to the source log file since the last call.
+ * Lines without date (stack traces, multi-line messages) inherit the date
+ * and level of the previous dated line.
+ * - The file is read by chunks of `READ_CHUNK_SIZE` bytes, only the lines
+ *   accepted by `keep` are returned.
+ * - If `flush = true`, the last line is returned even if it has no trailing 
+ * newline, otherwise it is kept until the next call.
+ * @param {LogSource} source
+ * @param {{ flush?: boolean, keep?: (l: LogLine) => boolean }=} options
+ * @returns {LogLine[]}
+ */
+export function readNewLines(source, options) {
+    if (!fileExists(source.logFile)) {
+        return [];
+    }
+
+    let size;
+    try {
+        size = fs.statSync(source.logFile).size;
+    } catch {
+        return [];
+    }
+    // The log file has been truncated or recreated (service restart)
+    if (size < source.offset) {
+        source.offset = 0;
+        source.partial = '';
+    }
+
+    /** @type {LogLine[]} */
+    const lines = [];
+    const flush = !!options?.flush;
+    const buffer = Buffer.alloc(Math.min(READ_CHUNK_SIZE, size - source.offset));
+    let fd;
+    try {
+        fd = fs.openSync(source.logFile, 'r');
+        while (source.offset < size) {
+            const n = fs.readSync(fd, buffer, 0, Math.min(buffer.length, size - source.offset), source.offset);
+            if (n === 0) {
+                break;
+            }
+            const atEnd = (source.offset + n >= size);
+            // Only consume complete lines (or complete utf8 chars if the
+            // chunk has no newline), the rest is read again by the next loop
+            // or the next call
+            let end = n;
+            if (!(atEnd && flush)) {
+                const nl = buffer.lastIndexOf(0x0a, n - 1);
+                end = (nl >= 0) ? nl + 1 : (atEnd) ? 0 : utf8Boundary(buffer, n);
+            }
+            if (end === 0) {
+                break;
+            }
+            source.offset += end;
+
+            const strs = (source.partial + buffer.toString('utf8', 0, end)).split('\n');
+            source.partial = strs.pop() ?? '';
+            parseLines(source, strs, lines, options?.keep);
+        }
+    } catch {
+        return lines;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+
+    if (flush && source.partial) {
+        parseLines(source, [source.partial], lines, options?.keep);
+        source.partial = '';
+    }
+    return lines;
+}
+
+/**
+ * Returns the length of the longest prefix of `buffer[0..n]` which does not
+ * end in the middle of a utf8 char.
+ * @param {Buffer} buffer
+ * @param {number} n
+ */
+function utf8Boundary(buffer, n) {
+    let i = n;
+    // skip continuation bytes (10xxxxxx)
+    while (i > 0 && (buffer[i - 1] & 0xc0) === 0x80) {
+        --i;
+    }
+    // then the lead byte (11xxxxxx) of the incomplete char
+    if (i > 0 && (buffer[i - 1] & 0xc0) === 0xc0) {
+        --i;
+    }
+    return (i > 0) ? i : n;
+}
+
+/**
+ * @param {LogSource} source
+ * @param {string[]} strs
+ * @param {LogLine[]} lines
+ * @param {((l: LogLine) => boolean)=} keep
+ */
+function parseLines(source, strs, lines, keep) {
+    for (let i = 0; i < strs.length; ++i) {
+        const text = strs[i].trimEnd();
+        if (text.length === 0) {
+            continue;
+        }
+        const l = springParseLogLine(text);
+        if (l) {
+            source.lastDate = l.date;
+            source.lastLevel = l.level;
+        } else {
+            const m = text.match(ISO_DATE_REGEX);
+            const date = (m) ? new Date(m[0].replace(' ', 'T')) : null;
+            if (date && !Number.isNaN(date.getTime())) {
+                source.lastDate = date;
+                source.lastLevel = null;
+            }
+        }
+        const line = { date: source.lastDate, level: source.lastLevel, source, text };
+        if (!keep || keep(line)) {
+            lines.push(line);
+        }
+    }
+}
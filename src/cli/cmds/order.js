@@ -0,0 +1,133 @@
+import { Cmd } from "../Cmd.js";
+import { CodeError } from '../../common/error.js';
+import { isBytes32String } from '../../common/ethers.js';
+import { readObjectFromJSONFile, resolveAbsolutePath } from '../../common/fs.js';
+import { Inventory } from '../../services/Inventory.js';
+import { defaultOrderSigner, newRunEnv } from '../../services/Exec.js';
+
+const ORDER_TYPES = ['app', 'dataset', 'workerpool', 'request'];
+
+export default class OrderCmd extends Cmd {
+
+    static cmdname() { return 'order'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {'cancel' | 'status'} cmd
+     * @param {string} file
+     * @param {{
+     *      hub?: string
+     *      chain?: string
+     *      wallet?: string
+     *      json?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, cmd, file, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            const { typename, signedOrder } = await readOrderFile(resolveAbsolutePath(file));
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+            const env = await newRunEnv(inventory, { hub: hubAlias });
+
+            // Throws an error if the json order cannot be re-encoded
+            const order = await env.hubContract.newOrderFromJSON(typename, signedOrder);
+
+            if (cmd === 'status') {
+                const { orderHash, volume, consumed, remaining } = await order.viewStatus(env.hubContract, signedOrder.salt);
+                let status = 'OPEN';
+                if (remaining.isZero()) {
+                    status = (await env.hubContract.isOrderClosed(typename, orderHash)) ? 'CANCELLED' : 'CONSUMED';
+                }
+
+                if (options.json) {
+                    console.log(JSON.stringify({
+                        type: typename,
+                        orderHash,
+                        volume: volume.toString(),
+                        consumed: consumed.toString(),
+                        remaining: remaining.toString(),
+                        status
+                    }, null, 2));
+                    return;
+                }
+                console.log(`type      : ${typename}`);
+                console.log(`orderHash : ${orderHash}`);
+                console.log(`volume    : ${volume.toString()}`);
+                console.log(`consumed  : ${consumed.toString()}`);
+                console.log(`remaining : ${remaining.toString()}`);
+                console.log(`status    : ${status}`);
+            } else if (cmd === 'cancel') {
+                let wallet;
+                if (options.wallet) {
+                    const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
+                    if (!g) {
+                        throw new CodeError('Unknown ganache config');
+                    }
+                    wallet = g.newWalletAtIndex(inventory.resolveWalletIndex(options.wallet), env.providerOpts);
+                } else {
+                    wallet = defaultOrderSigner(env, typename);
+                }
+
+                const { remaining } = await order.viewStatus(env.hubContract, signedOrder.salt);
+                if (remaining.isZero()) {
+                    throw new CodeError(`${typename} order is already fully consumed or cancelled`);
+                }
+
+                const orderHash = await order.close(env.hubContract, signedOrder.salt, signedOrder.sign, wallet);
+                console.log(`Cancelled ${typename} order ${orderHash}`);
+            } else {
+                throw new CodeError(`Unknown order command '${cmd}'`);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * Accepts both the `orderbook publish --out` format `{ type, order }` and the
+ * raw signed order format (iExec sdk), in which case the order type is
+ * guessed from the order properties.
+ * @param {string} file
+ * @returns {Promise<{
+ *      typename: 'app' | 'dataset' | 'workerpool' | 'request'
+ *      signedOrder: Record<string, any>
+ * }>}
+ */
+async function readOrderFile(file) {
+    const json = await readObjectFromJSONFile(file, { strict: true });
+    if (!json || typeof json !== 'object') {
+        throw new CodeError(`Invalid order file '${file}'`);
+    }
+
+    let typename;
+    let signedOrder;
+    if (json.type && json.order) {
+        typename = json.type;
+        signedOrder = json.order;
+    } else {
+        signedOrder = json;
+        if (json.requester !== undefined) {
+            typename = 'request';
+        } else {
+            typename = ['app', 'dataset', 'workerpool'].find(t => json[`${t}price`] !== undefined);
+        }
+    }
+
+    if (!typename || !ORDER_TYPES.includes(typename)) {
+        throw new CodeError(`Unable to determine the order type of '${file}'`);
+    }
+    if (!isBytes32String(signedOrder.salt)) {
+        throw new CodeError(`Missing or invalid order salt in '${file}'`);
+    }
+    if (typeof signedOrder.sign !== 'string') {
+        throw new CodeError(`Missing order signature in '${file}'`);
+    }
+    return { typename, signedOrder };
+}
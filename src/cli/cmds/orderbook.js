@@ -0,0 +1,255 @@
+import * as types from '../../common/common-types.js';
+import path from 'path';
+import { Cmd } from "../Cmd.js";
+import { BigNumber, Wallet } from 'ethers';
+import { CodeError } from '../../common/error.js';
+import { genRandomSalt, isBytes32String, isValidAddress, toChecksumAddress } from '../../common/ethers.js';
+import { resolveAbsolutePath, saveToFile } from '../../common/fs.js';
+import { isNullishOrEmptyString, stringToPositiveInteger } from '../../common/string.js';
+import { Inventory } from '../../services/Inventory.js';
+import { MarketApiService } from '../../services/MarketApiService.js';
+import { defaultOrderSigner, newRequestParams, newRunEnv } from '../../services/Exec.js';
+import { Order } from '../../contracts/Order.js';
+import { printTable } from '../table.js';
+
+const ORDER_TYPES = ['app', 'dataset', 'workerpool', 'request'];
+
+export default class OrderbookCmd extends Cmd {
+
+    static cmdname() { return 'orderbook'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {'publish' | 'list' | 'unpublish' | 'cancel'} cmd
+     * @param {string} type
+     * @param {string | undefined} orderHash
+     * @param {*} options
+     */
+    async cliExec(cliDir, cmd, type, orderHash, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            if (!ORDER_TYPES.includes(type)) {
+                throw new CodeError(`Invalid order type '${type}', expecting one of ${ORDER_TYPES.join(', ')}`);
+            }
+            const typename = /** @type {types.iExecObjectType} */(type);
+
+            if (orderHash !== undefined && !isBytes32String(orderHash)) {
+                throw new CodeError(`Invalid order hash, expecting bytes 32 hex string. (got '${orderHash}')`);
+            }
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+            const env = await newRunEnv(inventory, { hub: hubAlias });
+            const chainid = env.hubRef.chainid;
+
+            // Retrieve the market api running on top of the hub
+            const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
+            if (!g) {
+                throw new CodeError('Unknown ganache config');
+            }
+            const apis = await MarketApiService.fromPoCoHubRef(env.hubRef, g.DBUUID);
+            if (!apis || apis.length === 0) {
+                throw new CodeError(`No market api running on hub ${hubAlias}`);
+            }
+            const api = apis[0];
+
+            // Order signer
+            const wallet = (options.wallet) ?
+                g.newWalletAtIndex(inventory.resolveWalletIndex(options.wallet), env.providerOpts) :
+                defaultOrderSigner(env, typename);
+
+            if (cmd === 'publish') {
+                const order = await newOrder(env, typename, wallet, options);
+                const domain = await env.hubContract.domain();
+                const salt = genRandomSalt();
+                const signedOrder = await order.toSignedJSON(domain, salt, wallet);
+
+                const publishedHash = await api.publishOrder(typename, chainid, signedOrder, wallet);
+                if (publishedHash.toLowerCase() !== order.hash(domain, salt).toLowerCase()) {
+                    throw new CodeError(`Market API order hash mismatch (got ${publishedHash})`);
+                }
+
+                if (!isNullishOrEmptyString(options.out)) {
+                    const outFile = resolveAbsolutePath(options.out);
+                    await saveToFile(
+                        JSON.stringify({ type: typename, order: signedOrder }, null, 2),
+                        path.dirname(outFile),
+                        path.basename(outFile),
+                        { strict: true });
+                    console.log(`Signed ${typename} order saved in '${outFile}'`);
+                }
+                console.log(`Published ${typename} order ${publishedHash} (api=${api.urlString})`);
+            } else if (cmd === 'list') {
+                const filters = toMarketFilters(options);
+                const orders = await api.getOrders(typename, chainid, filters);
+
+                const rows = [];
+                for (let i = 0; i < orders.length; ++i) {
+                    const o = orders[i];
+                    const volume = BigNumber.from(o.order.volume);
+                    const consumed = await env.hubContract.viewConsumedFromHash(o.orderHash);
+                    rows.push({
+                        orderHash: o.orderHash,
+                        [(typename === 'request') ? 'requester' : typename]:
+                            (typename === 'request') ? o.order.requester : o.order[typename],
+                        price: (typename === 'request') ?
+                            BigNumber.from(o.order.appmaxprice)
+                                .add(o.order.datasetmaxprice)
+                                .add(o.order.workerpoolmaxprice).toString() :
+                            o.order[`${typename}price`].toString(),
+                        volume: volume.toString(),
+                        remaining: volume.sub(consumed).toString(),
+                        status: o.status
+                    });
+                }
+
+                if (options.json) {
+                    console.log(JSON.stringify(rows, null, 2));
+                    return;
+                }
+                if (rows.length === 0) {
+                    console.log(`No ${typename} order found.`);
+                    return;
+                }
+                printTable(
+                    ['orderHash', (typename === 'request') ? 'requester' : typename, (typename === 'request') ? 'max price' : 'price', 'volume', 'remaining', 'status'],
+                    rows.map(r => Object.values(r).map(v => v.toString())));
+            } else if (cmd === 'unpublish') {
+                if (!orderHash) {
+                    throw new CodeError('Missing order hash');
+                }
+                const hashes = await api.unpublishOrder(typename, chainid, orderHash, wallet);
+                hashes.forEach(h => console.log(`Unpublished ${typename} order ${h}`));
+            } else if (cmd === 'cancel') {
+                if (!orderHash) {
+                    throw new CodeError('Missing order hash');
+                }
+                // The market api returns the full signed order
+                const o = await api.getOrderFromOrderhash(typename, chainid, orderHash);
+                if (!o?.order) {
+                    throw new CodeError(`Unknown ${typename} order ${orderHash}`);
+                }
+                await env.hubContract.closeOrder(typename, o.order, wallet);
+                console.log(`Cancelled ${typename} order ${orderHash}`);
+            } else {
+                throw new CodeError(`Unknown orderbook command '${cmd}'`);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {string} name
+ */
+function toAddressOption(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!isValidAddress(value)) {
+        throw new CodeError(`Invalid ${name} address '${value}'`);
+    }
+    return toChecksumAddress(value);
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {string} name
+ */
+function toIntegerOption(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const n = stringToPositiveInteger(value);
+    if (n === undefined) {
+        throw new CodeError(`Invalid ${name} option '${value}'`);
+    }
+    return n;
+}
+
+/**
+ * @param {*} options
+ */
+function toMarketFilters(options) {
+    /** @type {Record<string, string | number>} */
+    const filters = {};
+    ['app', 'dataset', 'workerpool', 'requester'].forEach(k => {
+        const addr = toAddressOption(options[k], k);
+        if (addr) {
+            filters[k] = addr;
+        }
+    });
+    const category = toIntegerOption(options.category, 'category');
+    if (category !== undefined) {
+        filters.category = category;
+    }
+    return filters;
+}
+
+/**
+ * Prices are validated by the hub `new<Type>Order` methods
+ * @param {import('../../services/Exec.js').RunEnv} env
+ * @param {types.iExecObjectType} typename
+ * @param {Wallet} signer
+ * @param {*} options
+ */
+async function newOrder(env, typename, signer, options) {
+    const hubContract = env.hubContract;
+    const volume = toIntegerOption(options.volume, 'volume');
+    const tag = options.tag;
+
+    if (typename === 'app') {
+        const app = toAddressOption(options.app, 'app');
+        if (!app) {
+            throw new CodeError('Missing --app option');
+        }
+        return hubContract.newAppOrder({ app, appprice: options.price, volume, tag });
+    }
+    if (typename === 'dataset') {
+        const dataset = toAddressOption(options.dataset, 'dataset');
+        if (!dataset) {
+            throw new CodeError('Missing --dataset option');
+        }
+        return hubContract.newDatasetOrder({ dataset, datasetprice: options.price, volume, tag });
+    }
+    if (typename === 'workerpool') {
+        return hubContract.newWorkerpoolOrder({
+            workerpool: toAddressOption(options.workerpool, 'workerpool') ?? env.workerpoolAddress,
+            workerpoolprice: options.price,
+            volume,
+            tag,
+            category: toIntegerOption(options.category, 'category'),
+            trust: toIntegerOption(options.trust, 'trust')
+        });
+    }
+
+    const app = toAddressOption(options.app, 'app');
+    if (!app) {
+        throw new CodeError('Missing --app option');
+    }
+    /** @type {import('../../contracts/contracts-types.js').RequestOrderLike} */
+    const ro = {
+        app,
+        appmaxprice: options.appPrice,
+        dataset: toAddressOption(options.dataset, 'dataset'),
+        datasetmaxprice: options.datasetPrice,
+        workerpool: toAddressOption(options.workerpool, 'workerpool') ?? env.workerpoolAddress,
+        workerpoolmaxprice: options.workerpoolPrice,
+        requester: signer.address,
+        volume,
+        category: toIntegerOption(options.category, 'category'),
+        trust: toIntegerOption(options.trust, 'trust'),
+        // @ts-ignore
+        params: newRequestParams(env, { args: options.args, inputFiles: options.inputFile })
+    };
+    if (tag) {
+        ro.tag = Order.validateTag(tag);
+    }
+    return hubContract.newRequestOrder(ro);
+}
@@ -1,3 +1,4 @@
+import * as types from '../../common/common-types.js';
 import * as srvTypes from '../../services/services-types.js';
 import assert from 'assert';
 import { Cmd } from "../Cmd.js";
@@ -9,6 +10,9 @@ import { WorkerService } from '../../services/Worker.js';
 import { Service } from '../../common/service.js';
 import { SpringHubServerService, SpringMongoServerService } from '../../services/spring-serverservice.js';
 import { GanacheService } from '../../common/ganache.js';
+import { CodeError } from '../../common/error.js';
+import { PROD_BIN } from '../../common/consts.js';
+import { getWorkspaceRef } from '../../services/workspace.js';
 
 /**
  * @param {string} s 
@@ -62,18 +66,31 @@ export default class PidCmd extends Cmd {
      * @param {{ 
     *      hub?:string 
     *      chainid?:string 
+    *      global?:boolean 
     * }} options 
     */
     async cliExec(cliDir, type, options) {
         try {
             /** @type {Inventory=} */
             let inventory;
+            /** @type {string=} */
+            let configDir;
             try {
-                const configDir = this.resolveConfigDir(cliDir);
+                configDir = this.resolveConfigDir(cliDir);
                 // Load inventory from config json file
                 inventory = await Inventory.fromConfigFile(configDir);
             } catch { }
 
+            // Only the services of the current workspace, unless '--global'
+            /** @type {types.WorkspaceRef=} */
+            let workspace;
+            if (options.global !== true) {
+                if (!configDir) {
+                    throw new CodeError(`No workspace found in '${cliDir}'. Type '${PROD_BIN} pid --global' to display the services of all the workspaces.`);
+                }
+                workspace = getWorkspaceRef(configDir, { create: true });
+            }
+
             /**
              * @type {{
              *      [serviceType:string]: ?{ 
@@ -98,9 +115,9 @@ export default class PidCmd extends Cmd {
                 type === 'docker' ||
                 type === 'worker'
             ) {
-                runningServices = (await Inventory.running(type));
+                runningServices = (await Inventory.running(type, workspace));
             } else if (type === 'all') {
-                runningServices = await Inventory.running('all');
+                runningServices = await Inventory.running('all', workspace);
             }
 
             let countIExecServices = 0;
@@ -240,7 +257,7 @@ export default class PidCmd extends Cmd {
             }
 
             if (countIExecServices === 0) {
-                console.log('No service is running.');
+                console.log((workspace) ? 'No service is running in this workspace.' : 'No service is running.');
                 return;
             }
 
@@ -0,0 +1,149 @@
+import assert from 'assert';
+import { Cmd } from "../Cmd.js";
+import { CodeError } from '../../common/error.js';
+import { PROD_BIN } from '../../common/consts.js';
+import { getPortListenerPID } from '../../common/net.js';
+import { psGetArgs } from '../../common/ps.js';
+import { pidInWorkspace } from '../../common/service.js';
+import { getBusyPorts, listConfigPorts, listWorkerPorts, reassignBusyPorts } from '../../services/PortAllocator.js';
+import { readLayeredConfigFile, saveLocalConfigChanges } from '../../services/config-layers.js';
+import { getWorkspaceRef } from '../../services/workspace.js';
+import { printTable } from '../table.js';
+
+/**
+ * @typedef {{
+ *      path: string
+ *      port: number
+ *      size: number
+ *      status: 'free' | 'workspace' | 'conflict'
+ *      users: { port: number, pid?: number, command?: string, workspace: boolean }[]
+ * }} PortStatus
+ */
+
+export default class PortsCmd extends Cmd {
+
+    static cmdname() { return 'ports'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {string} cmd
+     * @param {{
+     *      fix?: boolean
+     *      json?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, cmd, options) {
+        try {
+            if (cmd !== 'check') {
+                throw new CodeError(`Unknown ports command '${cmd}'`);
+            }
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            // Effective config (base file + profile + local file + env vars)
+            const { configJson } = await readLayeredConfigFile(configDir);
+
+            const workspaceRef = getWorkspaceRef(configDir, { create: true });
+            assert(workspaceRef);
+
+            /** @type {PortStatus[]} */
+            const statuses = [];
+            // Ports used by the services of this workspace are not conflicts
+            const workspacePorts = new Set();
+
+            const ports = [...listConfigPorts(configJson), ...listWorkerPorts(configJson)];
+            for (let i = 0; i < ports.length; ++i) {
+                const p = ports[i];
+                const busy = await getBusyPorts(p);
+                const users = [];
+                for (let j = 0; j < busy.length; ++j) {
+                    const pid = await getPortListenerPID(busy[j]);
+                    const workspace = (!!pid && (await pidInWorkspace(pid, workspaceRef)));
+                    if (workspace) {
+                        workspacePorts.add(busy[j]);
+                    }
+                    users.push({
+                        port: busy[j],
+                        pid,
+                        command: (pid) ? (await psGetArgs(pid))?.[0]?.substring(0, 40) : undefined,
+                        workspace
+                    });
+                }
+                statuses.push({
+                    path: p.path,
+                    port: p.port,
+                    size: p.size,
+                    status: (users.length === 0) ? 'free' : (users.every(u => u.workspace)) ? 'workspace' : 'conflict',
+                    users
+                });
+            }
+
+            const conflicts = statuses.filter(s => s.status === 'conflict');
+
+            if (options.fix && conflicts.length > 0) {
+                const previousConfigJson = structuredClone(configJson);
+                const changes = await reassignBusyPorts(configJson, workspacePorts);
+                // The moved ports are saved in the local file
+                await saveLocalConfigChanges(configDir, previousConfigJson, configJson);
+                if (options.json) {
+                    console.log(JSON.stringify({ ports: statuses, changes }, null, 2));
+                } else {
+                    printPortChanges(changes);
+                }
+                if (changes.some(c => c.to === null)) {
+                    throw new CodeError('Some ports could not be reassigned.');
+                }
+                return;
+            }
+
+            if (options.json) {
+                console.log(JSON.stringify({ ok: (conflicts.length === 0), ports: statuses }, null, 2));
+            } else {
+                printTable(
+                    ['PORT', 'PROPERTY', 'STATUS'],
+                    statuses.map(s => [
+                        (s.size > 1) ? `${s.port}-${s.port + s.size - 1}` : s.port.toString(),
+                        s.path,
+                        formatStatus(s)
+                    ]));
+                console.log('');
+            }
+
+            if (conflicts.length > 0) {
+                throw new CodeError(`${conflicts.length} port conflict(s) found. Type '${PROD_BIN} ports check --fix' to move the conflicting ports to free ones.`);
+            }
+            if (!options.json) {
+                console.log('No port conflict.');
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {PortStatus} s
+ */
+function formatStatus(s) {
+    if (s.status === 'free') {
+        return 'free';
+    }
+    return s.users.map(u => {
+        const owner = (u.workspace) ? 'this workspace' : (u.command ?? 'unknown program');
+        return `${u.port} used by ${owner}` + ((u.pid) ? ` (pid=${u.pid})` : '');
+    }).join(', ');
+}
+
+/**
+ * Prints the config file ports reassigned by the port allocator.
+ * @param {{ path: string, from: number, to: number | null }[]} changes 
+ */
+export function printPortChanges(changes) {
+    changes.forEach(c => {
+        if (c.to === null) {
+            console.log(`WARNING : port ${c.from} (${c.path}) is already in use and cannot be reassigned (no free port left in its range, or worker port).`);
+        } else {
+            console.log(`Port ${c.from} (${c.path}) is already in use, replaced by port ${c.to}.`);
+        }
+    });
+}
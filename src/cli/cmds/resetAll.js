@@ -2,6 +2,7 @@ import { Cmd } from "../Cmd.js";
 import cliProgress from 'cli-progress';
 import { CodeError } from '../../common/error.js';
 import { Inventory } from '../../services/Inventory.js';
+import { terminateSupervisors } from './stopAll.js';
 
 export default class ResetAllCmd extends Cmd {
 
@@ -15,7 +16,9 @@ export default class ResetAllCmd extends Cmd {
 
     /**
      * @param {string} cliDir 
-     * @param {*} options 
+     * @param {{
+     *      global?: boolean
+     * }} options 
      */
     async cliExec(cliDir, options) {
 
@@ -50,8 +53,14 @@ export default class ResetAllCmd extends Cmd {
         }
         ResetAllCmd.#calledOnce = true;
 
+        const global = (options?.global === true);
+
+        // The supervisors must not restart the reset services
+        await terminateSupervisors((global) ? undefined : inventory._inv.workspace, inventory._inv.rootDir);
+
         // stop all running config services
-        await inventory.resetAll({ progressCb: resetAllProgress });
+        // (or all running services if 'global' is set)
+        await inventory.resetAll({ progressCb: resetAllProgress, global });
 
         ResetAllCmd.progressBar?.stop();
     }
@@ -0,0 +1,181 @@
+import assert from 'assert';
+import path from 'path';
+import { Cmd } from "../../Cmd.js";
+import cliProgress from 'cli-progress';
+import { Inventory } from '../../../services/Inventory.js';
+import { Scenario } from '../../../services/Scenario.js';
+import { resolveAbsolutePath, saveToFile } from '../../../common/fs.js';
+import { isNullishOrEmptyString } from '../../../common/string.js';
+import { Task } from '../../../contracts/Task.js';
+import ResetAllCmd from '../resetAll.js';
+import StopAllCmd from '../stopAll.js';
+import StartCmd from '../start.js';
+
+export default class ScenarioRunCmd extends Cmd {
+
+    static cmdname() { return 'scenario_run'; }
+
+    /**
+     @type {{
+        [name:string]: InstanceType<typeof cliProgress.SingleBar>
+     }}
+     */
+    static progressBars;
+
+    /** @type {InstanceType<typeof cliProgress.MultiBar>} */
+    static multiBar;
+
+    /**
+     * @param {string} cliDir
+     * @param {string} file
+     * @param {*} options
+     */
+    async cliExec(cliDir, file, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            // Throws an error if the scenario file is invalid
+            const scenario = await Scenario.fromFile(file);
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            // The hubAlias = <chainid>.<deployConfigName>
+            // cli options have priority over the scenario file
+            const hubAlias = (options.hub || options.chain || !scenario.hub) ?
+                inventory._inv.guessHubAlias(options) :
+                scenario.hub;
+
+            const reportFile = (isNullishOrEmptyString(options.report)) ?
+                path.join(scenario.dir, `${path.basename(scenario.file, path.extname(scenario.file))}.report.json`) :
+                resolveAbsolutePath(options.report);
+
+            /* -------------------------------------------------------------- */
+            /*                                                                */
+            /*            STEP 1: Stop, Reset, Start all services             */
+            /*                                                                */
+            /* -------------------------------------------------------------- */
+
+            if (options.reset) {
+                await ResetAllCmd.exec(inventory, null);
+            } else if (options.restart) {
+                await StopAllCmd.exec(false, inventory, null);
+            }
+            await StartCmd.exec(inventory, 'worker', { count: scenario.workers, hub: hubAlias });
+
+            /* -------------------------------------------------------------- */
+            /*                                                                */
+            /*                 STEP 2: Run the scenario steps                 */
+            /*                                                                */
+            /* -------------------------------------------------------------- */
+
+            console.log(`Scenario '${scenario.name}' (hub=${hubAlias})`);
+
+            const report = await scenario.run(inventory, {
+                hub: hubAlias,
+                progressCb: stepProgress,
+                taskProgressCb: taskProgress
+            });
+
+            /* -------------------------------------------------------------- */
+            /*                                                                */
+            /*                   STEP 3: Save the report                      */
+            /*                                                                */
+            /* -------------------------------------------------------------- */
+
+            await saveToFile(
+                JSON.stringify(report, null, 2),
+                path.dirname(reportFile),
+                path.basename(reportFile),
+                { strict: true });
+
+            const counts = { passed: 0, failed: 0, skipped: 0 };
+            report.steps.forEach(s => counts[s.status]++);
+
+            console.log('');
+            console.log(`${report.passed ? 'PASSED' : 'FAILED'} : ${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped (${(report.duration / 1000).toFixed(1)}s)`);
+            console.log(`Report saved in '${reportFile}'`);
+
+            if (!report.passed) {
+                process.exit(1);
+            }
+        } catch (err) {
+            ScenarioRunCmd.multiBar?.stop();
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {{
+ *      count: number
+ *      total: number
+ *      value: any
+ * }} args
+ */
+function stepProgress({ count, total, value }) {
+    const { step, report } = value;
+    // starting
+    if (report.status === 'skipped') {
+        return;
+    }
+    // a 'wait' step displays progress bars
+    ScenarioRunCmd.multiBar?.stop();
+    // @ts-ignore
+    ScenarioRunCmd.multiBar = undefined;
+    // @ts-ignore
+    ScenarioRunCmd.progressBars = undefined;
+
+    const label = `[${count}/${total}] ${step.type}${(step.id) ? ` '${step.id}'` : ''}`;
+    if (report.status === 'passed') {
+        console.log(`${label} : passed (${(report.duration / 1000).toFixed(1)}s)`);
+    } else {
+        console.log(`${label} : failed - ${report.error}`);
+    }
+}
+
+/**
+ * @param {{
+*      count: number
+*      total: number
+*      value: any
+* }} args
+*/
+function taskProgress({ count, total, value }) {
+    /** @type {Object.<string, string>} */
+    const formattedState = {
+        'UNSET': 'UNSET    ',
+        'ACTIVE': 'ACTIVE   ',
+        'REVEALING': 'REVEALING',
+        'COMPLETED': 'COMPLETED',
+        'FAILED': 'FAILED   ',
+    }
+
+    if (!value) {
+        return;
+    }
+
+    assert(value instanceof Task);
+
+    const name = value.id;
+    const state = value.status;
+
+    if (!ScenarioRunCmd.multiBar) {
+        ScenarioRunCmd.multiBar = new cliProgress.MultiBar({
+            hideCursor: true,
+            synchronousUpdate: true,
+            clearOnComplete: true,
+            autopadding: true,
+            format: ' {bar} | {percentage}% | {state} | {name}',
+        }, cliProgress.Presets.shades_classic);
+        assert(!ScenarioRunCmd.progressBars);
+        ScenarioRunCmd.progressBars = {};
+    }
+
+    if (!ScenarioRunCmd.progressBars[name]) {
+        ScenarioRunCmd.progressBars[name] = ScenarioRunCmd.multiBar.create(total, 0, { state: formattedState[state], name });
+    }
+
+    ScenarioRunCmd.progressBars[name].update(count, { state: formattedState[state], name });
+}
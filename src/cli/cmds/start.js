@@ -6,6 +6,8 @@ import { Inventory } from '../../services/Inventory.js';
 import { stringToPositiveInteger } from '../../common/string.js';
 import { CodeError } from '../../common/error.js';
 import { sleep } from '../../common/utils.js';
+import { Supervisor } from '../../services/Supervisor.js';
+import { printTable } from '../table.js';
 
 export default class StartCmd extends Cmd {
 
@@ -23,7 +25,7 @@ export default class StartCmd extends Cmd {
 
     /**
      * @param {string} cliDir 
-     * @param {srvTypes.ServiceType} serviceType 
+     * @param {srvTypes.ServiceType | 'all' | null} serviceType null when starting a service by name (`options.name`)
      * @param {*} options 
      */
     async cliExec(cliDir, serviceType, options) {
@@ -32,7 +34,12 @@ export default class StartCmd extends Cmd {
             this.exitIfNoConfig(configDir);
             // Load inventory from config json file
             const inventory = await Inventory.fromConfigFile(configDir);
-            await this.#execOnce(inventory, serviceType, options);
+            const startTime = Date.now();
+            const results = await this.#execOnce(inventory, serviceType, options);
+            printTimings(results, startTime);
+            if (options?.supervise) {
+                await this.#supervise(inventory, serviceType, results);
+            }
         } catch (err) {
             this.exit(options, err);
         }
@@ -50,13 +57,17 @@ export default class StartCmd extends Cmd {
 
     /**
      * @param {Inventory} inventory 
-     * @param {srvTypes.ServiceType} serviceType 
+     * @param {srvTypes.ServiceType | 'all' | null} serviceType 
      * @param {*} options 
      */
     async #execOnce(inventory, serviceType, options) {
+        /** @type {{ name: string, instance: any, startReturn: any, startTime?: number, durationMS?: number }[]} */
+        const results = [];
 
         if (serviceType === 'worker') {
-            let count = 1;
+            // Default : 'chains.<name>.worker.count' config property or 1
+            const hub = inventory._inv.guessHubAlias(options);
+            let count = (hub) ? (inventory._inv.getWorkersCount(hub) ?? 1) : 1;
             if (options?.count !== undefined) {
                 let c;
                 if (typeof options.count === 'string') {
@@ -72,11 +83,11 @@ export default class StartCmd extends Cmd {
                 count = c;
             }
 
-            await inventory.start({
+            results.push(...(await inventory.start({
                 ...options,
                 type: 'core',
                 progressCb: startProgress
-            });
+            })));
 
             const promises = [];
             for (let i = 0; i < count; ++i) {
@@ -88,17 +99,81 @@ export default class StartCmd extends Cmd {
                 });
                 promises.push(p);
             }
-            await Promise.all(promises);
+            (await Promise.all(promises)).forEach(r => results.push(...r));
+        } else if (serviceType === null) {
+            // Named service, dependencies are only started with --with-deps
+            results.push(...(await inventory.start({
+                name: options.name,
+                noDependencies: (options.withDeps !== true),
+                progressCb: startProgress
+            })));
         } else {
-            await inventory.start({
+            results.push(...(await inventory.start({
                 ...options,
                 type: serviceType,
                 progressCb: startProgress
-            });
+            })));
         }
 
         StartCmd.multiBar?.stop();
+        return results;
     }
+
+    /**
+     * Restarts the started services when they exit unexpectedly, until
+     * Ctrl-C is hit or `stop`/`kill` is called.
+     * @param {Inventory} inventory 
+     * @param {srvTypes.ServiceType | 'all' | null} serviceType 
+     * @param {{ name: string, instance: any }[]} results 
+     */
+    async #supervise(inventory, serviceType, results) {
+        const supervisor = await Supervisor.fromInventory(inventory._inv);
+        await supervisor.add(results);
+
+        // Workers are not part of 'all', supervise the running ones as well
+        if (serviceType === 'all') {
+            const workers = inventory._inv.knownWorkers();
+            for (let i = 0; i < workers.length; ++i) {
+                const instance = await inventory._inv.newWorkerInstance(workers[i].hubAlias, workers[i].index);
+                await supervisor.add([{ name: workers[i].name, instance }]);
+            }
+        }
+
+        const abortController = new AbortController();
+        const abort = () => abortController.abort();
+        process.once('SIGINT', abort);
+        process.once('SIGTERM', abort);
+
+        console.log(`Supervising ${supervisor.size} service(s), restarts are logged in '${supervisor.logFile}' (Ctrl-C to stop supervising)`);
+        await supervisor.run(abortController.signal);
+    }
+}
+
+/**
+ * Prints the start duration of each service. Services started concurrently
+ * share the same start offset.
+ * @param {{ name: string, instance: any, startReturn: any, startTime?: number, durationMS?: number }[]} results 
+ * @param {number} startTime 
+ */
+function printTimings(results, startTime) {
+    if (results.length === 0) {
+        return;
+    }
+    /** @param {number | undefined} ms */
+    const sec = (ms) => (ms === undefined) ? '' : `${(ms / 1000).toFixed(1)}s`;
+
+    const sorted = [...results].sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0));
+    printTable(
+        ['NAME', 'TYPE', 'STARTED AT', 'DURATION', 'RESULT'],
+        sorted.map(r => [
+            r.name,
+            r.instance?.typename?.() ?? '',
+            (r.startTime === undefined) ? '' : '+' + sec(r.startTime - startTime),
+            sec(r.durationMS),
+            (r.startReturn?.ok) ? 'ok' : 'failed'
+        ]));
+    const total = results.reduce((sum, r) => sum + (r.durationMS ?? 0), 0);
+    console.log(`\nStarted ${results.length} service(s) in ${sec(Date.now() - startTime)} (cumulated service time: ${sec(total)})`);
 }
 
 /**
@@ -135,7 +210,7 @@ function startProgress({ count, total, value }) {
             synchronousUpdate: true,
             clearOnComplete: true,
             autopadding: true,
-            format: ' {bar} | {percentage}% | {state} | {name}',
+            format: ' {bar} | {percentage}% | {duration_formatted} | {state} | {name}',
         }, cliProgress.Presets.shades_classic);
         assert(!StartCmd.progressBars);
         StartCmd.progressBars = {};
@@ -0,0 +1,235 @@
+import { Cmd } from "../Cmd.js";
+import { Inventory } from '../../services/Inventory.js';
+import { ORDERED_SERVICE_TYPES } from '../../services/base-internal.js';
+import { Service, ServerService } from '../../common/service.js';
+import { GanacheService } from '../../common/ganache.js';
+import { httpGETStatusCode } from '../../common/http.js';
+import { Market } from '../../services/Market.js';
+import { MongoService } from '../../services/MongoService.js';
+import { RedisService, ping as redisPing } from '../../services/RedisService.js';
+import { CoreService } from '../../services/Core.js';
+import { WorkerService } from '../../services/Worker.js';
+import { IpfsService } from '../../ipfs/IpfsService.js';
+import { printTable } from '../table.js';
+
+// Dashboard refresh interval in watch mode
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ @typedef {{
+    name: string,
+    type: string,
+    status: 'running' | 'stopped' | 'not installed',
+    pid: number | null,
+    port: string,
+    ready: boolean,
+    info: {[key:string]: string | number | boolean}
+ }} StatusLine
+ */
+
+export default class StatusCmd extends Cmd {
+
+    static cmdname() { return 'status'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {{
+     *      watch?: boolean
+     *      json?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            if (!options.watch) {
+                printStatus(await computeStatusLines(inventory), options);
+                return;
+            }
+
+            let stopped = false;
+            process.once('SIGINT', () => { stopped = true; });
+            while (!stopped) {
+                const lines = await computeStatusLines(inventory);
+                if (stopped) {
+                    break;
+                }
+                console.clear();
+                console.log(`${new Date().toISOString()}  (refresh every ${WATCH_INTERVAL_MS / 1000}s, Ctrl-C to stop)\n`);
+                printStatus(lines, options);
+                await new Promise(resolve => setTimeout(resolve, WATCH_INTERVAL_MS));
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {StatusLine[]} lines
+ * @param {{ json?: boolean }} options
+ */
+function printStatus(lines, options) {
+    const notReady = lines.filter(l => !l.ready);
+    if (options.json) {
+        console.log(JSON.stringify({ healthy: (notReady.length === 0), services: lines }, null, 2));
+        return;
+    }
+    printTable(
+        ['NAME', 'TYPE', 'STATUS', 'PID', 'PORT', 'READY', 'INFO'],
+        lines.map(l => [
+            l.name,
+            l.type,
+            l.status,
+            l.pid?.toString() ?? '',
+            l.port,
+            (l.ready) ? 'yes' : 'no',
+            Object.entries(l.info).map(([k, v]) => `${k}=${v}`).join('  ')
+        ]));
+    console.log('');
+    if (notReady.length === 0) {
+        console.log('Stack is healthy.');
+    } else {
+        console.log(`Stack is NOT healthy : ${notReady.map(l => l.name).join(', ')}`);
+    }
+}
+
+/**
+ * @param {Inventory} inventory
+ */
+async function computeStatusLines(inventory) {
+    /** @type {StatusLine[]} */
+    const lines = [];
+    for (let i = 0; i < ORDERED_SERVICE_TYPES.length; ++i) {
+        const type = ORDERED_SERVICE_TYPES[i];
+        // docker is not an ixcdv service, workers are not listed in the config file
+        if (type === 'docker' || type === 'worker') {
+            continue;
+        }
+        const ics = inventory._inv.getConfigsByType(type);
+        if (!ics) {
+            continue;
+        }
+        for (let j = 0; j < ics.length; ++j) {
+            const ic = ics[j];
+            let service;
+            try {
+                service = await inventory._inv.newInstanceFromInventoryNonWorkerConfig(ic);
+            } catch {
+                lines.push({ name: ic.name, type, status: 'not installed', pid: null, port: '', ready: false, info: {} });
+                continue;
+            }
+            if (service instanceof Market) {
+                lines.push(...(await marketStatusLines(ic.name, service)));
+            } else if (service instanceof Service) {
+                lines.push(await serviceStatusLine(ic.name, type, service));
+            }
+        }
+    }
+
+    // Running workers of the workspace
+    const workers = (await Inventory.running('worker', inventory._inv.workspace))['worker'];
+    if (workers) {
+        for (let i = 0; i < workers.length; ++i) {
+            const w = workers[i];
+            if (!(w.service instanceof WorkerService)) {
+                continue;
+            }
+            lines.push(await serviceStatusLine(`worker (wallet #${w.service.walletIndex})`, 'worker', w.service));
+        }
+    }
+    return lines;
+}
+
+/**
+ * @param {string} name
+ * @param {Market} market
+ */
+async function marketStatusLines(name, market) {
+    /** @type {StatusLine[]} */
+    const lines = [];
+    if (market.api) {
+        const line = await serviceStatusLine(name + '.api', 'market.api', market.api);
+        if (line.pid) {
+            try {
+                line.info.version = await market.api.getVersion();
+            } catch { }
+        }
+        lines.push(line);
+    }
+    const watchers = market.watchers;
+    for (let i = 0; i < watchers.length; ++i) {
+        const w = watchers[i];
+        const line = await serviceStatusLine(name + '.watcher', 'market.watcher', w);
+        if (w.hub) {
+            line.info.hub = w.hub.toHRString(false);
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * @param {string} name
+ * @param {string} type
+ * @param {Service} service
+ * @returns {Promise<StatusLine>}
+ */
+async function serviceStatusLine(name, type, service) {
+    const pid = await service.getPID();
+
+    /** @type {StatusLine} */
+    const line = {
+        name,
+        type,
+        status: (pid) ? 'running' : 'stopped',
+        pid: pid ?? null,
+        port: '',
+        ready: false,
+        info: {}
+    };
+
+    if (service instanceof IpfsService) {
+        line.port = `${service.apiPort ?? ''}/${service.gatewayPort ?? ''}`;
+    } else if (service instanceof ServerService) {
+        line.port = service.port?.toString() ?? '';
+    }
+
+    if (!pid) {
+        return line;
+    }
+
+    try {
+        line.ready = await service.isReady();
+    } catch { }
+
+    if (service instanceof GanacheService) {
+        try {
+            line.info.chainid = await service.getEthChainId();
+            line.info.block = await service.getEthBlockNumber();
+        } catch {
+            line.info.rpc = 'failed';
+        }
+    } else if (service instanceof MongoService) {
+        line.info.ping = (await service.ping()) ? 'ok' : 'failed';
+    } else if (service instanceof RedisService) {
+        line.info.ping = (await redisPing(service.hostname, service.port, { strict: false })) ? 'ok' : 'failed';
+    } else if (service instanceof CoreService) {
+        try {
+            line.info.workers = (await service.getMetrics()).aliveWorkers;
+        } catch {
+            line.info.workers = '??';
+        }
+    } else if (service instanceof IpfsService) {
+        try {
+            await httpGETStatusCode(service.gatewayUrl);
+            line.info.gateway = 'reachable';
+        } catch {
+            line.info.gateway = 'unreachable';
+        }
+    }
+    return line;
+}
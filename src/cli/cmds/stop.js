@@ -1,8 +1,9 @@
-import * as srvTypes from '../../services/services-types.js';
 import { Cmd } from "../Cmd.js";
 import cliProgress from 'cli-progress';
+import { CodeError } from '../../common/error.js';
+import * as ERROR_CODES from '../../common/error-codes.js';
 import { Inventory } from '../../services/Inventory.js';
-import { WorkerService } from '../../services/Worker.js';
+import { Supervisor } from '../../services/Supervisor.js';
 
 export default class StopCmd extends Cmd {
 
@@ -12,19 +13,39 @@ export default class StopCmd extends Cmd {
     static progressBar;
 
     /**
+     * Stops a single named service. With --with-dependents, all the services
+     * depending on it are stopped first (ex: the workers and the core when 
+     * stopping a blockchain adapter).
      * @param {string} cliDir 
-     * @param {srvTypes.ServiceType} serviceType 
-     * @param {*} options 
+     * @param {string} name 
+     * @param {{
+     *      withDependents?: boolean
+     * }} options 
      */
-    async cliExec(cliDir, serviceType, options) {
+    async cliExec(cliDir, name, options) {
         try {
             const configDir = this.resolveConfigDir(cliDir);
             this.exitIfNoConfig(configDir);
             // Load inventory from config json file
             const inventory = await Inventory.fromConfigFile(configDir);
 
-            if (serviceType === 'worker') {
-                await WorkerService.stopAll(null, { progressCb: stopProgress, reset: false });
+            // Services stopped on purpose must not be restarted
+            await Supervisor.terminate(configDir);
+
+            const results = await inventory.stop(name, {
+                withDependents: (options.withDependents === true),
+                progressCb: stopProgress,
+                reset: false
+            });
+            StopCmd.progressBar?.stop();
+
+            const failed = results.filter(r => !r.stopReturn.ok);
+            if (failed.length > 0) {
+                const names = failed.map(r => r.name);
+                throw new CodeError(
+                    `Failed to stop ${names.join(', ')}`,
+                    ERROR_CODES.CANNOT_STOP,
+                    failed.map(r => ({ name: r.name, context: r.stopReturn.ok ? undefined : r.stopReturn.error.context })));
             }
         } catch (err) {
             this.exit(options, err);
@@ -64,5 +85,5 @@ function stopProgress({ count, total, value }) {
         msg = `${type}`;
     }
 
-    StopCmd.progressBar.update(count, { msg });
+    StopCmd.progressBar?.update(count, { msg });
 }
\ No newline at end of file
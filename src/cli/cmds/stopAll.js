@@ -1,9 +1,13 @@
+import * as types from '../../common/common-types.js';
 import * as srvTypes from '../../services/services-types-internal.js';
 import { Cmd } from "../Cmd.js";
 import cliProgress from 'cli-progress';
 import { CodeError } from "../../common/error.js";
 import { Inventory } from "../../services/Inventory.js";
 import { asServiceType } from '../../services/base-internal.js';
+import { Supervisor } from '../../services/Supervisor.js';
+import { getWorkspaceRef } from '../../services/workspace.js';
+import { PROD_BIN } from '../../common/consts.js';
 
 export default class StopAllCmd extends Cmd {
 
@@ -19,13 +23,32 @@ export default class StopAllCmd extends Cmd {
      * @param {string} cliDir 
      * @param {string} type 
      * @param {boolean} kill 
-     * @param {*} options 
+     * @param {{
+     *      global?: boolean
+     * }} options 
      */
     async cliExec(cliDir, type, kill, options) {
         try {
             /** @type {srvTypes.ServiceType | 'all'} */
             const t = (type === 'all') ? type : asServiceType(type);
-            await this.#execOnce(t, kill, options);
+
+            let configDir;
+            try { configDir = this.resolveConfigDir(cliDir); } catch { }
+
+            /** @type {types.WorkspaceRef=} */
+            let workspace;
+            if (options.global !== true) {
+                if (!configDir) {
+                    throw new CodeError(`No workspace found in '${cliDir}'. Type '${PROD_BIN} ${(kill) ? 'kill' : 'stop'} ${type} --global' to ${(kill) ? 'kill' : 'stop'} the services of all the workspaces.`);
+                }
+                workspace = getWorkspaceRef(configDir, { create: true });
+            }
+
+            // The supervisors of the stopped workspaces must not restart the 
+            // stopped services
+            await terminateSupervisors(workspace, configDir);
+
+            await this.#execOnce(t, kill, workspace, options);
 
             /**
              * @todo To be removed
@@ -42,20 +65,25 @@ export default class StopAllCmd extends Cmd {
     }
 
     /**
+     * Stops all the services of the `inventory` workspace
      * @param {boolean} kill
+     * @param {Inventory} inventory 
      * @param {*} options 
      */
-    static async exec(kill, options) {
+    static async exec(kill, inventory, options) {
+        // The workspace supervisor must not restart the stopped services
+        await Supervisor.terminate(inventory._inv.rootDir);
         const cmd = new StopAllCmd();
-        return cmd.#execOnce('all', kill, options);
+        return cmd.#execOnce('all', kill, inventory._inv.workspace, options);
     }
 
     /**
      * @param {srvTypes.ServiceType | 'all'} type 
      * @param {boolean} kill
+     * @param {types.WorkspaceRef | undefined} workspace if undefined, stops the services of all the workspaces
      * @param {*} options 
      */
-    async #execOnce(type, kill, options) {
+    async #execOnce(type, kill, workspace, options) {
         // The current implementation does not support multiple calls.
         if (StopAllCmd.#calledOnce) {
             throw new CodeError('Internal error (stop all can only be called once)');
@@ -64,16 +92,32 @@ export default class StopAllCmd extends Cmd {
 
         if (kill) {
             // stop any other running services (zombie)
-            await Inventory.killAny({ progressCb: stopProgress });
+            await Inventory.killAny({ progressCb: stopProgress, workspace });
         } else {
             // stop any other running services (zombie)
-            await Inventory.stopAny(type, { progressCb: stopProgress, reset: false });
+            await Inventory.stopAny(type, { progressCb: stopProgress, reset: false, workspace });
         }
 
         endProgress('all services stopped');
     }
 }
 
+/**
+ * Terminates the supervisor of `workspace`, or, if `workspace` is undefined, 
+ * the supervisors of all the workspaces with running services.
+ * @param {types.WorkspaceRef | undefined} workspace 
+ * @param {string=} configDir the current workspace directory (if any)
+ */
+export async function terminateSupervisors(workspace, configDir) {
+    const dirs = (workspace) ? [workspace.dir] : await Inventory.runningWorkspaceDirs();
+    if (configDir && !dirs.includes(configDir)) {
+        dirs.push(configDir);
+    }
+    for (let i = 0; i < dirs.length; ++i) {
+        await Supervisor.terminate(dirs[i]);
+    }
+}
+
 /**
  * @param {string} msg 
  */
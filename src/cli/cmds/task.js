@@ -6,6 +6,8 @@ import { isNullishOrEmptyString } from '../../common/string.js';
 import { isBytes32String } from '../../common/ethers.js';
 import { Inventory } from '../../services/Inventory.js';
 import { Hub } from '../../contracts/Hub.js';
+import { queryTasks, toExplorerFilters } from '../../services/Explorer.js';
+import { printTable } from '../table.js';
 
 export default class TaskCmd extends Cmd {
 
@@ -17,6 +19,13 @@ export default class TaskCmd extends Cmd {
      * @param {{
      *      hub?: string
      *      chain?: string
+     *      requester?: string
+     *      app?: string
+     *      workerpool?: string
+     *      status?: string
+     *      fromBlock?: string
+     *      since?: string
+     *      json?: boolean
      * }} options 
      */
     async cliExec(cliDir, taskid, options) {
@@ -51,9 +60,23 @@ export default class TaskCmd extends Cmd {
             const hubContract = Hub.sharedReadOnly(hub, g.contractsMinDir, providerOpts);
 
             if (isNullishOrEmptyString(taskid)) {
-                const taskids = await hubContract.queryTaskInitializeEvents();
-                for (let i = 0; i < taskids.length; ++i) {
-                    console.log(taskids[i]);
+                const tasks = await queryTasks(hubContract, toExplorerFilters(options));
+                if (options.json) {
+                    console.log(JSON.stringify(tasks, null, 2));
+                } else if (tasks.length === 0) {
+                    console.log('No task found.');
+                } else {
+                    printTable(
+                        ['taskid', 'dealid', 'idx', 'status', 'app', 'requester', 'start time'],
+                        tasks.map(t => [
+                            t.taskid,
+                            t.dealid,
+                            t.idx.toString(),
+                            t.status,
+                            t.app,
+                            t.requester,
+                            t.startTime
+                        ]));
                 }
             } else {
                 if (!isBytes32String(taskid)) {
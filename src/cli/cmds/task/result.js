@@ -0,0 +1,96 @@
+import path from 'path';
+import { Cmd } from "../../Cmd.js";
+import { CodeError } from '../../../common/error.js';
+import { isBytes32String } from '../../../common/ethers.js';
+import { dirExists, errorDirDoesNotExist, generateTmpPathname, mkDirP, moveDirEntries, readFile, resolveAbsolutePath, rmrfDir } from '../../../common/fs.js';
+import { isNullishOrEmptyString } from '../../../common/string.js';
+import { Inventory } from '../../../services/Inventory.js';
+import { downloadTaskResult, newRunEnv } from '../../../services/Exec.js';
+import * as fs from 'fs';
+
+export default class TaskResultCmd extends Cmd {
+
+    static cmdname() { return 'task_result'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {string} taskid
+     * @param {{
+     *      hub?: string
+     *      chain?: string
+     *      out?: string
+     *      force?: boolean
+     *      resultproxy?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, taskid, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            if (!isBytes32String(taskid)) {
+                throw new CodeError(`Invalid taskid, expecting bytes 32 hex string. (got taskid='${taskid}')`);
+            }
+
+            const outDir = (!options.out || isNullishOrEmptyString(options.out)) ?
+                path.join(process.cwd(), taskid) :
+                resolveAbsolutePath(options.out);
+
+            if (!dirExists(path.dirname(outDir))) {
+                throw errorDirDoesNotExist(path.dirname(outDir));
+            }
+            // Only the result files are written into 'outDir', --force 
+            // overwrites the existing ones with the same name.
+            if (dirExists(outDir) && fs.readdirSync(outDir).length > 0 && !options.force) {
+                throw new CodeError(`Directory '${outDir}' is not empty (use --force to override).`);
+            }
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+            const env = await newRunEnv(inventory, { hub: hubAlias });
+
+            const task = await env.hubContract.viewTask(taskid);
+            if (task.status !== 'COMPLETED') {
+                throw new CodeError(`Task ${taskid} is not completed (status=${task.status})`);
+            }
+
+            // The download wipes its destination directory, extract into a 
+            // fresh tmp dir then move the result files into 'outDir'
+            const tmpDir = await generateTmpPathname('task-result-');
+            try {
+                mkDirP(tmpDir, { strict: true });
+                if (options.resultproxy) {
+                    await env.resultproxy.downloadResult(taskid, env.requesterWallet, tmpDir);
+                } else {
+                    await downloadTaskResult(env.ipfs, task, tmpDir);
+                }
+                await moveDirEntries(tmpDir, outDir, { overwrite: options.force === true });
+            } finally {
+                await rmrfDir(tmpDir);
+            }
+
+            const computed = await readFile(path.join(outDir, 'computed.json'));
+            if (computed) {
+                console.log('computed.json:');
+                try {
+                    console.log(JSON.stringify(JSON.parse(computed), null, 2));
+                } catch {
+                    console.log(computed);
+                }
+                console.log('');
+            }
+
+            const stdout = await readFile(path.join(outDir, 'stdout.txt'));
+            if (stdout) {
+                console.log('stdout.txt:');
+                console.log(stdout);
+            }
+
+            console.log(`Task results saved in '${outDir}'`);
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
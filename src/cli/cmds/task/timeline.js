@@ -0,0 +1,148 @@
+import assert from 'assert';
+import { Cmd } from "../../Cmd.js";
+import { CodeError } from '../../../common/error.js';
+import { PoCoContractRef, PoCoHubRef, DevContractRef } from '../../../common/contractref.js';
+import { isBytes32String } from '../../../common/ethers.js';
+import { readFileLineByLineSync } from '../../../common/fs.js';
+import { springParseLogLine } from '../../../common/spring.js';
+import { Inventory } from '../../../services/Inventory.js';
+import { Hub } from '../../../contracts/Hub.js';
+
+/**
+ * @typedef {{
+ *      date: Date
+ *      source: string
+ *      text: string
+ * }} TimelineEntry
+ */
+
+export default class TaskTimelineCmd extends Cmd {
+
+    static cmdname() { return 'task_timeline'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {string} taskid
+     * @param {{
+     *      hub?: string
+     *      chain?: string
+     *      logs?: boolean
+     * }} options
+     */
+    async cliExec(cliDir, taskid, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+
+            if (!isBytes32String(taskid)) {
+                throw new CodeError(`Invalid taskid, expecting bytes 32 hex string. (got taskid='${taskid}')`);
+            }
+
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+
+            // Retrieve the ganache service
+            const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
+            if (!g) {
+                throw new CodeError('Unknown ganache config');
+            }
+
+            const hub = g.resolve(hubAlias);
+            assert(hub);
+            assert(hub.address);
+            assert(hub instanceof PoCoHubRef);
+
+            const chainName = inventory._inv.hubAliasToChainName(hubAlias);
+
+            const ensRef = g.resolve(hubAlias, 'ENSRegistry');
+            assert(ensRef);
+            assert(ensRef.address);
+            assert(ensRef instanceof PoCoContractRef);
+
+            const providerOpts = { ensAddress: ensRef.address, networkName: chainName ?? 'unknown' };
+
+            const hubContract = Hub.sharedReadOnly(hub, g.contractsMinDir, providerOpts);
+
+            /** @type {Map<string, string>} */
+            const addrToName = new Map();
+            addrToName.set(g.walletKeysAtIndex(inventory.getDefaultWalletIndex('requester')).address, 'requester');
+            const { deployConfigName } = DevContractRef.fromHubAlias(hubAlias);
+            const workerpool = (deployConfigName) ? g.workerpool(deployConfigName) : null;
+            if (workerpool) {
+                addrToName.set(g.walletKeysAtIndex(workerpool.accountIndex).address, 'core');
+            }
+
+            /** @type {{ name: string, logFile: string }[]} */
+            const logSources = [];
+            const coreConf = inventory._inv.getConfigFromHub('core', hubAlias)?.resolved;
+            if (coreConf?.type === 'core' && coreConf.logFile) {
+                logSources.push({ name: 'core', logFile: coreConf.logFile });
+            }
+            inventory._inv.knownWorkers(hubAlias).forEach(w => {
+                logSources.push({ name: w.name, logFile: w.logFile });
+                addrToName.set(g.walletKeysAtIndex(w.walletIndex).address, w.name);
+            });
+
+            /** @type {TimelineEntry[]} */
+            const entries = [];
+
+            // Hub events
+            const events = await hubContract.queryTaskEvents(taskid);
+            if (events.length === 0) {
+                console.log(`No hub event found for task ${taskid}`);
+            }
+            for (let i = 0; i < events.length; ++i) {
+                const e = events[i];
+                const senderName = addrToName.get(e.sender);
+                const sender = (senderName) ? `${e.sender} (${senderName})` : e.sender;
+                const args = Object.entries(e.args).map(([k, v]) => {
+                    const name = (typeof v === 'string') ? addrToName.get(v) : undefined;
+                    return (name) ? `${k}=${v} (${name})` : `${k}=${v.toString()}`;
+                });
+                entries.push({
+                    date: new Date(e.timestamp * 1000),
+                    source: `block ${e.blockNumber}`,
+                    text: [e.name, `sender=${sender}`, ...args].join('  ')
+                });
+            }
+
+            // Core & workers log lines
+            if (options.logs !== false) {
+                const taskidLowerCase = taskid.toLowerCase();
+                for (let i = 0; i < logSources.length; ++i) {
+                    const lines = readFileLineByLineSync(logSources[i].logFile);
+                    if (!lines) {
+                        continue;
+                    }
+                    for (let j = 0; j < lines.length; ++j) {
+                        if (!lines[j].toLowerCase().includes(taskidLowerCase)) {
+                            continue;
+                        }
+                        const l = springParseLogLine(lines[j]);
+                        if (!l) {
+                            continue;
+                        }
+                        entries.push({
+                            date: l.date,
+                            source: logSources[i].name,
+                            text: `${l.level}  ${l.message}`
+                        });
+                    }
+                }
+            }
+
+            // Array.sort is stable : events remain ordered by block/log index
+            entries.sort((a, b) => a.date.getTime() - b.date.getTime());
+
+            const sourceLen = Math.max(0, ...entries.map(e => e.source.length));
+            for (let i = 0; i < entries.length; ++i) {
+                const e = entries[i];
+                console.log(`${e.date.toISOString()}  ${e.source.padEnd(sourceLen)}  ${e.text}`);
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
@@ -7,12 +7,13 @@ import StartCmd from './start.js';
 import cliProgress from 'cli-progress';
 import { getTmpDir, mkDirP, readFile, rmrfDir, saveToFileSync } from '../../common/fs.js';
 import { Inventory } from '../../services/Inventory.js';
-import { runIexecApp, waitUntilTaskCompleted } from '../../services/Exec.js';
+import { computeSettlement, runIexecApp, validateRunPrices, waitUntilTaskCompleted } from '../../services/Exec.js';
 import { CodeError } from '../../common/error.js';
 import { downloadAndUnzipZipFile } from '../../common/zip.js';
 import { Task } from '../../contracts/Task.js';
 import { dockerAppName } from '../../common/consts.js';
 import { isNullishOrEmptyString } from '../../common/string.js';
+import { printSettlementReport } from '../settlement-report.js';
 
 export default class TestCmd extends Cmd {
 
@@ -57,6 +58,9 @@ export default class TestCmd extends Cmd {
                 await generateTmpHelloDataset(datasetFile);
             }
 
+            // Throws an error if any price is invalid
+            const prices = validateRunPrices(options);
+
             // hubAlias = <chainid>.<deployConfigName>
             const hubAlias = inventory._inv.guessHubAlias(options);
 
@@ -69,7 +73,7 @@ export default class TestCmd extends Cmd {
             if (options.reset) {
                 await ResetAllCmd.exec(inventory, null);
             } else if (options.restart) {
-                await StopAllCmd.exec(false, null);
+                await StopAllCmd.exec(false, inventory, null);
             }
             // Start 1 worker + all the default chain
             await StartCmd.exec(inventory, 'worker', { count: 1, hub: hubAlias });
@@ -103,6 +107,7 @@ export default class TestCmd extends Cmd {
                 appName,
                 datasetName: options.datasetName,
                 datasetFile,
+                ...prices
             });
 
             /* -------------------------------------------------------------- */
@@ -119,6 +124,9 @@ export default class TestCmd extends Cmd {
 
             TestCmd.multiBar?.stop();
 
+            const settlement = await computeSettlement(outRun.hubContract, outRun.accounts);
+            printSettlementReport(settlement);
+
             if (task.status !== 'COMPLETED') {
                 throw new CodeError(`Task failed`);
             }
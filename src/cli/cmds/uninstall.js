@@ -35,7 +35,7 @@ export default class UninstallCmd extends Cmd {
                 throw new Error();
             }
 
-            await StopAllCmd.exec(false, null);
+            await StopAllCmd.exec(false, inventory, null);
 
             /** @type {string[]} */
             let folders= [ 'chains', 'src' ];
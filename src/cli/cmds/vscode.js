@@ -111,7 +111,7 @@ export default class VSCodeCmd extends Cmd {
                     assert(instance.springConfigLocation);
                     mkDirP(instance.springConfigLocation);
                     await instance.saveApplicationYml();
-                    await instance.saveEnvFile({ filename: undefined, env: { marker: inventory._inv.rootDir } });
+                    await instance.saveEnvFile({ filename: undefined, env: inventory._inv.serviceEnv });
                 }
 
                 if (instance instanceof WorkerService) {
@@ -127,7 +127,7 @@ export default class VSCodeCmd extends Cmd {
                     assert(marketConf.type === 'market');
                     assert(marketConf.directory);
                     assert(instance instanceof Market);
-                    await instance.saveEnvFile({ directory: marketConf.directory, env: { marker: inventory._inv.rootDir } });
+                    await instance.saveEnvFile({ directory: marketConf.directory, env: inventory._inv.serviceEnv });
                 }
 
                 if (instance instanceof WorkerService) {
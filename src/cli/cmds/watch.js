@@ -0,0 +1,162 @@
+import assert from 'assert';
+import { Cmd } from "../Cmd.js";
+import { BigNumber, Contract } from 'ethers';
+import { hexZeroPad } from 'ethers/lib/utils.js';
+import { CodeError } from '../../common/error.js';
+import { PoCoContractRef, PoCoHubRef } from '../../common/contractref.js';
+import { NULL_ADDRESS, toChecksumAddress } from '../../common/ethers.js';
+import { Inventory } from '../../services/Inventory.js';
+import { Hub } from '../../contracts/Hub.js';
+
+const HUB_EVENTS = [
+    'OrdersMatched',
+    'SchedulerNotice',
+    'TaskInitialize',
+    'TaskContribute',
+    'TaskFinalize',
+    'Deposit',
+    'Withdraw',
+    'Transfer'
+];
+
+export default class WatchCmd extends Cmd {
+
+    static cmdname() { return 'watch'; }
+
+    /**
+     * @param {string} cliDir
+     * @param {{
+     *      hub?: string
+     *      chain?: string
+     * }} options
+     */
+    async cliExec(cliDir, options) {
+        try {
+            const configDir = this.resolveConfigDir(cliDir);
+            this.exitIfNoConfig(configDir);
+            // Load inventory from config json file
+            const inventory = await Inventory.fromConfigFile(configDir);
+
+            const hubAlias = inventory._inv.guessHubAlias(options);
+
+            // Retrieve the ganache service
+            const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
+            if (!g) {
+                throw new CodeError('Unknown ganache config');
+            }
+
+            const hub = g.resolve(hubAlias);
+            assert(hub);
+            assert(hub.address);
+            assert(hub instanceof PoCoHubRef);
+
+            const chainName = inventory._inv.hubAliasToChainName(hubAlias);
+
+            const ensRef = g.resolve(hubAlias, 'ENSRegistry');
+            assert(ensRef);
+            assert(ensRef.address);
+            assert(ensRef instanceof PoCoContractRef);
+
+            const providerOpts = { ensAddress: ensRef.address, networkName: chainName ?? 'unknown' };
+
+            const hubContract = Hub.sharedReadOnly(hub, g.contractsMinDir, providerOpts);
+
+            // Default ethers polling interval is 4s. The provider is shared,
+            // the previous interval is restored once done.
+            const provider = hubContract.baseProvider;
+            const previousPollingInterval = provider.pollingInterval;
+            provider.pollingInterval = 1000;
+
+            /** @type {{ contract: Contract, name: string }[]} */
+            const subscriptions = [];
+
+            try {
+                const registries = [
+                    { label: 'AppRegistry', contract: (await hubContract.appRegistry()).contract },
+                    { label: 'DatasetRegistry', contract: (await hubContract.datasetRegistry()).contract },
+                    { label: 'WorkerpoolRegistry', contract: (await hubContract.workerpoolRegistry()).contract },
+                ];
+
+                // Hub events (decoded using the minified abi)
+                const hubEventNames = abiEventNames(hubContract.contract);
+                HUB_EVENTS.filter(name => hubEventNames.includes(name)).forEach(name => {
+                    /** @param {any[]} args */
+                    const listener = (...args) => {
+                        const event = args[args.length - 1];
+                        let label = name;
+                        if (name === 'Transfer') {
+                            // The hub account is an ERC20, deposit = mint, withdraw = burn
+                            if (event.args.from === NULL_ADDRESS) {
+                                label = 'Deposit';
+                            } else if (event.args.to === NULL_ADDRESS) {
+                                label = 'Withdraw';
+                            } else {
+                                return;
+                            }
+                        }
+                        printEvent('Hub', label, event);
+                    };
+                    hubContract.contract.on(name, listener);
+                    subscriptions.push({ contract: hubContract.contract, name });
+                });
+
+                // Registries events
+                registries.forEach(({ label, contract }) => {
+                    if (!abiEventNames(contract).includes('Transfer')) {
+                        return;
+                    }
+                    /** @param {any[]} args */
+                    const listener = (...args) => {
+                        printEvent(label, 'Transfer', args[args.length - 1]);
+                    };
+                    contract.on('Transfer', listener);
+                    subscriptions.push({ contract, name: 'Transfer' });
+                });
+
+                console.log(`Watching hub ${hubAlias} (${hub.address}) events... (Ctrl-C to stop)`);
+
+                // Wait until the user hits Ctrl-C
+                await new Promise((resolve) => {
+                    process.once('SIGINT', resolve);
+                });
+            } finally {
+                subscriptions.forEach(({ contract, name }) => contract.removeAllListeners(name));
+                provider.pollingInterval = previousPollingInterval;
+            }
+        } catch (err) {
+            this.exit(options, err);
+        }
+    }
+}
+
+/**
+ * @param {Contract} contract
+ */
+function abiEventNames(contract) {
+    return Object.values(contract.interface.events).map(e => e.name);
+}
+
+/**
+ * @param {string} contractLabel
+ * @param {string} eventLabel
+ * @param {any} event
+ */
+function printEvent(contractLabel, eventLabel, event) {
+    /** @type {string[]} */
+    const args = [];
+    if (event.args) {
+        Object.keys(event.args).forEach(k => {
+            if (!Number.isNaN(Number(k))) {
+                return;
+            }
+            let v = event.args[k];
+            if (contractLabel !== 'Hub' && k === 'tokenId' && v instanceof BigNumber) {
+                // Registries : tokenId is the asset address
+                v = toChecksumAddress(hexZeroPad(v.toHexString(), 20));
+            }
+            args.push(`${k}=${(Array.isArray(v)) ? JSON.stringify(v) : v.toString()}`);
+        });
+    }
+    const date = new Date().toISOString();
+    console.log(`${date}  block ${event.blockNumber}  ${contractLabel}.${eventLabel}  ${args.join('  ')}`);
+}
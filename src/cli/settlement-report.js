@@ -0,0 +1,30 @@
+import { printTable } from './table.js';
+
+/**
+ * Prints each party's hub account delta (in nRLC) after a deal settlement.
+ * @param {{
+ *      name: string
+ *      address: string
+ *      stake: { toString: () => string }
+ *      locked: { toString: () => string }
+ *      stakeDelta: { isNegative: () => boolean, isZero: () => boolean, toString: () => string }
+ *      lockedDelta: { isNegative: () => boolean, isZero: () => boolean, toString: () => string }
+ * }[]} entries 
+ */
+export function printSettlementReport(entries) {
+    /** @param {{ isNegative: () => boolean, isZero: () => boolean, toString: () => string }} delta */
+    const formatDelta = (delta) => (delta.isNegative() || delta.isZero()) ? delta.toString() : `+${delta.toString()}`;
+
+    console.log('Settlement report (nRLC):');
+    printTable(
+        ['party', 'address', 'stake', 'stake delta', 'locked', 'locked delta'],
+        entries.map(e => [
+            e.name,
+            e.address,
+            e.stake.toString(),
+            formatDelta(e.stakeDelta),
+            e.locked.toString(),
+            formatDelta(e.lockedDelta)
+        ]));
+    console.log('');
+}
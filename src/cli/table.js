@@ -0,0 +1,16 @@
+/**
+ * Prints a left-aligned table, columns are separated by 2 whitespaces
+ * (same layout as the `pid` command).
+ * @param {string[]} header 
+ * @param {string[][]} rows 
+ */
+export function printTable(header, rows) {
+    const lens = header.map((h, j) => Math.max(h.length, ...rows.map(r => (r[j] ?? '').length)));
+    /** @param {string[]} cols */
+    const format = (cols) => cols.map((c, j) => (c ?? '').concat(' '.repeat(lens[j] - (c ?? '').length))).join('  ').trimEnd();
+
+    console.log(format(header));
+    for (let i = 0; i < rows.length; ++i) {
+        console.log(format(rows[i]));
+    }
+}
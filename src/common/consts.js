@@ -9,7 +9,11 @@ export const PROD_VAR_PREFIX = 'ixcdv';
 export const PROD_FILE_PREFIX = 'ixcdv';
 export const PROD_COMMITISH_PREFIX = 'ixcdv';
 export const PROD_CONFIG_BASENAME = `${PROD_FILE_PREFIX}-config.json`;
+export const PROD_LOCAL_CONFIG_BASENAME = `${PROD_FILE_PREFIX}-config.local.json`;
 export const PROD_DBSIG_BASENAME = `${PROD_FILE_PREFIX}-signature.json`;
+export const PROD_WORKSPACE_BASENAME = `${PROD_FILE_PREFIX}-workspace.json`;
+export const PROD_CACHE_MANIFEST_BASENAME = `${PROD_FILE_PREFIX}-cache.json`;
+export const PROD_INSTALL_MANIFEST_BASENAME = `${PROD_FILE_PREFIX}-install.json`;
 export const PROD_TMP_DIR = `/tmp/${PROD_DIRNAME}`;
 export const PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME = 'ixcdv-registry';
 
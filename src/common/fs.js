@@ -327,6 +327,32 @@ export function isSymLinkSync(path, options = { strict: false }) {
     }
 }
 
+/**
+ * - If `strict = false` : 
+ *      - returns `true` if `path` is an existing unix domain socket
+ *      - returns `false` otherwise. Never throws an error
+ * - If `strict = true` : 
+ *      - returns `true` if `path` is an existing unix domain socket
+ *      - always throws an error otherwise
+ * @param {!string} path 
+ * @param {types.Strict} options
+ */
+export function socketExists(path, options = { strict: false }) {
+    try {
+        if (isNullishOrEmptyString(path)) {
+            throw null;
+        }
+        let file = pathlib.resolve(path);
+        let s = fs.statSync(file);
+        if (!s.isSocket()) {
+            throw null;
+        }
+        return true;
+    } catch (err) {
+        return falseOrThrow(errorFileDoesNotExist(path), options);
+    }
+}
+
 /**
  * Checks if a file defined by its relative pathname exists
  * in a specified directory.
@@ -498,6 +524,40 @@ export async function moveFileSync(srcFile, dstFile, options = { strict: false }
     }
 }
 
+/**
+ * Moves each entry of `srcDir` into `dstDir` (created if needed). Entries
+ * of `dstDir` that do not exist in `srcDir` are left untouched.
+ * - Throws an error if an entry already exists in `dstDir`, unless
+ * `overwrite = true` (nothing is moved in that case)
+ * - Returns the list of moved entry names
+ * @param {!string} srcDir
+ * @param {!string} dstDir
+ * @param {{ overwrite?: boolean }=} options
+ */
+export async function moveDirEntries(srcDir, dstDir, options) {
+    throwIfDirDoesNotExist(srcDir);
+    const overwrite = (options?.overwrite === true);
+
+    const entries = await fsPromises.readdir(srcDir);
+    if (!overwrite) {
+        for (let i = 0; i < entries.length; ++i) {
+            const dst = pathlib.join(dstDir, entries[i]);
+            if (exists(dst)) {
+                throw (dirExists(dst)) ? errorDirAlreadyExists(dst) : errorFileAlreadyExists(dst);
+            }
+        }
+    }
+
+    mkDirP(dstDir, { strict: true });
+    for (let i = 0; i < entries.length; ++i) {
+        await fsextmove(
+            pathlib.join(srcDir, entries[i]),
+            pathlib.join(dstDir, entries[i]),
+            { overwrite });
+    }
+    return entries;
+}
+
 /**
  * Synchronous equivalent to 'mkdir -p'
  * - If `strict = false` : 
@@ -985,7 +1045,8 @@ export async function replaceInFile(str, replace, file, separator) {
     const bakext = `.${PROD_FILE_EXT}bak`;
     let ok = true;
     try {
-        const { stdout, stderr } = await exec_promise(`sed -i '${bakext}' -e 's${separator}${str}${separator}${replace}${separator}g' ${file}`);
+        // attached suffix : works with both BSD (macOS) and GNU (Linux) sed
+        const { stdout, stderr } = await exec_promise(`sed -i'${bakext}' -e 's${separator}${str}${separator}${replace}${separator}g' ${file}`);
     } catch {
         ok = false;
     }
@@ -677,4 +677,22 @@ export class GanacheService extends ServerService {
         } catch (err) { }
         throw new CodeError('ganache query failed');
     }
+
+    /** @returns {Promise<number>} */
+    async getEthBlockNumber() {
+        try {
+            const queryObj = {
+                jsonrpc: "2.0",
+                method: "eth_blockNumber",
+                id: this.#chainid
+            };
+            const response = await httpPOST(this.urlString, null, null, queryObj);
+            if (response &&
+                typeof response === 'object' &&
+                response.id === this.#chainid) {
+                return BigNumber.from(response.result).toNumber();
+            }
+        } catch (err) { }
+        throw new CodeError('ganache query failed');
+    }
 }
@@ -63,9 +63,10 @@ export function httpGET(url) {
 
 /**
  * @param {string | URL} url
+ * @param {object=} headers
  * @return {Promise<Buffer>}
  */
-export function httpGETBinary(url) {
+export function httpGETBinary(url, headers) {
 
     /** @type {string} */
     const urlStr = toURLString(url);
@@ -74,7 +75,7 @@ export function httpGETBinary(url) {
     return new Promise((resolve, reject) => {
         // select http or https module, depending on reqested url
         const lib = urlStr.startsWith('https') ? https : http;
-        const request = lib.get(urlStr, (response) => {
+        const request = lib.get(urlStr, { headers: { ...headers } }, (response) => {
             response.setEncoding('binary');
             assert(response.statusCode);
             // handle http errors
@@ -0,0 +1,306 @@
+/**
+ * Minimal JSON Schema validator (draft-07 subset). Unlike a fail-fast
+ * validation, every error is collected along with its JSON path.
+ *
+ * Supported keywords :
+ * - `type` (string or array, including `integer`), `enum`, `const`
+ * - `properties`, `required`, `additionalProperties` (boolean or schema)
+ * - `items`, `minItems`
+ * - `minimum`, `maximum`, `minLength`, `pattern`
+ * - `anyOf`, `oneOf`, `allOf`, `if`/`then`/`else`
+ * - `$ref` (local refs only : `#/definitions/<name>`)
+ * - `description` (ignored)
+ */
+
+/**
+ * @typedef {{
+ *      path: string
+ *      message: string
+ * }} JSONSchemaError
+ */
+
+/**
+ * @typedef {(string | number)[]} JSONPathSegments
+ */
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Converts a list of path segments into a JSON path string.
+ * - `['chains', '1337.standard', 'core', 'port']` : `chains["1337.standard"].core.port`
+ * - `['shared', 'ganache.1337', 'config', 'deploySequence', 0]` : `shared["ganache.1337"].config.deploySequence[0]`
+ * @param {JSONPathSegments} segments
+ */
+export function toJSONPath(segments) {
+    let s = '';
+    for (let i = 0; i < segments.length; ++i) {
+        const seg = segments[i];
+        if (typeof seg === 'number') {
+            s += `[${seg}]`;
+        } else if (IDENTIFIER_REGEX.test(seg)) {
+            s += (s.length === 0) ? seg : '.' + seg;
+        } else {
+            s += `[${JSON.stringify(seg)}]`;
+        }
+    }
+    return (s.length === 0) ? '<root>' : s;
+}
+
+/**
+ * Converts a JSON path string into a list of path segments (inverse of
+ * `toJSONPath`).
+ * - `chains["1337.standard"].core.port` : `['chains', '1337.standard', 'core', 'port']`
+ * - `shared.market.api.chains[0]` : `['shared', 'market', 'api', 'chains', 0]`
+ * @param {string} path
+ * @returns {JSONPathSegments}
+ */
+export function parseJSONPath(path) {
+    /** @type {JSONPathSegments} */
+    const segments = [];
+    let i = 0;
+    const n = path.length;
+    while (i < n) {
+        const c = path[i];
+        if (c === '.') {
+            if (i === 0 || i === n - 1 || path[i + 1] === '.' || path[i + 1] === '[') {
+                throw new TypeError(`Invalid JSON path '${path}'`);
+            }
+            i++;
+        } else if (c === '[') {
+            const end = path.indexOf(']', i);
+            if (end < 0) {
+                throw new TypeError(`Invalid JSON path '${path}'`);
+            }
+            const inner = path.substring(i + 1, end).trim();
+            if (/^[0-9]+$/.test(inner)) {
+                segments.push(Number.parseInt(inner, 10));
+            } else if (/^"(?:[^"\\]|\\.)*"$/.test(inner)) {
+                segments.push(JSON.parse(inner));
+            } else if (/^'[^']*'$/.test(inner)) {
+                segments.push(inner.substring(1, inner.length - 1));
+            } else {
+                throw new TypeError(`Invalid JSON path '${path}'`);
+            }
+            i = end + 1;
+        } else {
+            let end = i;
+            while (end < n && path[end] !== '.' && path[end] !== '[') {
+                end++;
+            }
+            segments.push(path.substring(i, end));
+            i = end;
+        }
+    }
+    if (path.endsWith('.')) {
+        throw new TypeError(`Invalid JSON path '${path}'`);
+    }
+    return segments;
+}
+
+/**
+ * @param {any} value
+ */
+function jsonTypeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return (Number.isInteger(value)) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * @param {any} value
+ * @param {string} type
+ */
+function isOfType(value, type) {
+    const t = jsonTypeOf(value);
+    if (type === 'number') {
+        return (t === 'number' || t === 'integer');
+    }
+    return t === type;
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function jsonEquals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @param {any} rootSchema
+ * @param {string} ref
+ */
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new TypeError(`Unsupported schema $ref '${ref}'`);
+    }
+    let s = rootSchema;
+    const parts = ref.substring(2).split('/');
+    for (let i = 0; i < parts.length; ++i) {
+        s = s?.[parts[i]];
+    }
+    if (!s) {
+        throw new TypeError(`Unknown schema $ref '${ref}'`);
+    }
+    return s;
+}
+
+/**
+ * Validates `value` against `schema`. Returns the list of all the errors
+ * found (empty if `value` is valid).
+ * @param {any} value
+ * @param {any} schema
+ * @param {JSONPathSegments=} path path of `value` in the root document
+ * @returns {JSONSchemaError[]}
+ */
+export function validateJSONSchema(value, schema, path) {
+    /** @type {JSONSchemaError[]} */
+    const errors = [];
+    validate(value, schema, schema, path ?? [], errors);
+    return errors;
+}
+
+/**
+ * @param {any} value
+ * @param {any} schema
+ * @param {any} rootSchema
+ * @param {JSONPathSegments} path
+ * @param {JSONSchemaError[]} errors
+ */
+function validate(value, schema, rootSchema, path, errors) {
+    if (schema === true || schema === undefined) {
+        return;
+    }
+    /** @param {string} message */
+    const err = (message) => errors.push({ path: toJSONPath(path), message });
+
+    if (schema === false) {
+        err('unexpected value');
+        return;
+    }
+    if (schema.$ref) {
+        validate(value, resolveRef(rootSchema, schema.$ref), rootSchema, path, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = (Array.isArray(schema.type)) ? schema.type : [schema.type];
+        if (!types.some((/** @type {string} */ t) => isOfType(value, t))) {
+            err(`expecting ${types.join(' or ')}, got ${jsonTypeOf(value)}`);
+            // Stop here, other keywords would only add noise
+            return;
+        }
+    }
+    if (schema.const !== undefined && !jsonEquals(value, schema.const)) {
+        err(`expecting ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some((/** @type {any} */ e) => jsonEquals(value, e))) {
+        err(`invalid value ${JSON.stringify(value)}, expecting one of ${schema.enum.map((/** @type {any} */ e) => JSON.stringify(e)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            err(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            err(`must be <= ${schema.maximum}`);
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            err((schema.minLength === 1) ? 'must not be empty' : `must contain at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !(new RegExp(schema.pattern)).test(value)) {
+            err(`invalid value ${JSON.stringify(value)}` + ((schema.description) ? `, expecting ${schema.description}` : ''));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            err(`must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((v, i) => validate(v, schema.items, rootSchema, [...path, i], errors));
+        }
+    }
+
+    if (jsonTypeOf(value) === 'object') {
+        if (schema.required) {
+            schema.required.forEach((/** @type {string} */ k) => {
+                if (value[k] === undefined) {
+                    err(`missing '${k}' property`);
+                }
+            });
+        }
+        const properties = schema.properties ?? {};
+        Object.keys(value).forEach(k => {
+            if (properties[k] !== undefined) {
+                validate(value[k], properties[k], rootSchema, [...path, k], errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: toJSONPath([...path, k]), message: 'unknown property' });
+            } else if (schema.additionalProperties !== undefined) {
+                validate(value[k], schema.additionalProperties, rootSchema, [...path, k], errors);
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach((/** @type {any} */ s) => validate(value, s, rootSchema, path, errors));
+    }
+    if (schema.if) {
+        /** @type {JSONSchemaError[]} */
+        const ifErrors = [];
+        validate(value, schema.if, rootSchema, path, ifErrors);
+        const branch = (ifErrors.length === 0) ? schema.then : schema.else;
+        if (branch) {
+            validate(value, branch, rootSchema, path, errors);
+        }
+    }
+    if (schema.anyOf || schema.oneOf) {
+        validateAlternatives(value, schema.anyOf ?? schema.oneOf, !!schema.oneOf, rootSchema, path, errors);
+    }
+}
+
+/**
+ * - When no alternative matches, reports the errors of the first
+ *   alternative whose `type` matches the value.
+ * @param {any} value
+ * @param {any[]} alternatives
+ * @param {boolean} exactlyOne
+ * @param {any} rootSchema
+ * @param {JSONPathSegments} path
+ * @param {JSONSchemaError[]} errors
+ */
+function validateAlternatives(value, alternatives, exactlyOne, rootSchema, path, errors) {
+    const results = alternatives.map(s => {
+        /** @type {JSONSchemaError[]} */
+        const e = [];
+        validate(value, s, rootSchema, path, e);
+        return e;
+    });
+    const count = results.filter(e => e.length === 0).length;
+    if (count === 1 || (count > 1 && !exactlyOne)) {
+        return;
+    }
+    if (count > 1) {
+        errors.push({ path: toJSONPath(path), message: 'ambiguous value, matches more than one schema' });
+        return;
+    }
+    const sameType = results.find(e => e.length > 0 && !e.some(x => x.message.startsWith('expecting ') && x.path === toJSONPath(path)));
+    if (sameType) {
+        errors.push(...sameType);
+        return;
+    }
+    const types = alternatives.map(s => (s.$ref) ? resolveRef(rootSchema, s.$ref) : s)
+        .map(s => s.type)
+        .flat()
+        .filter((t, i, a) => t && a.indexOf(t) === i);
+    errors.push({ path: toJSONPath(path), message: `expecting ${types.join(' or ')}, got ${jsonTypeOf(value)}` });
+}
@@ -2,6 +2,7 @@ import * as types from './types.js';
 import assert from 'assert';
 import { isNullishOrEmptyString } from "./string.js";
 import * as nodeUtil from 'util';
+import * as net from 'net';
 import { exec as childProcessExec } from 'child_process';
 
 const exec_promise = nodeUtil.promisify(childProcessExec);
@@ -22,3 +23,42 @@ export async function isPortInUse(port) {
         return false;
     }
 }
+
+/**
+ * Tries to listen on `port` (both on the loopback interface and on all 
+ * interfaces). Much faster than `lsof` when probing a large number of ports.
+ * @param {types.positiveInteger} port 
+ */
+export async function isPortAvailable(port) {
+    assert(typeof port === 'number');
+    for (const host of ['127.0.0.1', undefined]) {
+        const ok = await new Promise(resolve => {
+            const server = net.createServer();
+            server.once('error', () => resolve(false));
+            server.once('listening', () => server.close(() => resolve(true)));
+            server.listen({ port, host, exclusive: true });
+        });
+        if (!ok) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Returns the pid of the process listening on `port`
+ * @param {?types.positiveInteger=} port 
+ */
+export async function getPortListenerPID(port) {
+    try {
+        if (port === null || port === undefined) {
+            return; /* undefined */
+        }
+        assert(typeof port === 'number');
+        const { stdout, stderr } = await exec_promise(`lsof -t -n -P -iTCP:${port.toString()} -sTCP:LISTEN`);
+        const pid = Number.parseInt(stdout.trim().split('\n')[0]);
+        return (Number.isInteger(pid) && pid > 0) ? pid : undefined;
+    } catch (err) {
+        return; /* undefined */
+    }
+}
@@ -39,6 +39,18 @@ export async function version(dir, args, options) {
     return npmGet(dir, ["version", ...args], null, options);
 }
 
+/**
+ * Executes npm config
+ * - `npm config ...args`
+ * @param {!string} dir 
+ * @param {!string[]} args
+ * @param {types.Strict=} options
+ * @returns {types.PromiseResultOrCodeError<string>}
+ */
+export async function config(dir, args, options) {
+    return npmGet(dir, ["config", ...args], null, options);
+}
+
 
 /**
  * @param {!string} dir 
@@ -0,0 +1,81 @@
+import * as pathlib from 'path';
+import * as fs from 'fs';
+import { dirExists } from './fs.js';
+import { isNullishOrEmptyString } from './string.js';
+
+/**
+ * Supported platforms : macOS (Docker Desktop, Homebrew) and Linux (Docker
+ * Engine, apt).
+ * @typedef {'macos' | 'linux'} Platform
+ */
+
+/** @returns {Platform} */
+export function getPlatform() {
+    return (process.platform === 'linux') ? 'linux' : 'macos';
+}
+
+export function isLinux() {
+    return getPlatform() === 'linux';
+}
+
+export function isMacOS() {
+    return getPlatform() === 'macos';
+}
+
+/** @param {Platform=} platform */
+export function platformName(platform) {
+    return ((platform ?? getPlatform()) === 'linux') ? 'Linux' : 'MacOS';
+}
+
+/**
+ * `ps` option used to append the process environment to the `command`
+ * column (`ps -E` on macOS, `ps e` on Linux)
+ */
+export function psEnvOption() {
+    return (isLinux()) ? 'e -ww' : '-E';
+}
+
+const MACOS_JDK11_HOME = '/Library/Java/JavaVirtualMachines/temurin-11.jdk/Contents/Home';
+const LINUX_JVM_DIR = '/usr/lib/jvm';
+
+/**
+ * Returns the JDK 11 home directory required to build and run the iExec
+ * spring services, or `undefined` if not found.
+ * - macOS : `/Library/Java/JavaVirtualMachines/temurin-11.jdk/Contents/Home`
+ * - Linux : `/usr/lib/jvm/<...>11<...>` (apt `openjdk-11-jdk` or `temurin-11-jdk`)
+ * - `JAVA_HOME` is used as a fallback.
+ */
+export function getJdk11Home() {
+    if (isMacOS()) {
+        if (dirExists(MACOS_JDK11_HOME)) {
+            return MACOS_JDK11_HOME;
+        }
+    } else if (dirExists(LINUX_JVM_DIR)) {
+        const candidates = fs.readdirSync(LINUX_JVM_DIR)
+            .filter(n => /(^|-)(11|1\.11)(-|\.|$)/.test(n))
+            .map(n => pathlib.join(LINUX_JVM_DIR, n))
+            .filter(d => dirExists(pathlib.join(d, 'bin')))
+            .sort();
+        if (candidates.length > 0) {
+            return candidates[0];
+        }
+    }
+    const javaHome = process.env['JAVA_HOME'];
+    if (javaHome && dirExists(javaHome)) {
+        return javaHome;
+    }
+    return; /* undefined */
+}
+
+/**
+ * Docker daemon unix socket (Linux only).
+ * - `DOCKER_HOST` when set to `unix://<path>` (rootless docker)
+ * - `/var/run/docker.sock` otherwise
+ */
+export function dockerDaemonSocket() {
+    const dockerHost = process.env['DOCKER_HOST'];
+    if (!isNullishOrEmptyString(dockerHost) && dockerHost?.startsWith('unix://')) {
+        return dockerHost.substring('unix://'.length);
+    }
+    return '/var/run/docker.sock';
+}
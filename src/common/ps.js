@@ -10,16 +10,23 @@ import { assertIsStrictlyPositiveInteger, throwIfNotStrictlyPositiveInteger } fr
 import * as nodeUtil from 'util';
 import { exec as childProcessExec } from 'child_process';
 import { parseSingleEnvVar } from './utils.js';
+import { isLinux, psEnvOption } from './platform.js';
+import { readlink } from 'fs/promises';
 const exec_promise = nodeUtil.promisify(childProcessExec);
 
 /**
- * Executes `lsof -p <pid>`
+ * Executes `lsof -p <pid>` (macOS) or reads `/proc/<pid>/cwd` (Linux)
  * @param {number} pid 
  */
 export async function getPIDCWD(pid) {
     try {
-        const { stdout, stderr } = await exec_promise(`lsof -p ${pid.toString()} | awk '$4=="cwd" {print $9}'`);
-        const dir = stdout.trim();
+        let dir;
+        if (isLinux()) {
+            dir = await readlink(`/proc/${pid.toString()}/cwd`);
+        } else {
+            const { stdout, stderr } = await exec_promise(`lsof -p ${pid.toString()} | awk '$4=="cwd" {print $9}'`);
+            dir = stdout.trim();
+        }
         // some checking 
         assert(pathlib.isAbsolute(dir));
         assert(dirExists(dir));
@@ -47,7 +54,7 @@ export async function psp(pid) {
 }
 
 /**
- * Executes `ps -E -o command= -p <pid>`
+ * Executes `ps -E -o command= -p <pid>` (`ps e` on Linux)
  * @param {number} pid 
  */
 export async function pspWithArgsAndEnv(pid) {
@@ -55,7 +62,7 @@ export async function pspWithArgsAndEnv(pid) {
 
     try {
         // Will throw an error if pid does not exist
-        const { stdout, stderr } = await exec_promise("ps -E -o command= -p " + pid.toString());
+        const { stdout, stderr } = await exec_promise(`ps ${psEnvOption()} -o command= -p ${pid.toString()}`);
         // Otherwise, stdout contains process info 
         const s = stdout.trim();
         if (isNullishOrEmptyString(s)) {
@@ -144,7 +151,7 @@ export async function psGrepPIDAndEnv(grepPattern) {
     assertNonEmptyString(grepPattern);
     //ps -e -E -o pid= -o command=
     try {
-        const { stdout, stderr } = await exec_promise(`ps -e -E -o pid= -o command= | grep -v grep | grep -E \'${grepPattern}\'`);
+        const { stdout, stderr } = await exec_promise(`ps -e ${psEnvOption()} -o pid= -o command= | grep -v grep | grep -E \'${grepPattern}\'`);
         if (isNullishOrEmptyString(stdout)) {
             return /* undefined */
         }
@@ -208,7 +215,7 @@ export async function psGetEnv(pid, envName) {
     throwIfNotStrictlyPositiveInteger(pid);
     throwIfNullishOrEmptyString(envName);
     try {
-        const { stdout, stderr } = await exec_promise(`ps -o command= -E -p ${pid.toString()} | grep -v grep | grep '${envName}='`);
+        const { stdout, stderr } = await exec_promise(`ps -o command= ${psEnvOption()} -p ${pid.toString()} | grep -v grep | grep '${envName}='`);
         return parseSingleEnvVar(envName, stdout);
     } catch { }
     return; /* undefined */
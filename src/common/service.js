@@ -12,6 +12,7 @@ import {
     rmFileSync,
     chmodUXSync,
     readPidFile,
+    readFileLineByLineSync,
 } from './fs.js';
 import {
     isNullishOrEmptyString,
@@ -25,7 +26,7 @@ import { isPositiveInteger, throwIfNotStrictlyPositiveInteger } from './number.j
 import { isPortInUse } from './net.js';
 import { CodeError, pureVirtualError, throwPureVirtual } from './error.js';
 import * as ERROR_CODES from './error-codes.js';
-import { psp, killPIDAndWaitUntilFullyStopped, getPIDCWD } from './ps.js';
+import { psp, killPIDAndWaitUntilFullyStopped, getPIDCWD, psGetEnv } from './ps.js';
 import { repeatCallUntil } from './repeat-call-until.js';
 import { generateTmpPathname } from './fs.js';
 import * as nodeUtil from 'util';
@@ -36,8 +37,47 @@ import {
 import { toChecksumAddress } from './ethers.js';
 import { httpGET } from './http.js';
 import { parseGitUrl } from './utils.js';
+import { envVarName } from './consts.js';
 const exec_promise = nodeUtil.promisify(childProcessExec);
 
+/* ------------------------ Workspace ----------------------------- */
+
+/**
+ * Returns `true` if the process `pid` has been started from `workspace`.
+ * - Processes started by older versions have no `IXCDV_WORKSPACE` env var,
+ *   in this case, the `IXCDV_MARKER` env var (the workspace directory) is 
+ *   used instead.
+ * @param {number} pid 
+ * @param {types.WorkspaceRef} workspace 
+ */
+export async function pidInWorkspace(pid, workspace) {
+    if (!isPositiveInteger(pid) || pid === 0) {
+        return false;
+    }
+    const id = await psGetEnv(pid, envVarName('WORKSPACE'));
+    if (!isNullishOrEmptyString(id)) {
+        return (id === workspace.id);
+    }
+    const marker = await psGetEnv(pid, envVarName('MARKER'));
+    return (marker === workspace.dir);
+}
+
+/**
+ * Keeps the entries started from `workspace`. If `workspace` is undefined, 
+ * returns `all` unchanged.
+ * @template {{ pid: number }} T
+ * @param {T[] | null} all 
+ * @param {types.WorkspaceRef=} workspace 
+ */
+export async function filterByWorkspace(all, workspace) {
+    if (!all || !workspace) {
+        return all;
+    }
+    const keep = await Promise.all(all.map(o => pidInWorkspace(o.pid, workspace)));
+    const filtered = all.filter((o, i) => keep[i]);
+    return (filtered.length === 0) ? null : filtered;
+}
+
 /* ----------------------- Service Class -------------------------- */
 
 export class AbstractService extends EventEmitter {
@@ -1376,6 +1416,42 @@ export class Service extends AbstractService {
         return logLine ?? '';
     }
 
+    /**
+     * Scans the whole log file and returns the lines matching one of the
+     * service failure patterns (same matching rules as the ones used while
+     * waiting for the service to be ready).
+     * @param {number} pid the pid used to compute the failure patterns
+     * @returns {{ logLine: string, message: string }[]}
+     */
+    findFailureLogLines(pid) {
+        if (!this.#logFile) {
+            return [];
+        }
+        const ORANDFailure = this.getFailureORANDPatterns(pid);
+        if (!ORANDFailure || ORANDFailure.length === 0) {
+            return [];
+        }
+        const ExcludeFailure = this.getFailureExcludePatterns(pid) ?? [];
+
+        const lines = readFileLineByLineSync(this.#logFile);
+        if (!lines) {
+            return [];
+        }
+
+        const out = [];
+        for (let i = 0; i < lines.length; ++i) {
+            const l = lines[i];
+            if (ExcludeFailure.some(p => l.indexOf(p) >= 0)) {
+                continue;
+            }
+            const failed = ORANDFailure.some(ANDPatterns => ANDPatterns.every(p => l.indexOf(p) >= 0));
+            if (failed) {
+                out.push({ logLine: l, message: this.logLineToErrorMessage(l) });
+            }
+        }
+        return out;
+    }
+
     /** 
      * @abstract 
      * @param {{
@@ -1634,7 +1710,9 @@ export class Service extends AbstractService {
      */
     static async stopAll(filters, options) {
         // should not be 'null', would prevent from obj destructuring
-        const all = await this.running(filters ?? undefined);
+        const all = await filterByWorkspace(
+            await this.running(filters ?? undefined),
+            options?.workspace);
         if (!all) {
             return true;
         }
@@ -1650,7 +1728,9 @@ export class Service extends AbstractService {
      */
     static async killAll(filters, options) {
         // should not be 'null', would prevent from obj destructuring
-        const all = await this.running(filters ?? undefined);
+        const all = await filterByWorkspace(
+            await this.running(filters ?? undefined),
+            options?.workspace);
         if (!all) {
             return;
         }
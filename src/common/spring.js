@@ -37,3 +37,41 @@ export function springArgsParseSpringConfigLocation(args) {
     assert(directory.charAt(directory.length - 1) === '/');
     return directory.substring(0, directory.length - 1);
 }
+
+/**
+ * Parses a Spring Boot log line, supports both Spring Boot 2 & 3 formats :
+ * - `2023-03-01 10:00:00.123  INFO 4242 --- [main] c.i.c.Application : message`
+ * - `2023-03-01T10:00:00.123+01:00  INFO 4242 --- [main] c.i.c.Application : message`
+ * - `2023-03-01T10:00:00.123+01:00  INFO 4242 --- [app] [main] c.i.c.Application : message`
+ *   (Spring Boot 3.2+, with `spring.application.name`)
+ * Returns `undefined` if the line does not match the Spring log format 
+ * (ex: stack trace lines).
+ * @param {string} line 
+ * @returns {{
+ *      date: Date
+ *      level: string
+ *      pid: number
+ *      thread: string
+ *      logger: string
+ *      message: string
+ * } | undefined}
+ */
+export function springParseLogLine(line) {
+    const m = line.match(/^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s+(TRACE|DEBUG|INFO|WARN|ERROR|FATAL)\s+(\d+)\s+---\s+(?:\[[^\]]*\]\s+(?=\[))?\[\s*([^\]]*)\]\s+(\S+)\s*:\s?(.*)$/);
+    if (!m) {
+        return; /* undefined */
+    }
+    // Without timezone, the date is parsed as local time.
+    const date = new Date(m[1].replace(' ', 'T').replace(',', '.'));
+    if (Number.isNaN(date.getTime())) {
+        return; /* undefined */
+    }
+    return {
+        date,
+        level: m[2],
+        pid: Number.parseInt(m[3]),
+        thread: m[4].trim(),
+        logger: m[5],
+        message: m[6]
+    };
+}
@@ -169,6 +169,30 @@ export function stringToPositiveInteger(str, options = { strict: false }) {
     return Number.parseInt(s);
 }
 
+/**
+ * Converts a string to a `Date` or `undefined` if failed. Accepts :
+ * - a duration relative to now : '30s', '5m', '2h', '1d'
+ * - any date string supported by `Date.parse` : '2023-03-01T10:00:00Z'
+ * @param {string} str 
+ */
+export function stringToSinceDate(str) {
+    if (isNullishOrEmptyString(str)) {
+        return; /* undefined */
+    }
+    const s = str.trim();
+    const m = s.match(/^(\d+)(s|m|h|d)$/);
+    if (m) {
+        /** @type {Object.<string, number>} */
+        const units = { 's': 1000, 'm': 60 * 1000, 'h': 60 * 60 * 1000, 'd': 24 * 60 * 60 * 1000 };
+        return new Date(Date.now() - Number.parseInt(m[1]) * units[m[2]]);
+    }
+    const ms = Date.parse(s);
+    if (Number.isNaN(ms)) {
+        return; /* undefined */
+    }
+    return new Date(ms);
+}
+
 /**
  * Converts a string to an object as follow:
  * - `{hostname:<hostname>, port:<number>}`
@@ -5,6 +5,8 @@ import * as nodeUtil from 'util';
 import { exec as childProcessExec } from 'child_process';
 import { isNullishOrEmptyString } from "./string.js";
 import { SemVer } from 'semver';
+import { getJdk11Home, isLinux, platformName } from './platform.js';
+import * as pathlib from 'path';
 const exec_promise = nodeUtil.promisify(childProcessExec);
 
 // We need a version of Ganache supporting 'london'
@@ -13,11 +15,16 @@ export const MIN_GANACHE_VERSION = "v7.0.0";
 export class SystemRequirements {
 
     /** 
+     * Install hints are platform specific :
+     * - macOS : `brew` + `macOsInstallPage`
+     * - Linux : `apt` (Ubuntu/Debian) + `linuxInstallPage`
      * @type {{
      *      [bin:string]: { 
      *          url?: string
      *          brew?: string[]
+     *          apt?: string[]
      *          macOsInstallPage?: string,
+     *          linuxInstallPage?: string,
      *          productUrl?: string
      *          productName?: string
      *          npm?: string
@@ -26,6 +33,7 @@ export class SystemRequirements {
      *          parsedVersion: string
      *          bin: string
      *          binPath: string
+     *          getBinPath?: () => Promise<string | undefined>
      *          getVersion: () => Promise<string>
      *          parseVersion: (version: string) => string
      *      }
@@ -35,6 +43,7 @@ export class SystemRequirements {
         'git': {
             url: 'https://git-scm.com/',
             brew: ['brew install git'],
+            apt: ['sudo apt-get install -y git'],
             version: '',
             parsedVersion: '',
             bin: 'git',
@@ -42,9 +51,33 @@ export class SystemRequirements {
             getVersion: getGitVersion,
             parseVersion: parseGitVersion
         },
+        'node': {
+            url: 'https://nodejs.org/',
+            brew: ['brew install node'],
+            linuxInstallPage: 'https://nodejs.org/en/download/package-manager',
+            version: '',
+            parsedVersion: '',
+            bin: 'node',
+            binPath: '',
+            getVersion: getNodeVersion,
+            parseVersion: parseNodeVersion
+        },
+        'jdk': {
+            url: 'https://adoptium.net/',
+            brew: ['brew install --cask temurin@11'],
+            apt: ['sudo apt-get install -y openjdk-11-jdk'],
+            version: '',
+            parsedVersion: '',
+            bin: 'javac',
+            binPath: '',
+            getBinPath: getJdkBinPath,
+            getVersion: getJdkVersion,
+            parseVersion: parseJdkVersion
+        },
         'ipfs': {
             url: 'https://ipfs.io/',
             macOsInstallPage: 'https://docs.ipfs.tech/install/command-line/#macos',
+            linuxInstallPage: 'https://docs.ipfs.tech/install/command-line/#linux',
             version: '',
             parsedVersion: '',
             bin: 'ipfs',
@@ -55,6 +88,7 @@ export class SystemRequirements {
         'gradle': {
             url: 'https://gradle.org/',
             brew: ['brew install gradle'],
+            apt: ['sudo apt-get install -y gradle'],
             version: '',
             parsedVersion: '',
             bin: 'gradle',
@@ -64,6 +98,7 @@ export class SystemRequirements {
         },
         'npm': {
             url: 'https://docs.npmjs.com/',
+            apt: ['sudo apt-get install -y npm'],
             version: '',
             parsedVersion: '',
             bin: 'npm',
@@ -73,8 +108,10 @@ export class SystemRequirements {
         },
         'docker': {
             url: 'https://docker.com/',
-            productUrl: 'https://www.docker.com/products/docker-desktop/',
-            productName: 'Docker desktop for macos',
+            productUrl: (isLinux()) ?
+                'https://docs.docker.com/engine/install/ubuntu/' :
+                'https://www.docker.com/products/docker-desktop/',
+            productName: (isLinux()) ? 'Docker Engine for Linux' : 'Docker desktop for macos',
             version: '',
             parsedVersion: '',
             bin: 'docker',
@@ -84,6 +121,7 @@ export class SystemRequirements {
         },
         'mongo': {
             macOsInstallPage: 'https://www.mongodb.com/docs/manual/tutorial/install-mongodb-on-os-x/',
+            linuxInstallPage: 'https://www.mongodb.com/docs/manual/tutorial/install-mongodb-on-ubuntu/',
             brew: ["brew tap mongodb/brew", "brew update", "brew install mongodb-community@6.0"],
             version: '',
             parsedVersion: '',
@@ -94,7 +132,9 @@ export class SystemRequirements {
         },
         'redis': {
             macOsInstallPage: 'https://redis.io/docs/getting-started/installation/install-redis-on-mac-os/',
+            linuxInstallPage: 'https://redis.io/docs/getting-started/installation/install-redis-on-linux/',
             brew: ["brew install redis"],
+            apt: ["sudo apt-get install -y redis-server"],
             version: '',
             parsedVersion: '',
             bin: 'redis-server',
@@ -124,12 +164,6 @@ export class SystemRequirements {
         }
     }
 
-    /** @type {string=} */
-    #nodeVersion;
-
-    /** @type {string=} */
-    #javaPath;
-
     constructor() { }
 
     /**
@@ -140,12 +174,10 @@ export class SystemRequirements {
         const countDeps = Object.keys(this.#dependencies).length;
         await Promise.all(Object.entries(this.#dependencies)
             .map(async (e) => {
-                e[1].binPath = (await which(e[1].bin)) ?? '';
+                const getBinPath = e[1].getBinPath ?? (() => which(e[1].bin));
+                e[1].binPath = (await getBinPath()) ?? '';
             }));
 
-        this.#javaPath = await which('java');
-        this.#nodeVersion = await getNodeVersion();
-
         let j = 0;
         await Promise.all(Object.entries(this.#dependencies)
             .map(async (e) => {
@@ -174,13 +206,15 @@ export class SystemRequirements {
         if (msg.gitRepo) {
             s += `\n${tab}- '${bin}' git repo: ${msg.gitRepo}`;
         }
-        if (msg.macOsInstallPage) {
-            s += `\n${tab}- MacOS specific install page: ${msg.macOsInstallPage}`;
+        const installPage = (isLinux()) ? msg.linuxInstallPage : msg.macOsInstallPage;
+        if (installPage) {
+            s += `\n${tab}- ${platformName()} specific install page: ${installPage}`;
         }
-        if (msg.brew) {
-            s += `\n${tab}- To install '${bin}' using Homebrew, run:`;
-            for (let j = 0; j < msg.brew.length; ++j) {
-                s += `\n${tab}  $ ${msg.brew[j]}`;
+        const pkgCmds = (isLinux()) ? msg.apt : msg.brew;
+        if (pkgCmds) {
+            s += `\n${tab}- To install '${bin}' using ${(isLinux()) ? 'apt' : 'Homebrew'}, run:`;
+            for (let j = 0; j < pkgCmds.length; ++j) {
+                s += `\n${tab}  $ ${pkgCmds[j]}`;
             }
         }
         if (msg.npm) {
@@ -279,6 +313,46 @@ async function getNodeVersion() {
     } catch { }
     return '';
 }
+/**
+ * @param {string} v 
+ */
+function parseNodeVersion(v) {
+    return (v.startsWith('v')) ? v.substring(1) : v;
+}
+
+/**
+ * The spring services require a JDK 11 
+ */
+async function getJdkBinPath() {
+    const jdkHome = getJdk11Home();
+    if (jdkHome) {
+        return pathlib.join(jdkHome, 'bin', 'javac');
+    }
+    return which('javac');
+}
+
+async function getJdkVersion() {
+    const javac = await getJdkBinPath();
+    if (isNullishOrEmptyString(javac)) {
+        return '';
+    }
+    try {
+        // older versions print to stderr
+        const { stdout, stderr } = await exec_promise(`'${javac}' -version 2>&1`);
+        return stdout.trim();
+    } catch { }
+    return '';
+}
+/**
+ * @param {string} v 
+ */
+function parseJdkVersion(v) {
+    const prefix = 'javac ';
+    if (v.indexOf(prefix) >= 0) {
+        return v.substring(v.indexOf(prefix) + prefix.length).split('\n')[0].trim();
+    }
+    return '';
+}
 
 async function getNpmVersion() {
     try {
@@ -306,7 +380,9 @@ async function getGitVersion() {
 function parseGitVersion(v) {
     const prefix = 'git version ';
     if (v.indexOf(prefix) >= 0) {
-        return v.substring(prefix.length, v.indexOf(' ', prefix.length));
+        // macOS : 'git version 2.37.1 (Apple Git-137.1)', Linux : 'git version 2.39.5'
+        const end = v.indexOf(' ', prefix.length);
+        return v.substring(prefix.length, (end < 0) ? v.length : end);
     }
     return '';
 }
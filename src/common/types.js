@@ -166,11 +166,23 @@ representation of binary data as a string.
  */
 
 /**
+    Identifies the workspace that started a service process (env vars 
+    `IXCDV_WORKSPACE` and `IXCDV_MARKER`)
+    @typedef {{
+        id: string
+        dir: string
+    }} WorkspaceRef
+*/
+
+/**
+    `workspace` : when set, only the services started from this workspace are
+    stopped.
     @typedef {{
         quiet?:boolean,
         abortSignal?: AbortSignal,
         reset?: boolean
         progressCb?: progressCallback 
+        workspace?: WorkspaceRef
     }} StopOptions
 */
 
@@ -40,8 +40,9 @@ export async function unzip(zipFile, extractDir) {
 /**
  * @param {URL} zipFileURL
  * @param {string} outDir 
+ * @param {object=} headers 
  */
-export async function downloadAndUnzipZipFile(zipFileURL, outDir) {
+export async function downloadAndUnzipZipFile(zipFileURL, outDir, headers) {
 
     const parentDir = pathlib.dirname(outDir);
     if (!dirExists(parentDir)) {
@@ -58,7 +59,7 @@ export async function downloadAndUnzipZipFile(zipFileURL, outDir) {
 
     try {
         mkDirP(tmpZipDir);
-        const buffer = await httpGETBinary(zipFileURL);
+        const buffer = await httpGETBinary(zipFileURL, headers);
         await saveToBinaryFile(buffer, tmpZipDir, "results.zip");
         await unzip(pathlib.join(tmpZipDir, "results.zip"), outDir);
     } catch (err) {
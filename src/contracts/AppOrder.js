@@ -100,6 +100,10 @@ export class AppOrder extends Order {
     }
     abiOrderedTypes() { return AppOrder.abiOrderedTypes(); }
 
+    /** @returns {'app'} */
+    static typename() { return 'app'; }
+    typename() { return AppOrder.typename(); }
+
     get app() { return this.#properties.app; }
     get appprice() { return this.#properties.appprice; }
     get volume() { return this.#properties.volume; }
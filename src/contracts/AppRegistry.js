@@ -11,6 +11,7 @@ import { ContractBase } from '../common/contracts/ContractBase.js';
 import { MultiaddrEx } from './MultiaddrEx.js';
 import { AppRegistryEntry } from './AppRegistryEntry.js';
 import { computeDockerChecksumAndMultiaddr } from './app-generator.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
 import { ContractRef, newContract } from '../common/contractref.js';
 import { ERC721TokenIdToAddress, NULL_ADDRESS, toChecksumAddress, toTxArgs } from '../common/ethers.js';
 import { CodeError } from '../common/error.js';
@@ -286,6 +287,7 @@ export class AppRegistry extends Registry {
      *     dockerTag?: string
      *     dockerUrl: string
      *     rebuildDockerImage?: boolean
+     *     containerRuntime?: ContainerRuntime
      * }} args 
      * @param {types.TxArgsOrWallet} txArgsOrWallet 
      */
@@ -298,7 +300,8 @@ export class AppRegistry extends Registry {
             args.dockerRepository, /* app docker repo */
             args.dockerTag ?? '1.0.0', /* app docker tag */
             args.dockerUrl, /* docker registry url */
-            args.rebuildDockerImage ?? false /* rebuild docker image */
+            args.rebuildDockerImage ?? false, /* rebuild docker image */
+            args.containerRuntime /* docker, rootless docker or podman */
         );
         
         /** @type {cTypes.App} */
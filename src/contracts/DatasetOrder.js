@@ -113,6 +113,10 @@ export class DatasetOrder extends Order {
 
     abiOrderedTypes() { return DatasetOrder.abiOrderedTypes(); }
 
+    /** @returns {'dataset'} */
+    static typename() { return 'dataset'; }
+    typename() { return DatasetOrder.typename(); }
+
     get dataset() { return this.#properties.dataset; }
     get datasetprice() { return this.#properties.datasetprice; }
     get volume() { return this.#properties.volume; }
@@ -127,8 +127,18 @@ export class HubBase extends ContractBase {
     async viewConsumed(order, salt) {
         const d = await this.domain();
         const hash = order.hash(d, salt);
+        return this.viewConsumedFromHash(hash);
+    }
+
+    /**
+     * @param {types.bytes32string} orderHash 
+     */
+    async viewConsumedFromHash(orderHash) {
+        if (!isBytes32String(orderHash)) {
+            throw new CodeError(`Invalid order hash ${orderHash}`);
+        }
         /** @type {BigNumber} */
-        const consumed = await this.contract.viewConsumed(hash);
+        const consumed = await this.contract.viewConsumed(orderHash);
         return consumed;
     }
 
@@ -139,17 +149,75 @@ export class HubBase extends ContractBase {
         return this.contract.filters.SchedulerNotice(poolAddress);
     }
 
-    async queryOrdersMatchedEvents() {
+    /**
+     * @param {number=} fromBlock 
+     */
+    async queryOrdersMatchedEvents(fromBlock) {
         const f = this.contract.filters.OrdersMatched();
-        let events = await this.contract.queryFilter(f, 0, "latest");
+        let events = await this.contract.queryFilter(f, fromBlock ?? 0, "latest");
         return events.map(v => v.args?.['dealid']);
     }
-    async queryTaskInitializeEvents() {
+    /**
+     * @param {number=} fromBlock 
+     */
+    async queryTaskInitializeEvents(fromBlock) {
         const f = this.contract.filters.TaskInitialize();
-        let events = await this.contract.queryFilter(f, 0, "latest");
+        let events = await this.contract.queryFilter(f, fromBlock ?? 0, "latest");
         return events.map(v => v.args?.['taskid']);
     }
 
+    /**
+     * Returns all the hub events related to a given task, ordered by 
+     * block number and log index. Each event is completed with its block 
+     * timestamp (in seconds) and the address of the tx sender.
+     * @param {types.bytes32string} taskid 
+     */
+    async queryTaskEvents(taskid) {
+        if (!isBytes32String(taskid)) {
+            throw Error('Invalid argument, not a bytes32')
+        }
+        const names = [
+            'TaskInitialize',
+            'TaskContribute',
+            'TaskConsensus',
+            'TaskReveal',
+            'TaskReopen',
+            'TaskFinalize',
+            'TaskClaimed'
+        ];
+        const events = (await Promise.all(names.map(name => {
+            const filter = this.contract.filters[name];
+            return (filter) ?
+                this.contract.queryFilter(filter(taskid), 0, "latest") :
+                [];
+        }))).flat();
+
+        events.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+        return Promise.all(events.map(async (e) => {
+            const [block, tx] = await Promise.all([e.getBlock(), e.getTransaction()]);
+            /** @type {Object.<string,any>} */
+            const args = {};
+            if (e.args) {
+                Object.keys(e.args).forEach(k => {
+                    if (Number.isNaN(Number(k)) && k !== 'taskid') {
+                        // @ts-ignore
+                        args[k] = e.args[k];
+                    }
+                });
+            }
+            return {
+                name: e.event ?? '',
+                blockNumber: e.blockNumber,
+                logIndex: e.logIndex,
+                transactionHash: e.transactionHash,
+                timestamp: block.timestamp,
+                sender: tx.from,
+                args
+            };
+        }));
+    }
+
     async appRegistryAddr() {
         if (!this.#appRegistryAddr) {
             this.#appRegistryAddr = await this.contract['appregistry']();
@@ -500,6 +568,102 @@ export class HubBase extends ContractBase {
         });
     }
 
+    /**
+     * Instantiates an order from its signed json representation (iExec sdk 
+     * and market api format). Throws an error if the json cannot be 
+     * re-encoded as is (the resulting order hash would differ).
+     * @param {'app' | 'dataset' | 'workerpool' | 'request'} typename 
+     * @param {Record<string, any>} json 
+     * @returns {Promise<Order>}
+     */
+    async newOrderFromJSON(typename, json) {
+        /** @type {Order} */
+        let order;
+        if (typename === 'app') {
+            order = await this.newAppOrder({
+                app: json.app,
+                appprice: json.appprice,
+                volume: json.volume,
+                tag: json.tag,
+                datasetrestrict: json.datasetrestrict,
+                workerpoolrestrict: json.workerpoolrestrict,
+                requesterrestrict: json.requesterrestrict
+            });
+        } else if (typename === 'dataset') {
+            order = await this.newDatasetOrder({
+                dataset: json.dataset,
+                datasetprice: json.datasetprice,
+                volume: json.volume,
+                tag: json.tag,
+                apprestrict: json.apprestrict,
+                workerpoolrestrict: json.workerpoolrestrict,
+                requesterrestrict: json.requesterrestrict
+            });
+        } else if (typename === 'workerpool') {
+            order = await this.newWorkerpoolOrder({
+                workerpool: json.workerpool,
+                workerpoolprice: json.workerpoolprice,
+                volume: json.volume,
+                tag: json.tag,
+                category: Number(json.category),
+                trust: Number(json.trust),
+                apprestrict: json.apprestrict,
+                datasetrestrict: json.datasetrestrict,
+                requesterrestrict: json.requesterrestrict
+            });
+        } else if (typename === 'request') {
+            order = await this.newRequestOrder({
+                app: json.app,
+                appmaxprice: json.appmaxprice,
+                dataset: json.dataset,
+                datasetmaxprice: json.datasetmaxprice,
+                workerpool: json.workerpool,
+                workerpoolmaxprice: json.workerpoolmaxprice,
+                requester: json.requester,
+                volume: json.volume,
+                tag: json.tag,
+                category: Number(json.category),
+                trust: Number(json.trust),
+                beneficiary: json.beneficiary,
+                callback: json.callback,
+                params: (typeof json.params === 'string') ? JSON.parse(json.params) : json.params
+            });
+        } else {
+            throw new CodeError(`Invalid order type '${typename}'`);
+        }
+
+        const encoded = order.toSaltedJSON(json.salt, json.sign);
+        const keys = Object.keys(encoded);
+        for (let i = 0; i < keys.length; ++i) {
+            const k = keys[i];
+            if (String(encoded[k]).toLowerCase() !== String(json[k]).toLowerCase()) {
+                throw new CodeError(`Unsupported ${typename} order json, '${k}' property cannot be re-encoded (expected ${json[k]}, got ${encoded[k]})`);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Returns `true` if the order has been closed (cancelled) on-chain.
+     * @param {'app' | 'dataset' | 'workerpool' | 'request'} typename 
+     * @param {types.bytes32string} orderHash 
+     */
+    async isOrderClosed(typename, orderHash) {
+        const names = {
+            'app': 'ClosedAppOrder',
+            'dataset': 'ClosedDatasetOrder',
+            'workerpool': 'ClosedWorkerpoolOrder',
+            'request': 'ClosedRequestOrder'
+        };
+        const filter = this.contract.filters[names[typename]];
+        if (!filter) {
+            return false;
+        }
+        // order hash is not indexed
+        const events = await this.contract.queryFilter(filter(), 0, "latest");
+        return events.some(e => (e.args?.[0] ?? '').toLowerCase() === orderHash.toLowerCase());
+    }
+
     /**
      * Check workepool.category == request.category
      * @param {WorkerpoolOrder} workerpoolOrder 
@@ -608,6 +772,130 @@ export class HubBase extends ContractBase {
         return { locked: acc.locked, stake: acc.stake };
     }
 
+    /**
+     * Returns the `addr` wallet balance in nRLC (the amount available for
+     * a deposit)
+     * @param {types.checksumaddress} addr
+     * @returns {Promise<BigNumber>}
+     */
+    async viewWalletBalance(addr) {
+        addr = toChecksumAddress(addr);
+        const tokenRef = await this.tokenRef();
+        const token = newContract(tokenRef, tokenRef.contractName, this.contractDir, this.signerOrProvider);
+        return token.balanceOf(addr);
+    }
+
+    /**
+     * Deposits `amount` nRLC into the wallet's hub account.
+     * Token hubs : approve + deposit
+     * @param {BigNumber} amount nRLC
+     * @param {types.TxArgsOrWallet} txArgsOrWallet
+     */
+    async deposit(amount, txArgsOrWallet) {
+        if (!(amount instanceof BigNumber) || amount.lte(0)) {
+            throw new CodeError('Invalid amount argument');
+        }
+
+        const txArgs = toTxArgs(txArgsOrWallet);
+
+        const tokenRef = await this.tokenRef();
+        const token = newContract(tokenRef, tokenRef.contractName, this.contractDir, txArgs.wallet);
+
+        const balance = await token.balanceOf(txArgs.wallet.address);
+        if (balance.lt(amount)) {
+            throw new CodeError(`Insufficient wallet balance (expected ${amount} nRLC, got ${balance} nRLC)`);
+        }
+
+        /** @type {any} */
+        const approveTx = await token.approve(this.address, amount, txArgs.txOverrides);
+        await approveTx.wait(txArgs.txConfirms);
+
+        const sc = this.newSigningContract(txArgs.wallet);
+        /** @type {any} */
+        const tx = await sc.deposit(amount, txArgs.txOverrides);
+
+        // wait for tx
+        await tx.wait(txArgs.txConfirms);
+        return this.viewAccount(txArgs.wallet.address);
+    }
+
+    /**
+     * Withdraws `amount` nRLC from the wallet's hub account.
+     * @param {BigNumber} amount nRLC
+     * @param {types.TxArgsOrWallet} txArgsOrWallet
+     */
+    async withdraw(amount, txArgsOrWallet) {
+        if (!(amount instanceof BigNumber) || amount.lte(0)) {
+            throw new CodeError('Invalid amount argument');
+        }
+
+        const txArgs = toTxArgs(txArgsOrWallet);
+
+        const account = await this.viewAccount(txArgs.wallet.address);
+        if (account.stake.lt(amount)) {
+            throw new CodeError(`Insufficient stake (expected ${amount} nRLC, got ${account.stake} nRLC)`);
+        }
+
+        const sc = this.newSigningContract(txArgs.wallet);
+        /** @type {any} */
+        const tx = await sc.withdraw(amount, txArgs.txOverrides);
+
+        // wait for tx
+        await tx.wait(txArgs.txConfirms);
+        return this.viewAccount(txArgs.wallet.address);
+    }
+
+    /**
+     * Closes a signed order (`manage<Type>Order` with CLOSE operation) : 
+     * the order consumed volume is set to the order volume. The wallet must 
+     * be the order owner (app, dataset or workerpool owner, requester).
+     * Returns the closed order hash.
+     * @param {'app' | 'dataset' | 'workerpool' | 'request'} typename 
+     * @param {Record<string, any>} signedOrder json order, including salt and sign
+     * @param {types.TxArgsOrWallet} txArgsOrWallet 
+     * @returns {Promise<types.bytes32string>}
+     */
+    async closeOrder(typename, signedOrder, txArgsOrWallet) {
+        const names = {
+            'app': 'AppOrder',
+            'dataset': 'DatasetOrder',
+            'workerpool': 'WorkerpoolOrder',
+            'request': 'RequestOrder'
+        };
+        const name = names[typename];
+        if (!name) {
+            throw new CodeError(`Invalid order type '${typename}'`);
+        }
+        if (!isBytes32String(signedOrder?.salt)) {
+            throw new CodeError('Invalid order salt');
+        }
+
+        const txArgs = toTxArgs(txArgsOrWallet);
+
+        const sc = this.newSigningContract(txArgs.wallet);
+        /*
+            enum OrderOperationEnum { SIGN, CLOSE }
+            struct AppOrderOperation
+            {
+                AppOrder           order;
+                OrderOperationEnum operation;
+                bytes              sign;
+            }
+        */
+        /** @type {any} */
+        const tx = await sc[`manage${name}`](
+            { order: signedOrder, operation: 1, sign: '0x' },
+            txArgs.txOverrides);
+
+        // wait for tx
+        const txReceipt = await tx.wait(txArgs.txConfirms);
+        const evtClosed = txReceipt.events.find((/** @type {{ event: string; }} */ event) => event.event === `Closed${name}`);
+        if (!evtClosed) {
+            throw new Error(`Unknown event 'Closed${name}'`);
+        }
+        return evtClosed.args[0];
+    }
+
     /**
      * @param {EIP712Domain} domain 
      * @param {AppOrder} appOrder 
@@ -1,10 +1,15 @@
 import assert from 'assert';
-import { Contract } from 'ethers';
+import * as types from '../common/common-types.js';
+import { BigNumber, Contract } from 'ethers';
 import { SharedReadonlyContracts } from '../common/contracts/SharedReadonlyContracts.js';
 import { HubBase, HubBaseConstructorGuard } from './HubBase.js';
 import { ContractBase } from '../common/contracts/ContractBase.js';
 import { PoCoHubRef, newContract } from '../common/contractref.js';
 import { CodeError } from '../common/error.js';
+import { toChecksumAddress, toTxArgs } from '../common/ethers.js';
+
+// 1 nRLC = 1 gwei
+const NRLC_TO_WEI = BigNumber.from(10).pow(9);
 
 export class HubNative extends HubBase {
 
@@ -71,4 +76,38 @@ export class HubNative extends HubBase {
 
         return new HubNative(newC, contractRef, baseContract.contractDir);
     }
-}
\ No newline at end of file
+
+    /**
+     * Native hub : the wallet balance is the chain native balance (in nRLC)
+     * @override
+     * @param {types.checksumaddress} addr
+     * @returns {Promise<BigNumber>}
+     */
+    async viewWalletBalance(addr) {
+        addr = toChecksumAddress(addr);
+        const wei = await this.baseProvider.getBalance(addr);
+        return wei.div(NRLC_TO_WEI);
+    }
+
+    /**
+     * Native hub : deposit = payable call
+     * @override
+     * @param {BigNumber} amount nRLC
+     * @param {types.TxArgsOrWallet} txArgsOrWallet
+     */
+    async deposit(amount, txArgsOrWallet) {
+        if (!(amount instanceof BigNumber) || amount.lte(0)) {
+            throw new CodeError('Invalid amount argument');
+        }
+
+        const txArgs = toTxArgs(txArgsOrWallet);
+
+        const sc = this.newSigningContract(txArgs.wallet);
+        /** @type {any} */
+        const tx = await sc.deposit({ ...txArgs.txOverrides, value: amount.mul(NRLC_TO_WEI) });
+
+        // wait for tx
+        await tx.wait(txArgs.txConfirms);
+        return this.viewAccount(txArgs.wallet.address);
+    }
+}
@@ -40,6 +40,12 @@ export class Order {
      */
     abiEncodableProperties() { throw pureVirtualError('Order.abiEncodableProperties()'); }
 
+    /** 
+     * @abstract
+     * @returns {'app' | 'dataset' | 'workerpool' | 'request'}
+     */
+    typename() { throw pureVirtualError('Order.typename()'); }
+
     #abiOrderedCallArgs() {
         /*
         { <orderType>: [ { name: 'app', type: 'address' }, ... ] }
@@ -343,6 +349,69 @@ saltedOrder
         return true;
     }
 
+    /**
+     * Returns the signed order as a plain json object (iExec sdk & market 
+     * api format) : all the abi encodable properties + salt + sign.
+     * @param {EIP712Domain} domain 
+     * @param {types.bytes32string} salt 
+     * @param {import("@ethersproject/abstract-signer").TypedDataSigner | null} signer 
+     * @returns {Promise<Record<string, string>>}
+     */
+    async toSignedJSON(domain, salt, signer) {
+        const sign = await this.rawSign(domain, salt, signer);
+        return this.toSaltedJSON(salt, sign);
+    }
+
+    /**
+     * Same as `toSignedJSON` using an already computed signature
+     * @param {types.bytes32string} salt 
+     * @param {string} sign 
+     * @returns {Record<string, string>}
+     */
+    toSaltedJSON(salt, sign) {
+        if (!isBytes32String(salt)) {
+            throw Error('invalid salt bytes32')
+        }
+        /** @type {Record<string, any>} */
+        const props = this.abiEncodableProperties();
+        /** @type {Record<string, string>} */
+        const json = {};
+        Object.keys(props).forEach(k => {
+            const v = props[k];
+            json[k] = (v instanceof BigNumber) ? v.toString() : v;
+        });
+        json.salt = salt;
+        json.sign = sign;
+        return json;
+    }
+
+    /**
+     * Returns the order on-chain volume status. A fully consumed order can 
+     * no longer be matched (either already consumed by deals or cancelled).
+     * @param {import('./HubBase.js').HubBase} hubContract 
+     * @param {types.bytes32string} salt 
+     */
+    async viewStatus(hubContract, salt) {
+        const domain = await hubContract.domain();
+        const orderHash = this.hash(domain, salt);
+        const consumed = await hubContract.viewConsumedFromHash(orderHash);
+        const volume = BigNumber.from(this.abiEncodableProperties().volume);
+        const remaining = (consumed.gte(volume)) ? BigNumber.from(0) : volume.sub(consumed);
+        return { orderHash, volume, consumed, remaining };
+    }
+
+    /**
+     * Cancels the order on-chain (`manage<Type>Order` with CLOSE operation).
+     * The wallet must be the order owner. Returns the closed order hash.
+     * @param {import('./HubBase.js').HubBase} hubContract 
+     * @param {types.bytes32string} salt 
+     * @param {string} sign 
+     * @param {types.TxArgsOrWallet} txArgsOrWallet 
+     */
+    async close(hubContract, salt, sign, txArgsOrWallet) {
+        return hubContract.closeOrder(this.typename(), this.toSaltedJSON(salt, sign), txArgsOrWallet);
+    }
+
     // /**
     //  * @param {string} salt 
     //  * @returns {Array}
@@ -152,6 +152,10 @@ export class RequestOrder extends Order {
     }
     abiOrderedTypes() { return RequestOrder.abiOrderedTypes(); }
 
+    /** @returns {'request'} */
+    static typename() { return 'request'; }
+    typename() { return RequestOrder.typename(); }
+
     /* ----------------------- Begin Getters / Setters ---------------------- */
 
     get app() { return this.#properties.app; }
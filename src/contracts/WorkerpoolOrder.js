@@ -108,6 +108,10 @@ export class WorkerpoolOrder extends Order {
 
     abiOrderedTypes() { return WorkerpoolOrder.abiOrderedTypes(); }
 
+    /** @returns {'workerpool'} */
+    static typename() { return 'workerpool'; }
+    typename() { return WorkerpoolOrder.typename(); }
+
     get workerpool() { return this.#properties.workerpool; }
     get workerpoolprice() { return this.#properties.workerpoolprice; }
     get volume() { return this.#properties.volume; }
@@ -7,6 +7,7 @@ import { fileExists } from '../common/fs.js';
 import { CodeError } from '../common/error.js';
 import { isNullishOrEmptyString, throwIfNullishOrEmptyString } from '../common/string.js';
 import { dockerGetPrivateLocalImageChecksum, dockerImageBuild, dockerImageRemove, dockerPrivateLocalRegistryGetRepositoryChecksum, dockerPrivateLocalRegistryPush, dockerPrivateLocalRegistryStart, isDockerPrivateLocalRegistryRunning } from '../docker/docker-api.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
 
 /**
  * @param {string} dockerfileLocation 
@@ -14,6 +15,7 @@ import { dockerGetPrivateLocalImageChecksum, dockerImageBuild, dockerImageRemove
  * @param {string} dockerTag 
  * @param {string} dockerRegistryUrl 
  * @param {boolean} rebuildDockerImage 
+ * @param {ContainerRuntime=} runtime container runtime used to build and push the image (default: docker)
  * @returns {Promise<{ checksum: string, multiaddr: string }>}
  */
 export async function computeDockerChecksumAndMultiaddr(
@@ -21,7 +23,8 @@ export async function computeDockerChecksumAndMultiaddr(
     dockerRepository, 
     dockerTag, 
     dockerRegistryUrl, 
-    rebuildDockerImage) {
+    rebuildDockerImage,
+    runtime) {
     throwIfNullishOrEmptyString(dockerRegistryUrl);
 
     if (!fileExists(path.join(dockerfileLocation, 'Dockerfile'))) {
@@ -44,7 +47,7 @@ export async function computeDockerChecksumAndMultiaddr(
 
     // Make sure Docker private registry is running
     if (! await isDockerPrivateLocalRegistryRunning(dockerRegistryUrl)) {
-        if (! await dockerPrivateLocalRegistryStart(dockerRegistryUrl)) {
+        if (! await dockerPrivateLocalRegistryStart(dockerRegistryUrl, undefined, runtime)) {
             throw new CodeError(`Unable to start docker registry.`);
         }
         if (! await isDockerPrivateLocalRegistryRunning(dockerRegistryUrl)) {
@@ -80,7 +83,7 @@ export async function computeDockerChecksumAndMultiaddr(
 
         // Build the local image
         console.log(`Docker: image build '${imgName}'`);
-        if (!await dockerImageBuild(imgName, dockerfileLocation)) {
+        if (!await dockerImageBuild(imgName, dockerfileLocation, runtime)) {
             throw new CodeError(`Docker: docker image build failed. dockerfile='${dockerfileLocation}/Dockerfile' image='${imgName}'`);
         }
 
@@ -93,7 +96,7 @@ export async function computeDockerChecksumAndMultiaddr(
 
         // Push the built image to the registry
         console.log(`Docker: push image '${imgName}'`);
-        if (!await dockerPrivateLocalRegistryPush(dockerRegistryUrl, imgRepo, imgTag, imgRepo, imgTag)) {
+        if (!await dockerPrivateLocalRegistryPush(dockerRegistryUrl, imgRepo, imgTag, imgRepo, imgTag, runtime)) {
             throw new CodeError(`Docker: docker push failed. dockerfile='${dockerfileLocation}/Dockerfile' image='${imgName}'`);
         }
 
@@ -112,10 +115,10 @@ export async function computeDockerChecksumAndMultiaddr(
         // -------------------------------------------
 
         // delete local image
-        await dockerImageRemove('', '', imgName);
+        await dockerImageRemove('', '', imgName, runtime);
 
         // make sure there is nothing left
-        const removedImageChecksum = await dockerGetPrivateLocalImageChecksum(dockerRegistryUrl, imgRepo, imgTag);
+        const removedImageChecksum = await dockerGetPrivateLocalImageChecksum(dockerRegistryUrl, imgRepo, imgTag, runtime);
         if (!isNullishOrEmptyString(removedImageChecksum)) {
             throw new CodeError(`Docker: docker image remove failed. Image name = '${imgName}'.`);
         }
@@ -0,0 +1,162 @@
+// Dependencies
+// ../common
+import path from 'path';
+import { CodeError } from '../common/error.js';
+import { isNullishOrEmptyString } from '../common/string.js';
+
+import * as nodeUtil from 'util';
+import { exec as childProcessExec } from 'child_process';
+const exec_promise = nodeUtil.promisify(childProcessExec);
+
+/**
+ * - `docker` : docker CLI, system daemon or rootless daemon (`socket`)
+ * - `podman` : podman CLI, daemonless or podman API service (`socket`)
+ * @typedef {'docker' | 'podman'} ContainerRuntimeType
+ */
+
+export const CONTAINER_RUNTIME_TYPES = ['docker', 'podman'];
+
+/**
+ * Container runtime used to build, tag, push and remove the app images and
+ * to run the private local registry. Selected by the `runtime` and `socket`
+ * properties of the `shared.docker` config entry :
+ * ```
+ * "docker": { "type": "docker", "port": 5008, "runtime": "podman", "socket": "/run/user/1000/podman/podman.sock" }
+ * ```
+ */
+export class ContainerRuntime {
+
+    /** @type {ContainerRuntime=} */
+    static #default;
+
+    /** @type {ContainerRuntimeType} */
+    #type;
+
+    /** @type {string=} */
+    #socket;
+
+    /**
+     * @param {{
+     *      runtime?: ContainerRuntimeType
+     *      socket?: string
+     * }=} args
+     */
+    constructor(args) {
+        const type = args?.runtime ?? 'docker';
+        if (!CONTAINER_RUNTIME_TYPES.includes(type)) {
+            throw new CodeError(`Invalid container runtime '${type}', expecting one of ${CONTAINER_RUNTIME_TYPES.join(', ')}`);
+        }
+        if (!isNullishOrEmptyString(args?.socket)) {
+            if (!path.isAbsolute(/** @type {string} */(args?.socket))) {
+                throw new CodeError(`Invalid container runtime socket '${args?.socket}', expecting an absolute path`);
+            }
+            this.#socket = args?.socket;
+        }
+        this.#type = type;
+    }
+
+    /**
+     * Docker CLI using the default docker context
+     */
+    static default() {
+        if (!ContainerRuntime.#default) {
+            ContainerRuntime.#default = new ContainerRuntime();
+        }
+        return ContainerRuntime.#default;
+    }
+
+    /**
+     * @param {{
+     *      runtime?: ContainerRuntimeType
+     *      socket?: string
+     * }=} dockerConfig
+     */
+    static fromConfig(dockerConfig) {
+        if (!dockerConfig?.runtime && isNullishOrEmptyString(dockerConfig?.socket)) {
+            return ContainerRuntime.default();
+        }
+        return new ContainerRuntime(dockerConfig);
+    }
+
+    get type() { return this.#type; }
+    get socket() { return this.#socket; }
+    get isPodman() { return this.#type === 'podman'; }
+
+    /** CLI executable */
+    get bin() { return this.#type; }
+
+    /** Human readable name */
+    get name() { return (this.isPodman) ? 'Podman' : 'Docker'; }
+
+    /**
+     * `unix://<socket>` : docker API compatible endpoint, to be passed to
+     * docker clients (the iExec workers) using the `DOCKER_HOST` env var.
+     * - `undefined` if no socket is specified
+     */
+    get dockerHost() {
+        return (this.#socket) ? 'unix://' + this.#socket : undefined;
+    }
+
+    /**
+     * Env vars passed to the CLI so that it targets the selected socket
+     * - docker : `DOCKER_HOST`
+     * - podman : `CONTAINER_HOST`
+     * @returns {{[name:string]: string}}
+     */
+    get env() {
+        if (!this.#socket) {
+            return {};
+        }
+        const name = (this.isPodman) ? 'CONTAINER_HOST' : 'DOCKER_HOST';
+        return { [name]: 'unix://' + this.#socket };
+    }
+
+    /**
+     * Podman does not use docker.io as default registry, image names must be
+     * fully qualified.
+     * @param {string} imageName
+     */
+    qualifiedImageName(imageName) {
+        if (!this.isPodman || imageName.includes('/')) {
+            return imageName;
+        }
+        return 'docker.io/library/' + imageName;
+    }
+
+    /**
+     * Extra `image build` args.
+     * Podman builds OCI images by default, force the docker format so that
+     * the registry digest matches the one computed by the workers.
+     */
+    buildArgs() {
+        return (this.isPodman) ? ['--format', 'docker'] : [];
+    }
+
+    /**
+     * Extra `push` args.
+     * The private local registry is served over http, docker allows insecure
+     * 'localhost' registries by default, podman does not.
+     */
+    pushArgs() {
+        return (this.isPodman) ? ['--tls-verify=false', '--format', 'v2s2'] : [];
+    }
+
+    /**
+     * Executes `<bin> <cmd>` in a shell using the runtime env vars.
+     * Throws an exception if failed (same as `child_process.exec`)
+     * @param {string} cmd
+     * @returns {Promise<{ stdout: string, stderr: string }>}
+     */
+    async exec(cmd) {
+        const env = this.env;
+        return exec_promise(`${this.bin} ${cmd}`,
+            (Object.keys(env).length === 0) ? {} : { env: { ...process.env, ...env } });
+    }
+
+    toJSON() {
+        return {
+            runtime: this.#type,
+            ... (this.#socket && { socket: this.#socket }),
+        };
+    }
+}
@@ -4,7 +4,7 @@ import * as types from '../common/types.js';
 import * as docker from './docker.js';
 import assert from 'assert';
 import { dockerProgress } from './docker-internal.js';
-import { dirExists, fileExists } from '../common/fs.js';
+import { dirExists, fileExists, socketExists } from '../common/fs.js';
 import { repeatCallUntil } from '../common/repeat-call-until.js';
 import { isNullishOrEmptyString, removeSuffix, stringToPositiveInteger, throwIfNullishOrEmptyString } from '../common/string.js';
 import { httpGETHeader, httpGETStatusCode } from '../common/http.js';
@@ -12,6 +12,8 @@ import { CodeError } from '../common/error.js';
 import * as ERROR_CODES from "../common/error-codes.js";
 import { PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME } from '../common/consts.js';
 import { psGrepPID } from '../common/ps.js';
+import { dockerDaemonSocket, isLinux } from '../common/platform.js';
+import { ContainerRuntime } from './container-runtime.js';
 
 import * as nodeUtil from 'util';
 import { exec as childProcessExec } from 'child_process';
@@ -19,19 +21,76 @@ const exec_promise = nodeUtil.promisify(childProcessExec);
 
 const OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME = "registry:2";
 
-export async function isDockerDesktopRunning() {
-    if (!dirExists("/Applications/Docker.app")) {
+/**
+ * All the functions below accept an optional `runtime` argument (the
+ * container runtime selected in the config file). The default docker CLI
+ * is used when not specified.
+ * @param {ContainerRuntime=} runtime 
+ */
+function toRuntime(runtime) {
+    return runtime ?? ContainerRuntime.default();
+}
+
+/**
+ * @param {ContainerRuntime} runtime 
+ */
+function registryImageName(runtime) {
+    return runtime.qualifiedImageName(OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME);
+}
+
+/**
+ * - podman : `podman info` succeeds (daemonless or podman API service)
+ * - custom socket : the socket exists and the daemon responds
+ * - macOS : Docker Desktop app is installed and running
+ * - Linux : the docker daemon socket exists and the daemon responds
+ * @param {ContainerRuntime=} runtime 
+ */
+export async function isDockerRunning(runtime) {
+    runtime = toRuntime(runtime);
+    if (runtime.isPodman) {
+        if (runtime.socket && !socketExists(runtime.socket)) {
+            return false;
+        }
+        try {
+            await runtime.exec(`info`);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+    if (runtime.socket) {
+        if (!socketExists(runtime.socket)) {
+            return false;
+        }
+    } else if (isLinux()) {
+        if (!socketExists(dockerDaemonSocket())) {
+            return false;
+        }
+    } else if (!dirExists("/Applications/Docker.app")) {
         return false;
     }
     try {
-        await exec_promise(`docker images`);
+        await runtime.exec(`images`);
         return true;
     } catch (e) {
         return false;
     }
 }
 
-export async function getDockerDesktopPids() {
+/**
+ * - macOS : Docker Desktop app pids
+ * - Linux : `dockerd` pids
+ */
+export async function getDockerPids() {
+    if (isLinux()) {
+        try {
+            const { stdout } = await exec_promise(`pidof dockerd`);
+            const pids = stdout.trim().split(' ').map(s => stringToPositiveInteger(s)).filter(pid => !!pid);
+            return (pids.length === 0) ? undefined : /** @type {number[]} */(pids);
+        } catch (e) {
+            return undefined;
+        }
+    }
     if (!dirExists("/Applications/Docker.app")) {
         return undefined;
     }
@@ -43,12 +102,44 @@ export async function getDockerDesktopPids() {
 }
 
 /**
+ * Error message explaining how to start docker on the current platform
+ * @param {ContainerRuntime=} runtime 
+ */
+export function dockerNotRunningMessage(runtime) {
+    runtime = toRuntime(runtime);
+    if (runtime.isPodman) {
+        if (runtime.socket) {
+            return `Podman API service is not running (socket '${runtime.socket}' is not available). Start it using 'systemctl --user start podman.socket'.`;
+        }
+        return (isLinux()) ?
+            `Podman is not available. Type 'podman info' for more details.` :
+            `Podman machine is not running. Start it using 'podman machine start'.`;
+    }
+    if (runtime.socket) {
+        return `Docker daemon is not running (socket '${runtime.socket}' is not available). Start it using 'systemctl --user start docker' (rootless docker).`;
+    }
+    if (isLinux()) {
+        return `Docker daemon is not running (socket '${dockerDaemonSocket()}' is not available). Start it using 'sudo systemctl start docker' (or 'systemctl --user start docker' for rootless docker).`;
+    }
+    return 'Unable to start Docker Desktop for MacOS.';
+}
+
+/**
+ * - macOS : launches the Docker Desktop app and waits until it is running
+ * - Linux : the docker daemon is a system service that cannot be started
+ *   without root privileges, only checks that it is running.
+ * - podman or custom socket : only checks that it is running.
  * @param {{
  *      abortSignal?: AbortSignal
  *      progressCb?: types.progressCallback
  * }=} options
+ * @param {ContainerRuntime=} runtime 
  */
-export async function startDockerDesktop(options) {
+export async function startDocker(options, runtime) {
+    runtime = toRuntime(runtime);
+    if (isLinux() || runtime.isPodman || runtime.socket) {
+        return isDockerRunning(runtime);
+    }
     // start Docker Desktop App
     try {
         await exec_promise(`open -a Docker`);
@@ -68,7 +159,7 @@ export async function startDockerDesktop(options) {
  */
 async function waitUntilDockerDesktopIsRunning(options) {
     const repeat = await repeatCallUntil(
-        isDockerDesktopRunning,
+        isDockerRunning,
         [],
         {
             waitBeforeFirstCall: 200,
@@ -119,9 +210,10 @@ async function waitUntilDockerPrivateLocalRegistryIsRunning(url, options) {
 
 /**
  * @param {string} imageName 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerImageLs(imageName) {
-    const out = await docker.image(process.cwd(), ["ls", imageName, "-q"]);
+export async function dockerImageLs(imageName, runtime) {
+    const out = await docker.image(process.cwd(), ["ls", imageName, "-q"], undefined, runtime);
     if (out.ok) {
         return out.result;
     }
@@ -130,18 +222,52 @@ export async function dockerImageLs(imageName) {
 
 /**
  * @param {string} imgName 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerPull(imgName) {
-    const out = await docker.pull(process.cwd(), [imgName]);
+export async function dockerPull(imgName, runtime) {
+    const out = await docker.pull(process.cwd(), [imgName], undefined, runtime);
     return out.ok;
 }
 
 /**
+ * Images pulled by the CLI itself :
+ * - the private local registry image
+ * - the base image of the `test` command app
+ * @param {ContainerRuntime=} runtime 
+ */
+export function dockerBaseImageNames(runtime) {
+    runtime = toRuntime(runtime);
+    return [registryImageName(runtime), runtime.qualifiedImageName('alpine')];
+}
+
+/**
+ * `<docker|podman> image save -o <file> <imgName>`
  * @param {string} imgName 
+ * @param {string} file 
+ * @param {ContainerRuntime=} runtime 
  */
-async function dockerImageInspect(imgName) {
+export async function dockerImageSave(imgName, file, runtime) {
+    const out = await docker.image(process.cwd(), ["save", "-o", file, imgName], { strict: false }, runtime);
+    return out.ok;
+}
+
+/**
+ * `<docker|podman> image load -i <file>`
+ * @param {string} file 
+ * @param {ContainerRuntime=} runtime 
+ */
+export async function dockerImageLoad(file, runtime) {
+    const out = await docker.image(process.cwd(), ["load", "-i", file], { strict: false }, runtime);
+    return out.ok;
+}
+
+/**
+ * @param {string} imgName 
+ * @param {ContainerRuntime=} runtime 
+ */
+async function dockerImageInspect(imgName, runtime) {
     try {
-        await exec_promise(`docker image inspect ${imgName}`);
+        await toRuntime(runtime).exec(`image inspect ${imgName}`);
         return true;
     } catch (e) {
         return false;
@@ -152,8 +278,9 @@ async function dockerImageInspect(imgName) {
  * @param {string} registryHost 
  * @param {string} registryPort 
  * @param {string} imageName 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerImageRemove(registryHost, registryPort, imageName) {
+export async function dockerImageRemove(registryHost, registryPort, imageName, runtime) {
     if (isNullishOrEmptyString(imageName)) {
         return true;
     }
@@ -166,7 +293,7 @@ export async function dockerImageRemove(registryHost, registryPort, imageName) {
         img = registryHost + ':' + registryPort + '/' + imageName;
     }
     try {
-        await exec_promise(`docker image remove ${img}`);
+        await toRuntime(runtime).exec(`image remove ${img}`);
         return true;
     } catch (e) {
         return false;
@@ -177,16 +304,19 @@ export async function dockerImageRemove(registryHost, registryPort, imageName) {
  * @param {string} registryHost 
  * @param {string} registryPort 
  * @param {string} imgName 
+ * @param {ContainerRuntime=} runtime 
  */
-async function dockerPush(registryHost, registryPort, imgName) {
+async function dockerPush(registryHost, registryPort, imgName, runtime) {
     throwIfNullishOrEmptyString(registryHost);
     throwIfNullishOrEmptyString(registryPort);
     throwIfNullishOrEmptyString(imgName);
 
+    runtime = toRuntime(runtime);
     const out = await docker.push(process.cwd(),
         [
+            ...runtime.pushArgs(),
             registryHost + ':' + registryPort + '/' + imgName
-        ]);
+        ], undefined, runtime);
     return out.ok;
 }
 
@@ -197,8 +327,9 @@ async function dockerPush(registryHost, registryPort, imgName) {
  * @param {string} registryHost 
  * @param {string} registryPort 
  * @param {string} targetImgName 
+ * @param {ContainerRuntime=} runtime 
  */
-async function dockerTag(srcImgName, registryHost, registryPort, targetImgName) {
+async function dockerTag(srcImgName, registryHost, registryPort, targetImgName, runtime) {
     throwIfNullishOrEmptyString(srcImgName);
     throwIfNullishOrEmptyString(registryHost);
     throwIfNullishOrEmptyString(registryPort);
@@ -206,7 +337,7 @@ async function dockerTag(srcImgName, registryHost, registryPort, targetImgName)
 
     const arg = registryHost + ':' + registryPort + '/' + targetImgName;
     try {
-        await exec_promise(`docker tag ${srcImgName} ${arg}`);
+        await toRuntime(runtime).exec(`tag ${srcImgName} ${arg}`);
         return true;
     } catch (e) {
         return false;
@@ -219,20 +350,24 @@ async function dockerTag(srcImgName, registryHost, registryPort, targetImgName)
  * @param {string} srcImgTag 
  * @param {string} dstImgRepo 
  * @param {string} dstImgTag 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerPrivateLocalRegistryPush(url, srcImgRepo, srcImgTag, dstImgRepo, dstImgTag) {
+export async function dockerPrivateLocalRegistryPush(url, srcImgRepo, srcImgTag, dstImgRepo, dstImgTag, runtime) {
     throwIfNullishOrEmptyString(url);
     throwIfNullishOrEmptyString(srcImgRepo);
     throwIfNullishOrEmptyString(srcImgTag);
     throwIfNullishOrEmptyString(dstImgRepo);
     throwIfNullishOrEmptyString(dstImgTag);
 
+    runtime = toRuntime(runtime);
+    const bin = runtime.bin;
+
     const u = new URL(url);
     const srcImgName = srcImgRepo + ':' + srcImgTag;
     const dstImgName = dstImgRepo + ':' + dstImgTag;
 
     // make sure source image exists
-    if (! await dockerImageInspect(srcImgName)) {
+    if (! await dockerImageInspect(srcImgName, runtime)) {
         console.error(`Docker: Image '${srcImgName}' does not exist`);
         return false;
     }
@@ -254,9 +389,9 @@ export async function dockerPrivateLocalRegistryPush(url, srcImgRepo, srcImgTag,
     // $ docker tag ubuntu:16.04 localhost:5000/my-ubuntu
     //
 
-    console.log(`Docker: docker tag ${srcImgName} ${dockerRegistryHostPort}/${dstImgName}`);
-    if (!await dockerTag(srcImgName, u.hostname, u.port, dstImgName)) {
-        console.error(`Docker: docker tag ${srcImgName} ${dockerRegistryHostPort}/${dstImgName} failed.`);
+    console.log(`Docker: ${bin} tag ${srcImgName} ${dockerRegistryHostPort}/${dstImgName}`);
+    if (!await dockerTag(srcImgName, u.hostname, u.port, dstImgName, runtime)) {
+        console.error(`Docker: ${bin} tag ${srcImgName} ${dockerRegistryHostPort}/${dstImgName} failed.`);
         return false;
     }
 
@@ -264,9 +399,9 @@ export async function dockerPrivateLocalRegistryPush(url, srcImgRepo, srcImgTag,
     //
     // $ docker push localhost:5000/my-ubuntu
 
-    console.log(`Docker: docker push image ${dockerRegistryHostPort}/${dstImgName}`);
-    if (!await dockerPush(u.hostname, u.port, dstImgName)) {
-        console.error(`Docker: docker push image ${dockerRegistryHostPort}/${dstImgName} failed.`);
+    console.log(`Docker: ${bin} push image ${dockerRegistryHostPort}/${dstImgName}`);
+    if (!await dockerPush(u.hostname, u.port, dstImgName, runtime)) {
+        console.error(`Docker: ${bin} push image ${dockerRegistryHostPort}/${dstImgName} failed.`);
         return false;
     }
 
@@ -277,36 +412,43 @@ export async function dockerPrivateLocalRegistryPush(url, srcImgRepo, srcImgTag,
     // $ docker image remove ubuntu:16.04
     // $ docker image remove localhost:5000/my-ubuntu
 
-    console.log(`Docker: docker image remove ${dockerRegistryHostPort}/${dstImgName}`);
-    if (!await dockerImageRemove(u.hostname, u.port, dstImgName)) {
-        console.error(`Docker: docker image remove ${dockerRegistryHostPort}/${dstImgName}`);
+    console.log(`Docker: ${bin} image remove ${dockerRegistryHostPort}/${dstImgName}`);
+    if (!await dockerImageRemove(u.hostname, u.port, dstImgName, runtime)) {
+        console.error(`Docker: ${bin} image remove ${dockerRegistryHostPort}/${dstImgName}`);
         return false;
     }
 
     return true;
 }
 
-export async function dockerPrivateLocalRegistryInstall() {
-    console.log(`docker: install image '${OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME}'`);
+/**
+ * @param {ContainerRuntime=} runtime 
+ */
+export async function dockerPrivateLocalRegistryInstall(runtime) {
+    runtime = toRuntime(runtime);
+    const bin = runtime.bin;
+    const registryImg = registryImageName(runtime);
+
+    console.log(`${bin}: install image '${registryImg}'`);
 
-    if (! await isDockerDesktopRunning()) {
-        if (! await startDockerDesktop()) {
-            console.error("Unable to start Docker Desktop for MacOS.");
+    if (! await isDockerRunning(runtime)) {
+        if (! await startDocker(undefined, runtime)) {
+            console.error(dockerNotRunningMessage(runtime));
             return false;
         }
     }
 
-    const imgId = await dockerImageLs(OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME);
+    const imgId = await dockerImageLs(registryImg, runtime);
     // already installed?
     if (!isNullishOrEmptyString(imgId)) {
-        console.log(`docker: image '${OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME}' already installed.`);
+        console.log(`${bin}: image '${registryImg}' already installed.`);
         return true;
     }
 
-    console.log(`docker pull ${OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME}`);
-    const succeeded = await dockerPull(OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME);
+    console.log(`${bin} pull ${registryImg}`);
+    const succeeded = await dockerPull(registryImg, runtime);
     if (!succeeded) {
-        console.error("docker pull failed.");
+        console.error(`${bin} pull failed.`);
     }
     return succeeded;
 }
@@ -327,8 +469,11 @@ export async function isDockerPrivateLocalRegistryRunning(url) {
     }
 }
 
-export async function isDockerPrivateLocalRegistryStopped() {
-    const state = await getDockerPrivateLocalRegistryState();
+/**
+ * @param {ContainerRuntime=} runtime 
+ */
+export async function isDockerPrivateLocalRegistryStopped(runtime) {
+    const state = await getDockerPrivateLocalRegistryState(runtime);
     assert(state != null);
     if (state == null) {
         // stopped
@@ -337,9 +482,13 @@ export async function isDockerPrivateLocalRegistryStopped() {
     return (state === 'exited' || state === 'created');
 }
 
-async function getDockerPrivateLocalRegistryState() {
+/**
+ * @param {ContainerRuntime=} runtime 
+ */
+async function getDockerPrivateLocalRegistryState(runtime) {
+    runtime = toRuntime(runtime);
     try {
-        const { stdout /*, stderr */ } = await exec_promise(`docker ps -a --filter ancestor=${OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME} --filter name=${PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME} --format "{{.State}}"`);
+        const { stdout /*, stderr */ } = await runtime.exec(`ps -a --filter ancestor=${registryImageName(runtime)} --filter name=${PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME} --format "{{.State}}"`);
         const state = stdout.trim();
         return state;
     } catch (e) {
@@ -353,27 +502,29 @@ async function getDockerPrivateLocalRegistryState() {
  *      abortSignal?: AbortSignal
  *      progressCb?: types.progressCallback
  * }=} options
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerPrivateLocalRegistryStart(url, options) {
+export async function dockerPrivateLocalRegistryStart(url, options, runtime) {
+    runtime = toRuntime(runtime);
     const u = new URL(url);
 
-    if (! await isDockerDesktopRunning()) {
-        if (! await startDockerDesktop(options)) {
-            throw new CodeError("Unable to start Docker Desktop for MacOS.", ERROR_CODES.DOCKER_ERROR);
+    if (! await isDockerRunning(runtime)) {
+        if (! await startDocker(options, runtime)) {
+            throw new CodeError(dockerNotRunningMessage(runtime), ERROR_CODES.DOCKER_ERROR);
         }
     }
 
     /** @todo check that port is the same ! */
 
     // returns null if docker is starting.
-    const state = await getDockerPrivateLocalRegistryState();
+    const state = await getDockerPrivateLocalRegistryState(runtime);
     if (state === 'running') {
         return true;
     }
 
     if (state === 'exited' || state === 'created') {
         const out = await docker.start(process.cwd(),
-            [PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME]);
+            [PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME], undefined, runtime);
         if (!out.ok) {
             return false;
         }
@@ -395,9 +546,9 @@ export async function dockerPrivateLocalRegistryStart(url, options) {
             "-p", `${u.port}:5000`,
             "--restart=always",
             "--name", PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME,
-            OFFICIAL_DOCKER_REGISTRY_IMAGE_NAME
+            registryImageName(runtime)
         ];
-        const out = await docker.runQuiet(process.cwd(), args);
+        const out = await docker.runQuiet(process.cwd(), args, undefined, runtime);
         if (!out.ok) {
             return false;
         }
@@ -408,9 +559,12 @@ export async function dockerPrivateLocalRegistryStart(url, options) {
     return succeeded;
 }
 
-export async function dockerPrivateRegistryPort() {
+/**
+ * @param {ContainerRuntime=} runtime 
+ */
+export async function dockerPrivateRegistryPort(runtime) {
     try {
-        const { stdout /*, stderr */ } = await exec_promise(`docker container port ${PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME} | grep '5000/tcp'`);
+        const { stdout /*, stderr */ } = await toRuntime(runtime).exec(`container port ${PROD_PRIVATE_LOCAL_DOCKER_REGISTRY_NAME} | grep '5000/tcp'`);
         const prefix = '5000/tcp -> ';
         const i = stdout.indexOf(prefix);
         if (i < 0) {
@@ -430,10 +584,11 @@ export async function dockerPrivateRegistryPort() {
 /**
  * imageName = imgRepo + imgTag
  * @param {string} imageName 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerGetImageID(imageName) {
+export async function dockerGetImageID(imageName, runtime) {
     // docker image ls --digests --format "{{.ID}}" <imageName>
-    const out = await docker.image(process.cwd(), ["ls", "--digests", "--format", "{{.ID}}", imageName]);
+    const out = await docker.image(process.cwd(), ["ls", "--digests", "--format", "{{.ID}}", imageName], undefined, runtime);
     if (!out.ok) {
         return null;
     }
@@ -443,20 +598,23 @@ export async function dockerGetImageID(imageName) {
 /**
  * @param {string} imgTag 
  * @param {string} dockerfileDir 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerImageBuild(imgTag, dockerfileDir) {
+export async function dockerImageBuild(imgTag, dockerfileDir, runtime) {
     assert(dirExists(dockerfileDir));
     assert(fileExists(dockerfileDir + '/Dockerfile'));
 
+    runtime = toRuntime(runtime);
     const out = await dockerProgress(dockerfileDir,
         [
             "image",
             "build",
+            ...runtime.buildArgs(),
             "-t",
             imgTag,
             "-f", dockerfileDir + '/Dockerfile',
             "."
-        ], {});
+        ], {}, undefined, runtime);
 
     return out.ok;
 }
@@ -505,8 +663,9 @@ export async function dockerPrivateLocalRegistryGetRepositoryChecksum(url, imgRe
  * @param {string} url 
  * @param {string} imgRepo 
  * @param {string} imgTag 
+ * @param {ContainerRuntime=} runtime 
  */
-export async function dockerGetPrivateLocalImageChecksum(url, imgRepo, imgTag) {
+export async function dockerGetPrivateLocalImageChecksum(url, imgRepo, imgTag, runtime) {
     throwIfNullishOrEmptyString(url);
     throwIfNullishOrEmptyString(imgRepo);
     throwIfNullishOrEmptyString(imgTag);
@@ -514,14 +673,14 @@ export async function dockerGetPrivateLocalImageChecksum(url, imgRepo, imgTag) {
     const u = new URL(url);
     const imgName = u.host + '/' + imgRepo + ':' + imgTag;
 
-    const imgID = await dockerGetImageID(imgName);
+    const imgID = await dockerGetImageID(imgName, runtime);
     if (isNullishOrEmptyString(imgID)) {
         return null;
     }
 
     try {
         const img = u.host + '/' + imgRepo;
-        const { stdout /*, stderr */ } = await exec_promise(`docker image ls --digests --format '{{.ID}} {{.Digest}}' ${img} | grep ${imgID}`);
+        const { stdout /*, stderr */ } = await toRuntime(runtime).exec(`image ls --digests --format '{{.ID}} {{.Digest}}' ${img} | grep ${imgID}`);
         const s = stdout.trim();
         const pos = s.indexOf('sha256:');
         if (pos < 0) {
@@ -5,19 +5,23 @@ import { CodeError, fail } from '../common/error.js';
 import * as ERROR_CODES from "../common/error-codes.js";
 import { dirExists, errorDirDoesNotExist } from '../common/fs.js';
 import { childProcessSpawn } from '../common/process.js';
+import { ContainerRuntime } from './container-runtime.js';
 
 /**
  * @param {!string} dir 
  * @param {!string[]} args 
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  * @returns {types.PromiseResultOrCodeError<string>}
  */
-export async function dockerGet(dir, args, options = { strict: true }) {
+export async function dockerGet(dir, args, options = { strict: true }, runtime) {
     if (!dirExists(dir)) {
         return fail(errorDirDoesNotExist(dir), options);
     }
 
-    const out = await childProcessSpawn('docker', args, {
+    runtime ??= ContainerRuntime.default();
+
+    const out = await childProcessSpawn(runtime.bin, args, {
         mergeProcessEnv: true,
         stdout: {
             return: true
@@ -26,7 +30,8 @@ export async function dockerGet(dir, args, options = { strict: true }) {
             return: true
         },
         spawnOptions: {
-            cwd: dir
+            cwd: dir,
+            env: runtime.env
         }
     });
 
@@ -44,13 +49,16 @@ export async function dockerGet(dir, args, options = { strict: true }) {
  * @param {!string[]} args 
  * @param {?Object.<string,string>} env 
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  * @returns {types.PromiseOkOrCodeError}
  */
-export async function dockerProgress(dir, args, env, options = { strict: true }) {
+export async function dockerProgress(dir, args, env, options = { strict: true }, runtime) {
     if (!dirExists(dir)) {
         return fail(errorDirDoesNotExist(dir), options);
     }
 
+    runtime ??= ContainerRuntime.default();
+
     /** @type {any} */
     const opts = {
         mergeProcessEnv: true,
@@ -67,11 +75,9 @@ export async function dockerProgress(dir, args, env, options = { strict: true })
         }
     };
 
-    if (env) {
-        opts.spawnOptions.env = env;
-    }
+    opts.spawnOptions.env = { ...env, ...runtime.env };
 
-    const out = await childProcessSpawn('docker', args, opts);
+    const out = await childProcessSpawn(runtime.bin, args, opts);
 
     if (out.code === 0) {
         return { ok: true }
@@ -1,65 +1,72 @@
 // Dependencies
 // ../common
 import * as types from '../common/common-types.js';
+import { ContainerRuntime } from './container-runtime.js';
 import { dockerProgress, dockerGet } from './docker-internal.js'
 
 /**
- * - `docker push ...args`
+ * - `<docker|podman> push ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function push(dir, args, options) {
-    return dockerProgress(dir, ["push", ...args], {}, options);
+export async function push(dir, args, options, runtime) {
+    return dockerProgress(dir, ["push", ...args], {}, options, runtime);
 }
 
 /**
- * - `docker pull ...args`
+ * - `<docker|podman> pull ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function pull(dir, args, options) {
-    return dockerProgress(dir, ["pull", ...args], {}, options);
+export async function pull(dir, args, options, runtime) {
+    return dockerProgress(dir, ["pull", ...args], {}, options, runtime);
 }
 
 /**
- * - `docker run ...args`
+ * - `<docker|podman> run ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function run(dir, args, options) {
-    return dockerProgress(dir, ["run", ...args], {}, options);
+export async function run(dir, args, options, runtime) {
+    return dockerProgress(dir, ["run", ...args], {}, options, runtime);
 }
 
 /**
- * - `docker run ...args`
+ * - `<docker|podman> run ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function runQuiet(dir, args, options) {
-    return dockerGet(dir, ["run", ...args], options);
+export async function runQuiet(dir, args, options, runtime) {
+    return dockerGet(dir, ["run", ...args], options, runtime);
 }
 
 /**
- * - `docker start ...args`
+ * - `<docker|podman> start ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function start(dir, args, options) {
-    return dockerProgress(dir, ["start", ...args], {}, options);
+export async function start(dir, args, options, runtime) {
+    return dockerProgress(dir, ["start", ...args], {}, options, runtime);
 }
 
 /**
- * - `docker image ...args`
+ * - `<docker|podman> image ...args`
  * @param {!string} dir 
  * @param {!string[]} args
  * @param {types.Strict=} options
+ * @param {ContainerRuntime=} runtime
  */
-export async function image(dir, args, options) {
-    return dockerGet(dir, ["image", ...args], options);
+export async function image(dir, args, options, runtime) {
+    return dockerGet(dir, ["image", ...args], options, runtime);
 }
 
@@ -18,6 +18,53 @@ import { parseGitUrl } from '../common/utils.js';
 
 const exec = nodeUtil.promisify(childProcessExec);
 
+/** @type {string=} */
+let mirrorsDirectory;
+
+/**
+ * Redirects all the remote git operations (clone, ls-remote) to the local
+ * bare mirrors located in `dir` : `<dir>/<repoName>.git`
+ * - `undefined` : restores the remote repositories
+ * @param {string=} dir 
+ */
+export function setMirrorsDirectory(dir) {
+    if (isNullishOrEmptyString(dir)) {
+        mirrorsDirectory = undefined;
+        return;
+    }
+    assert(dir);
+    mirrorsDirectory = resolveAbsolutePath(dir);
+}
+
+export function getMirrorsDirectory() {
+    return mirrorsDirectory;
+}
+
+/**
+ * If a mirrors directory is set, returns the `file://` url of the local 
+ * mirror of `repository`, otherwise returns `repository` as-is.
+ * - `https://github.com/iExecBlockchainComputing/iexec-sms.git` 
+ *      - returns `file://<mirrorsDirectory>/iexec-sms.git`
+ * - Throws an error if the mirror does not exist.
+ * @param {!string} repository 
+ * @param {string=} repoName defaults to the `repository` basename
+ */
+export function toMirrorRepository(repository, repoName) {
+    if (!mirrorsDirectory) {
+        return repository;
+    }
+    if (isNullishOrEmptyString(repoName)) {
+        const u = parsePathnameOrUrl(repository);
+        repoName = path.basename(u?.url?.pathname ?? u?.directory ?? repository);
+    }
+    assert(repoName);
+    const mirrorDir = path.join(mirrorsDirectory, ensureSuffix('.git', removeSuffix('.git', repoName)));
+    if (!dirExists(mirrorDir)) {
+        throw new CodeError(`Repository '${removeSuffix('.git', repoName)}' is missing from the local mirrors (dir=${mirrorsDirectory})`);
+    }
+    return 'file://' + mirrorDir;
+}
+
 /**
  * Returns true if `value` is a 40-nibble HexString
  * @param {*} value 
@@ -367,7 +414,26 @@ export async function cloneSafe(src, dst, dstDirname, options = { strict: true,
         }
     }
 
-    return git.clone(dst, [src, dstDir], options);
+    const cloneSrc = toMirrorRepository(src);
+    const out = await git.clone(dst, [cloneSrc, dstDir], options);
+    if (!out.ok || cloneSrc === src) {
+        return out;
+    }
+
+    /* cloned from a local mirror : origin must remain the upstream repository */
+    const out_url = await setRemoteOriginUrl(dstDir, src, options);
+    return (out_url.ok) ? out : out_url;
+}
+
+/**
+ * `git remote set-url origin <repository>`
+ * @param {!string} dir 
+ * @param {!string} repository 
+ * @param {types.Strict=} options
+ * @returns {gitTypes.PromiseStringResultOrGitError}
+ */
+export async function setRemoteOriginUrl(dir, repository, options = { strict: true }) {
+    return git.remote(dir, ["set-url", "origin", repository], options);
 }
 
 /**
@@ -616,7 +682,7 @@ export async function remoteRefsHeadsAndTags(repository, options = { strict: fal
     if (options.heads) { args.push("--heads"); }
     if (options.tags) { args.push("--tags"); }
 
-    args.push(repository);
+    args.push(toMirrorRepository(repository));
 
     const out = await git.lsremote(
         process.cwd(),
@@ -671,7 +737,7 @@ export async function lastRemoteTag(repository, options = { strict: false }) {
     }
 
     const args = ["--exit-code", "--refs", "--tags"];
-    args.push(repository);
+    args.push(toMirrorRepository(repository));
 
     const out = await git.lsremote(
         process.cwd(),
@@ -127,6 +127,18 @@ export async function checkout(dir, args, options) {
     return gitGet(dir, ["checkout", ...args], options);
 }
 
+/**
+ * Reset current HEAD to the specified state
+ * - `git reset ...args`
+ * @param {!string} dir 
+ * @param {!string[]} args
+ * @param {types.Strict=} options
+ * @returns {gitTypes.PromiseStringResultOrGitError}
+ */
+export async function reset(dir, args, options) {
+    return gitGet(dir, ["reset", ...args], options);
+}
+
 /**
  * Clone a repository into a new directory
  * - `git clone ...args`
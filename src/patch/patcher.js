@@ -2,6 +2,9 @@ import * as types from '../common/common-types.js';
 import * as pkgTypes from '../pkgmgr/pkgmgr-types.js';
 import * as path from 'path';
 import assert from 'assert';
+import { readdir, readFile as fsReadFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
 import * as git from '../git/git.js';
 import { fileExists, readFile, saveToFileSync } from '../common/fs.js';
 import { ensureSuffix, removeSuffix } from '../common/string.js';
@@ -303,6 +306,27 @@ public class ${className} extends org.springframework.boot.info.BuildProperties
     return null;
 }
 
+/**
+ * sha256 of the patch files of `gitHubRepo` (`<patchDir>/<gitHubRepo>/*`)
+ * - Returns `null` if there is nothing to patch.
+ * @param {!string} gitHubRepo 
+ */
+export async function patchHash(gitHubRepo) {
+    const repoPatchDir = path.join(path.dirname(fileURLToPath(import.meta.url)), gitHubRepo);
+    let files;
+    try { files = await readdir(repoPatchDir); } catch { }
+    if (!files || files.length === 0) {
+        return null;
+    }
+    const hash = createHash('sha256');
+    files = files.sort();
+    for (let i = 0; i < files.length; ++i) {
+        hash.update(files[i]);
+        hash.update(await fsReadFile(path.join(repoPatchDir, files[i]), 'utf8'));
+    }
+    return hash.digest('hex');
+}
+
 /**
  * @param {!string} dir 
  * @param {!pkgTypes.Setup} setup
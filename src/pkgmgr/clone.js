@@ -3,6 +3,7 @@ import assert from 'assert';
 import * as path from 'path';
 import { dirExists, mkDirP, rmrf } from '../common/fs.js';
 import * as git from '../git/git.js';
+import { setRemoteOriginUrl, toMirrorRepository } from '../git/git-api.js';
 import { isNullishOrEmptyString } from '../common/string.js';
 
 /**
@@ -94,6 +95,9 @@ export function cloneFailed(cloneDir, setup) {
  * - Throws an error if failed
  * - Executes: 
  * `git clone <cloneRepo> <cloneDir> [--branch <cloneBranch>]`
+ * - `cloneRepo` is replaced by the local mirror of `gitHubRepo` if any
+ *   (see `setMirrorsDirectory`), the origin of the clone is then reset to
+ *   `cloneRepo`
  * @param {!string} gitHubRepo
  * @param {!string} cloneRepo
  * @param {!string} cloneDir
@@ -111,16 +115,21 @@ export async function clone(gitHubRepo, cloneRepo, cloneDir, cloneBranch, setup)
         }
         setCloneStatus('cloning', cloneDir, setup);
 
+        const cloneSrc = toMirrorRepository(cloneRepo, gitHubRepo);
+
         if (!isNullishOrEmptyString(cloneBranch)) {
             console.error("cloning : " + cloneDir);
-            console.error(`git clone ${cloneRepo} ${cloneDir} --branch ${cloneBranch}`);
-            await git.clone(parentCloneDir, [cloneRepo, cloneDir, "--branch", cloneBranch], { strict: true });
+            console.error(`git clone ${cloneSrc} ${cloneDir} --branch ${cloneBranch}`);
+            await git.clone(parentCloneDir, [cloneSrc, cloneDir, "--branch", cloneBranch], { strict: true });
             console.error("cloned : " + cloneDir);
         } else {
             console.error("cloning : " + cloneDir);
-            await git.clone(parentCloneDir, [cloneRepo, cloneDir], { strict: true });
+            await git.clone(parentCloneDir, [cloneSrc, cloneDir], { strict: true });
             console.error("cloned : " + cloneDir);
         }
+        if (cloneSrc !== cloneRepo) {
+            await setRemoteOriginUrl(cloneDir, cloneRepo, { strict: true });
+        }
 
         setCloneStatus('cloned', cloneDir, setup);
     } catch (err) {
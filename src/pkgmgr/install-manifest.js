@@ -0,0 +1,189 @@
+import path from 'path';
+import { createHash } from 'crypto';
+import { PROD_INSTALL_MANIFEST_BASENAME } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { readObjectFromJSONFileSync, saveToFileSync } from '../common/fs.js';
+
+/**
+ * Install steps, in pipeline order :
+ * - `clone`, `checkout`, `patch`, `npm`, `build` : packages
+ * - `deploy` : ganache PoCo deployment
+ * - `wallets` : ganache wallet files
+ * - `init` : ipfs, mongo, redis, docker
+ * @typedef {'clone' | 'checkout' | 'patch' | 'npm' | 'build' | 'deploy' | 'wallets' | 'init'} InstallStep
+ */
+
+/** @type {InstallStep[]} */
+export const INSTALL_STEPS = ['clone', 'checkout', 'patch', 'npm', 'build', 'deploy', 'wallets', 'init'];
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Per-step install state of a workspace, saved in
+ * `<workspace>/ixcdv-install.json` each time a step completes, so that an
+ * interrupted install can be resumed :
+ * ```
+ * {
+ *   "version": 1,
+ *   "steps": {
+ *     "src/v8.0.1/iexec-core": {
+ *       "checkout": { "inputs": "<sha256>", "date": "2023-01-01T00:00:00.000Z" },
+ *       ...
+ *     },
+ *     "ganache.1337": { "deploy": { ... }, "wallets": { ... } }
+ *   }
+ * }
+ * ```
+ * - Keys are package directories (relative to the workspace) or service names
+ * - `inputs` is the hash of everything the step depends on (commitish,
+ *   patch, config etc.). A step is re-executed as soon as its inputs change.
+ * - `worktree` (`patch` step only) is the hash of the uncommitted changes
+ *   left by the step, to tell them apart from local edits.
+ */
+export class InstallManifest {
+
+    /** @type {string} */
+    #dir;
+
+    /** @type {{ version: number, steps: { [key:string]: { [step:string]: { inputs: string, worktree?: string, date: string } } } }} */
+    #json;
+
+    /** @type {Set<InstallStep>} */
+    #forceSteps = new Set();
+
+    /**
+     * @param {string} dir
+     * @param {any} json
+     */
+    constructor(dir, json) {
+        this.#dir = dir;
+        this.#json = json;
+    }
+
+    /**
+     * Loads `<dir>/ixcdv-install.json`, starts a new empty manifest if the
+     * file does not exist.
+     * - Throws an error if failed.
+     * @param {string} dir the workspace directory
+     */
+    static load(dir) {
+        const file = path.join(dir, PROD_INSTALL_MANIFEST_BASENAME);
+        const json = readObjectFromJSONFileSync(file, { strict: false });
+        if (json && json.version !== MANIFEST_VERSION) {
+            throw new CodeError(`Unsupported install manifest version ${json.version} (file=${file})`);
+        }
+        return new InstallManifest(dir, json ?? { version: MANIFEST_VERSION, steps: {} });
+    }
+
+    get file() { return path.join(this.#dir, PROD_INSTALL_MANIFEST_BASENAME); }
+
+    /**
+     * Steps re-executed even if completed (`--force-step`)
+     * - Throws an error if a step name is invalid.
+     * @param {string[]} steps
+     */
+    setForceSteps(steps) {
+        /** @type {Set<string>} */
+        const validSteps = new Set(INSTALL_STEPS);
+        steps.forEach(s => {
+            if (!validSteps.has(s)) {
+                throw new CodeError(`Unknown install step '${s}', expecting one of ${INSTALL_STEPS.join(', ')}`);
+            }
+        });
+        this.#forceSteps = new Set(/** @type {InstallStep[]} */(steps));
+    }
+
+    /**
+     * @param {InstallStep} step
+     */
+    isForced(step) {
+        return this.#forceSteps.has(step);
+    }
+
+    /**
+     * @param {string} keyOrDir service name or package absolute directory
+     */
+    #key(keyOrDir) {
+        if (!path.isAbsolute(keyOrDir)) {
+            return keyOrDir;
+        }
+        const rel = path.relative(this.#dir, keyOrDir);
+        return (rel.startsWith('..')) ? keyOrDir : rel;
+    }
+
+    /**
+     * Returns `true` if `key` has no recorded step at all
+     * (ex: package installed by a previous version without manifest).
+     * @param {string} keyOrDir
+     */
+    isUnknown(keyOrDir) {
+        return !this.#json.steps[this.#key(keyOrDir)];
+    }
+
+    /**
+     * Returns `true` if `step` has been completed with the same `inputs`
+     * and is not forced.
+     * @param {string} keyOrDir
+     * @param {InstallStep} step
+     * @param {string} inputs
+     */
+    isDone(keyOrDir, step, inputs) {
+        if (this.isForced(step)) {
+            return false;
+        }
+        return (this.#json.steps[this.#key(keyOrDir)]?.[step]?.inputs === inputs);
+    }
+
+    /**
+     * Returns the `worktree` hash recorded by the last completed `step`
+     * @param {string} keyOrDir
+     * @param {InstallStep} step
+     */
+    worktree(keyOrDir, step) {
+        return this.#json.steps[this.#key(keyOrDir)]?.[step]?.worktree;
+    }
+
+    /**
+     * Records `step` as completed and saves the manifest.
+     * @param {string} keyOrDir
+     * @param {InstallStep} step
+     * @param {string} inputs
+     * @param {string=} worktree
+     */
+    setDone(keyOrDir, step, inputs, worktree) {
+        const key = this.#key(keyOrDir);
+        this.#json.steps[key] ??= {};
+        this.#json.steps[key][step] = { inputs, worktree, date: new Date().toISOString() };
+        // Sync : packages are installed concurrently
+        saveToFileSync(
+            JSON.stringify(this.#json, null, 2),
+            this.#dir,
+            PROD_INSTALL_MANIFEST_BASENAME,
+            { strict: true });
+    }
+}
+
+/** @type {InstallManifest=} */
+let installManifest;
+
+/**
+ * Selects the manifest used to record all the subsequent installs
+ * - `undefined` : steps are not recorded, packages are installed using
+ *   the existing directories as markers (`node_modules`, `build`)
+ * @param {InstallManifest=} manifest
+ */
+export function setInstallManifest(manifest) {
+    installManifest = manifest;
+}
+
+export function getInstallManifest() {
+    return installManifest;
+}
+
+/**
+ * sha256 of the json representation of `values`
+ * @param {...any} values
+ */
+export function hashInputs(...values) {
+    return createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
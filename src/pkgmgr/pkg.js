@@ -10,10 +10,23 @@ import { isNullishOrEmptyString } from '../common/string.js';
 import { CodeError, fail } from '../common/error.js';
 import { dirExists, fileExists, pathIsPOSIXPortableWithPlaceholders } from "../common/fs.js";
 import { parseGitUrl } from "../common/utils.js";
-import { patchRepo } from "../patch/patcher.js";
+import { patchHash, patchRepo } from "../patch/patcher.js";
 import { gradlewBuildNoTest, gradlewClean } from "../common/gradlew.js";
 import * as gitApi from "../git/git-api.js";
 import * as git from "../git/git.js";
+import { getInstallManifest, hashInputs, InstallManifest } from "./install-manifest.js";
+
+/**
+ * Install manifest state of a package setup (see `install-manifest.js`)
+ * - `legacyDirs` : directories installed without manifest, the existing
+ *   directories (`node_modules`, `build`) are used as markers instead.
+ * - `inputs` : the inputs of each step of each directory
+ * @typedef {{
+ *      manifest: InstallManifest
+ *      legacyDirs: Set<string>
+ *      inputs: { [dir:string]: { [step:string]: string } }
+ * }} SetupSteps
+ */
 
 /**
  * @param {*} value 
@@ -131,10 +144,13 @@ export function toPackageDirectory(repository) {
 }
 
 /**
+ * - Clones the missing repositories of `pkg` and all its dependencies
+ * - Resolves the requested commits and the gradle dependencies
+ * - Does not checkout, patch or build anything.
  * @param {types.Package} pkg
  * @param {string=} defaultDirectoryDirname
  */
-export async function installPackage(pkg, defaultDirectoryDirname) {
+export async function resolvePackage(pkg, defaultDirectoryDirname) {
 
     const setup = initSetup(pkg, defaultDirectoryDirname);
 
@@ -144,38 +160,124 @@ export async function installPackage(pkg, defaultDirectoryDirname) {
     }
     await installPkgDir(mainPkgDir, setup);
 
+    return setup;
+}
+
+/**
+ * @param {types.Package} pkg
+ * @param {string=} defaultDirectoryDirname
+ */
+export async function installPackage(pkg, defaultDirectoryDirname) {
+
+    const setup = await resolvePackage(pkg, defaultDirectoryDirname);
+    const steps = await initSetupSteps(setup);
+
     const mustCheckout = true;
     const mustApplyPatch = true
     const mustRunNpmInstall = true
     const mustRunGradleBuild = true
 
     if (mustCheckout) {
-        const out = await checkoutSetup(setup, { strict: true });
+        const out = await checkoutSetup(setup, { strict: true }, steps);
         assert(out?.ok);
     }
 
     if (mustApplyPatch) {
-        const out = await applyPatch(setup, { strict: true });
+        const out = await applyPatch(setup, { strict: true }, steps);
         assert(out?.ok);
     }
 
     if (mustRunNpmInstall) {
-        const out = await npmInstallSetup(setup, { strict: true });
+        const out = await npmInstallSetup(setup, { strict: true }, steps);
         assert(out?.ok);
     }
 
     if (mustRunGradleBuild) {
-        const out = await gradleBuildSetup(setup, { strict: true });
+        const out = await gradleBuildSetup(setup, { strict: true }, steps);
         assert(out?.ok);
     }
 }
 
+/**
+ * Computes the inputs of each install step and records the `clone` step
+ * - Returns `undefined` if there is no install manifest.
+ * @param {pkgTypes.Setup} setup 
+ * @returns {Promise<SetupSteps | undefined>}
+ */
+async function initSetupSteps(setup) {
+    const manifest = getInstallManifest();
+    if (!manifest) {
+        return;
+    }
+
+    /** @type {SetupSteps} */
+    const steps = { manifest, legacyDirs: new Set(), inputs: {} };
+
+    const dirs = Object.keys(setup.directories);
+    for (let i = 0; i < dirs.length; ++i) {
+        const dir = dirs[i];
+        const pkgDir = setup.directories[dir];
+        const pkgArg = pkgDir.pkgArg;
+
+        const clone = hashInputs(pkgArg.gitHubRepoName);
+        const checkout = hashInputs(clone, pkgDir.pkgArgCommitInfo?.hash ?? null);
+        const patch = hashInputs(
+            checkout,
+            (pkgArg.patch === true && pkgArg.gitHubRepoName) ? await patchHash(pkgArg.gitHubRepoName) : null,
+            pkgDir.gradleDependencies ?? null);
+        steps.inputs[dir] = { clone, checkout, patch, npm: patch };
+
+        // Package installed by a previous version (no manifest)
+        if (pkgDir.alreadyCloned && manifest.isUnknown(dir)) {
+            steps.legacyDirs.add(dir);
+        }
+        manifest.setDone(dir, 'clone', clone);
+    }
+
+    // The main package is built with all its dependencies
+    steps.inputs[setup.mainDir].build = hashInputs(dirs.sort().map(dir => steps.inputs[dir].patch));
+
+    return steps;
+}
+
+/**
+ * - Without manifest or for a legacy directory, `legacyDone` decides
+ * - Otherwise, returns `true` if the step is forced or if its inputs changed.
+ * @param {SetupSteps | undefined} steps 
+ * @param {string} dir 
+ * @param {import('./install-manifest.js').InstallStep} step 
+ * @param {boolean} legacyDone 
+ */
+function mustRunStep(steps, dir, step, legacyDone) {
+    if (!steps) {
+        return !legacyDone;
+    }
+    if (steps.manifest.isForced(step)) {
+        return true;
+    }
+    if (steps.legacyDirs.has(dir)) {
+        return !legacyDone;
+    }
+    return !steps.manifest.isDone(dir, step, steps.inputs[dir][step]);
+}
+
+/**
+ * @param {SetupSteps | undefined} steps 
+ * @param {string} dir 
+ * @param {import('./install-manifest.js').InstallStep} step 
+ * @param {string=} worktree 
+ */
+function setStepDone(steps, dir, step, worktree) {
+    steps?.manifest.setDone(dir, step, steps.inputs[dir][step], worktree);
+}
+
 /**
  * @param {pkgTypes.Setup} setup 
  * @param {types.Strict=} strict
+ * @param {SetupSteps=} steps
  * @returns {types.PromiseOkOrCodeError}
  */
-async function applyPatch(setup, strict = { strict: false }) {
+async function applyPatch(setup, strict = { strict: false }, steps) {
 
     let forceApplyPatch = false;
     // Debug
@@ -190,33 +292,111 @@ async function applyPatch(setup, strict = { strict: false }) {
         const dir = dirs[i];
         assert(dirExists(dir));
 
-        const pkgArg = setup.directories[dir].pkgArg;
+        const pkgDir = setup.directories[dir];
+        const pkgArg = pkgDir.pkgArg;
 
         if (!forceApplyPatch) {
             // Patch only once!
-            if (setup.directories[dir].alreadyCloned) {
+            if (!mustRunStep(steps, dir, 'patch', pkgDir.alreadyCloned === true)) {
+                setStepDone(steps, dir, 'patch');
                 continue;
             }
         }
 
+        /** @type {string=} */
+        let patchedWorktree;
         if (pkgArg.patch === true) {
+            // Re-patch : restore the unpatched commit first
+            if (steps && pkgDir.alreadyCloned && pkgDir.pkgArgCommitInfo) {
+                const out_reset = await resetToCommit(
+                    dir,
+                    pkgDir.pkgArgCommitInfo.hash,
+                    steps.manifest.worktree(dir, 'patch'),
+                    steps.manifest.isForced('patch'),
+                    strict);
+                if (!out_reset.ok) {
+                    return out_reset;
+                }
+            }
             const out = await patchRepo(dir, setup, strict);
             if (!out.ok) {
                 return fail(out.error, strict);
             }
+            if (steps) {
+                // Remember the patched files to tell them apart from local edits
+                const out_worktree = await worktreeHash(dir, strict);
+                if (!out_worktree.ok) {
+                    return out_worktree;
+                }
+                patchedWorktree = out_worktree.result ?? undefined;
+            }
         }
+        setStepDone(steps, dir, 'patch', patchedWorktree);
     }
 
     return { ok: true };
 }
 
+/**
+ * Hash of the uncommitted changes of the tracked files (`git diff HEAD`)
+ * - Returns `null` if there is no uncommitted change.
+ * @param {string} dir 
+ * @param {types.Strict=} options
+ * @returns {types.PromiseResultOrCodeError<string | null>}
+ */
+async function worktreeHash(dir, options) {
+    const out = await git.diff(dir, ['HEAD'], { strict: false });
+    if (!out.ok) {
+        return fail(
+            new CodeError(`'${dir}' git diff failed.`, ERROR_CODES.PKGMGR_ERROR),
+            options);
+    }
+    return { ok: true, result: isNullishOrEmptyString(out.result) ? null : hashInputs(out.result) };
+}
+
+/**
+ * Restores the unpatched commit : `git reset --hard <hash>`
+ * - Fails if the tracked files have uncommitted changes other than the ones
+ *   left by the previous patch (`patchedWorktree`), unless `force` is set
+ *   (`--force-step patch`)
+ * @param {string} dir 
+ * @param {string} hash 
+ * @param {string | undefined} patchedWorktree 
+ * @param {boolean} force 
+ * @param {types.Strict=} options
+ * @returns {types.PromiseOkOrCodeError}
+ */
+async function resetToCommit(dir, hash, patchedWorktree, force, options) {
+    const out_worktree = await worktreeHash(dir, options);
+    if (!out_worktree.ok) {
+        return out_worktree;
+    }
+    const worktree = out_worktree.result;
+    const out = await gitApi.HEADNameAndHash(dir, { strict: false });
+    if (out.ok && out.result.hash === hash && !worktree) {
+        return { ok: true };
+    }
+    if (!force && worktree && worktree !== patchedWorktree) {
+        return fail(
+            new CodeError(`'${dir}' has uncommitted changes, re-applying the patch would discard them (use '--force-step patch' to discard them anyway).`, ERROR_CODES.PKGMGR_ERROR),
+            options);
+    }
+    const out_reset = await git.reset(dir, ['--hard', hash], { strict: false });
+    if (!out_reset.ok) {
+        return fail(
+            new CodeError(`'${dir}' git reset failed.`, ERROR_CODES.PKGMGR_ERROR),
+            options);
+    }
+    return { ok: true };
+}
 
 /**
  * @param {pkgTypes.Setup} setup 
  * @param {types.Strict=} options
+ * @param {SetupSteps=} steps
  * @returns {types.PromiseOkOrCodeError}
  */
-async function npmInstallSetup(setup, options = { strict: false }) {
+async function npmInstallSetup(setup, options = { strict: false }, steps) {
 
     const dirs = Object.keys(setup.directories);
     for (let i = 0; i < dirs.length; ++i) {
@@ -233,6 +413,16 @@ async function npmInstallSetup(setup, options = { strict: false }) {
             ]
         }
 
+        if (steps) {
+            const legacyDone = npmPkgDirs.every(d =>
+                !fileExists(path.join(d, 'package.json')) ||
+                dirExists(path.join(d, 'node_modules')));
+            if (!mustRunStep(steps, dir, 'npm', legacyDone)) {
+                setStepDone(steps, dir, 'npm');
+                continue;
+            }
+        }
+
         for (let j = 0; j < npmPkgDirs.length; ++j) {
             // if 'package.json' file does not exist,
             // we are not dealing with a node pkg
@@ -240,8 +430,8 @@ async function npmInstallSetup(setup, options = { strict: false }) {
                 continue;
             }
 
-            // if 'node_modules' already exists, skip install
-            if (dirExists(path.join(npmPkgDirs[j], 'node_modules'))) {
+            // without manifest, if 'node_modules' already exists, skip install
+            if (!steps && dirExists(path.join(npmPkgDirs[j], 'node_modules'))) {
                 continue;
             }
 
@@ -257,6 +447,7 @@ async function npmInstallSetup(setup, options = { strict: false }) {
                 return out_ins;
             }
         }
+        setStepDone(steps, dir, 'npm');
     }
 
     return { ok: true };
@@ -265,9 +456,10 @@ async function npmInstallSetup(setup, options = { strict: false }) {
 /**
  * @param {pkgTypes.Setup} setup 
  * @param {types.Strict=} options
+ * @param {SetupSteps=} steps
  * @returns {types.PromiseOkOrCodeError}
  */
-async function gradleBuildSetup(setup, options = { strict: false }) {
+async function gradleBuildSetup(setup, options = { strict: false }, steps) {
     //const dirs = Object.keys(setup.directories);
     const dirs = [setup.mainDir];
     for (let i = 0; i < dirs.length; ++i) {
@@ -279,8 +471,9 @@ async function gradleBuildSetup(setup, options = { strict: false }) {
             continue;
         }
 
-        // if 'build' directory already exists, do not re-build
-        if (dirExists(path.join(dir, 'build'))) {
+        // without manifest, if 'build' directory already exists, do not re-build
+        if (!mustRunStep(steps, dir, 'build', dirExists(path.join(dir, 'build')))) {
+            setStepDone(steps, dir, 'build');
             continue;
         }
 
@@ -295,6 +488,7 @@ async function gradleBuildSetup(setup, options = { strict: false }) {
         if (!out_build.ok) {
             return out_build;
         }
+        setStepDone(steps, dir, 'build');
     }
 
     return { ok: true };
@@ -303,9 +497,10 @@ async function gradleBuildSetup(setup, options = { strict: false }) {
 /**
  * @param {pkgTypes.Setup} setup 
  * @param {types.Strict=} options
+ * @param {SetupSteps=} steps
  * @returns {types.PromiseOkOrCodeError}
  */
-async function checkoutSetup(setup, options = { strict: false }) {
+async function checkoutSetup(setup, options = { strict: false }, steps) {
 
     const dirs = Object.keys(setup.directories);
     for (let i = 0; i < dirs.length; ++i) {
@@ -333,6 +528,11 @@ async function checkoutSetup(setup, options = { strict: false }) {
             pkgArgCommitInfo,
             pkgArgCommitInfo?.hash);
 
+        if (!mustRunStep(steps, dir, 'checkout', false)) {
+            pkgDir.gitBranch = privTagName;
+            continue;
+        }
+
         // test if a branch having name == <productName>-vX.Y.Z-<hash>
         // or <productName>-<date>-<hash>
         // already exists
@@ -393,6 +593,7 @@ async function checkoutSetup(setup, options = { strict: false }) {
                         options);
                 }
                 pkgDir.gitBranch = privTagName;
+                setStepDone(steps, dir, 'checkout');
                 continue;
             }
             if (out.result.hash !== pkgArgCommitInfo.hash) {
@@ -412,6 +613,7 @@ async function checkoutSetup(setup, options = { strict: false }) {
             }
             pkgDir.gitBranch = privTagName;
         }
+        setStepDone(steps, dir, 'checkout');
     }
 
     return { ok: true };
@@ -0,0 +1,321 @@
+import * as types from '../common/common-types.js';
+import os from 'os';
+import path from 'path';
+import assert from 'assert';
+import * as git from '../git/git.js';
+import * as npm from '../common/npm.js';
+import { PROD_BIN, PROD_CACHE_MANIFEST_BASENAME } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { cprfDir, dirExists, fileExists, mkDirP, readObjectFromJSONFile, resolveAbsolutePath, rmrfDir, saveToFile } from '../common/fs.js';
+import { isNullishOrEmptyString } from '../common/string.js';
+import { getRemoteOriginUrl, setMirrorsDirectory } from '../git/git-api.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
+import { dockerImageLoad, dockerImageLs, dockerImageSave, dockerNotRunningMessage, dockerPull, isDockerRunning, startDocker } from '../docker/docker-api.js';
+import { deepCopyPackage } from './pkgmgr-deepcopy.js';
+import { resolvePackage } from './pkg.js';
+
+/**
+ * Package cache : a portable bundle used to install the packages on a
+ * machine without network access.
+ * ```
+ * <dir>/ixcdv-cache.json       manifest
+ * <dir>/git/<repoName>.git     bare mirrors (all branches & tags)
+ * <dir>/gradle/                gradle user home (dependencies, wrappers)
+ * <dir>/npm/                   npm cache (package tarballs)
+ * <dir>/docker/<image>.tar     saved docker images
+ * ```
+ * The repositories are cloned into the temporary `<dir>/src/` directory
+ * (never into the workspace), it is removed once the mirrors are created.
+ * All the paths listed in the manifest are relative to `<dir>`.
+ * @typedef {{
+ *      version: number
+ *      createdAt: string
+ *      repositories: { [repoName:string]: { origin: string, mirror: string } }
+ *      gradle?: string
+ *      npm?: string
+ *      images: { name: string, file: string }[]
+ * }} PackageCacheManifest
+ */
+
+const MANIFEST_VERSION = 1;
+const GIT_DIRNAME = 'git';
+const GRADLE_DIRNAME = 'gradle';
+const NPM_DIRNAME = 'npm';
+const DOCKER_DIRNAME = 'docker';
+const SRC_DIRNAME = 'src';
+
+/**
+ * Gradle user home sub-directories copied into the bundle
+ */
+const GRADLE_SUBDIRS = ['caches/modules-2', 'wrapper/dists'];
+
+/**
+ * Gradle init script forcing `--offline` on every build using the bundle
+ */
+const GRADLE_OFFLINE_INIT_SCRIPT = 'gradle.startParameter.offline = true\n';
+
+/**
+ * Creates or updates the package cache located in `dir`.
+ * - Mirrors the repository of each package and each of its dependencies
+ *   (requires network access to the origin repositories). The packages are
+ *   cloned into the cache directory, the workspace is left unchanged.
+ * - Copies the gradle and npm caches of the current user (must be filled
+ *   by a prior successful install)
+ * - Saves the docker images
+ * - Throws an error if failed.
+ * @param {string} dir
+ * @param {{
+ *      packages: types.Package[]
+ *      images: string[]
+ *      runtime?: ContainerRuntime
+ * }} args
+ * @param {((msg: string) => void)=} log
+ * @returns {Promise<PackageCacheManifest>}
+ */
+export async function createPackageCache(dir, { packages, images, runtime }, log) {
+    dir = resolveAbsolutePath(dir);
+    mkDirP(dir, { strict: true });
+
+    /** @type {PackageCacheManifest} */
+    const manifest = {
+        version: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        repositories: {},
+        images: []
+    };
+
+    // 1- git mirrors
+    const gitDir = path.join(dir, GIT_DIRNAME);
+    mkDirP(gitDir, { strict: true });
+
+    const srcDir = path.join(dir, SRC_DIRNAME);
+
+    /** @type {Set<string>} */
+    const resolved = new Set();
+    for (let i = 0; i < packages.length; ++i) {
+        const pkg = packages[i];
+        const key = `${pkg.gitHubRepoName}@${pkg.commitish?.toString()}@${pkg.directory}`;
+        if (resolved.has(key)) {
+            continue;
+        }
+        resolved.add(key);
+
+        // Clones the package and its dependencies into the cache directory
+        const pkgCopy = deepCopyPackage(pkg);
+        assert(typeof pkgCopy !== 'string');
+        relocatePackage(pkgCopy, srcDir);
+        const setup = await resolvePackage(pkgCopy);
+
+        const dirs = Object.keys(setup.directories);
+        for (let j = 0; j < dirs.length; ++j) {
+            const pkgArg = setup.directories[dirs[j]].pkgArg;
+            const repoName = pkgArg.gitHubRepoName;
+            if (!repoName || manifest.repositories[repoName]) {
+                continue;
+            }
+            // 'clone: never' packages may not exist
+            if (!dirExists(dirs[j])) {
+                continue;
+            }
+            const out = await getRemoteOriginUrl(dirs[j]);
+            const origin = (out.ok) ? out.result.raw.toString() : pkgArg.cloneRepo;
+            if (isNullishOrEmptyString(origin)) {
+                throw new CodeError(`Unable to determine the origin repository of '${dirs[j]}'`);
+            }
+            assert(origin);
+
+            const mirror = path.join(GIT_DIRNAME, repoName + '.git');
+            log?.(`git mirror : ${repoName} (${origin})`);
+            await mirrorRepository(origin, path.join(dir, mirror));
+            manifest.repositories[repoName] = { origin, mirror };
+        }
+    }
+    if (dirExists(srcDir)) {
+        await rmrfDir(srcDir, { strict: true });
+    }
+
+    // 2- gradle caches
+    const gradleUserHome = process.env.GRADLE_USER_HOME ?? path.join(os.homedir(), '.gradle');
+    for (let i = 0; i < GRADLE_SUBDIRS.length; ++i) {
+        const src = path.join(gradleUserHome, GRADLE_SUBDIRS[i]);
+        if (!dirExists(src)) {
+            continue;
+        }
+        log?.(`gradle : ${src}`);
+        await copyDir(src, path.join(dir, GRADLE_DIRNAME, GRADLE_SUBDIRS[i]));
+        manifest.gradle = GRADLE_DIRNAME;
+    }
+    if (manifest.gradle) {
+        mkDirP(path.join(dir, GRADLE_DIRNAME, 'init.d'), { strict: true });
+        await saveToFile(
+            GRADLE_OFFLINE_INIT_SCRIPT,
+            path.join(dir, GRADLE_DIRNAME, 'init.d'),
+            'offline.gradle',
+            { strict: true });
+    }
+
+    // 3- npm cache
+    const out_npm = await npm.config(process.cwd(), ['get', 'cache'], { strict: false });
+    const npmCache = (out_npm.ok && !isNullishOrEmptyString(out_npm.result?.trim())) ?
+        out_npm.result.trim() :
+        path.join(os.homedir(), '.npm');
+    const cacache = path.join(npmCache, '_cacache');
+    if (dirExists(cacache)) {
+        log?.(`npm : ${cacache}`);
+        await copyDir(cacache, path.join(dir, NPM_DIRNAME, '_cacache'));
+        manifest.npm = NPM_DIRNAME;
+    }
+
+    // 4- docker images
+    if (images.length > 0) {
+        runtime ??= ContainerRuntime.default();
+        if (!await isDockerRunning(runtime)) {
+            throw new CodeError(dockerNotRunningMessage(runtime));
+        }
+        mkDirP(path.join(dir, DOCKER_DIRNAME), { strict: true });
+        for (let i = 0; i < images.length; ++i) {
+            const name = images[i];
+            if (isNullishOrEmptyString(await dockerImageLs(name, runtime))) {
+                log?.(`${runtime.bin} pull ${name}`);
+                if (!await dockerPull(name, runtime)) {
+                    throw new CodeError(`${runtime.bin} pull ${name} failed.`);
+                }
+            }
+            const file = path.join(DOCKER_DIRNAME, name.replace(/[^A-Za-z0-9._-]/g, '_') + '.tar');
+            log?.(`${runtime.bin} image save ${name}`);
+            if (!await dockerImageSave(name, path.join(dir, file), runtime)) {
+                throw new CodeError(`${runtime.bin} image save ${name} failed.`);
+            }
+            manifest.images.push({ name, file });
+        }
+    }
+
+    await saveToFile(
+        JSON.stringify(manifest, null, 2),
+        dir,
+        PROD_CACHE_MANIFEST_BASENAME,
+        { strict: true });
+
+    return manifest;
+}
+
+/**
+ * Throws an error if `dir` is not a valid package cache.
+ * @param {string} dir
+ * @returns {Promise<PackageCacheManifest>}
+ */
+export async function readPackageCacheManifest(dir) {
+    const file = path.join(dir, PROD_CACHE_MANIFEST_BASENAME);
+    if (!fileExists(file)) {
+        throw new CodeError(`'${dir}' is not a package cache, missing file '${PROD_CACHE_MANIFEST_BASENAME}' (type '${PROD_BIN} cache create <dir>' to create one)`);
+    }
+    const manifest = await readObjectFromJSONFile(file, { strict: true });
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new CodeError(`Unsupported package cache version ${manifest.version} (file=${file})`);
+    }
+    return manifest;
+}
+
+/**
+ * Resolves all the subsequent package installs from the package cache
+ * located in `dir` :
+ * - git clones and remote queries use the local `file://` mirrors
+ * - gradle runs offline using the cached dependencies
+ * - npm runs offline using the cached tarballs
+ * - Throws an error if failed.
+ * @param {string} dir
+ */
+export async function enablePackageCache(dir) {
+    dir = resolveAbsolutePath(dir);
+    const manifest = await readPackageCacheManifest(dir);
+
+    setMirrorsDirectory(path.join(dir, GIT_DIRNAME));
+
+    // Inherited by all the child processes (see 'mergeProcessEnv')
+    if (manifest.gradle) {
+        process.env.GRADLE_USER_HOME = path.join(dir, manifest.gradle);
+    }
+    if (manifest.npm) {
+        process.env.npm_config_cache = path.join(dir, manifest.npm);
+        process.env.npm_config_offline = 'true';
+    }
+
+    return manifest;
+}
+
+/**
+ * Loads the docker images saved in the package cache located in `dir`
+ * - Throws an error if failed.
+ * @param {string} dir
+ * @param {PackageCacheManifest} manifest
+ * @param {ContainerRuntime=} runtime
+ * @param {((msg: string) => void)=} log
+ */
+export async function loadPackageCacheImages(dir, manifest, runtime, log) {
+    if (manifest.images.length === 0) {
+        return;
+    }
+    runtime ??= ContainerRuntime.default();
+    if (!await isDockerRunning(runtime)) {
+        if (!await startDocker(undefined, runtime)) {
+            throw new CodeError(dockerNotRunningMessage(runtime));
+        }
+    }
+    for (let i = 0; i < manifest.images.length; ++i) {
+        const { name, file } = manifest.images[i];
+        if (!isNullishOrEmptyString(await dockerImageLs(name, runtime))) {
+            continue;
+        }
+        log?.(`${runtime.bin} image load ${name}`);
+        if (!await dockerImageLoad(path.join(dir, file), runtime)) {
+            throw new CodeError(`${runtime.bin} image load failed (file=${path.join(dir, file)})`);
+        }
+    }
+}
+
+/**
+ * - `git clone --mirror <src> <mirrorDir>` if the mirror does not exist
+ * - `git remote update --prune` otherwise
+ * @param {string} src
+ * @param {string} mirrorDir
+ */
+async function mirrorRepository(src, mirrorDir) {
+    if (dirExists(mirrorDir)) {
+        await git.remote(mirrorDir, ['update', '--prune'], { strict: true });
+        return;
+    }
+    await git.clone(path.dirname(mirrorDir), ['--mirror', src, mirrorDir], { strict: true });
+}
+
+/**
+ * Moves the directory of `pkg` and of its explicit dependencies into
+ * `srcDir` (`<srcDir>/<version>/<repoName>`). Packages which are never
+ * cloned are left as is.
+ * @param {types.Package} pkg
+ * @param {string} srcDir
+ */
+function relocatePackage(pkg, srcDir) {
+    if (pkg.clone === 'never') {
+        return;
+    }
+    pkg.directory = path.join(srcDir, path.basename(path.dirname(pkg.directory)), path.basename(pkg.directory));
+    Object.values(pkg.dependencies ?? {}).forEach(dep => {
+        if (typeof dep !== 'string') {
+            relocatePackage(dep, srcDir);
+        }
+    });
+}
+
+/**
+ * @param {string} src
+ * @param {string} dst
+ */
+async function copyDir(src, dst) {
+    if (dirExists(dst)) {
+        await rmrfDir(dst, { strict: true });
+    }
+    mkDirP(path.dirname(dst), { strict: true });
+    if (!await cprfDir(src, dst)) {
+        throw new CodeError(`Unable to copy directory '${src}' to '${dst}'`);
+    }
+}
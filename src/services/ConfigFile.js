@@ -13,7 +13,7 @@ import { newInventory } from './Inventory.js';
 import { DockerService } from './DockerService.js';
 import { MongoService } from './MongoService.js';
 import { RedisService } from './RedisService.js';
-import { fileExists, readObjectFromJSONFile, resolveAbsolutePath, toAbsolutePathWithPlaceholders, toRelativePath } from '../common/fs.js';
+import { fileExists, resolveAbsolutePath, toAbsolutePathWithPlaceholders, toRelativePath } from '../common/fs.js';
 import { CodeError } from '../common/error.js';
 import { isNullishOrEmptyString, stringToHostnamePort } from '../common/string.js';
 import { createRandomMnemonic, ethersIsValidMnemonic } from '../common/ethers.js';
@@ -22,6 +22,9 @@ import { GanachePoCoService } from '../poco/GanachePoCoService.js';
 import { throwIfNotStrictlyPositiveInteger } from '../common/number.js';
 import { PROD_CONFIG_BASENAME } from '../common/consts.js';
 import { deepCopyPackage } from '../pkgmgr/pkgmgr-deepcopy.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
+import { throwIfInvalidConfig } from './config-schema.js';
+import { layersToString, readLayeredConfigFile } from './config-layers.js';
 
 /**
  * @param {string} propertyName 
@@ -123,14 +126,21 @@ export class ConfigFile {
             throw new CodeError(`Config file '${configFile}' does not exist`);
         }
 
-        const configJson = await readObjectFromJSONFile(configFile, { strict: true });
+        // base file + profile + local file + env vars
+        const { configJson, layers } = await readLayeredConfigFile(dir);
+        return ConfigFile.loadJSON(configJson, dir, layersToString(layers));
+    }
+
+    /**
+     * Validates then loads a config json object (`configJson` is modified).
+     * @param {any} configJson 
+     * @param {string} dir 
+     * @param {string=} configFile used in error messages
+     */
+    static async loadJSON(configJson, dir, configFile) {
+        // Reports all the config errors at once
+        throwIfInvalidConfig(configJson, configFile);
 
-        if (!configJson.chains || typeof configJson.chains !== 'object') {
-            throw new CodeError(errorMissingProperty('chains', configFile));
-        }
-        if (!configJson.shared || typeof configJson.shared !== 'object') {
-            throw new CodeError(errorMissingProperty('shared', configFile));
-        }
         if (isNullishOrEmptyString(configJson.default)) {
             const chainNames = Object.keys(configJson.chains);
             configJson.default = chainNames[0];
@@ -194,6 +204,7 @@ export class ConfigFile {
      *              resultproxy?: srvTypes.ResultProxyConfig,
      *              blockchainadapter?: srvTypes.BlockchainAdapterConfig,
      *              core?: srvTypes.CoreConfig,
+     *              worker?: { repository?: string | types.Package, count?: number }
      *          }
      *      }
      * }} configJson
@@ -225,6 +236,10 @@ export class ConfigFile {
                     assert(k === 'hub');
                     return;
                 }
+                // 'worker' has no port property
+                if (!('port' in v)) {
+                    return;
+                }
                 const p = v.port;
                 const h = v.hostname ?? 'localhost';
                 if (p) {
@@ -350,6 +365,8 @@ export class ConfigFile {
             const workersConf = {
                 type: 'worker', // needed by #fillRepository
                 hub,
+                repository: chain.worker?.repository,
+                count: chain.worker?.count,
                 directory: computeChainRunDir(theDir, chainName, 'worker'),
                 portRange: { from: firstWorker, to: firstWorker + nWorkers - 1, size: PORT_RANGE.workers.size }
             };
@@ -380,7 +397,11 @@ export class ConfigFile {
                 // Generates a minimal config (only port)
                 smsConf = this.#genSmsConf(__allLocalhostPorts);
             } else {
-                smsConf = await fromServiceType['sms'].deepCopyConfig(chain.sms, false /* keep unresolved */);
+                smsConf = await fromServiceType['sms'].deepCopyConfig({ ...chain.sms, type: 'sms' }, false /* keep unresolved */);
+                if (!smsConf.port) {
+                    // Partial config (ex: repository only), generates the missing port
+                    smsConf.port = this.#genSmsConf(__allLocalhostPorts).port;
+                }
             }
             if (!smsConf.port) {
                 throw new CodeError(errorMissingProperty(`chains.${chainName}.sms.port`, dir));
@@ -402,7 +423,11 @@ export class ConfigFile {
             if (!chain.resultproxy) {
                 resultproxyConf = this.#genResultProxyConf(__allLocalhostPorts);
             } else {
-                resultproxyConf = await fromServiceType['resultproxy'].deepCopyConfig(chain.resultproxy, false /* keep unresolved */);
+                resultproxyConf = await fromServiceType['resultproxy'].deepCopyConfig({ ...chain.resultproxy, type: 'resultproxy' }, false /* keep unresolved */);
+                if (!resultproxyConf.port) {
+                    // Partial config (ex: repository only), generates the missing port
+                    resultproxyConf.port = this.#genResultProxyConf(__allLocalhostPorts).port;
+                }
             }
             if (!resultproxyConf.port) {
                 throw new CodeError(errorMissingProperty(`chains.${chainName}.resultproxy.port`, dir));
@@ -434,7 +459,11 @@ export class ConfigFile {
             if (!chain.blockchainadapter) {
                 blockchainadapterConf = this.#genBlockchainAdapterConf(__allLocalhostPorts);
             } else {
-                blockchainadapterConf = await fromServiceType['blockchainadapter'].deepCopyConfig(chain.blockchainadapter, false /* keep unresolved */);
+                blockchainadapterConf = await fromServiceType['blockchainadapter'].deepCopyConfig({ ...chain.blockchainadapter, type: 'blockchainadapter' }, false /* keep unresolved */);
+                if (!blockchainadapterConf.port) {
+                    // Partial config (ex: repository only), generates the missing port
+                    blockchainadapterConf.port = this.#genBlockchainAdapterConf(__allLocalhostPorts).port;
+                }
             }
             if (!blockchainadapterConf.port) {
                 throw new CodeError(errorMissingProperty(`chains.${chainName}.blockchainadapter.port`, dir));
@@ -471,7 +500,11 @@ export class ConfigFile {
             if (!chain.core) {
                 coreConf = this.#genCoreConf(__allLocalhostPorts);
             } else {
-                coreConf = await fromServiceType['core'].deepCopyConfig(chain.core, false /* keep unresolved */);
+                coreConf = await fromServiceType['core'].deepCopyConfig({ ...chain.core, type: 'core' }, false /* keep unresolved */);
+                if (!coreConf.port) {
+                    // Partial config (ex: repository only), generates the missing port
+                    coreConf.port = this.#genCoreConf(__allLocalhostPorts).port;
+                }
             }
             if (!coreConf.port) {
                 throw new CodeError(errorMissingProperty(`chains.${chainName}.core.port`, dir));
@@ -747,6 +780,11 @@ export class ConfigFile {
     static #fillDockerConf(allLocalhostPorts, { name, config }, dir) {
         config.type = 'docker';
 
+        // throws an exception if runtime or socket is invalid
+        if (config.runtime !== undefined || config.socket !== undefined) {
+            new ContainerRuntime(config);
+        }
+
         this.#addPort(allLocalhostPorts, config);
     }
 
@@ -1225,7 +1263,7 @@ export async function inventoryToConfigFile(inventory, dir) {
 
     const ipfsConf = inventory.getIpfsConfig();
     assert(ipfsConf);
-    conf.shared.ifps = await IpfsService.deepCopyConfig(ipfsConf.unsolved, false /* keep unsolved */, dir);
+    conf.shared.ipfs = await IpfsService.deepCopyConfig(ipfsConf.unsolved, false /* keep unsolved */, dir);
 
     const dockerConf = inventory.getDockerConfig();
     assert(dockerConf);
@@ -1320,6 +1358,13 @@ export async function inventoryToConfigFile(inventory, dir) {
                         dir);
             }
         }
+        // Workers repository is shared by all the chains
+        const workersRepository = inventory.getWorkersRepository();
+        const workersCount = inventory.getWorkersCount(hub);
+        conf.chains[chain.name].worker = {
+            repository: deepCopyPackage(workersRepository.unsolved, dir),
+            ... (workersCount !== undefined && { count: workersCount })
+        };
     }
 
     const iexecsdkIConf = inventory.getIExecSdkConfig();
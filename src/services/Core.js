@@ -21,6 +21,7 @@ import { throwIfNotPositiveInteger, throwIfNotStrictlyPositiveInteger } from '..
 import { GanachePoCoService } from '../poco/GanachePoCoService.js';
 import { toChecksumAddress } from '../common/ethers.js';
 import { envVarName } from '../common/consts.js';
+import { httpGET } from '../common/http.js';
 
 /**
  * @typedef {import('./spring-serverservice.js').SpringMongoServerServiceConstructorArgs & 
@@ -213,6 +214,23 @@ export class CoreService extends SpringMongoServerService {
         }
     }
 
+    /**
+     * Queries the core `/metrics` endpoint.
+     * - `aliveWorkers` : number of workers currently connected to the core
+     * @returns {Promise<{ aliveWorkers: number, [key:string]: any }>}
+     */
+    async getMetrics() {
+        try {
+            const response = await httpGET(new URL('/metrics', this.url));
+            const metrics = JSON.parse(response);
+            if (metrics && typeof metrics === 'object') {
+                return metrics;
+            }
+        } catch (err) { }
+
+        throw new CodeError('Core metrics query failed', ERROR_CODES.CORE_ERROR);
+    }
+
     /**
      * @override
      * @param {{[envName:string] : string}} extras
@@ -71,6 +71,16 @@ export class Dependencies {
 
     get size() { return this.#size }
 
+    /**
+     * @param {string} name 
+     */
+    has(name) {
+        if (this.#workerConfigs.has(name)) {
+            return true;
+        }
+        return this.#typeIndexToNameConfigs.some(confs => !!confs?.has(name));
+    }
+
     /**
      * @param {string} name 
      * @param {srvTypes.ServiceType} type 
@@ -584,6 +594,20 @@ export class Dependencies {
         return dependencies;
     }
 
+    /**
+     * Only the listed configs, without their own dependencies.
+     * @param {string[]} names 
+     * @param {InventoryDB} inventory 
+     */
+    static fromNames(names, inventory) {
+        const dependencies = new Dependencies();
+        for (let i = 0; i < names.length; ++i) {
+            const ic = inventory.getConfig(names[i]);
+            dependencies.#addServiceName(names[i], ic.type, inventory);
+        }
+        return dependencies;
+    }
+
     /**
      * @param {string} name 
      * @param {InventoryDB} inventory 
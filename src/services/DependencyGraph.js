@@ -0,0 +1,172 @@
+import * as srvTypes from './services-types-internal.js';
+import assert from 'assert';
+import { ORDERED_SERVICE_TYPES, SERVICE_TYPE_INDICES } from './base-internal.js';
+import { InventoryDB } from './InventoryDB.js';
+import { CodeError } from '../common/error.js';
+
+/**
+ * @typedef {{
+ *      name: string
+ *      type: srvTypes.ServiceType
+ *      hubAlias?: string
+ *      workerIndex?: number
+ * }} GraphNode
+ */
+
+/**
+ * Start order graph of the inventory services. Computed from the
+ * `Dependencies` of each config (a transitive closure) : a node only points
+ * to its direct dependencies, indirect ones are removed.
+ */
+export class DependencyGraph {
+
+    /** @type {Map<string, GraphNode>} */
+    #nodes = new Map();
+
+    /** @type {Map<string, Set<string>>} */
+    #closures = new Map();
+
+    /** @type {Map<string, string[]>} */
+    #edges = new Map();
+
+    /** @type {Map<string, number>} */
+    #depths = new Map();
+
+    /**
+     * @param {InventoryDB} inventoryDB
+     * @param {{ withWorkers?: boolean }=} options
+     */
+    static fromInventory(inventoryDB, options) {
+        const g = new DependencyGraph();
+        for (let i = 0; i < ORDERED_SERVICE_TYPES.length; ++i) {
+            const type = ORDERED_SERVICE_TYPES[i];
+            if (type === 'worker') {
+                continue;
+            }
+            const names = inventoryDB.getConfigNamesFromType(type);
+            if (!names) {
+                continue;
+            }
+            for (let j = 0; j < names.length; ++j) {
+                const name = names[j];
+                const deps = inventoryDB.dependencies(name).toArray().map(o => o.name);
+                g.#addNode({ name, type }, deps);
+            }
+        }
+        if (options?.withWorkers === true) {
+            const workers = inventoryDB.knownWorkers();
+            for (let i = 0; i < workers.length; ++i) {
+                const w = workers[i];
+                const deps = inventoryDB.workerDependencies(w.hubAlias, w.index).toArray().map(o => o.name);
+                g.#addNode({ name: w.name, type: 'worker', hubAlias: w.hubAlias, workerIndex: w.index }, deps);
+            }
+        }
+        g.#computeEdges();
+        return g;
+    }
+
+    /**
+     * @param {GraphNode} node
+     * @param {string[]} closure
+     */
+    #addNode(node, closure) {
+        this.#nodes.set(node.name, node);
+        this.#closures.set(node.name, new Set(closure.filter(n => n !== node.name)));
+    }
+
+    #computeEdges() {
+        this.#nodes.forEach((node, name) => {
+            const closure = /** @type {Set<string>} */(this.#closures.get(name));
+            const deps = [...closure].filter(n => this.#nodes.has(n));
+            // drop 'dep' if it is already reachable through another dependency
+            const direct = deps.filter(dep =>
+                !deps.some(other => other !== dep && !!this.#closures.get(other)?.has(dep)));
+            this.#edges.set(name, direct);
+        });
+        this.#nodes.forEach((node, name) => this.#depth(name, []));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string[]} visiting
+     * @returns {number}
+     */
+    #depth(name, visiting) {
+        const d = this.#depths.get(name);
+        if (d !== undefined) {
+            return d;
+        }
+        if (visiting.includes(name)) {
+            throw new CodeError(`Circular service dependency : ${[...visiting, name].join(' -> ')}`);
+        }
+        const deps = this.#edges.get(name) ?? [];
+        let depth = 0;
+        for (let i = 0; i < deps.length; ++i) {
+            depth = Math.max(depth, this.#depth(deps[i], [...visiting, name]) + 1);
+        }
+        this.#depths.set(name, depth);
+        return depth;
+    }
+
+    /**
+     * Nodes sorted by depth (start order), then by service type.
+     * @returns {GraphNode[]}
+     */
+    get nodes() {
+        return [...this.#nodes.values()].sort((a, b) =>
+            (this.depth(a.name) - this.depth(b.name)) ||
+            (SERVICE_TYPE_INDICES[a.type] - SERVICE_TYPE_INDICES[b.type]));
+    }
+
+    get maxDepth() {
+        return Math.max(-1, ...this.#depths.values());
+    }
+
+    /**
+     * @param {string} name
+     */
+    has(name) {
+        return this.#nodes.has(name);
+    }
+
+    /**
+     * @param {string} name
+     */
+    node(name) {
+        const n = this.#nodes.get(name);
+        if (!n) {
+            throw new CodeError(`Unknown service '${name}'`);
+        }
+        return n;
+    }
+
+    /**
+     * Services that must be started first, 0 means no dependency.
+     * @param {string} name
+     */
+    depth(name) {
+        const d = this.#depths.get(name);
+        assert(d !== undefined);
+        return d;
+    }
+
+    /**
+     * Direct dependencies of `name`.
+     * @param {string} name
+     */
+    dependencies(name) {
+        this.node(name);
+        return [...(this.#edges.get(name) ?? [])];
+    }
+
+    /**
+     * Services depending directly or indirectly on `name`.
+     * @param {string} name
+     */
+    dependents(name) {
+        this.node(name);
+        return this.nodes
+            .filter(n => this.#closures.get(n.name)?.has(name))
+            .map(n => n.name);
+    }
+}
@@ -3,7 +3,8 @@ import { CodeError } from '../common/error.js';
 import { AbstractService } from '../common/service.js';
 import * as types from '../common/common-types.js';
 import * as srvTypes from './services-types-internal.js';
-import { dockerPrivateLocalRegistryStart, isDockerDesktopRunning, isDockerPrivateLocalRegistryRunning, startDockerDesktop } from '../docker/docker-api.js';
+import { dockerNotRunningMessage, dockerPrivateLocalRegistryStart, isDockerRunning, isDockerPrivateLocalRegistryRunning, startDocker } from '../docker/docker-api.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
 import { throwIfNotStrictlyPositiveInteger } from '../common/number.js';
 import { isNullishOrEmptyString } from '../common/string.js';
 
@@ -22,6 +23,8 @@ export class DockerService extends AbstractService {
     #hostname;
     /** @type {number} */
     #port;
+    /** @type {ContainerRuntime} */
+    #runtime;
 
     /**
      * @param {*=} args 
@@ -36,9 +39,11 @@ export class DockerService extends AbstractService {
 
         this.#port = args.port;
         this.#hostname = hostname;
+        this.#runtime = ContainerRuntime.fromConfig(args);
     }
 
     get port() { return this.#port; }
+    get runtime() { return this.#runtime; }
 
     /** 
      * @param {srvTypes.DockerConfig} config 
@@ -94,8 +99,8 @@ export class DockerService extends AbstractService {
         const mySelf = this;
         const typename = this.typename();
 
-        if (! await isDockerDesktopRunning()) {
-            if (! await startDockerDesktop({
+        if (! await isDockerRunning(this.#runtime)) {
+            if (! await startDocker({
                 ...options,
                 ... (options?.progressCb && {
                     progressCb: (args) => {
@@ -110,8 +115,8 @@ export class DockerService extends AbstractService {
                         });
                     }
                 })
-            })) {
-                return { ok: false, error: new CodeError('Unable to start Docker Desktop for MacOS.') };
+            }, this.#runtime)) {
+                return { ok: false, error: new CodeError(dockerNotRunningMessage(this.#runtime)) };
             }
         }
 
@@ -134,7 +139,7 @@ export class DockerService extends AbstractService {
                         });
                     }
                 })
-            })) {
+            }, this.#runtime)) {
                 return { ok: false, error: new CodeError('Unable to start docker registry.') };
             }
             if (! await isDockerPrivateLocalRegistryRunning(dockerRegistryUrl)) {
@@ -5,7 +5,7 @@ import assert from 'assert';
 import { Inventory } from "./Inventory.js";
 import { SmsService } from './Sms.js';
 import { ResultProxyService } from './ResultProxy.js';
-import { Wallet } from 'ethers';
+import { BigNumber, Wallet } from 'ethers';
 import { DevContractRef, PoCoContractRef, PoCoHubRef } from '../common/contractref.js';
 import { CodeError } from '../common/error.js';
 import { SharedJsonRpcProviders } from '../common/shared-json-rpc-providers.js';
@@ -15,6 +15,12 @@ import { sleep } from '../common/utils.js';
 import { Hub } from '../contracts/Hub.js';
 import { HubBase } from '../contracts/HubBase.js';
 import { Deal } from '../contracts/Deal.js';
+import { Order } from '../contracts/Order.js';
+import { Task } from '../contracts/Task.js';
+import { IpfsService } from '../ipfs/IpfsService.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
+import { mkDirP } from '../common/fs.js';
+import { downloadAndUnzipZipFile } from '../common/zip.js';
 
 /** 
     @typedef {{ 
@@ -22,6 +28,10 @@ import { Deal } from '../contracts/Deal.js';
         trust?: number,
         args?: string,
         inputFiles?: string[],
+        volume?: number,
+        appPrice?: string | number | types.uint256,
+        datasetPrice?: string | number | types.uint256,
+        workerpoolPrice?: string | number | types.uint256,
         requesterWallet?: Wallet,
         appWallet?: Wallet,
         appDir: string,
@@ -33,33 +43,68 @@ import { Deal } from '../contracts/Deal.js';
         datasetOrderSalt?: string,
         workerpoolWallet?: Wallet,
         workerpoolAddress?: string,
+        workers?: number,
      }} RunArgs
 */
 
+/** 
+    @typedef {{ 
+        name: string
+        address: types.checksumaddress
+        stake: BigNumber
+        locked: BigNumber
+     }} AccountSnapshot
+*/
+
+/** 
+    @typedef {{ 
+        name: string
+        address: types.checksumaddress
+        stake: BigNumber
+        locked: BigNumber
+        stakeDelta: BigNumber
+        lockedDelta: BigNumber
+     }} SettlementEntry
+*/
+
+/** 
+    @typedef {{ 
+        hubAlias: string
+        hubRef: PoCoHubRef
+        hubContract: HubBase
+        providerOpts: { ensAddress: string, networkName: string }
+        requesterWallet: Wallet
+        appWallet: Wallet
+        datasetWallet: Wallet
+        workerpoolWallet: Wallet
+        workerpoolAddress: string
+        dockerUrl: string
+        containerRuntime: ContainerRuntime
+        ipfs: IpfsService
+        sms: SmsService
+        resultproxy: ResultProxyService
+     }} RunEnv
+*/
+
 /**
+ * Resolves all the objects (hub contract, wallets, services) required to 
+ * deploy assets and match orders on a given hub.
  * @param {Inventory} inventory 
- * @param {RunArgs} args
+ * @param {{
+ *      hub: string | PoCoHubRef | types.PoCoHubRefLike
+ *      requesterWallet?: Wallet
+ *      appWallet?: Wallet
+ *      datasetWallet?: Wallet
+ *      workerpoolWallet?: Wallet
+ *      workerpoolAddress?: string
+ * }} args
+ * @returns {Promise<RunEnv>}
  */
-export async function runIexecApp(inventory, args) {
-    const salt1 = "0x0000000000000000000000000000000000000000000000000000000000000001";
-
+export async function newRunEnv(inventory, args) {
     const hubAlias = DevContractRef.toHubAlias(args.hub);
     const { chainid, deployConfigName } = DevContractRef.fromHubAlias(hubAlias);
     assert(deployConfigName);
 
-    const requestTrust = args.trust ?? 1;
-
-    const workerpoolTrust = args.trust ?? 1;
-
-    const appDir = args.appDir;
-    const appName = args.appName;
-    const appRebuildImage = true;
-    const appSalt = args.appOrderSalt ?? salt1;
-
-    const datasetFile = args.datasetFile;
-    const datasetSalt = (args.datasetFile) ? (args.datasetOrderSalt ?? salt1) : null;
-    const datasetName = args.datasetName;
-
     // Retrieve the ganache service
     const g = await inventory._inv.newGanacheInstanceFromHubAlias(hubAlias);
     if (!g) {
@@ -89,12 +134,9 @@ export async function runIexecApp(inventory, args) {
         args.appWallet ??
         g.newWalletAtIndex(inventory.getDefaultWalletIndex('app'), providerOpts);
 
-    let datasetWallet = null;
-    if (datasetFile) {
-        datasetWallet =
-            args.datasetWallet ??
-            g.newWalletAtIndex(inventory.getDefaultWalletIndex('dataset'), providerOpts);
-    }
+    const datasetWallet =
+        args.datasetWallet ??
+        g.newWalletAtIndex(inventory.getDefaultWalletIndex('dataset'), providerOpts);
 
     let workerpoolWallet = args.workerpoolWallet;
     let workerpoolAddress = args.workerpoolAddress;
@@ -122,6 +164,7 @@ export async function runIexecApp(inventory, args) {
     }
 
     const dockerUrl = inventory.getDockerUrl();
+    const containerRuntime = inventory.getContainerRuntime();
 
     const ipfs = await inventory._inv.newIpfsInstance();
     if (!ipfs || !ipfs.ipfsDir) {
@@ -140,121 +183,340 @@ export async function runIexecApp(inventory, args) {
     }
     assert(resultproxy instanceof ResultProxyService);
 
-    const ok = await sms.checkIpfsSecret(requesterWallet.address);
+    const hubContract = Hub.sharedReadOnly(hubRef, g.contractsMinDir, providerOpts);
+
+    return {
+        hubAlias,
+        hubRef,
+        hubContract,
+        providerOpts,
+        requesterWallet,
+        appWallet,
+        datasetWallet,
+        workerpoolWallet,
+        workerpoolAddress,
+        dockerUrl,
+        containerRuntime,
+        ipfs,
+        sms,
+        resultproxy
+    };
+}
+
+/**
+ * Returns the default wallet used to sign (or cancel) an order of the 
+ * given type.
+ * @param {RunEnv} env 
+ * @param {'app' | 'dataset' | 'workerpool' | 'request'} typename 
+ */
+export function defaultOrderSigner(env, typename) {
+    switch (typename) {
+        case 'app': return env.appWallet;
+        case 'dataset': return env.datasetWallet;
+        case 'workerpool': return env.workerpoolWallet;
+        default: return env.requesterWallet;
+    }
+}
+
+/**
+ * Pushes the requester's result proxy token into the Sms (if needed).
+ * @param {RunEnv} env 
+ */
+export async function pushRequesterIpfsSecret(env) {
+    const ok = await env.sms.checkIpfsSecret(env.requesterWallet.address);
     if (!ok) {
-        const secret = await resultproxy.login(requesterWallet);
-        const { isPushed, isUpdated } = await sms.pushIpfsSecret(requesterWallet, secret, false);
+        const secret = await env.resultproxy.login(env.requesterWallet);
+        const { isPushed, isUpdated } = await env.sms.pushIpfsSecret(env.requesterWallet, secret, false);
         assert(isPushed);
     }
+}
 
-    const hubContract = Hub.sharedReadOnly(hubRef, g.contractsMinDir, providerOpts);
-
-    const appRegistry = await hubContract.appRegistry();
+/**
+ * Builds & publishes the app docker image, then registers the app 
+ * in the hub's app registry (using the app wallet).
+ * @param {RunEnv} env 
+ * @param {{
+ *      appDir: string
+ *      appName: string
+ *      rebuildDockerImage?: boolean
+ * }} args 
+ */
+export async function deployApp(env, { appDir, appName, rebuildDockerImage }) {
+    const appRegistry = await env.hubContract.appRegistry();
     const newApp = await appRegistry.newEntryFromDockerfile(
         {
             dockerFileLocation: appDir,
             dockerRepository: appName,
             dockerTag: '1.0.0',
-            dockerUrl,
-            rebuildDockerImage: appRebuildImage
+            dockerUrl: env.dockerUrl,
+            rebuildDockerImage: rebuildDockerImage ?? true,
+            containerRuntime: env.containerRuntime
         },
-        appWallet);
+        env.appWallet);
 
     if (!newApp) {
         throw new CodeError(`Failed to add app to hub's app registry. (${appDir})`);
     }
+    return newApp;
+}
+
+/**
+ * Adds the dataset file to the ipfs node, then registers the dataset 
+ * in the hub's dataset registry (using the dataset wallet).
+ * @param {RunEnv} env 
+ * @param {{
+ *      datasetFile: string
+ *      datasetName?: string
+ * }} args 
+ */
+export async function deployDataset(env, { datasetFile, datasetName }) {
+    const datasetRegistry = await env.hubContract.datasetRegistry();
+    const newDataset = await datasetRegistry.newEntryFromFile(
+        {
+            name: datasetName,
+            file: datasetFile,
+            ipfs: env.ipfs
+        },
+        env.datasetWallet);
+
+    if (!newDataset) {
+        throw new CodeError(`Failed to add dataset to hub's dataset registry. (${datasetFile})`);
+    }
+    return newDataset;
+}
+
+/**
+ * Computes the default request params (ipfs result storage using the 
+ * hub's result proxy)
+ * @param {RunEnv} env 
+ * @param {{
+ *      args?: string
+ *      inputFiles?: string[]
+ * }} args 
+ */
+export function newRequestParams(env, { args, inputFiles }) {
+    /** @type {cTypes.RequestParams} */
+    const params = {
+        //"iexec_args": "",
+        //"iexec_input_files": "",
+        "iexec_result_storage_provider": "ipfs",
+        "iexec_result_storage_proxy": env.resultproxy.urlString
+    };
+
+    if (!isNullishOrEmptyString(args)) {
+        assert(args);
+        params.iexec_args = args;
+    }
+    if (inputFiles &&
+        Array.isArray(inputFiles) &&
+        inputFiles.length > 0) {
+        params.iexec_input_files = [...inputFiles];
+    }
+    return params;
+}
+
+/**
+ * Converts the run prices into nRLC. Missing prices are set to 0.
+ * Throws an error if any price is invalid.
+ * @param {{
+ *      appPrice?: string | number | types.uint256,
+ *      datasetPrice?: string | number | types.uint256,
+ *      workerpoolPrice?: string | number | types.uint256,
+ * }} args 
+ */
+export function validateRunPrices(args) {
+    /** @param {string | number | types.uint256 | undefined} price */
+    const toNRLC = (price) => (price === undefined || price === null) ?
+        BigNumber.from(0) :
+        Order.validatePrice(price, 'nRLC');
+    return {
+        appPrice: toNRLC(args.appPrice),
+        datasetPrice: toNRLC(args.datasetPrice),
+        workerpoolPrice: toNRLC(args.workerpoolPrice)
+    };
+}
+
+/**
+ * Deposits the missing amount (if any) so that the wallet's hub account 
+ * stake is greater or equal to `amount` nRLC. Returns the deposited amount.
+ * @param {HubBase} hubContract 
+ * @param {Wallet} wallet 
+ * @param {BigNumber} amount nRLC
+ */
+export async function ensureStake(hubContract, wallet, amount) {
+    const { stake } = await hubContract.viewAccount(wallet.address);
+    if (stake.gte(amount)) {
+        return BigNumber.from(0);
+    }
+    const missing = amount.sub(stake);
+    await hubContract.deposit(missing, wallet);
+    return missing;
+}
+
+/**
+ * Lists the accounts involved in a run : requester, app owner, dataset owner,
+ * workerpool owner and the first `workers` workers. 
+ * @param {Inventory} inventory 
+ * @param {RunEnv} env 
+ * @param {{
+ *      dataset: boolean
+ *      workers: number
+ * }} options
+ */
+async function runAccounts(inventory, env, { dataset, workers }) {
+    /** @type {{ name: string, address: string }[]} */
+    const accounts = [
+        { name: 'requester', address: env.requesterWallet.address },
+        { name: 'app', address: env.appWallet.address },
+    ];
+    if (dataset) {
+        accounts.push({ name: 'dataset', address: env.datasetWallet.address });
+    }
+    accounts.push({ name: 'workerpool', address: env.workerpoolWallet.address });
+
+    const g = await inventory._inv.newGanacheInstanceFromHubAlias(env.hubAlias);
+    assert(g);
+    for (let i = 0; i < workers; ++i) {
+        let workerConf;
+        try {
+            workerConf = inventory._inv.getWorkerConfig(env.hubAlias, i).resolved;
+        } catch {
+            break;
+        }
+        assert(workerConf);
+        accounts.push({ name: workerConf.name, address: g.walletKeysAtIndex(workerConf.walletIndex).address });
+    }
+
+    // The same wallet may play multiple roles
+    /** @type {Map<string, string[]>} */
+    const m = new Map();
+    accounts.forEach(a => m.set(a.address, [...(m.get(a.address) ?? []), a.name]));
+    return [...m.entries()].map(([address, names]) => ({ name: names.join(','), address }));
+}
+
+/**
+ * @param {HubBase} hubContract 
+ * @param {{ name: string, address: string }[]} accounts 
+ * @returns {Promise<AccountSnapshot[]>}
+ */
+export async function viewAccounts(hubContract, accounts) {
+    /** @type {AccountSnapshot[]} */
+    const snapshots = [];
+    for (let i = 0; i < accounts.length; ++i) {
+        const { stake, locked } = await hubContract.viewAccount(accounts[i].address);
+        snapshots.push({ name: accounts[i].name, address: accounts[i].address, stake, locked });
+    }
+    return snapshots;
+}
+
+/**
+ * Computes each party's hub account delta since the `before` snapshot
+ * @param {HubBase} hubContract 
+ * @param {AccountSnapshot[]} before 
+ * @returns {Promise<SettlementEntry[]>}
+ */
+export async function computeSettlement(hubContract, before) {
+    const after = await viewAccounts(hubContract, before);
+    return after.map((a, i) => ({
+        ...a,
+        stakeDelta: a.stake.sub(before[i].stake),
+        lockedDelta: a.locked.sub(before[i].locked)
+    }));
+}
+
+/**
+ * @param {Inventory} inventory 
+ * @param {RunArgs} args
+ */
+export async function runIexecApp(inventory, args) {
+    const salt1 = "0x0000000000000000000000000000000000000000000000000000000000000001";
+
+    const requestTrust = args.trust ?? 1;
+
+    const workerpoolTrust = args.trust ?? 1;
+
+    const volume = args.volume ?? 1;
+
+    const appDir = args.appDir;
+    const appName = args.appName;
+    const appRebuildImage = true;
+    const appSalt = args.appOrderSalt ?? salt1;
+
+    const datasetFile = args.datasetFile;
+    const datasetSalt = (args.datasetFile) ? (args.datasetOrderSalt ?? salt1) : null;
+    const datasetName = args.datasetName;
+
+    // Throws an error if any price is invalid
+    const { appPrice, datasetPrice, workerpoolPrice } = validateRunPrices(args);
+
+    const env = await newRunEnv(inventory, args);
+    const { hubContract, requesterWallet, appWallet, workerpoolWallet } = env;
+    const datasetWallet = (datasetFile) ? env.datasetWallet : null;
+
+    // The requester pays for the whole deal, the workerpool owner stakes
+    // 30% of the workerpool price for each task (see matchOrders)
+    const requesterLock = appPrice.add((datasetFile) ? datasetPrice : 0).add(workerpoolPrice).mul(volume);
+    await ensureStake(hubContract, requesterWallet, requesterLock);
+    await ensureStake(hubContract, workerpoolWallet, workerpoolPrice.mul(30).div(100).mul(volume));
+
+    await pushRequesterIpfsSecret(env);
+
+    const newApp = await deployApp(env, {
+        appDir,
+        appName,
+        rebuildDockerImage: appRebuildImage
+    });
 
     // Create an infinite appOrder
     const appOrder = await hubContract.newAppOrder({
         app: newApp,
+        appprice: appPrice,
         volume: 1000000 //infinite
     });
 
     let datasetOrder = null;
     if (datasetFile) {
-        if (!datasetWallet) {
-            throw new CodeError('Missing dataset wallet');
-        }
-
-        const datasetRegistry = await hubContract.datasetRegistry();
-        const newDataset = await datasetRegistry.newEntryFromFile(
-            {
-                name: datasetName,
-                file: datasetFile,
-                ipfs
-            },
-            datasetWallet);
-
-        if (!newDataset) {
-            throw new CodeError(`Failed to add dataset to hub's dataset registry. (${datasetFile})`);
-        }
+        const newDataset = await deployDataset(env, { datasetFile, datasetName });
 
         datasetOrder = await hubContract.newDatasetOrder({
             dataset: newDataset,
+            datasetprice: datasetPrice,
             volume: 1000000 //infinite
         });
     }
 
     // Create a single workerpoolOrder
     const workerpoolOrder = await hubContract.newWorkerpoolOrder({
-        workerpool: workerpoolAddress,
+        workerpool: env.workerpoolAddress,
+        workerpoolprice: workerpoolPrice,
         trust: workerpoolTrust,
-        volume: 1 //default
+        volume
     });
     const workerpoolSalt = genRandomSalt();
 
     /** @type {cTypes.RequestOrderLike} */
     const ro = {
         app: newApp,
+        appmaxprice: appPrice,
         dataset: datasetOrder?.dataset,
+        datasetmaxprice: datasetPrice,
         workerpool: workerpoolOrder.workerpool,
+        workerpoolmaxprice: workerpoolPrice,
         requester: requesterWallet.address,
-        volume: 1,
+        volume,
         trust: requestTrust,
-        params: {
-            //"iexec_args": "",
-            //"iexec_input_files": "",
-            "iexec_result_storage_provider": "ipfs",
-            "iexec_result_storage_proxy": resultproxy.urlString
-        }
+        params: newRequestParams(env, { args: args.args, inputFiles: args.inputFiles })
     };
 
-    assert(ro.params);
-    if (!isNullishOrEmptyString(args.args)) {
-        assert(args.args);
-        ro.params.iexec_args = args.args;
-    }
-    if (args.inputFiles &&
-        Array.isArray(args.inputFiles) &&
-        args.inputFiles.length > 0) {
-        ro.params.iexec_input_files = [...args.inputFiles];
-    }
-
-    // if (args.args) {
-    //     const _args = [];
-    //     for (let i = 0; i < args.args.length; ++i) {
-    //         const a = args.args[i];
-    //         const hasWhitespace = (a.indexOf(' ') >= 0);
-    //         const hasQuote = (a.indexOf("'") >= 0);
-    //         const hasDoubleQuote = (a.indexOf('"') >= 0);
-    //         if (!hasWhitespace) {
-    //             _args.push(a);
-    //         } else if (!hasQuote) {
-    //             _args.push("'" + a + "'");
-    //         } else if (!hasDoubleQuote) {
-    //             _args.push('"' + a + '"');
-    //         } else {
-    //             throw new CodeError(`Invalid args syntax = '${args.args}'`);
-    //         }
-    //     }
-    //     assert(ro.params);
-    //     ro.params.iexec_args = _args.join(' ');
-    // }
-
     // Create a single requestOrder
     const requestOrder = await hubContract.newRequestOrder(ro);
     const requestSalt = genRandomSalt();
 
+    // Hub accounts before the deal (used to compute the settlement report)
+    const accounts = await viewAccounts(
+        hubContract,
+        await runAccounts(inventory, env, { dataset: !!datasetFile, workers: args.workers ?? 1 }));
+
     // iexec app run (uses matchorders)
     const deal = await hubContract.matchOrders(
         {
@@ -272,7 +534,7 @@ export async function runIexecApp(inventory, args) {
         },
         requesterWallet);
 
-    return { hubContract, deal };
+    return { hubContract, deal, accounts };
 }
 
 /**
@@ -280,13 +542,16 @@ export async function runIexecApp(inventory, args) {
  * @param {types.bytes32string | Deal} dealidOrDeal 
  * @param {number} taskidx 
  * @param {types.progressCallback} progressCb
+ * @param {{ stopOnFailure?: boolean }=} options
+ * - `stopOnFailure` : also stop polling when the task has failed
  */
-export async function waitUntilTaskCompleted(hubContract, dealidOrDeal, taskidx, progressCb) {
+export async function waitUntilTaskCompleted(hubContract, dealidOrDeal, taskidx, progressCb, options) {
     let i = 0;
     while (i <= 100) {
         const t = await hubContract.viewTaskAt(dealidOrDeal, taskidx);
 
-        if (t.status === 'COMPLETED') {
+        if (t.status === 'COMPLETED' ||
+            (options?.stopOnFailure === true && t.status === 'FAILED')) {
             i = 100;
         }
 
@@ -302,3 +567,90 @@ export async function waitUntilTaskCompleted(hubContract, dealidOrDeal, taskidx,
 
     throw new CodeError('Failed to wait for task completion');
 }
+
+/**
+ * Polls all the tasks of a given deal until they all reach a final state 
+ * ('COMPLETED' or 'FAILED') or until `timeout` (ms) is reached.
+ * - Calls `progressCb` each time a task is polled, `value` is 
+ * `{ slot, task }` where `slot` is the task index in the deal (uninitialized 
+ * tasks have `task.idx === 0`).
+ * - Returns the last known state of each task (ordered by task index), 
+ * tasks that did not reach a final state have timed out.
+ * @param {HubBase} hubContract 
+ * @param {types.bytes32string | Deal} dealidOrDeal 
+ * @param {types.progressCallback} progressCb
+ * @param {{
+ *      timeout?: number
+ *      interval?: number
+ * }=} options
+ */
+export async function waitUntilDealCompleted(hubContract, dealidOrDeal, progressCb, options) {
+    const deal = (dealidOrDeal instanceof Deal) ?
+        dealidOrDeal :
+        await hubContract.viewDeal(dealidOrDeal);
+
+    const interval = options?.interval ?? 2000;
+    const timeout = options?.timeout ?? 200000;
+    const total = Math.max(1, Math.ceil(timeout / interval));
+
+    const volume = deal.botSize.toNumber();
+    const taskids = [];
+    for (let idx = 0; idx < volume; ++idx) {
+        taskids.push(deal.computeTaskId(idx));
+    }
+
+    /** @type {Task[]} */
+    const tasks = Array(volume);
+    let i = 0;
+    while (true) {
+        let done = true;
+        for (let idx = 0; idx < volume; ++idx) {
+            if (tasks[idx] && isFinalTaskStatus(tasks[idx].status)) {
+                continue;
+            }
+            const t = await hubContract.viewTask(taskids[idx]);
+            tasks[idx] = t;
+            if (!isFinalTaskStatus(t.status)) {
+                done = false;
+            }
+            progressCb({ count: (isFinalTaskStatus(t.status)) ? total : i, total, value: { slot: idx, task: t } });
+        }
+
+        if (done || i >= total) {
+            return tasks;
+        }
+
+        await sleep(interval);
+        i++;
+    }
+}
+
+/**
+ * @param {cTypes.TaskStatusEnum} status 
+ */
+export function isFinalTaskStatus(status) {
+    return (status === 'COMPLETED' || status === 'FAILED');
+}
+
+/**
+ * Downloads and inflates the task result zip file into `outDir`.
+ * - Throws an error if the task is not completed or if the task results 
+ * are not stored on ipfs.
+ * @param {IpfsService} ipfs 
+ * @param {Task} task 
+ * @param {string} outDir 
+ */
+export async function downloadTaskResult(ipfs, task, outDir) {
+    if (task.status !== 'COMPLETED') {
+        throw new CodeError(`Task ${task.id} is not completed (status=${task.status})`);
+    }
+    if (task.results.storage !== 'ipfs') {
+        throw new CodeError(`Task ${task.id} results are not stored on ipfs`);
+    }
+    const zipURL = new URL(task.results.location, ipfs.urlString);
+
+    // Throws an error if 'outDir' parent directory does not exist
+    // Creates 'outDir' if needed
+    mkDirP(outDir);
+    await downloadAndUnzipZipFile(zipURL, outDir);
+}
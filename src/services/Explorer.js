@@ -0,0 +1,234 @@
+import * as types from '../common/common-types.js';
+import * as cTypes from '../contracts/contracts-types-internal.js';
+import { BigNumber } from 'ethers';
+import { CodeError } from '../common/error.js';
+import { isValidAddress, toChecksumAddress } from '../common/ethers.js';
+import { stringToSinceDate } from '../common/string.js';
+import { HubBase } from '../contracts/HubBase.js';
+import { Deal } from '../contracts/Deal.js';
+import { Task } from '../contracts/Task.js';
+
+/**
+ * @typedef {{
+ *      requester?: types.checksumaddress
+ *      app?: types.checksumaddress
+ *      workerpool?: types.checksumaddress
+ *      status?: cTypes.TaskStatusEnum
+ *      fromBlock?: number
+ *      since?: Date
+ * }} ExplorerFilters
+ */
+
+/**
+ * @typedef {{
+ *      dealid: types.bytes32string
+ *      app: types.checksumaddress
+ *      dataset: types.checksumaddress
+ *      workerpool: types.checksumaddress
+ *      requester: types.checksumaddress
+ *      status: cTypes.TaskStatusEnum
+ *      completed: number
+ *      total: number
+ *      startTime: string
+ * }} DealSummary
+ */
+
+/**
+ * @typedef {{
+ *      taskid: types.bytes32string
+ *      dealid: types.bytes32string
+ *      idx: number
+ *      status: cTypes.TaskStatusEnum
+ *      app: types.checksumaddress
+ *      requester: types.checksumaddress
+ *      startTime: string
+ * }} TaskSummary
+ */
+
+const TASK_STATUSES = ['UNSET', 'ACTIVE', 'REVEALING', 'COMPLETED', 'FAILED'];
+
+/**
+ * Converts cli options into explorer filters. Throws an error if any
+ * option is invalid.
+ * @param {{
+ *      requester?: string
+ *      app?: string
+ *      workerpool?: string
+ *      status?: string
+ *      fromBlock?: string
+ *      since?: string
+ * }} options
+ * @returns {ExplorerFilters}
+ */
+export function toExplorerFilters(options) {
+    /** @type {ExplorerFilters} */
+    const filters = {};
+    /** @type {('requester' | 'app' | 'workerpool')[]} */
+    const addrKeys = ['requester', 'app', 'workerpool'];
+    for (let i = 0; i < addrKeys.length; ++i) {
+        const addr = options[addrKeys[i]];
+        if (addr === undefined) {
+            continue;
+        }
+        if (!isValidAddress(addr)) {
+            throw new CodeError(`Invalid ${addrKeys[i]} address '${addr}'`);
+        }
+        filters[addrKeys[i]] = toChecksumAddress(addr);
+    }
+    if (options.status !== undefined) {
+        const status = options.status.toUpperCase();
+        if (!TASK_STATUSES.includes(status)) {
+            throw new CodeError(`Invalid status '${options.status}', expecting one of ${TASK_STATUSES.join(', ')}`);
+        }
+        filters.status = /** @type {cTypes.TaskStatusEnum} */(status);
+    }
+    if (options.fromBlock !== undefined) {
+        const n = Number(options.fromBlock);
+        if (!Number.isInteger(n) || n < 0) {
+            throw new CodeError(`Invalid block number '${options.fromBlock}'`);
+        }
+        filters.fromBlock = n;
+    }
+    if (options.since !== undefined) {
+        const since = stringToSinceDate(options.since);
+        if (!since) {
+            throw new CodeError(`Invalid since option '${options.since}', expecting a duration (30s, 5m, 2h, 1d) or a date`);
+        }
+        filters.since = since;
+    }
+    return filters;
+}
+
+/**
+ * - 'COMPLETED' : all tasks are completed
+ * - 'FAILED' : all tasks are in a final state and at least one task failed
+ * - 'UNSET' : no task has been initialized yet
+ * - 'ACTIVE' : otherwise
+ * @param {Task[]} tasks
+ * @returns {cTypes.TaskStatusEnum}
+ */
+function computeDealStatus(tasks) {
+    if (tasks.every(t => t.status === 'COMPLETED')) {
+        return 'COMPLETED';
+    }
+    if (tasks.every(t => t.status === 'COMPLETED' || t.status === 'FAILED')) {
+        return 'FAILED';
+    }
+    if (tasks.every(t => t.status === 'UNSET')) {
+        return 'UNSET';
+    }
+    return 'ACTIVE';
+}
+
+/**
+ * @param {Deal} deal
+ * @param {ExplorerFilters} filters
+ */
+function dealMatches(deal, filters) {
+    if (filters.requester && deal.requester !== filters.requester) {
+        return false;
+    }
+    if (filters.app && deal.app !== filters.app) {
+        return false;
+    }
+    if (filters.workerpool && deal.workerpool !== filters.workerpool) {
+        return false;
+    }
+    if (filters.since && deal.startTime.toNumber() * 1000 < filters.since.getTime()) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * @param {Deal} deal
+ */
+function startTimeToString(deal) {
+    return new Date(deal.startTime.toNumber() * 1000).toISOString();
+}
+
+/**
+ * Lists all the deals matching the given filters
+ * @param {HubBase} hubContract
+ * @param {ExplorerFilters} filters
+ * @returns {Promise<DealSummary[]>}
+ */
+export async function queryDeals(hubContract, filters) {
+    const dealids = await hubContract.queryOrdersMatchedEvents(filters.fromBlock);
+
+    /** @type {DealSummary[]} */
+    const summaries = [];
+    for (let i = 0; i < dealids.length; ++i) {
+        const deal = await hubContract.viewDeal(dealids[i]);
+        if (!dealMatches(deal, filters)) {
+            continue;
+        }
+
+        const total = deal.botSize.toNumber();
+        /** @type {Task[]} */
+        const tasks = [];
+        for (let idx = 0; idx < total; ++idx) {
+            tasks.push(await hubContract.viewTask(deal.computeTaskId(idx)));
+        }
+
+        const status = computeDealStatus(tasks);
+        if (filters.status && status !== filters.status) {
+            continue;
+        }
+
+        summaries.push({
+            dealid: deal.id,
+            app: deal.app,
+            dataset: deal.dataset,
+            workerpool: deal.workerpool,
+            requester: deal.requester,
+            status,
+            completed: tasks.filter(t => t.status === 'COMPLETED').length,
+            total,
+            startTime: startTimeToString(deal)
+        });
+    }
+    return summaries;
+}
+
+/**
+ * Lists all the initialized tasks matching the given filters
+ * @param {HubBase} hubContract
+ * @param {ExplorerFilters} filters
+ * @returns {Promise<TaskSummary[]>}
+ */
+export async function queryTasks(hubContract, filters) {
+    const taskids = await hubContract.queryTaskInitializeEvents(filters.fromBlock);
+
+    /** @type {Map<string, Deal>} */
+    const deals = new Map();
+
+    /** @type {TaskSummary[]} */
+    const summaries = [];
+    for (let i = 0; i < taskids.length; ++i) {
+        const task = await hubContract.viewTask(taskids[i]);
+        if (filters.status && task.status !== filters.status) {
+            continue;
+        }
+
+        let deal = deals.get(task.dealid);
+        if (!deal) {
+            deal = await hubContract.viewDeal(task.dealid);
+            deals.set(task.dealid, deal);
+        }
+        if (!dealMatches(deal, filters)) {
+            continue;
+        }
+
+        summaries.push({
+            taskid: task.id,
+            dealid: task.dealid,
+            idx: BigNumber.from(task.idx).sub(deal.botFirst).toNumber(),
+            status: task.status,
+            app: deal.app,
+            requester: deal.requester,
+            startTime: startTimeToString(deal)
+        });
+    }
+    return summaries;
+}
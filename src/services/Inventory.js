@@ -6,13 +6,19 @@ import { fromServiceType, InventoryDB } from "./InventoryDB.js";
 import { ConfigFile, inventoryToConfigFile } from './ConfigFile.js';
 import { InventoryRun } from './InventoryRun.js';
 import { InventoryInstall } from './InventoryInstall.js';
+import { reassignBusyPorts } from './PortAllocator.js';
 import { ORDERED_SERVICE_TYPES } from './base-internal.js';
 import { DEFAULT_WALLET_INDEX } from './default-config.js';
 import { PoCoHubRef } from '../common/contractref.js';
 import { isNullishOrEmptyString, stringToPositiveInteger } from '../common/string.js';
 import { resolveAbsolutePath, saveToFile, throwIfDirDoesNotExist, throwIfFileAlreadyExists } from '../common/fs.js';
-import { AbstractService } from '../common/service.js';
-import { getDockerDesktopPids } from '../docker/docker-api.js';
+import { AbstractService, filterByWorkspace } from '../common/service.js';
+import { Market } from './Market.js';
+import { getWorkspaceId } from './workspace.js';
+import { CodeError } from '../common/error.js';
+import { getDockerPids } from '../docker/docker-api.js';
+import { psGetEnv } from '../common/ps.js';
+import { envVarName } from '../common/consts.js';
 
 export const InventoryConstructorGuard = { value: false };
 
@@ -49,6 +55,22 @@ export class Inventory {
         assert(typeof index === 'number');
         return index;
     }
+    /**
+     * Converts a cli `--wallet` option value into a wallet index.
+     * - Throws an error if failed.
+     * @param {string} typeOrIndex wallet type or wallet index 
+     */
+    resolveWalletIndex(typeOrIndex) {
+        if (Object.keys(DEFAULT_WALLET_INDEX).includes(typeOrIndex)) {
+            // @ts-ignore
+            return this.getDefaultWalletIndex(typeOrIndex);
+        }
+        const index = stringToPositiveInteger(typeOrIndex);
+        if (index === undefined) {
+            throw new CodeError(`Invalid wallet '${typeOrIndex}', expecting a wallet index or one of ${Object.keys(DEFAULT_WALLET_INDEX).join(', ')}`);
+        }
+        return index;
+    }
     getDefaultHubAlias() {
         return this._inv.defaultHubAlias
     }
@@ -74,6 +96,9 @@ export class Inventory {
     getDockerUrl() {
         return this._inv.getDockerUrl();
     }
+    getContainerRuntime() {
+        return this._inv.getContainerRuntime();
+    }
 
     async getChainids() {
         return this._inv.getChainids();
@@ -165,13 +190,18 @@ export class Inventory {
      * - Save inventory to config json file `<dir>/<config-file>.json`. 
      * - All path are constructed relative to `dir`
      * - if `dir` is null, undefined or empty, use process `cwd` instead.
+     * - if `reassignBusyPorts` is true, ports already in use on the local 
+     *   machine are replaced by free ones before saving.
+     * - creates the `ixcdv-workspace.json` file if missing.
      * - Throws an exception if failed.
      * @param {{
      *      directory?: string     
      *      overrideExistingFile?: boolean     
+     *      reassignBusyPorts?: boolean
      * }} options 
+     * @returns {Promise<import('./PortAllocator.js').PortChange[]>} the reassigned ports
      */
-    async saveConfigFile({ directory, overrideExistingFile } = {}) {
+    async saveConfigFile({ directory, overrideExistingFile, reassignBusyPorts: reassign } = {}) {
         if (isNullishOrEmptyString(directory)) {
             directory = process.cwd();
         }
@@ -186,6 +216,7 @@ export class Inventory {
         // generate the config file from the inventory
         // all paths are made relative to 'dir'
         const configJSON = await this.toConfigJSON(directory);
+        const changes = (reassign === true) ? await reassignBusyPorts(configJSON) : [];
 
         // save config json file
         await saveToFile(
@@ -193,6 +224,23 @@ export class Inventory {
             directory,
             ConfigFile.basename(),
             { strict: true });
+
+        // keep the existing workspace id, if any
+        getWorkspaceId(directory, { create: true });
+
+        return changes;
+    }
+
+    /**
+     * @param {string} name 
+     * @param {types.StopOptionsWithContext & {
+     *      withDependencies?: boolean
+     *      withDependents?: boolean
+     * }=} options 
+     */
+    async stop(name, options) {
+        const run = new InventoryRun(this._inv);
+        return run.stop(name, options);
     }
 
     // /**
@@ -219,7 +267,7 @@ export class Inventory {
     }
 
     /**
-     * @param {types.StopOptionsWithContext=} options 
+     * @param {types.StopOptionsWithContext & { global?: boolean }=} options 
      */
     async resetAll(options) {
         const run = new InventoryRun(this._inv);
@@ -231,8 +279,9 @@ export class Inventory {
      *      name?: string,
      *      hub?: string,
      *      chainid?: number | string
-     *      type?: srvTypes.NonWorkerServiceType,
+     *      type?: srvTypes.NonWorkerServiceType | 'iexecsdk' | 'all',
      *      onlyDependencies?: boolean
+     *      noDependencies?: boolean
      *      types?: srvTypes.OptionalServiceTypes<boolean>
      *      progressCb?: types.progressCallback
      * }} options 
@@ -259,10 +308,11 @@ export class Inventory {
 
     /**
      * @param {((name:string, type: srvTypes.ServiceType | 'iexecsdk', progress:number, progressTotal:number) => (void))=} callbackfn 
+     * @param {{ only?: string[] }=} options 
      */
-    async installAll(callbackfn) {
+    async installAll(callbackfn, options) {
         const install = new InventoryInstall(this._inv);
-        return install.installAll(callbackfn);
+        return install.installAll(callbackfn, options);
     }
     /**
      * @param {((name:string, type: srvTypes.ServiceType | 'iexecsdk', progress:number, progressTotal:number) => (void))=} callbackfn 
@@ -273,7 +323,18 @@ export class Inventory {
     }
 
     /**
+     * Returns the list of all the packages installed by `installAll`
+     */
+    async packages() {
+        const install = new InventoryInstall(this._inv);
+        return install.packages();
+    }
+
+    /**
+     * - if `workspace` is set, only returns the services started from this
+     *   workspace.
      * @param {srvTypes.ServiceType | 'all'} type 
+     * @param {types.WorkspaceRef=} workspace 
      * @returns {Promise<{
      *      [serviceType:string]: ?{ 
      *          pid: number, 
@@ -282,7 +343,7 @@ export class Inventory {
      *      }[]
      * }>}
      */
-    static async running(type) {
+    static async running(type, workspace) {
         if (type === 'all') {
             const promises = [];
             for (let i = 0; i < ORDERED_SERVICE_TYPES.length; ++i) {
@@ -302,21 +363,59 @@ export class Inventory {
                 const t = ORDERED_SERVICE_TYPES[i];
                 if (t === 'docker') {
                     assert(out[i] === null);
-                    const dockerPids = await getDockerDesktopPids();
+                    const dockerPids = await getDockerPids();
                     if (dockerPids && dockerPids.length === 1) {
                         if (dockerPids.length === 1) {
                             o[t] = [{ pid: dockerPids[0], service: null, configFile: '' }];
                         }
                     }
                 } else {
-                    o[t] = out[i];
+                    o[t] = await filterRunningByWorkspace(t, out[i], workspace);
                 }
             }
             return o;
         } else {
             const out = await fromServiceType[type].running();
-            return { [type]: out };
+            return { [type]: await filterRunningByWorkspace(type, out, workspace) };
+        }
+    }
+
+    /**
+     * Returns the directories of the workspaces that have at least one 
+     * running service (`IXCDV_MARKER` env var of the service processes).
+     * @returns {Promise<string[]>}
+     */
+    static async runningWorkspaceDirs() {
+        const running = await Inventory.running('all');
+        /** @type {Set<string>} */
+        const dirs = new Set();
+        const types = Object.keys(running);
+        for (let i = 0; i < types.length; ++i) {
+            const entries = running[types[i]];
+            if (types[i] === 'docker' || !entries) {
+                continue;
+            }
+            for (let j = 0; j < entries.length; ++j) {
+                /** @type {(number | null)[]} */
+                let pids = [entries[j].pid];
+                if (types[i] === 'market') {
+                    const m = Market.toMarketPidInfo(entries[j]);
+                    pids = [m.api.pid, ...m.watchers.map(w => w.pid)];
+                }
+                for (let k = 0; k < pids.length; ++k) {
+                    const pid = pids[k];
+                    if (!pid) {
+                        continue;
+                    }
+                    const dir = await psGetEnv(pid, envVarName('MARKER'));
+                    if (!isNullishOrEmptyString(dir)) {
+                        assert(dir);
+                        dirs.add(dir);
+                    }
+                }
+            }
         }
+        return [...dirs];
     }
 
     /**
@@ -326,3 +425,22 @@ export class Inventory {
         return fromServiceType[type];
     }
 }
+
+/**
+ * Market entries have no pid (compound service), use the api or the first 
+ * watcher pid instead.
+ * @param {srvTypes.ServiceType} type 
+ * @param {any[] | null} running 
+ * @param {types.WorkspaceRef=} workspace 
+ */
+async function filterRunningByWorkspace(type, running, workspace) {
+    if (type !== 'market' || !running || !workspace) {
+        return filterByWorkspace(running, workspace);
+    }
+    const pids = running.map(m => Market.toMarketPidInfo(m)).map(m => ({
+        pid: m.api.pid ?? m.watchers[0]?.pid ?? 0
+    }));
+    const keep = await filterByWorkspace(pids, workspace);
+    const filtered = running.filter((m, i) => keep?.includes(pids[i]));
+    return (filtered.length === 0) ? null : filtered;
+}
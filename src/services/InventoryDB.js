@@ -20,11 +20,14 @@ import { GanachePoCoService } from '../poco/GanachePoCoService.js';
 import { isNullishOrEmptyString, placeholdersPropertyReplace, stringIsPOSIXPortable, stringToPositiveInteger, throwIfNullishOrEmptyString } from '../common/string.js';
 import { CodeError } from '../common/error.js';
 import { ContratRefFromString, DevContractRef, PoCoContractRef, PoCoHubRef } from '../common/contractref.js';
-import { isPositiveInteger, throwIfNotStrictlyPositiveInteger } from '../common/number.js';
+import { isPositiveInteger, isStrictlyPositiveInteger, throwIfNotStrictlyPositiveInteger } from '../common/number.js';
 import { toPackage } from '../pkgmgr/pkg.js';
 import { deepCopyPackage } from '../pkgmgr/pkgmgr-deepcopy.js';
 import { getGitHubRepo, getLatestVersion } from '../git/git-api.js';
 import { NULL_ADDRESS, toChecksumAddress } from '../common/ethers.js';
+import { fileExists } from '../common/fs.js';
+import { getWorkspaceRef } from './workspace.js';
+import { ContainerRuntime } from '../docker/container-runtime.js';
 
 const FIRST_WORKER_WALLET_INDEX = DEFAULT_WALLET_INDEX['worker'];
 
@@ -99,6 +102,7 @@ export class InventoryDB {
      *     workers?: {
      *          directory: string,
      *          portRange: {from:number, to:number, size:number}
+     *          count?: number
      *     }
      * }>} 
      */
@@ -124,6 +128,9 @@ export class InventoryDB {
     /** @type {string} */
     #rootDir
 
+    /** @type {types.WorkspaceRef=} */
+    #workspace
+
     /**
      * @param {string} dir 
      * @param {string} defaultChainName 
@@ -139,6 +146,27 @@ export class InventoryDB {
     }
 
     get rootDir() { return this.#rootDir; }
+
+    /**
+     * The workspace identity, passed to every started service. 
+     * The `ixcdv-workspace.json` file is created if missing.
+     * @returns {types.WorkspaceRef}
+     */
+    get workspace() {
+        if (!this.#workspace) {
+            this.#workspace = getWorkspaceRef(this.#rootDir, { create: true });
+            assert(this.#workspace);
+        }
+        return this.#workspace;
+    }
+
+    /**
+     * Env vars set on every service started from this workspace
+     * (`IXCDV_MARKER` and `IXCDV_WORKSPACE`)
+     */
+    get serviceEnv() {
+        return { marker: this.#rootDir, workspace: this.workspace.id };
+    }
     get defaultChainName() { return this.#defaultChainName; }
     get defaultHubAlias() {
         const defaultChain = this.#allChains.get(this.#defaultChainName);
@@ -278,6 +306,16 @@ export class InventoryDB {
         return this.#workersRepository;
     }
 
+    /**
+     * Default number of workers to start on a given hub
+     * (`chains.<name>.worker.count` property), `undefined` if not specified.
+     * @param {string | PoCoHubRef} hub 
+     */
+    getWorkersCount(hub) {
+        const hubStr = DevContractRef.toHubAlias(hub);
+        return this.#hubAliasToHubData.get(hubStr)?.workers?.count;
+    }
+
     /**
      * @param {string | PoCoHubRef} hub 
      * @param {number} index
@@ -435,6 +473,13 @@ export class InventoryDB {
         const host = this.getDockerHost();
         return 'http://' + host.hostname + ":" + host.port.toString();
     }
+    /**
+     * Container runtime (docker, rootless docker or podman) used to build 
+     * and push the app images to the private local registry.
+     */
+    getContainerRuntime() {
+        return ContainerRuntime.fromConfig(this.getDockerConfig()?.resolved);
+    }
 
     /**
      * @param {string} name 
@@ -1067,6 +1112,104 @@ export class InventoryDB {
         return (conf) ? IpfsService.newInstance(conf) : null;
     }
 
+    /**
+     * Returns the log file of each service listed in the inventory :
+     * - market : one entry for the api + one entry per watcher
+     * - workers : one entry per worker that has already written a log file
+     * @returns {Promise<{
+     *      name: string,
+     *      type: string,
+     *      logFile: string,
+     *      service: import('../common/service.js').AbstractService
+     * }[]>}
+     */
+    async getLogSources() {
+        const sources = [];
+        for (let i = 0; i < ORDERED_SERVICE_TYPES.length; ++i) {
+            const type = ORDERED_SERVICE_TYPES[i];
+            if (type === 'docker' || type === 'worker') {
+                continue;
+            }
+            const ics = this.getConfigsByType(type);
+            if (!ics) {
+                continue;
+            }
+            for (let j = 0; j < ics.length; ++j) {
+                const ic = ics[j];
+                let service;
+                try {
+                    service = await this.newInstanceFromInventoryNonWorkerConfig(ic);
+                } catch {
+                    // not installed
+                    continue;
+                }
+                if (!service) {
+                    continue;
+                }
+                if (service instanceof Market) {
+                    if (service.api?.logFile) {
+                        sources.push({ name: ic.name + '.api', type: 'market.api', logFile: service.api.logFile, service: service.api });
+                    }
+                    service.watchers.forEach(w => {
+                        if (w.logFile) {
+                            sources.push({ name: ic.name + '.watcher.' + w.hub?.hubAlias(), type: 'market.watcher', logFile: w.logFile, service: w });
+                        }
+                    });
+                    continue;
+                }
+                // @ts-ignore
+                const logFile = service.logFile;
+                if (logFile) {
+                    sources.push({ name: ic.name, type, logFile, service });
+                }
+            }
+        }
+
+        const workers = this.knownWorkers();
+        for (let i = 0; i < workers.length; ++i) {
+            const w = workers[i];
+            const service = await this.newWorkerInstance(w.hubAlias, w.index);
+            sources.push({ name: w.name, type: 'worker', logFile: w.logFile, service });
+        }
+        return sources;
+    }
+
+    /**
+     * Workers are not listed in the config file, returns the workers that
+     * have already been started at least once (workers without log file are
+     * skipped, a worker index may have never been started).
+     * @param {string=} hubAlias only the workers of this hub
+     * @returns {{ name: string, hubAlias: string, index: number, walletIndex: number, logFile: string }[]}
+     */
+    knownWorkers(hubAlias) {
+        const workers = [];
+        const hubAliases = (hubAlias) ? [hubAlias] : [...this.#hubAliasToHubData.entries()]
+            .filter(([hubAlias, hubData]) => !!hubData.core)
+            .map(([hubAlias, hubData]) => hubAlias);
+        for (let i = 0; i < hubAliases.length; ++i) {
+            for (let index = 0; ; ++index) {
+                let wc;
+                try {
+                    wc = this.getWorkerConfig(hubAliases[i], index);
+                } catch {
+                    // out of the hub workers port range
+                    break;
+                }
+                if (!wc.resolved.logFile || !fileExists(wc.resolved.logFile)) {
+                    continue;
+                }
+                workers.push({
+                    name: wc.resolved.name,
+                    hubAlias: hubAliases[i],
+                    index,
+                    walletIndex: wc.resolved.walletIndex,
+                    logFile: wc.resolved.logFile
+                });
+            }
+        }
+        return workers;
+    }
+
     /**
      * @param {types.IpfsConfig} config 
      */
@@ -1361,6 +1504,7 @@ export class InventoryDB {
      * @param {string | types.Package} workers.repository 
      * @param {string} workers.directory 
      * @param {{ from: number, to: number, size: number }} workers.portRange 
+     * @param {number=} workers.count 
      */
     async addWorkers(workers) {
         if (isNullishOrEmptyString(workers.hub)) {
@@ -1376,6 +1520,12 @@ export class InventoryDB {
         throwIfNotStrictlyPositiveInteger(workers.portRange.from);
         throwIfNotStrictlyPositiveInteger(workers.portRange.to);
         throwIfNotStrictlyPositiveInteger(workers.portRange.size);
+        if (workers.count !== undefined) {
+            if (!isStrictlyPositiveInteger(workers.count) ||
+                workers.count > workers.portRange.to - workers.portRange.from + 1) {
+                throw new CodeError(`Invalid workers count ${workers.count}`);
+            }
+        }
 
         const unsolvedPkg = toPackage(workers.repository, WorkerService.defaultGitUrl);
         const resolvedPkg = deepCopyPackage(unsolvedPkg);
@@ -1398,7 +1548,8 @@ export class InventoryDB {
         }
         hubData.workers = {
             directory: workers.directory,
-            portRange: { ...workers.portRange }
+            portRange: { ...workers.portRange },
+            ... (workers.count !== undefined && { count: workers.count })
         }
         this.#workersRepository = { unsolved: unsolvedPkg, resolved: resolvedPkg };
     }
@@ -1,7 +1,27 @@
 import * as srvTypes from './services-types-internal.js';
 import assert from 'assert';
 import { fromServiceType, InventoryDB } from "./InventoryDB.js";
-import { installPackage } from '../pkgmgr/pkg.js';
+import * as types from '../common/common-types.js';
+import { installPackage, isPackageOrDirectory } from '../pkgmgr/pkg.js';
+import { helperAbstractServiceToPackage } from './spring-serverservice.js';
+import { PoCoDeployer } from '../poco/PoCoDeployer.js';
+import { CodeError } from '../common/error.js';
+import { dirExists, resolveAbsolutePath, rmrfDir } from '../common/fs.js';
+import { getInstallManifest, hashInputs } from '../pkgmgr/install-manifest.js';
+import { HEADHash } from '../git/git-api.js';
+
+/**
+ * Install manifest step of the services which are not packages
+ * (see `install-manifest.js`)
+ * @type {{ [type:string]: import('../pkgmgr/install-manifest.js').InstallStep }}
+ */
+const SERVICE_INSTALL_STEPS = {
+    'ganache': 'deploy',
+    'ipfs': 'init',
+    'mongo': 'init',
+    'redis': 'init',
+    'docker': 'init',
+};
 
 export class InventoryInstall {
     /** @type {InventoryDB} */
@@ -16,21 +36,42 @@ export class InventoryInstall {
 
     /**
      * @param {((name:string, type: srvTypes.ServiceType | 'iexecsdk', progress:number, progressTotal:number) => (void))=} callbackfn 
+     * @param {{ only?: string[] }=} options
+     * - `only` : service names or types to install (including `worker` and `iexecsdk`)
      */
-    async installAll(callbackfn) {
-        const ics = [...this._inv];
-        const nInstalls = ics.length + 2;
+    async installAll(callbackfn, options) {
+        const only = options?.only;
+        // Workers are not listed by the inventory iterator
+        const allIcs = [...this._inv].map(ic => { assert(ic.type !== 'worker'); return ic; });
+        if (only) {
+            const valid = new Set(['worker', 'iexecsdk']);
+            allIcs.forEach(ic => { valid.add(ic.name); valid.add(ic.type); });
+            only.forEach(s => {
+                if (!valid.has(s)) {
+                    throw new CodeError(`Unknown service '${s}', expecting one of ${[...valid].join(', ')}`);
+                }
+            });
+        }
+        const selected = (/** @type {string} */ s) => (!only || only.includes(s));
+
+        const ics = allIcs.filter(ic => selected(ic.name) || selected(ic.type));
+        const installWorkers = selected('worker');
+        const installIExecSdk = selected('iexecsdk');
+        const nInstalls = ics.length + (installWorkers ? 1 : 0) + (installIExecSdk ? 1 : 0);
+        let progress = 0;
         for (let i = 0; i < ics.length; ++i) {
             const ic = ics[i];
-            assert(ic.type !== 'worker');
-            callbackfn?.(ic.name, ic.type, (i + 1), nInstalls);
+            callbackfn?.(ic.name, ic.type, ++progress, nInstalls);
             await this.install(ic.name);
         }
-        callbackfn?.('', 'worker', ics.length + 1, nInstalls);
-        await this.installWorkers();
-
-        callbackfn?.('', 'iexecsdk', ics.length + 2, nInstalls);
-        await this.#installIExecSdk();
+        if (installWorkers) {
+            callbackfn?.('', 'worker', ++progress, nInstalls);
+            await this.installWorkers();
+        }
+        if (installIExecSdk) {
+            callbackfn?.('', 'iexecsdk', ++progress, nInstalls);
+            await this.#installIExecSdk();
+        }
     }
 
     /**
@@ -53,14 +94,108 @@ export class InventoryInstall {
         return this.#installIExecSdk();
     }
 
+    /**
+     * Returns the list of all the packages installed by `installAll`
+     * (services, workers, PoCo and iexec-sdk). Gradle dependencies are not
+     * listed (see `resolvePackage`).
+     * @returns {Promise<types.Package[]>}
+     */
+    async packages() {
+        /** @type {types.Package[]} */
+        const pkgs = [];
+        const ics = [...this._inv];
+        for (let i = 0; i < ics.length; ++i) {
+            const ic = ics[i];
+            if (ic.type === 'ganache') {
+                if (ic.unsolved.config.PoCo) {
+                    pkgs.push(PoCoDeployer.toPackage(ic.unsolved.config.PoCo));
+                }
+                continue;
+            }
+            if (ic.type === 'market' ||
+                ic.type === 'sms' ||
+                ic.type === 'resultproxy' ||
+                ic.type === 'blockchainadapter' ||
+                ic.type === 'core') {
+                // Must use unsolved !
+                const repository = ic.unsolved.repository;
+                if (repository && await isPackageOrDirectory(repository)) {
+                    pkgs.push(await helperAbstractServiceToPackage(fromServiceType[ic.type], { repository }));
+                }
+            }
+        }
+
+        const workersRepository = this._inv.getWorkersRepository();
+        if (workersRepository) {
+            pkgs.push(await helperAbstractServiceToPackage(
+                fromServiceType['worker'],
+                { repository: workersRepository.unsolved }));
+        }
+
+        const iexecsdk = this._inv.getIExecSdkConfig();
+        if (iexecsdk) {
+            assert(typeof iexecsdk.resolved.repository !== 'string');
+            pkgs.push(iexecsdk.resolved.repository);
+        }
+
+        return pkgs;
+    }
+
     /**
      * @param {srvTypes.InventoryConfig} ic 
      */
     async #installInventoryConfig(ic) {
         assert(ic.type !== 'worker');
+        const manifest = getInstallManifest();
+        const step = SERVICE_INSTALL_STEPS[ic.type];
+        if (!manifest || !step) {
+            // Must use unsolved !
+            // @ts-ignore
+            return fromServiceType[ic.type].install(ic.unsolved);
+        }
+
+        /** @type {string=} */
+        // @ts-ignore
+        const dir = ic.resolved.directory;
+        const inputs = (ic.type === 'ganache') ?
+            await this.#deployInputs(ic) :
+            hashInputs(ic.unsolved);
+        if (manifest.isDone(ic.name, step, inputs)) {
+            if (!dir || dirExists(resolveAbsolutePath(dir))) {
+                return;
+            }
+        } else if (ic.type === 'ganache' && dir && !manifest.isUnknown(ic.name)) {
+            // config changed (or forced) : the previous deployment is obsolete
+            await rmrfDir(resolveAbsolutePath(dir));
+        }
+
         // Must use unsolved !
         // @ts-ignore
-        return fromServiceType[ic.type].install(ic.unsolved);
+        await fromServiceType[ic.type].install(ic.unsolved);
+        manifest.setDone(ic.name, step, inputs);
+    }
+
+    /**
+     * Hash of the inputs of a ganache PoCo deployment : chainid, mnemonic,
+     * deploy sequence and PoCo commit. Other properties (port, log file etc.)
+     * do not require a new deployment.
+     * - Installs the PoCo package if needed.
+     * @param {srvTypes.InventoryGanacheConfig} ic 
+     */
+    async #deployInputs(ic) {
+        const { chainid, mnemonic, deploySequence, PoCo } = ic.unsolved.config;
+        /** @type {string=} */
+        let PoCoCommit;
+        if (PoCo) {
+            const PoCoPkg = PoCoDeployer.toPackage(PoCo);
+            await installPackage(PoCoPkg);
+            const out = await HEADHash(PoCoPkg.directory, { strict: false });
+            if (!out.ok) {
+                throw out.error;
+            }
+            PoCoCommit = out.result;
+        }
+        return hashInputs(chainid, mnemonic, deploySequence, PoCoCommit ?? null);
     }
 
     async #installWorkers() {
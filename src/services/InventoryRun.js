@@ -3,6 +3,7 @@ import * as srvTypes from './services-types-internal.js';
 import assert from 'assert';
 import { fromServiceType, InventoryDB } from "./InventoryDB.js";
 import { Dependencies } from './Dependencies.js';
+import { DependencyGraph } from './DependencyGraph.js';
 import { Market } from './Market.js';
 import { WorkerService } from './Worker.js';
 import { CoreService } from './Core.js';
@@ -50,10 +51,11 @@ export class InventoryRun {
      */
     async #startByName(name, options) {
         assert(pathIsPOSIXPortable(this._inv.rootDir));
+        const startTime = Date.now();
         const instance = await this._inv.newInstanceFromName(name);
         const startReturn = await instance.start({
             createDir: true,
-            env: { marker: this._inv.rootDir },
+            env: this._inv.serviceEnv,
             context: {
                 name
             },
@@ -64,7 +66,7 @@ export class InventoryRun {
             await this.#ganachePostStart(instance, name, options?.chain ?? 'unknown');
         }
 
-        return { name, instance, startReturn };
+        return { name, instance, startReturn, startTime, durationMS: Date.now() - startTime };
     }
 
     /**
@@ -108,31 +110,31 @@ export class InventoryRun {
     }
 
     /**
-     * @param {srvTypes.NonWorkerServiceType[]} types 
-     * @param {Dependencies} dependencies 
+     * Starts the services depth by depth in the dependency graph : all the
+     * services at the same depth are started concurrently (ex: sms, 
+     * resultproxy and blockchainadapter of the same hub, all the mongo dbs).
+     * @param {Dependencies | null} dependencies null means all the services
      * @param {string?} excludeName 
      * @param {{
+     *      chain?: string
      *      progressCb?: types.progressCallback
      * }=} options
      */
-    async #startNamesFromNonWorkerTypes(types, dependencies, excludeName, options) {
-        const promises = [];
-        for (let i = 0; i < types.length; ++i) {
-            const serviceType = types[i];
-            const names = dependencies.getConfigNamesArrayFromType(serviceType);
-            if (!names) {
-                continue;
-            }
-            for (let j = 0; j < names.length; ++j) {
-                const name = names[j];
-                if (name === excludeName) {
-                    continue;
-                }
-                const p = this.#startByName(name, options);
-                promises.push(p);
-            }
+    async #startNamesByDepth(dependencies, excludeName, options) {
+        const graph = DependencyGraph.fromInventory(this._inv);
+        const names = (dependencies) ?
+            dependencies.toArray().map(o => o.name) :
+            graph.nodes.map(n => n.name);
+
+        const allResults = [];
+        for (let depth = 0; depth <= graph.maxDepth; ++depth) {
+            const promises = names
+                .filter(name => name !== excludeName && graph.depth(name) === depth)
+                .map(name => this.#startByName(name, options));
+            // depths are sequential, NOT parallel
+            allResults.push(...(await Promise.all(promises)));
         }
-        return Promise.all(promises);
+        return allResults;
     }
 
     /**
@@ -141,34 +143,29 @@ export class InventoryRun {
      *      chainid?: number | string
      *      chain?: string
      *      hub?: string,
-     *      type?: srvTypes.NonWorkerServiceType | 'iexecsdk',
+     *      type?: srvTypes.NonWorkerServiceType | 'iexecsdk' | 'all',
      *      onlyDependencies?: boolean
+     *      noDependencies?: boolean
      *      types?: srvTypes.OptionalServiceTypes<boolean>
      *      progressCb?: types.progressCallback
      * }} options  
      */
     async start(options) {
+        if (options.type === 'all') {
+            // All the services listed in the config file (workers excluded)
+            return this.#startNamesByDepth(null, null, options);
+        }
         if (options.type === 'iexecsdk') {
             const hub = this._inv.guessHubAlias(options);
             if (!hub) {
                 throw new CodeError('Missing hub');
             }
             const dependencies = Dependencies.newIExecSDK(hub, this._inv);
-            const allResults = [];
-            for (let i = 0; i < ORDERED_SERVICE_TYPE_GROUPS.length; ++i) {
-                // groups are sequential, NOT parallel
-                const result = await this.#startNamesFromNonWorkerTypes(
-                    ORDERED_SERVICE_TYPE_GROUPS[i],
-                    dependencies,
-                    null,
-                    options);
-                allResults.push(...result);
-            }
-            return allResults;
+            return this.#startNamesByDepth(dependencies, null, options);
         }
 
-        // Guess a single named service configuration
-        const ic = this._inv.guessConfig(options);
+        // Guess a single named service configuration ('all' is handled above)
+        const ic = this._inv.guessConfig({ ...options, type: options.type });
         if (!ic) {
             throw new CodeError(`Unable to determine the service to start`);
         }
@@ -176,31 +173,31 @@ export class InventoryRun {
         const name = ic.name;
 
         const onlyDependencies = (options?.onlyDependencies === true);
-        const dependencies = this._inv.dependencies(name);
-        const allResults = [];
-        for (let i = 0; i < ORDERED_SERVICE_TYPE_GROUPS.length; ++i) {
-            // exclude 'name' if --only-dependencies
-            const excludeConfigName = (onlyDependencies) ? name : null;
-            // groups are sequential, NOT parallel
-            const result = await this.#startNamesFromNonWorkerTypes(
-                ORDERED_SERVICE_TYPE_GROUPS[i],
-                dependencies,
-                excludeConfigName,
-                options);
-            allResults.push(...result);
+        const noDependencies = (options?.noDependencies === true);
+        if (onlyDependencies && noDependencies) {
+            throw new CodeError('Conflicting options (onlyDependencies & noDependencies)');
         }
+        if (noDependencies) {
+            return [await this.#startByName(name, options)];
+        }
+
+        const dependencies = this._inv.dependencies(name);
+        // exclude 'name' if --only-dependencies
+        const excludeConfigName = (onlyDependencies) ? name : null;
+        const allResults = await this.#startNamesByDepth(dependencies, excludeConfigName, options);
 
         if (onlyDependencies) {
             const ic = this._inv.getConfig(name);
             if (ic.type === 'market') {
                 // Special case for Market (a compound abstract service)
+                const startTime = Date.now();
                 const instance = await this._inv.newInstanceFromName(name);
                 assert(instance instanceof Market);
                 const startReturn = await instance.start({
-                    env: { marker: this._inv.rootDir },
+                    env: this._inv.serviceEnv,
                     onlyDB: true
                 });
-                allResults.push({ name, instance, startReturn });
+                allResults.push({ name, instance, startReturn, startTime, durationMS: Date.now() - startTime });
             }
 
             // To prevent error mis-detection in vscode prelaunch tasks
@@ -273,22 +270,15 @@ export class InventoryRun {
         const workerName = InventoryDB.computeWorkerName(hub, options.workerIndex);
         if (!noDependencies) {
             const dependencies = this._inv.workerDependencies(hub, options.workerIndex);
-            for (let i = 0; i < ORDERED_SERVICE_TYPE_GROUPS.length; ++i) {
-                // groups are sequential, NOT parallel
-                const result = await this.#startNamesFromNonWorkerTypes(
-                    ORDERED_SERVICE_TYPE_GROUPS[i],
-                    dependencies,
-                    null,
-                    options);
-                allResults.push(...result);
-            }
+            allResults.push(...(await this.#startNamesByDepth(dependencies, null, options)));
         }
 
         if (!onlyDependencies) {
+            const startTime = Date.now();
             const instance = await this._inv.newWorkerInstance(hub, options.workerIndex);
             const startReturn = await instance.start({
                 createDir: true,
-                env: { marker: this._inv.rootDir },
+                env: this._inv.serviceEnv,
                 progressCb: options.progressCb,
                 context: {
                     hub,
@@ -296,7 +286,7 @@ export class InventoryRun {
                     name: workerName
                 }
             });
-            allResults.push({ name: workerName, instance, startReturn });
+            allResults.push({ name: workerName, instance, startReturn, startTime, durationMS: Date.now() - startTime });
         } else {
             const ic = this._inv.getWorkerConfig(hub, options.workerIndex);
 
@@ -316,11 +306,16 @@ export class InventoryRun {
     }
 
     /**
-     * @param {types.StopOptionsWithContext=} options 
+     * - if `global` is true, stops the services of all the workspaces
+     * @param {types.StopOptionsWithContext & { global?: boolean }=} options 
      */
     async resetAll(options) {
+        const { global, ...stopOptions } = options ?? {};
         // Stops everything, including zombies
-        await InventoryRun.stopAny('all', options);
+        await InventoryRun.stopAny('all', {
+            ...stopOptions,
+            workspace: (global === true) ? undefined : this._inv.workspace
+        });
 
         /** @type {any[]} */
         const promises = [];
@@ -346,6 +341,7 @@ export class InventoryRun {
      * @param {string} name 
      * @param {types.StopOptionsWithContext & {
      *      withDependencies?: boolean
+     *      withDependents?: boolean
      * }=} options 
      */
     async stop(name, options) {
@@ -353,6 +349,9 @@ export class InventoryRun {
     }
 
     /**
+     * Stops the running services of type `type` (and the ones depending on it).
+     * - if `options.workspace` is set, only the services started from this
+     *   workspace are stopped, otherwise any service running on the machine.
      * @param {srvTypes.ServiceType | 'all'} type 
      * @param {types.StopOptionsWithContext=} options 
      */
@@ -413,6 +412,8 @@ export class InventoryRun {
     }
 
     /**
+     * - if `options.workspace` is set, only the services started from this
+     *   workspace are killed, otherwise any service running on the machine.
      * @param {types.StopOptionsWithContext=} options 
      */
     static async killAny(options) {
@@ -441,7 +442,7 @@ export class InventoryRun {
                 continue;
             }
             const theClass = fromServiceType[types[i]];
-            await theClass.killAll(null, {});
+            await theClass.killAll(null, { workspace: options?.workspace });
             cb?.({ count, total, value: { type: types[i] } }); count++;
         }
     }
@@ -467,7 +468,7 @@ export class InventoryRun {
             const coreUrl = 'http://' + (coreConf.hostname ?? 'localhost') + ":" + coreConf.port.toString();
             workerFilters = { coreUrl };
         }
-        return WorkerService.stopAll(workerFilters, options ?? {});
+        return WorkerService.stopAll(workerFilters, { workspace: this._inv.workspace, ...options });
     }
 
     /**
@@ -563,10 +564,15 @@ export class InventoryRun {
      * @param {string | null} name 
      * @param {types.StopOptionsWithContext & {
      *      withDependencies?: boolean
+     *      withDependents?: boolean
      * }=} options 
      */
     async #stop(name, options) {
 
+        if (name && options?.withDependencies === true && options?.withDependents === true) {
+            throw new CodeError('Conflicting options (withDependencies & withDependents)');
+        }
+
         /** @type {Dependencies | null} */
         let dependencies = null;
         let counter = { count: 0, total: 0 };
@@ -574,7 +580,11 @@ export class InventoryRun {
             // stop all
             counter.total = this._inv.size;
         } else {
-            if (options?.withDependencies === true) {
+            if (options?.withDependents === true) {
+                const graph = DependencyGraph.fromInventory(this._inv);
+                dependencies = Dependencies.fromNames([name, ...graph.dependents(name)], this._inv);
+                counter.total = dependencies.size;
+            } else if (options?.withDependencies === true) {
                 dependencies = this._inv.dependencies(name);
                 // dependencies include 'name' config
                 counter.total = dependencies.size;
@@ -600,11 +610,23 @@ export class InventoryRun {
         });
 
         // No dependencies ? stop a single service
-        if (name && !options?.withDependencies) {
+        if (name && !options?.withDependencies && !options?.withDependents) {
             const result = await this.#stopByName(name, counter, options);
             return [result];
         }
 
+        // Workers are not listed in the inventory, stop the workers 
+        // connected to the cores about to be stopped.
+        if (dependencies && options?.withDependents === true) {
+            const coreNames = dependencies.getConfigNamesArrayFromType('core') ?? [];
+            for (let i = 0; i < coreNames.length; ++i) {
+                const coreConf = this._inv.getConfig(coreNames[i]).resolved;
+                assert(coreConf.type === 'core');
+                const coreUrl = 'http://' + (coreConf.hostname ?? 'localhost') + ":" + coreConf.port.toString();
+                await WorkerService.stopAll({ coreUrl }, { workspace: this._inv.workspace, ...options });
+            }
+        }
+
         const allResults = [];
         for (let i = ORDERED_SERVICE_TYPE_GROUPS.length - 1; i >= 0; --i) {
             // groups are sequential, NOT parallel
@@ -10,7 +10,7 @@ import { MarketApiService, newMarketApiService } from './MarketApiService.js';
 import { MarketWatcherService, newMarketWatcherService } from './MarketWatcherService.js';
 import { installServiceClassPackage } from './spring-serverservice.js';
 import { ENV_FILE_BASENAME } from './base-internal.js';
-import { AbstractService, Service } from '../common/service.js';
+import { AbstractService, Service, filterByWorkspace, pidInWorkspace } from '../common/service.js';
 import { ContractRef, ContratRefFromString, PoCoHubRef } from '../common/contractref.js';
 import { deepCopyPackage } from '../pkgmgr/pkgmgr-deepcopy.js';
 import { dirExists, mkDirP, resolveAbsolutePath, throwIfNotAbsolutePath, toRelativePath } from '../common/fs.js';
@@ -100,6 +100,9 @@ export class Market extends AbstractService {
     get redis() {
         return this.#redis;
     }
+    get watchers() {
+        return [...this.#watchers];
+    }
 
     /**
      * @param {PoCoHubRef} hub 
@@ -1250,6 +1253,21 @@ export class Market extends AbstractService {
         this.#stopAll(true, filters, options);
     }
 
+    /**
+     * @template {MongoService | RedisService} T
+     * @param {T[] | null} services 
+     * @param {types.WorkspaceRef=} workspace 
+     */
+    static async #filterInstancesByWorkspace(services, workspace) {
+        if (!services || !workspace) {
+            return services;
+        }
+        const pids = await Promise.all(services.map(s => s.getPID()));
+        const keep = await Promise.all(pids.map(pid => (pid) ? pidInWorkspace(pid, workspace) : false));
+        const filtered = services.filter((s, i) => keep[i]);
+        return (filtered.length === 0) ? null : filtered;
+    }
+
     /** 
      * @param {boolean} kill
      * @param {any} filters 
@@ -1259,13 +1277,21 @@ export class Market extends AbstractService {
 
         // filters are not yet used
         // keep the same method signature as service.js 
-        const [mongos, redis, apis, watchers] = await Promise.all([
+        const [allMongos, allRedis, allApis, allWatchers] = await Promise.all([
             MongoService.fromServiceType(MARKET_TYPENAME),
             RedisService.fromServiceType(MARKET_TYPENAME),
             MarketApiService.running(),
             MarketWatcherService.running()
         ]);
 
+        const workspace = options?.workspace;
+        const [mongos, redis, apis, watchers] = await Promise.all([
+            Market.#filterInstancesByWorkspace(allMongos, workspace),
+            Market.#filterInstancesByWorkspace(allRedis, workspace),
+            filterByWorkspace(allApis, workspace),
+            filterByWorkspace(allWatchers, workspace)
+        ]);
+
         /** @type {Service[]} */
         let apiAndWatchersGp = [];
         /** @type {number[]} */
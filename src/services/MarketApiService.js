@@ -10,9 +10,10 @@ import { hostnamePortToString, isNullishOrEmptyString, stringToPositiveInteger,
 import { resolveAbsolutePath, saveToFile, throwIfDirDoesNotExist, throwIfParentDirDoesNotExist } from '../common/fs.js';
 import { repeatCallUntil } from '../common/repeat-call-until.js';
 import { getPIDCWD, psGetEnv, psGrepPIDAndEnv, pspWithArgsAndEnv } from '../common/ps.js';
+import { Wallet } from 'ethers';
 import { CodeError } from '../common/error.js';
 import { genSetMBashScript } from '../common/bash.js';
-import { httpGET } from '../common/http.js';
+import { httpGET, httpPOST, httpPUT } from '../common/http.js';
 import { isBytes32String } from '../common/ethers.js';
 import { isStrictlyPositiveInteger } from '../common/number.js';
 import { envVarName } from '../common/consts.js';
@@ -747,10 +748,9 @@ export class MarketApiService extends ServerService {
         const endpoint = typename + "orders/" + orderhash;
         const query = "chainId=" + chainid;
 
-        const api_url = this.url;
         try {
-            // <marketUrl>/<typename>/orders/<orderhash>?chainId=<chainid>
-            const orderResponse = await httpGET(api_url + "/" + endpoint + "?" + query);
+            // <marketUrl>/<typename>orders/<orderhash>?chainId=<chainid>
+            const orderResponse = await httpGET(new URL("/" + endpoint + "?" + query, this.url));
             const o = JSON.parse(orderResponse);
             return o;
         } catch (err) {
@@ -758,6 +758,108 @@ export class MarketApiService extends ServerService {
         }
     }
 
+    /**
+     * Publishes a signed order in the market orderbook. 
+     * Returns the published order hash.
+     * @param {types.iExecObjectType} typename 
+     * @param {number} chainid 
+     * @param {Record<string, any>} signedOrder 
+     * @param {Wallet} signer 
+     * @returns {Promise<types.bytes32string>}
+     */
+    async publishOrder(typename, chainid, signedOrder, signer) {
+        const authorization = await this.#getAuthorizationOrThrow(chainid, signer);
+        // POST <marketUrl>/<typename>orders?chainId=<chainid>
+        const response = await httpPOST(
+            this.url,
+            `/${typename}orders?chainId=${chainid}`,
+            { authorization },
+            { order: signedOrder });
+        if (!response?.ok || !response.published?.orderHash) {
+            throw new CodeError(
+                `Market API failed to publish ${typename} order (${JSON.stringify(response)})`,
+                ERROR_CODES.MARKET_API_ERROR);
+        }
+        return response.published.orderHash;
+    }
+
+    /**
+     * Removes a published order from the market orderbook. 
+     * Returns the unpublished order hashes.
+     * @param {types.iExecObjectType} typename 
+     * @param {number} chainid 
+     * @param {types.bytes32string} orderhash 
+     * @param {Wallet} signer 
+     * @returns {Promise<types.bytes32string[]>}
+     */
+    async unpublishOrder(typename, chainid, orderhash, signer) {
+        if (!isBytes32String(orderhash)) {
+            throw new CodeError('Invalid orderhash');
+        }
+        const authorization = await this.#getAuthorizationOrThrow(chainid, signer);
+        // PUT <marketUrl>/<typename>orders?chainId=<chainid>
+        /** @type {any} */
+        const response = await httpPUT(
+            this.url,
+            `/${typename}orders?chainId=${chainid}`,
+            { authorization },
+            { target: 'unpublish_orderHash', orderHash: orderhash });
+        if (!response?.ok || !Array.isArray(response.unpublished)) {
+            throw new CodeError(
+                `Market API failed to unpublish ${typename} order ${orderhash} (${JSON.stringify(response)})`,
+                ERROR_CODES.MARKET_API_ERROR);
+        }
+        return response.unpublished;
+    }
+
+    /**
+     * Lists the open orders of the market orderbook.
+     * - `filters` : any market api query parameter (app, dataset, workerpool,
+     * requester, category, ...)
+     * @param {types.iExecObjectType} typename 
+     * @param {number} chainid 
+     * @param {Record<string, string | number>=} filters 
+     * @returns {Promise<{ 
+     *      orderHash: types.bytes32string 
+     *      order: Record<string, any>
+     *      remaining: number
+     *      status: string
+     *      signer: types.checksumaddress
+     *      publicationTimestamp: string
+     * }[]>}
+     */
+    async getOrders(typename, chainid, filters) {
+        if (!isStrictlyPositiveInteger(chainid)) {
+            throw new CodeError('Invalid chainid');
+        }
+        const query = new URLSearchParams({ chainId: chainid.toString() });
+        Object.entries(filters ?? {}).forEach(([k, v]) => query.set(k, v.toString()));
+
+        // GET <marketUrl>/<typename>orders?chainId=<chainid>&...
+        const url = new URL(`/${typename}orders?${query.toString()}`, this.url);
+        const response = JSON.parse(await httpGET(url));
+        if (!response?.ok || !Array.isArray(response.orders)) {
+            throw new CodeError(
+                `Market API failed to list ${typename} orders (${JSON.stringify(response)})`,
+                ERROR_CODES.MARKET_API_ERROR);
+        }
+        return response.orders;
+    }
+
+    /**
+     * @param {number} chainid 
+     * @param {Wallet} signer 
+     */
+    async #getAuthorizationOrThrow(chainid, signer) {
+        const authorization = await this.getAuthorization('/challenge', chainid, signer);
+        if (!authorization) {
+            throw new CodeError(
+                `${this.typename()}: Challenge computation failed.`,
+                ERROR_CODES.MARKET_API_ERROR);
+        }
+        return authorization;
+    }
+
     /**
      * @param {string} str 
      */
@@ -317,6 +317,26 @@ export class MongoService extends ServerService {
         }
     }
 
+    /**
+     * Executes the mongo admin command `{ ping: 1 }`
+     * @param {number=} timeoutMS
+     * @returns {Promise<boolean>}
+     */
+    async ping(timeoutMS = 2000) {
+        const client = new MongoClient(`mongodb://${this.hostname}:${this.port}`, {
+            serverSelectionTimeoutMS: timeoutMS,
+            connectTimeoutMS: timeoutMS
+        });
+        try {
+            const doc = await client.db().admin().command({ ping: 1 });
+            return (doc?.ok === 1);
+        } catch (err) {
+            return false;
+        } finally {
+            await client.close().catch(() => { });
+        }
+    }
+
     /** @override */
     async getPID() {
         if (!this.canStart) {
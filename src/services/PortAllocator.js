@@ -0,0 +1,281 @@
+import assert from 'assert';
+import { PORT_RANGE } from './default-ports.js';
+import { getPortListenerPID, isPortAvailable } from '../common/net.js';
+import { toJSONPath } from '../common/json-schema.js';
+import { pidInWorkspace } from '../common/service.js';
+import * as types from '../common/common-types.js';
+
+/**
+ * A localhost port property of the config file. Worker ports are not listed
+ * in the config file and cannot be reassigned (`owner === null`).
+ * @typedef {{
+ *      path: string
+ *      owner: any
+ *      key: string
+ *      port: number
+ *      size: number
+ *      range: { from: number, to: number }
+ * }} ConfigPort
+ */
+
+/**
+ * @typedef {{
+ *      path: string
+ *      from: number
+ *      to: number | null
+ * }} PortChange
+ */
+
+/**
+ * @param {any} config
+ */
+function isLocalhost(config) {
+    return (!config?.hostname || config.hostname === 'localhost');
+}
+
+/**
+ * Lists all the localhost ports explicitly set in the config file json object.
+ * Chain services reserve a slot of consecutive ports (service, management,
+ * mongo).
+ * @param {any} configJson
+ * @returns {ConfigPort[]}
+ */
+export function listConfigPorts(configJson) {
+    /** @type {ConfigPort[]} */
+    const ports = [];
+
+    /**
+     * @param {(string | number)[]} path
+     * @param {any} owner
+     * @param {string} key
+     * @param {{ from: number, to: number, size?: number }} range
+     */
+    const add = (path, owner, key, range) => {
+        if (!owner || typeof owner[key] !== 'number') {
+            return;
+        }
+        ports.push({ path: toJSONPath(path), owner, key, port: owner[key], size: range.size ?? 1, range });
+    };
+
+    Object.entries(configJson.shared ?? {}).forEach(([name, conf]) => {
+        /** @type {any} */
+        const c = conf;
+        if (!c || typeof c !== 'object' || !isLocalhost(c)) {
+            return;
+        }
+        const p = ['shared', name];
+        switch (c.type) {
+            case 'ipfs':
+                add([...p, 'apiPort'], c, 'apiPort', PORT_RANGE.shared.ipfs.api);
+                add([...p, 'gatewayPort'], c, 'gatewayPort', PORT_RANGE.shared.ipfs.gateway);
+                break;
+            case 'ganache':
+                add([...p, 'port'], c, 'port', PORT_RANGE.shared.ganache);
+                break;
+            case 'docker':
+                add([...p, 'port'], c, 'port', PORT_RANGE.shared.docker);
+                break;
+            case 'mongo':
+                add([...p, 'port'], c, 'port', PORT_RANGE.shared.mongo);
+                break;
+            case 'redis':
+                add([...p, 'port'], c, 'port', PORT_RANGE.shared.redis);
+                break;
+            case 'market':
+                if (!isLocalhost(c.api)) {
+                    break;
+                }
+                add([...p, 'api', 'port'], c.api, 'port', PORT_RANGE.shared.market.api);
+                add([...p, 'mongo', 'port'], c.mongo, 'port', PORT_RANGE.shared.market.mongo);
+                add([...p, 'redis', 'port'], c.redis, 'port', PORT_RANGE.shared.market.redis);
+                break;
+            default:
+                break;
+        }
+    });
+
+    Object.entries(configJson.chains ?? {}).forEach(([chainName, chain]) => {
+        /** @type {('sms' | 'resultproxy' | 'blockchainadapter' | 'core')[]} */
+        const types = ['sms', 'resultproxy', 'blockchainadapter', 'core'];
+        types.forEach(type => {
+            /** @type {any} */
+            const c = chain?.[type];
+            if (!c || !isLocalhost(c)) {
+                return;
+            }
+            add(['chains', chainName, type, 'port'], c, 'port', PORT_RANGE.chains[type]);
+        });
+    });
+
+    return ports;
+}
+
+/**
+ * Lists the worker ports of each chain. The `PORT_RANGE.workers` range is
+ * split among the chains (same computation as `ConfigFile.load`), worker #i
+ * listens on the i-th port of its chain slice.
+ * @param {any} configJson
+ * @returns {ConfigPort[]}
+ */
+export function listWorkerPorts(configJson) {
+    const chainNames = Object.keys(configJson.chains ?? {});
+    const maxWorkers = PORT_RANGE.workers.to - PORT_RANGE.workers.from + 1;
+    const nWorkers = Math.floor(maxWorkers / Math.max(1, chainNames.length));
+    return chainNames.map((chainName, i) => {
+        const from = PORT_RANGE.workers.from + i * nWorkers;
+        const count = configJson.chains[chainName]?.worker?.count;
+        return {
+            path: toJSONPath(['chains', chainName, 'worker']),
+            owner: null,
+            key: '',
+            port: from,
+            size: Math.min(nWorkers, (typeof count === 'number' && count > 0) ? count : 1),
+            range: { from, to: from + nWorkers - 1 }
+        };
+    });
+}
+
+/**
+ * Returns the config file ports (workers included) that are used by the
+ * services of `workspace`.
+ * @param {any} configJson
+ * @param {types.WorkspaceRef} workspace
+ */
+export async function getWorkspacePorts(configJson, workspace) {
+    /** @type {Set<number>} */
+    const workspacePorts = new Set();
+    const ports = [...listConfigPorts(configJson), ...listWorkerPorts(configJson)];
+    for (let i = 0; i < ports.length; ++i) {
+        const busy = await getBusyPorts(ports[i]);
+        for (let j = 0; j < busy.length; ++j) {
+            const pid = await getPortListenerPID(busy[j]);
+            if (pid && (await pidInWorkspace(pid, workspace))) {
+                workspacePorts.add(busy[j]);
+            }
+        }
+    }
+    return workspacePorts;
+}
+
+/**
+ * @param {ConfigPort} p
+ * @param {number=} port
+ */
+function slot(p, port) {
+    const first = port ?? p.port;
+    return Array.from({ length: p.size }, (_, i) => first + i);
+}
+
+/**
+ * Returns the ports of the config file slots that are already in use on the
+ * local machine.
+ * @param {ConfigPort} p
+ * @param {Set<number>=} ignoredPorts ports considered as available (ex: ports used by the workspace own services)
+ */
+export async function getBusyPorts(p, ignoredPorts) {
+    const busy = [];
+    const ports = slot(p);
+    for (let i = 0; i < ports.length; ++i) {
+        if (ignoredPorts?.has(ports[i])) {
+            continue;
+        }
+        if (!(await isPortAvailable(ports[i]))) {
+            busy.push(ports[i]);
+        }
+    }
+    return busy;
+}
+
+/**
+ * Moves every config port already in use on the local machine to the first
+ * available slot of its `PORT_RANGE`. All the `<host>:<port>` references to
+ * a moved port (urls, mongoHost, ipfsHost etc.) are updated accordingly.
+ * - The config json object is modified in place.
+ * - A change with `to === null` means that the range is exhausted (or that
+ *   the port is a worker port), the port is left unchanged.
+ * @param {any} configJson
+ * @param {Set<number>=} ignoredPorts ports considered as available (ex: ports used by the workspace own services)
+ * @returns {Promise<PortChange[]>}
+ */
+export async function reassignBusyPorts(configJson, ignoredPorts) {
+    const ports = listConfigPorts(configJson);
+    const workerPorts = listWorkerPorts(configJson);
+
+    const used = new Set();
+    [...ports, ...workerPorts].forEach(p => slot(p).forEach(port => used.add(port)));
+
+    /** @type {PortChange[]} */
+    const changes = [];
+    /** @type {Map<number, number>} */
+    const moved = new Map();
+
+    // Worker ports are not in the config file, they can only be reported
+    for (let i = 0; i < workerPorts.length; ++i) {
+        const busy = await getBusyPorts(workerPorts[i], ignoredPorts);
+        busy.forEach(port => changes.push({ path: workerPorts[i].path, from: port, to: null }));
+    }
+
+    for (let i = 0; i < ports.length; ++i) {
+        const p = ports[i];
+        const busy = await getBusyPorts(p, ignoredPorts);
+        if (busy.length === 0) {
+            continue;
+        }
+
+        let newPort = null;
+        for (let candidate = p.range.from; candidate + p.size - 1 <= p.range.to; candidate += p.size) {
+            const candidateSlot = slot(p, candidate);
+            if (candidateSlot.some(port => used.has(port))) {
+                continue;
+            }
+            let available = true;
+            for (let j = 0; j < candidateSlot.length; ++j) {
+                if (!(await isPortAvailable(candidateSlot[j]))) {
+                    available = false;
+                    break;
+                }
+            }
+            if (available) {
+                newPort = candidate;
+                break;
+            }
+        }
+
+        changes.push({ path: p.path, from: p.port, to: newPort });
+        if (newPort === null) {
+            continue;
+        }
+
+        slot(p, newPort).forEach(port => used.add(port));
+        for (let j = 0; j < p.size; ++j) {
+            moved.set(p.port + j, newPort + j);
+        }
+        p.owner[p.key] = newPort;
+    }
+
+    if (moved.size > 0) {
+        replaceHostPorts(configJson, moved);
+    }
+    return changes;
+}
+
+/**
+ * Replaces all the 'localhost:<port>' (or '127.0.0.1:<port>') occurrences
+ * in the string values of `obj`.
+ * @param {any} obj
+ * @param {Map<number, number>} moved
+ */
+function replaceHostPorts(obj, moved) {
+    assert(obj && typeof obj === 'object');
+    Object.keys(obj).forEach(k => {
+        const v = obj[k];
+        if (typeof v === 'string') {
+            obj[k] = v.replace(/\b(localhost|127\.0\.0\.1):(\d+)\b/g, (match, host, port) => {
+                const to = moved.get(Number.parseInt(port));
+                return (to === undefined) ? match : `${host}:${to}`;
+            });
+        } else if (v && typeof v === 'object') {
+            replaceHostPorts(v, moved);
+        }
+    });
+}
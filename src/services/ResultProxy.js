@@ -18,6 +18,7 @@ import { CodeError } from '../common/error.js';
 import { throwIfNotStrictlyPositiveInteger } from '../common/number.js';
 import { GanachePoCoService } from '../poco/GanachePoCoService.js';
 import { httpPOST } from '../common/http.js';
+import { downloadAndUnzipZipFile } from '../common/zip.js';
 import { envVarName } from '../common/consts.js';
 
 /**
@@ -526,4 +527,21 @@ export class ResultProxyService extends SpringMongoServerService {
 
         throw new CodeError(`${this.typename()}: login failed.`);
     }
+
+    /**
+     * Downloads and inflates the task result zip file into `outDir`. 
+     * The result proxy only delivers results to the task requester.
+     * @param {types.bytes32string} taskid 
+     * @param {Wallet} requester 
+     * @param {string} outDir 
+     */
+    async downloadResult(taskid, requester, outDir) {
+        const chainid = this.hub?.chainid;
+        if (!chainid) {
+            throw new CodeError('Invalid chainid');
+        }
+        const token = await this.login(requester);
+        const zipURL = new URL(`/results/${taskid}?chainId=${chainid}`, this.url);
+        await downloadAndUnzipZipFile(zipURL, outDir, { 'Authorization': token });
+    }
 }
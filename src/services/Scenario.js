@@ -0,0 +1,672 @@
+import * as types from '../common/common-types.js';
+import assert from 'assert';
+import path from 'path';
+import * as yaml from 'js-yaml';
+import { Inventory } from './Inventory.js';
+import { CodeError } from '../common/error.js';
+import { fileExists, errorFileDoesNotExist, readFile, resolveAbsolutePath, generateTmpPathname, rmrfDir, dirExists } from '../common/fs.js';
+import { stringIsPOSIXPortable } from '../common/string.js';
+import { genRandomSalt, isBytes32String, isValidAddress } from '../common/ethers.js';
+import { dockerAppName } from '../common/consts.js';
+import { Order } from '../contracts/Order.js';
+import { Task } from '../contracts/Task.js';
+import { deployApp, deployDataset, downloadTaskResult, newRequestParams, newRunEnv, pushRequesterIpfsSecret, runIexecApp, waitUntilTaskCompleted } from './Exec.js';
+
+/**
+ * @typedef {'deployApp' | 'deployDataset' |
+ *      'appOrder' | 'datasetOrder' | 'workerpoolOrder' | 'requestOrder' |
+ *      'match' | 'wait' | 'assert' | 'run'} ScenarioStepType
+ */
+
+/**
+ * @typedef {{
+ *      type: ScenarioStepType
+ *      id?: string
+ *      [key:string]: any
+ * }} ScenarioStep
+ */
+
+/**
+ * @typedef {{
+ *      index: number
+ *      type: ScenarioStepType
+ *      id?: string
+ *      status: 'passed' | 'failed' | 'skipped'
+ *      duration: number
+ *      error?: string
+ *      output?: any
+ * }} ScenarioStepReport
+ */
+
+/**
+ * @typedef {{
+ *      name: string
+ *      file: string
+ *      hub: string
+ *      passed: boolean
+ *      startDate: string
+ *      duration: number
+ *      steps: ScenarioStepReport[]
+ * }} ScenarioReport
+ */
+
+/** @type {Object.<ScenarioStepType, string[]>} */
+const STEP_REQUIRED_PROPERTIES = {
+    'deployApp': ['id', 'directory', 'name'],
+    'deployDataset': ['id', 'file'],
+    'appOrder': ['id', 'app'],
+    'datasetOrder': ['id', 'dataset'],
+    'workerpoolOrder': ['id'],
+    'requestOrder': ['id', 'app'],
+    'match': ['id', 'appOrder', 'workerpoolOrder', 'requestOrder'],
+    'wait': ['deal'],
+    'assert': ['deal'],
+    'run': ['id', 'directory', 'name'],
+};
+
+/** @type {Object.<string, string[]>} */
+const ORDER_PRICE_PROPERTIES = {
+    'appOrder': ['price'],
+    'datasetOrder': ['price'],
+    'workerpoolOrder': ['price'],
+    'requestOrder': ['appmaxprice', 'datasetmaxprice', 'workerpoolmaxprice'],
+};
+
+/**
+ * Id of a step requiring an `id` property (checked by `STEP_REQUIRED_PROPERTIES`)
+ * @param {ScenarioStep} step
+ */
+function stepId(step) {
+    assert(step.id);
+    return step.id;
+}
+
+const TASK_STATUSES = ['UNSET', 'ACTIVE', 'REVEALING', 'COMPLETED', 'FAILED'];
+
+/**
+ * A scenario is a declarative list of steps executed sequentially against a
+ * given hub. Steps refer to each other using their `id` property.
+ * ```
+ * name: hello
+ * steps:
+ *   - type: deployApp
+ *     id: hello
+ *     directory: ./hello-app
+ *     name: hello
+ *   - type: appOrder
+ *     id: ao
+ *     app: hello
+ *     price: 0
+ *   - type: workerpoolOrder
+ *     id: wo
+ *     volume: 2
+ *   - type: requestOrder
+ *     id: ro
+ *     app: hello
+ *     volume: 2
+ *   - type: match
+ *     id: deal
+ *     appOrder: ao
+ *     workerpoolOrder: wo
+ *     requestOrder: ro
+ *   - type: wait
+ *     deal: deal
+ *   - type: assert
+ *     deal: deal
+ *     status: COMPLETED
+ *     stdout: Hello
+ * ```
+ */
+export class Scenario {
+
+    /** @type {string} */
+    #name;
+
+    /** @type {string} */
+    #file;
+
+    /** @type {string=} */
+    #hub;
+
+    /** @type {number} */
+    #workers;
+
+    /** @type {ScenarioStep[]} */
+    #steps;
+
+    /**
+     * @param {string} file
+     * @param {any} obj
+     */
+    constructor(file, obj) {
+        this.#file = file;
+        this.#name = obj.name ?? path.basename(file, path.extname(file));
+        this.#hub = obj.hub;
+        this.#workers = obj.workers ?? 1;
+        this.#steps = obj.steps;
+    }
+
+    get name() { return this.#name; }
+    get file() { return this.#file; }
+    get dir() { return path.dirname(this.#file); }
+    get hub() { return this.#hub; }
+    get workers() { return this.#workers; }
+    get steps() { return [...this.#steps]; }
+
+    /**
+     * Loads and validates a scenario file (json or yaml)
+     * @param {string} file
+     */
+    static async fromFile(file) {
+        file = resolveAbsolutePath(file);
+        if (!fileExists(file)) {
+            throw errorFileDoesNotExist(file);
+        }
+        const str = await readFile(file, { strict: true });
+        assert(str);
+
+        let obj;
+        const ext = path.extname(file).toLowerCase();
+        try {
+            if (ext === '.yaml' || ext === '.yml') {
+                obj = yaml.load(str);
+            } else {
+                obj = JSON.parse(str);
+            }
+        } catch (err) {
+            throw new CodeError(`Unable to parse scenario file '${file}' (${(err instanceof Error) ? err.message : ''})`);
+        }
+
+        Scenario.validate(obj, file);
+        return new Scenario(file, obj);
+    }
+
+    /**
+     * Throws an error listing all the invalid scenario properties.
+     * @param {any} obj
+     * @param {string=} file scenario file, included in the error message
+     */
+    static validate(obj, file) {
+        const invalid = (file) ? `Invalid scenario '${file}'` : 'Invalid scenario';
+        if (!obj || typeof obj !== 'object') {
+            throw new CodeError(`${invalid}, expecting an object`);
+        }
+        /** @type {string[]} */
+        const errors = [];
+        if (obj.name !== undefined && typeof obj.name !== 'string') {
+            errors.push(`name: expecting a string`);
+        }
+        if (obj.hub !== undefined && typeof obj.hub !== 'string') {
+            errors.push(`hub: expecting a string`);
+        }
+        if (obj.workers !== undefined && !(Number.isInteger(obj.workers) && obj.workers > 0)) {
+            errors.push(`workers: expecting a strictly positive integer`);
+        }
+        if (!Array.isArray(obj.steps) || obj.steps.length === 0) {
+            errors.push(`steps: expecting a non-empty array`);
+        } else {
+            const ids = new Set();
+            for (let i = 0; i < obj.steps.length; ++i) {
+                const step = obj.steps[i];
+                if (!step || typeof step !== 'object') {
+                    errors.push(`steps[${i}]: expecting an object`);
+                    continue;
+                }
+                const required = STEP_REQUIRED_PROPERTIES[/** @type {ScenarioStepType} */(step.type)];
+                if (!required) {
+                    errors.push(`steps[${i}].type: unknown step type '${step.type}'`);
+                    continue;
+                }
+                for (let j = 0; j < required.length; ++j) {
+                    if (step[required[j]] === undefined || step[required[j]] === null) {
+                        errors.push(`steps[${i}].${required[j]}: missing property`);
+                    }
+                }
+                if (step.id !== undefined) {
+                    if (ids.has(step.id)) {
+                        errors.push(`steps[${i}].id: duplicate id '${step.id}'`);
+                    }
+                    ids.add(step.id);
+                }
+                if (step.type === 'assert' && step.status !== undefined && !TASK_STATUSES.includes(step.status)) {
+                    errors.push(`steps[${i}].status: expecting one of ${TASK_STATUSES.join(', ')}`);
+                }
+                const prices = ORDER_PRICE_PROPERTIES[step.type];
+                if (prices) {
+                    for (let j = 0; j < prices.length; ++j) {
+                        const price = step[prices[j]];
+                        if (price === undefined) {
+                            continue;
+                        }
+                        try {
+                            Order.validatePrice(price, 'nRLC');
+                        } catch {
+                            errors.push(`steps[${i}].${prices[j]}: invalid price '${price}'`);
+                        }
+                    }
+                    if (step.tag !== undefined) {
+                        try {
+                            Order.validateTag(step.tag);
+                        } catch {
+                            errors.push(`steps[${i}].tag: invalid tag '${step.tag}'`);
+                        }
+                    }
+                }
+            }
+        }
+        if (errors.length > 0) {
+            throw new CodeError(`${invalid}:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Runs all the steps sequentially. Stops at the first failing step,
+     * the remaining steps are marked as 'skipped'.
+     * @param {Inventory} inventory
+     * @param {{
+     *      hub: string
+     *      progressCb?: types.progressCallback
+     *      taskProgressCb?: types.progressCallback
+     * }} options
+     * @returns {Promise<ScenarioReport>}
+     */
+    async run(inventory, { hub, progressCb, taskProgressCb }) {
+        const startDate = new Date();
+        const env = await newRunEnv(inventory, { hub });
+        const ctx = new ScenarioContext(inventory, env, this.dir, taskProgressCb);
+
+        /** @type {ScenarioStepReport[]} */
+        const reports = [];
+        let failed = false;
+        for (let i = 0; i < this.#steps.length; ++i) {
+            const step = this.#steps[i];
+
+            /** @type {ScenarioStepReport} */
+            const report = { index: i, type: step.type, id: step.id, status: 'skipped', duration: 0 };
+            reports.push(report);
+            if (failed) {
+                continue;
+            }
+
+            progressCb?.({ count: i, total: this.#steps.length, value: { step, report } });
+
+            const t0 = Date.now();
+            try {
+                const output = await ctx.exec(step);
+                report.status = 'passed';
+                if (output !== undefined) {
+                    report.output = output;
+                }
+            } catch (err) {
+                failed = true;
+                report.status = 'failed';
+                report.error = (err instanceof Error) ? err.message : String(err);
+            }
+            report.duration = Date.now() - t0;
+
+            progressCb?.({ count: i + 1, total: this.#steps.length, value: { step, report } });
+        }
+
+        return {
+            name: this.#name,
+            file: this.#file,
+            hub,
+            passed: !failed,
+            startDate: startDate.toISOString(),
+            duration: Date.now() - startDate.getTime(),
+            steps: reports
+        };
+    }
+}
+
+class ScenarioContext {
+
+    /** @type {Inventory} */
+    #inventory;
+
+    /** @type {import('./Exec.js').RunEnv} */
+    #env;
+
+    /** @type {string} */
+    #dir;
+
+    /** @type {types.progressCallback=} */
+    #taskProgressCb;
+
+    /** @type {boolean} */
+    #ipfsSecretPushed = false;
+
+    /** @type {Map<string, types.checksumaddress>} */
+    #assets = new Map();
+
+    /** @type {Map<string, {type:'app'|'dataset'|'workerpool'|'request', order:any, salt:string}>} */
+    #orders = new Map();
+
+    /** @type {Map<string, {dealid:types.bytes32string, volume:number}>} */
+    #deals = new Map();
+
+    /**
+     * @param {Inventory} inventory
+     * @param {import('./Exec.js').RunEnv} env
+     * @param {string} dir
+     * @param {types.progressCallback=} taskProgressCb
+     */
+    constructor(inventory, env, dir, taskProgressCb) {
+        this.#inventory = inventory;
+        this.#env = env;
+        this.#dir = dir;
+        this.#taskProgressCb = taskProgressCb;
+    }
+
+    /**
+     * @param {ScenarioStep} step
+     */
+    async exec(step) {
+        switch (step.type) {
+            case 'deployApp': return this.#deployApp(step);
+            case 'deployDataset': return this.#deployDataset(step);
+            case 'appOrder': return this.#appOrder(step);
+            case 'datasetOrder': return this.#datasetOrder(step);
+            case 'workerpoolOrder': return this.#workerpoolOrder(step);
+            case 'requestOrder': return this.#requestOrder(step);
+            case 'match': return this.#match(step);
+            case 'wait': return this.#wait(step);
+            case 'assert': return this.#assert(step);
+            case 'run': return this.#run(step);
+            default:
+                throw new CodeError(`Unknown step type '${step.type}'`);
+        }
+    }
+
+    /** @param {string} p */
+    #resolvePath(p) {
+        return path.isAbsolute(p) ? p : path.join(this.#dir, p);
+    }
+
+    /**
+     * Resolves an asset using either its step id or its address
+     * @param {string} idOrAddr
+     */
+    #asset(idOrAddr) {
+        const addr = this.#assets.get(idOrAddr);
+        if (addr) {
+            return addr;
+        }
+        if (isValidAddress(idOrAddr)) {
+            return idOrAddr;
+        }
+        throw new CodeError(`Unknown asset '${idOrAddr}'`);
+    }
+
+    /**
+     * @param {string} id
+     * @param {'app'|'dataset'|'workerpool'|'request'} type
+     */
+    #order(id, type) {
+        const o = this.#orders.get(id);
+        if (!o) {
+            throw new CodeError(`Unknown order '${id}'`);
+        }
+        if (o.type !== type) {
+            throw new CodeError(`Order '${id}' is not a ${type} order`);
+        }
+        return o;
+    }
+
+    /**
+     * Resolves a deal using either its step id or its dealid
+     * @param {string} idOrDealid
+     */
+    async #deal(idOrDealid) {
+        const d = this.#deals.get(idOrDealid);
+        if (d) {
+            return this.#env.hubContract.viewDeal(d.dealid);
+        }
+        if (isBytes32String(idOrDealid)) {
+            return this.#env.hubContract.viewDeal(idOrDealid);
+        }
+        throw new CodeError(`Unknown deal '${idOrDealid}'`);
+    }
+
+    /**
+     * Returns the list of task indices targeted by a 'wait' or 'assert' step.
+     * @param {ScenarioStep} step
+     * @param {number} botSize
+     */
+    #taskIndices(step, botSize) {
+        if (step.task === undefined || step.task === null || step.task === 'all') {
+            return [...Array(botSize).keys()];
+        }
+        const idx = Number(step.task);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= botSize) {
+            throw new CodeError(`Invalid task index '${step.task}' (deal size=${botSize})`);
+        }
+        return [idx];
+    }
+
+    /** @param {ScenarioStep} step */
+    async #deployApp(step) {
+        if (!stringIsPOSIXPortable(step.name)) {
+            throw new CodeError(`Invalid app name '${step.name}'`);
+        }
+        const appDir = this.#resolvePath(step.directory);
+        if (!fileExists(path.join(appDir, 'Dockerfile'))) {
+            throw errorFileDoesNotExist(path.join(appDir, 'Dockerfile'));
+        }
+        const app = await deployApp(this.#env, {
+            appDir,
+            appName: dockerAppName(step.name),
+            rebuildDockerImage: step.rebuild ?? true
+        });
+        assert(app.address);
+        this.#assets.set(stepId(step), app.address);
+        return { address: app.address };
+    }
+
+    /** @param {ScenarioStep} step */
+    async #deployDataset(step) {
+        const datasetFile = this.#resolvePath(step.file);
+        if (!fileExists(datasetFile)) {
+            throw errorFileDoesNotExist(datasetFile);
+        }
+        const dataset = await deployDataset(this.#env, {
+            datasetFile,
+            datasetName: step.name
+        });
+        assert(dataset.address);
+        this.#assets.set(stepId(step), dataset.address);
+        return { address: dataset.address };
+    }
+
+    /** @param {ScenarioStep} step */
+    async #appOrder(step) {
+        const order = await this.#env.hubContract.newAppOrder({
+            app: this.#asset(step.app),
+            appprice: step.price,
+            volume: step.volume,
+            tag: step.tag,
+            datasetrestrict: (step.datasetrestrict) ? this.#asset(step.datasetrestrict) : undefined,
+            workerpoolrestrict: step.workerpoolrestrict,
+            requesterrestrict: step.requesterrestrict
+        });
+        this.#orders.set(stepId(step), { type: 'app', order, salt: step.salt ?? genRandomSalt() });
+    }
+
+    /** @param {ScenarioStep} step */
+    async #datasetOrder(step) {
+        const order = await this.#env.hubContract.newDatasetOrder({
+            dataset: this.#asset(step.dataset),
+            datasetprice: step.price,
+            volume: step.volume,
+            tag: step.tag,
+            apprestrict: (step.apprestrict) ? this.#asset(step.apprestrict) : undefined,
+            workerpoolrestrict: step.workerpoolrestrict,
+            requesterrestrict: step.requesterrestrict
+        });
+        this.#orders.set(stepId(step), { type: 'dataset', order, salt: step.salt ?? genRandomSalt() });
+    }
+
+    /** @param {ScenarioStep} step */
+    async #workerpoolOrder(step) {
+        const order = await this.#env.hubContract.newWorkerpoolOrder({
+            workerpool: step.workerpool ?? this.#env.workerpoolAddress,
+            workerpoolprice: step.price,
+            volume: step.volume,
+            tag: step.tag,
+            category: step.category,
+            trust: step.trust ?? 1,
+            apprestrict: (step.apprestrict) ? this.#asset(step.apprestrict) : undefined,
+            datasetrestrict: (step.datasetrestrict) ? this.#asset(step.datasetrestrict) : undefined,
+            requesterrestrict: step.requesterrestrict
+        });
+        this.#orders.set(stepId(step), { type: 'workerpool', order, salt: step.salt ?? genRandomSalt() });
+    }
+
+    /** @param {ScenarioStep} step */
+    async #requestOrder(step) {
+        if (!this.#ipfsSecretPushed) {
+            await pushRequesterIpfsSecret(this.#env);
+            this.#ipfsSecretPushed = true;
+        }
+        const inputFiles = (typeof step.inputFiles === 'string') ? [step.inputFiles] : step.inputFiles;
+        const order = await this.#env.hubContract.newRequestOrder({
+            app: this.#asset(step.app),
+            appmaxprice: step.appmaxprice,
+            dataset: (step.dataset) ? this.#asset(step.dataset) : undefined,
+            datasetmaxprice: step.datasetmaxprice,
+            workerpool: step.workerpool ?? this.#env.workerpoolAddress,
+            workerpoolmaxprice: step.workerpoolmaxprice,
+            requester: this.#env.requesterWallet.address,
+            volume: step.volume,
+            tag: (step.tag) ? Order.validateTag(step.tag) : undefined,
+            category: step.category,
+            trust: step.trust ?? 1,
+            params: newRequestParams(this.#env, { args: step.args, inputFiles })
+        });
+        this.#orders.set(stepId(step), { type: 'request', order, salt: step.salt ?? genRandomSalt() });
+    }
+
+    /** @param {ScenarioStep} step */
+    async #match(step) {
+        const appOrder = this.#order(step.appOrder, 'app');
+        const datasetOrder = (step.datasetOrder) ? this.#order(step.datasetOrder, 'dataset') : null;
+        const workerpoolOrder = this.#order(step.workerpoolOrder, 'workerpool');
+        const requestOrder = this.#order(step.requestOrder, 'request');
+
+        const deal = await this.#env.hubContract.matchOrders(
+            {
+                appOrder: appOrder.order,
+                appOrderSalt: appOrder.salt,
+                appOrderSigner: this.#env.appWallet,
+                datasetOrder: datasetOrder?.order ?? null,
+                datasetOrderSalt: datasetOrder?.salt ?? null,
+                datasetOrderSigner: (datasetOrder) ? this.#env.datasetWallet : null,
+                workerpoolOrder: workerpoolOrder.order,
+                workerpoolOrderSalt: workerpoolOrder.salt,
+                workerpoolOrderSigner: this.#env.workerpoolWallet,
+                requestOrder: requestOrder.order,
+                requestOrderSalt: requestOrder.salt,
+            },
+            this.#env.requesterWallet);
+
+        this.#deals.set(stepId(step), { dealid: deal.dealid, volume: deal.volume.toNumber() });
+        return { dealid: deal.dealid, volume: deal.volume.toNumber() };
+    }
+
+    /** @param {ScenarioStep} step */
+    async #wait(step) {
+        const deal = await this.#deal(step.deal);
+        const indices = this.#taskIndices(step, deal.botSize.toNumber());
+        /** @type {Object.<string, string>} */
+        const statuses = {};
+        await Promise.all(indices.map(async (idx) => {
+            const task = await waitUntilTaskCompleted(
+                this.#env.hubContract,
+                deal,
+                idx,
+                this.#taskProgressCb ?? (() => { }),
+                { stopOnFailure: true });
+            statuses[task.id] = task.status;
+        }));
+        return statuses;
+    }
+
+    /** @param {ScenarioStep} step */
+    async #assert(step) {
+        const deal = await this.#deal(step.deal);
+        const indices = this.#taskIndices(step, deal.botSize.toNumber());
+
+        /** @type {Object.<string, string>} */
+        const expectedContents = { ...(step.files ?? {}) };
+        if (step.stdout !== undefined) {
+            expectedContents['stdout.txt'] = step.stdout;
+        }
+        const checkContents = Object.keys(expectedContents).length > 0;
+
+        for (let i = 0; i < indices.length; ++i) {
+            const task = await this.#env.hubContract.viewTaskAt(deal, indices[i]);
+            if (step.status !== undefined && task.status !== step.status) {
+                throw new CodeError(`Task #${indices[i]} (${task.id}) status mismatch (expected ${step.status}, got ${task.status})`);
+            }
+            if (checkContents) {
+                await this.#assertTaskResult(task, indices[i], expectedContents);
+            }
+        }
+    }
+
+    /**
+     * @param {Task} task
+     * @param {number} idx
+     * @param {Object.<string, string>} expectedContents
+     */
+    async #assertTaskResult(task, idx, expectedContents) {
+        const resultsTmpDir = await generateTmpPathname('scenario-');
+        try {
+            await downloadTaskResult(this.#env.ipfs, task, resultsTmpDir);
+            const files = Object.keys(expectedContents);
+            for (let i = 0; i < files.length; ++i) {
+                const content = await readFile(path.join(resultsTmpDir, files[i]));
+                if (content === null || content === undefined) {
+                    throw new CodeError(`Task #${idx} (${task.id}) result file '${files[i]}' does not exist`);
+                }
+                if (!content.includes(expectedContents[files[i]])) {
+                    throw new CodeError(`Task #${idx} (${task.id}) result file '${files[i]}' does not contain '${expectedContents[files[i]]}'`);
+                }
+            }
+        } finally {
+            if (dirExists(resultsTmpDir)) {
+                await rmrfDir(resultsTmpDir);
+            }
+        }
+    }
+
+    /**
+     * Runs the whole pipeline in one shot using `runIexecApp`
+     * @param {ScenarioStep} step
+     */
+    async #run(step) {
+        if (!stringIsPOSIXPortable(step.name)) {
+            throw new CodeError(`Invalid app name '${step.name}'`);
+        }
+        const inputFiles = (typeof step.inputFiles === 'string') ? [step.inputFiles] : step.inputFiles;
+        const datasetFile = (step.dataset) ? this.#resolvePath(step.dataset) : undefined;
+        if (datasetFile && !fileExists(datasetFile)) {
+            throw errorFileDoesNotExist(datasetFile);
+        }
+        const { deal } = await runIexecApp(this.#inventory, {
+            hub: this.#env.hubAlias,
+            appDir: this.#resolvePath(step.directory),
+            appName: dockerAppName(step.name),
+            datasetFile,
+            args: step.args,
+            inputFiles,
+            trust: step.trust,
+            volume: step.volume,
+            appPrice: step.appPrice,
+            datasetPrice: step.datasetPrice,
+            workerpoolPrice: step.workerpoolPrice,
+        });
+        this.#deals.set(stepId(step), { dealid: deal.dealid, volume: deal.volume.toNumber() });
+        return { dealid: deal.dealid, volume: deal.volume.toNumber() };
+    }
+}
@@ -0,0 +1,343 @@
+import path from 'path';
+import { PROD_CONFIG_BASENAME } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { appendExistingFile, fileExists, mkDirP, readPidFile, rmFileSync, saveToFileSync } from '../common/fs.js';
+import { isPositiveInteger } from '../common/number.js';
+import { killPIDAndWaitUntilFullyStopped, psp } from '../common/ps.js';
+import { Service } from '../common/service.js';
+import { sleep } from '../common/utils.js';
+import { InventoryDB } from './InventoryDB.js';
+import { Market } from './Market.js';
+import { readLayeredConfigFile } from './config-layers.js';
+
+/**
+ * Restart policy, set in the `supervisor` section of the config file :
+ * ```
+ * "supervisor": {
+ *      "maxRetries": 3,
+ *      "backoffMS": 1000,
+ *      "services": {
+ *          "worker": { "maxRetries": 10 },
+ *          "core.1337.standard": { "maxRetries": 0 }
+ *      }
+ * }
+ * ```
+ * Service entries are matched by config name first, then by service type.
+ * @typedef {{
+ *      maxRetries: number
+ *      backoffMS: number
+ *      maxBackoffMS: number
+ * }} RestartPolicy
+ */
+
+/** @type {RestartPolicy} */
+const DEFAULT_RESTART_POLICY = {
+    maxRetries: 3,
+    backoffMS: 1000,
+    maxBackoffMS: 30000
+};
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * @typedef {{
+ *      name: string
+ *      type: string
+ *      instance: Service | Market
+ *      pids: number[]
+ *      retries: number
+ *      gaveUp: boolean
+ * }} SupervisedService
+ */
+
+/**
+ * Watches the services started by `InventoryRun.start` and restarts the ones
+ * that exit unexpectedly, using the same start arguments (and therefore the
+ * same start bash script).
+ * - Only one supervisor per workspace, its pid is saved in the supervisor
+ *   run directory so that `stop`/`kill` can terminate it first.
+ */
+export class Supervisor {
+
+    /** @type {InventoryDB} */
+    #inv;
+
+    /** @type {RestartPolicy} */
+    #defaultPolicy;
+
+    /** @type {{[typeOrName:string]: Partial<RestartPolicy>}} */
+    #servicePolicies;
+
+    /** @type {Map<string, SupervisedService>} */
+    #services = new Map();
+
+    /**
+     * @param {InventoryDB} inventoryDB
+     * @param {any=} supervisorConfig the `supervisor` section of the config file
+     */
+    constructor(inventoryDB, supervisorConfig) {
+        this.#inv = inventoryDB;
+        this.#defaultPolicy = {
+            ...DEFAULT_RESTART_POLICY,
+            ...Supervisor.#validatePolicy(supervisorConfig ?? {}, 'supervisor')
+        };
+        this.#servicePolicies = {};
+        const services = supervisorConfig?.services ?? {};
+        if (typeof services !== 'object') {
+            throw new CodeError(`Invalid 'supervisor.services' property in ${PROD_CONFIG_BASENAME}`);
+        }
+        Object.entries(services).forEach(([k, v]) => {
+            this.#servicePolicies[k] = Supervisor.#validatePolicy(v, `supervisor.services.${k}`);
+        });
+    }
+
+    /**
+     * @param {InventoryDB} inventoryDB
+     */
+    static async fromInventory(inventoryDB) {
+        const { configJson } = await readLayeredConfigFile(inventoryDB.rootDir);
+        return new Supervisor(inventoryDB, configJson.supervisor);
+    }
+
+    /**
+     * @param {any} policy
+     * @param {string} jsonPath
+     * @returns {Partial<RestartPolicy>}
+     */
+    static #validatePolicy(policy, jsonPath) {
+        if (!policy || typeof policy !== 'object') {
+            throw new CodeError(`Invalid '${jsonPath}' property in ${PROD_CONFIG_BASENAME}`);
+        }
+        /** @type {Partial<RestartPolicy>} */
+        const p = {};
+        /** @type {(keyof RestartPolicy)[]} */
+        const keys = ['maxRetries', 'backoffMS', 'maxBackoffMS'];
+        keys.forEach(k => {
+            if (policy[k] === undefined) {
+                return;
+            }
+            if (!isPositiveInteger(policy[k])) {
+                throw new CodeError(`Invalid '${jsonPath}.${k}' property in ${PROD_CONFIG_BASENAME}, expecting a positive integer`);
+            }
+            p[k] = policy[k];
+        });
+        return p;
+    }
+
+    /**
+     * - `<root>/shared/run/supervisor`
+     * @param {string} rootDir
+     */
+    static runDir(rootDir) {
+        return path.join(rootDir, 'shared', 'run', 'supervisor');
+    }
+    /** @param {string} rootDir */
+    static logFile(rootDir) {
+        return path.join(Supervisor.runDir(rootDir), 'supervisor.log');
+    }
+    /** @param {string} rootDir */
+    static pidFile(rootDir) {
+        return path.join(Supervisor.runDir(rootDir), 'supervisor.pid');
+    }
+
+    get logFile() {
+        return Supervisor.logFile(this.#inv.rootDir);
+    }
+
+    /**
+     * Terminates the workspace supervisor (if any) so that services stopped
+     * on purpose are not restarted.
+     * @param {string} rootDir
+     */
+    static async terminate(rootDir) {
+        const pidFile = Supervisor.pidFile(rootDir);
+        const pid = readPidFile(pidFile);
+        if (!pid || pid === process.pid) {
+            return false;
+        }
+        if (!(await psp(pid))) {
+            rmFileSync(pidFile);
+            return false;
+        }
+        await killPIDAndWaitUntilFullyStopped(pid);
+        rmFileSync(pidFile);
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} type
+     * @returns {RestartPolicy}
+     */
+    policy(name, type) {
+        return {
+            ...this.#defaultPolicy,
+            ...this.#servicePolicies[type],
+            ...this.#servicePolicies[name]
+        };
+    }
+
+    get size() {
+        return this.#services.size;
+    }
+
+    /**
+     * @param {{
+     *      name: string
+     *      instance: any
+     * }[]} startResults the value returned by `InventoryRun.start` or `InventoryRun.startWorker`
+     */
+    async add(startResults) {
+        for (let i = 0; i < startResults.length; ++i) {
+            const { name, instance } = startResults[i];
+            if (this.#services.has(name)) {
+                continue;
+            }
+            // Nothing to restart (ex: docker)
+            if (!(instance instanceof Service) && !(instance instanceof Market)) {
+                continue;
+            }
+            const pids = await Supervisor.#getPIDs(instance);
+            // Nothing to watch (not running)
+            if (pids.length === 0) {
+                continue;
+            }
+            this.#services.set(name, {
+                name,
+                type: instance.typename(),
+                instance,
+                pids,
+                retries: 0,
+                gaveUp: false
+            });
+        }
+    }
+
+    /**
+     * Polls the supervised pids until `abortSignal` is triggered.
+     * @param {AbortSignal} abortSignal
+     */
+    async run(abortSignal) {
+        const runDir = Supervisor.runDir(this.#inv.rootDir);
+        const runningPid = readPidFile(Supervisor.pidFile(this.#inv.rootDir));
+        if (runningPid && runningPid !== process.pid && (await psp(runningPid))) {
+            throw new CodeError(`A supervisor is already running in this workspace (pid=${runningPid})`);
+        }
+        mkDirP(runDir, { strict: true });
+        saveToFileSync(process.pid.toString(), runDir, path.basename(Supervisor.pidFile(this.#inv.rootDir)), { strict: true });
+
+        await this.#log('supervisor', 'started', `pid=${process.pid} services=${[...this.#services.keys()].join(',')}`);
+        try {
+            while (!abortSignal.aborted) {
+                await sleep(POLL_INTERVAL_MS);
+                for (const s of this.#services.values()) {
+                    if (abortSignal.aborted) {
+                        break;
+                    }
+                    if (s.gaveUp) {
+                        continue;
+                    }
+                    await this.#check(s, abortSignal);
+                }
+            }
+        } finally {
+            rmFileSync(Supervisor.pidFile(this.#inv.rootDir));
+            await this.#log('supervisor', 'stopped', `pid=${process.pid}`);
+        }
+    }
+
+    /**
+     * @param {SupervisedService} s
+     * @param {AbortSignal} abortSignal
+     */
+    async #check(s, abortSignal) {
+        /** @type {number[]} */
+        const dead = [];
+        for (let i = 0; i < s.pids.length; ++i) {
+            if (!(await psp(s.pids[i]))) {
+                dead.push(s.pids[i]);
+            }
+        }
+        if (dead.length === 0) {
+            return;
+        }
+
+        await this.#log(s.name, 'exited', `pid=${dead.join(',')}`);
+
+        const policy = this.policy(s.name, s.type);
+        if (s.retries >= policy.maxRetries) {
+            s.gaveUp = true;
+            await this.#log(s.name, 'gave-up', `retries=${s.retries} maxRetries=${policy.maxRetries}`);
+            return;
+        }
+
+        // Compound services (market) : stop the remaining processes before restarting
+        const alive = s.pids.filter(pid => !dead.includes(pid));
+        for (let i = 0; i < alive.length; ++i) {
+            await killPIDAndWaitUntilFullyStopped(alive[i]);
+        }
+
+        const delay = Math.min(policy.backoffMS * Math.pow(2, s.retries), policy.maxBackoffMS);
+        s.retries++;
+        await sleep(delay);
+        if (abortSignal.aborted) {
+            return;
+        }
+
+        const startReturn = await s.instance.start({
+            createDir: true,
+            env: this.#inv.serviceEnv,
+            context: { name: s.name }
+        });
+        // Market.start returns a boolean
+        if (typeof startReturn === 'boolean' ? !startReturn : !startReturn.ok) {
+            const error = (typeof startReturn !== 'boolean' && !startReturn.ok) ? startReturn.error.message : 'start failed';
+            await this.#log(s.name, 'restart-failed', `retry=${s.retries}/${policy.maxRetries} delay=${delay}ms error=${error}`);
+            // the pids are still dead, next poll will retry
+            return;
+        }
+        s.pids = await Supervisor.#getPIDs(s.instance);
+        await this.#log(s.name, 'restarted', `retry=${s.retries}/${policy.maxRetries} delay=${delay}ms pid=${s.pids.join(',')}`);
+    }
+
+    /**
+     * @param {Service | Market} instance
+     * @returns {Promise<number[]>}
+     */
+    static async #getPIDs(instance) {
+        /** @type {(number | undefined)[]} */
+        const pids = [];
+        if (instance instanceof Market) {
+            pids.push(await instance.api?.getPID());
+            const watchers = instance.watchers;
+            for (let i = 0; i < watchers.length; ++i) {
+                pids.push(await watchers[i].getPID());
+            }
+        } else {
+            pids.push(await instance.getPID());
+        }
+        /** @type {number[]} */
+        const out = [];
+        pids.forEach(pid => {
+            if (pid !== undefined && isPositiveInteger(pid) && pid > 0) {
+                out.push(pid);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} event
+     * @param {string} details
+     */
+    async #log(name, event, details) {
+        const logFile = this.logFile;
+        const line = `${new Date().toISOString()}  ${name}  ${event}  ${details}\n`;
+        if (!fileExists(logFile)) {
+            saveToFileSync(line, path.dirname(logFile), path.basename(logFile));
+        } else {
+            await appendExistingFile(logFile, line);
+        }
+    }
+}
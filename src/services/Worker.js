@@ -23,6 +23,7 @@ import { envVarName } from '../common/consts.js';
  *      directory?: string,
  *      coreUrl?: string,
  *      dockerHost?: string,
+ *      containerHost?: string,
  *      walletIndex?: number
  * }} WorkerServiceConstructorArgs
  */
@@ -59,6 +60,13 @@ export class WorkerService extends SpringServerService {
     /** @type {string=} */
     #dockerHost;
 
+    /** 
+     * Docker API endpoint (`unix://<socket>`) of a rootless docker or podman
+     * runtime, passed to the worker as `DOCKER_HOST`
+     * @type {string=} 
+     */
+    #containerHost;
+
     /** @type {number=} */
     #walletIndex;
 
@@ -100,6 +108,7 @@ export class WorkerService extends SpringServerService {
         this.#directory = args.directory;
         this.#coreURL = new URL(args.coreUrl);
         this.#dockerHost = args.dockerHost;
+        this.#containerHost = args.containerHost;
         this.#walletIndex = args.walletIndex;
     }
 
@@ -164,6 +173,7 @@ export class WorkerService extends SpringServerService {
             directory: this.#directory?.toString(),
             coreUrl: this.#coreURL?.toString(),
             dockerHost: this.#dockerHost?.toString(),
+            ... (this.#containerHost && { containerHost: this.#containerHost }),
             walletIndex: this.#walletIndex,
         };
     }
@@ -259,6 +269,10 @@ export class WorkerService extends SpringServerService {
         if (this.#walletIndex) {
             env[envVarName('WALLETINDEX')] = this.#walletIndex.toString();
         }
+        if (this.#containerHost) {
+            // not prefixed, read by the worker docker client
+            env['DOCKER_HOST'] = this.#containerHost;
+        }
 
         // // logstash : network address resolution is super slow on MacOS
         // // ============================================================
@@ -415,11 +429,13 @@ export class WorkerService extends SpringServerService {
 
         assert(stringIsPOSIXPortable(name));
 
+        let containerHost;
         if (inventory) {
             const h = inventory.getDockerHost();
             if (h) {
                 dockerHost = h.hostname + ":" + h.port.toString();
             }
+            containerHost = inventory.getContainerRuntime().dockerHost;
         }
         if (!dockerHost) {
             throw new CodeError('Missing docker host');
@@ -469,6 +485,7 @@ export class WorkerService extends SpringServerService {
             directory,
             coreUrl: coreURL.toString(),
             dockerHost: dockerHostname + ':' + dockerPort.toString(),
+            containerHost,
             walletIndex,
         });
     }
@@ -0,0 +1,419 @@
+import path from 'path';
+import { PROD_CONFIG_BASENAME, PROD_LOCAL_CONFIG_BASENAME, envVarName } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { fileExists, readObjectFromJSONFile, saveToFile } from '../common/fs.js';
+import { toJSONPath } from '../common/json-schema.js';
+import { isNullishOrEmptyString } from '../common/string.js';
+
+/**
+ * The effective config is the deep-merge of the following layers (the last
+ * one wins) :
+ * 1. `ixcdv-config.json` : the base file, shared in git
+ * 2. `profiles.<name>` : the profile selected with `--profile <name>` (or
+ *    the `IXCDV_PROFILE` env var), profiles are declared in the `profiles`
+ *    property of the base or local file
+ * 3. `ixcdv-config.local.json` : optional, developer specific (not in git)
+ * 4. `IXCDV_CONFIG_<path>` env vars : path segments are separated by `__`,
+ *    keys are case insensitive and non alphanumeric chars are replaced by `_`
+ *    (ex: `IXCDV_CONFIG_CHAINS__1337_STANDARD__CORE__PORT=13050`)
+ *
+ * Merge rules :
+ * - objects are merged recursively
+ * - arrays and scalar values are replaced
+ * - `null` removes the property
+ * - a property derived from other ones (service urls, mongo hosts, see
+ *   `derivedProperties`) is removed if one of them is overridden by a higher
+ *   layer, `ConfigFile.load` derives it again.
+ *
+ * @typedef {{
+ *      name: string
+ *      file?: string
+ * }} ConfigLayer
+ */
+
+export const CONFIG_ENV_VAR_PREFIX = envVarName('CONFIG') + '_';
+export const CONFIG_PROFILE_ENV_VAR = envVarName('PROFILE');
+export const DEFAULT_LAYER_NAME = 'default';
+
+/** @type {string=} */
+let selectedProfile;
+
+/**
+ * Selects the profile used by all the subsequent config file loads
+ * (`--profile` option)
+ * @param {string=} name
+ */
+export function setConfigProfile(name) {
+    selectedProfile = (isNullishOrEmptyString(name)) ? undefined : name;
+}
+
+/**
+ * `--profile` option, or `IXCDV_PROFILE` env var
+ * @returns {string=}
+ */
+export function getConfigProfile() {
+    if (selectedProfile) {
+        return selectedProfile;
+    }
+    const p = process.env[CONFIG_PROFILE_ENV_VAR];
+    return (isNullishOrEmptyString(p)) ? undefined : p;
+}
+
+/**
+ * Reads the config file layers located in `dir` and returns the merged
+ * config json object.
+ * - `origins` : json path of each merged value -> name of the layer it
+ *   comes from (only leaves are listed, see `layerOf`)
+ * @param {string} dir
+ * @param {{
+ *      profile?: string | null
+ *      env?: NodeJS.ProcessEnv
+ * }=} options `profile: null` ignores any selected profile
+ * @returns {Promise<{
+ *      configJson: any
+ *      profiles: { [name:string]: any }
+ *      layers: ConfigLayer[]
+ *      origins: Map<string, string>
+ * }>}
+ */
+export async function readLayeredConfigFile(dir, options) {
+    const baseFile = path.join(dir, PROD_CONFIG_BASENAME);
+    const localFile = path.join(dir, PROD_LOCAL_CONFIG_BASENAME);
+
+    const base = await readObjectFromJSONFile(baseFile, { strict: true });
+    const local = (fileExists(localFile)) ?
+        await readObjectFromJSONFile(localFile, { strict: true }) :
+        null;
+
+    // profiles are not part of the effective config
+    /** @type {{ [name:string]: any }} */
+    const profiles = {};
+    mergeInto(profiles, base.profiles ?? {});
+    mergeInto(profiles, local?.profiles ?? {});
+    delete base.profiles;
+    if (local) {
+        delete local.profiles;
+    }
+
+    const profileName = (options?.profile === null) ? undefined : (options?.profile ?? getConfigProfile());
+    if (profileName !== undefined && !profiles[profileName]) {
+        const names = Object.keys(profiles);
+        throw new CodeError(`Unknown config profile '${profileName}'` +
+            ((names.length > 0) ? `, expecting one of ${names.join(', ')}` : ` (no 'profiles' property in ${PROD_CONFIG_BASENAME})`));
+    }
+
+    /** @type {ConfigLayer[]} */
+    const layers = [{ name: PROD_CONFIG_BASENAME, file: baseFile }];
+    /** @type {Map<string, string>} */
+    const origins = new Map();
+    const configJson = {};
+
+    mergeInto(configJson, base, origins, PROD_CONFIG_BASENAME);
+    if (profileName !== undefined) {
+        const name = `profile '${profileName}'`;
+        layers.push({ name });
+        mergeInto(configJson, profiles[profileName], origins, name);
+    }
+    if (local) {
+        layers.push({ name: PROD_LOCAL_CONFIG_BASENAME, file: localFile });
+        mergeInto(configJson, local, origins, PROD_LOCAL_CONFIG_BASENAME);
+    }
+
+    const env = options?.env ?? process.env;
+    Object.keys(env).filter(k => k.startsWith(CONFIG_ENV_VAR_PREFIX)).sort().forEach(k => {
+        const segments = resolveEnvVarPath(configJson, k.substring(CONFIG_ENV_VAR_PREFIX.length));
+        if (segments.length === 0) {
+            return;
+        }
+        /** @type {any} */
+        let value = env[k];
+        try { value = JSON.parse(value); } catch { }
+        layers.push({ name: `env ${k}` });
+        setLayerValue(configJson, segments, value, origins, `env ${k}`);
+    });
+
+    removeStaleDerivedProperties(configJson, layers, origins);
+
+    return { configJson, profiles, layers, origins };
+}
+
+/**
+ * Lists the properties of a config json object which are derived from other
+ * properties (`sources`) by `ConfigFile.load` when missing.
+ * - `value` : the derived value, `undefined` if a source is missing (ex: a
+ *   port which has not been allocated yet)
+ * @param {any} configJson
+ */
+export function derivedProperties(configJson) {
+    /** @type {{ segments: (string | number)[], value: string | undefined, sources: (string | number)[][] }[]} */
+    const derived = [];
+    /** @type {[string, any][]} */
+    const sharedEntries = Object.entries(configJson.shared ?? {});
+    const ipfs = sharedEntries.find(([, c]) => c.type === 'ipfs');
+
+    Object.entries(configJson.chains ?? {}).forEach(([name, chain]) => {
+        /**
+         * @param {string} type
+         * @param {string} key
+         * @param {string | undefined} value
+         * @param {(string | number)[][]} sources
+         */
+        const add = (type, key, value, sources) => {
+            if (chain[type]) {
+                derived.push({ segments: ['chains', name, type, key], value, sources });
+            }
+        };
+        /**
+         * @param {any} conf
+         */
+        const url = (conf) => (conf?.port) ? `http://${conf.hostname ?? 'localhost'}:${conf.port}` : undefined;
+        /**
+         * @param {(string | number)[]} segments
+         */
+        const hostAndPort = (segments) => [[...segments, 'hostname'], [...segments, 'port']];
+
+        // mongo = port + 2
+        ['resultproxy', 'blockchainadapter', 'core'].forEach(type => {
+            add(type, 'mongoHost',
+                (chain[type]?.port) ? `localhost:${chain[type].port + 2}` : undefined,
+                [['chains', name, type, 'port']]);
+        });
+        if (ipfs) {
+            const [ipfsName, ipfsConf] = ipfs;
+            const ipfsHost = (ipfsConf.apiPort) ? `${ipfsConf.hostname ?? 'localhost'}:${ipfsConf.apiPort}` : undefined;
+            const sources = [['shared', ipfsName, 'hostname'], ['shared', ipfsName, 'apiPort']];
+            add('resultproxy', 'ipfsHost', ipfsHost, sources);
+            add('core', 'ipfsHost', ipfsHost, sources);
+        }
+        const market = sharedEntries.find(([, c]) => c.type === 'market' && c.api?.chains?.includes(chain.hub));
+        if (market) {
+            add('blockchainadapter', 'marketApiUrl', url(market[1].api), hostAndPort(['shared', market[0], 'api']));
+        }
+        add('core', 'smsUrl', url(chain.sms), hostAndPort(['chains', name, 'sms']));
+        add('core', 'resultProxyUrl', url(chain.resultproxy), hostAndPort(['chains', name, 'resultproxy']));
+        add('core', 'blockchainAdapterUrl', url(chain.blockchainadapter), hostAndPort(['chains', name, 'blockchainadapter']));
+    });
+    return derived;
+}
+
+/**
+ * Saves the values of `configJson` which differ from `previousConfigJson`
+ * (both read with `readLayeredConfigFile`) in the local file
+ * `ixcdv-config.local.json`, created if missing. The base file and the
+ * profiles are left unchanged.
+ * @param {string} dir
+ * @param {any} previousConfigJson
+ * @param {any} configJson
+ * @returns {Promise<number>} the number of saved values
+ */
+export async function saveLocalConfigChanges(dir, previousConfigJson, configJson) {
+    /** @type {{ segments: (string | number)[], value: any }[]} */
+    const changes = [];
+    diffValues(previousConfigJson, configJson, [], changes);
+    if (changes.length === 0) {
+        return 0;
+    }
+
+    const localFile = path.join(dir, PROD_LOCAL_CONFIG_BASENAME);
+    const local = (fileExists(localFile)) ?
+        await readObjectFromJSONFile(localFile, { strict: true }) :
+        {};
+    changes.forEach(c => setLayerValue(local, c.segments, c.value, new Map(), PROD_LOCAL_CONFIG_BASENAME));
+
+    await saveToFile(JSON.stringify(local, null, 2), dir, PROD_LOCAL_CONFIG_BASENAME, { strict: true });
+    return changes.length;
+}
+
+/**
+ * Returns the name of the layer a value comes from, `'default'` if the value
+ * has been computed when loading the config (ports, directories, etc.)
+ * @param {Map<string, string>} origins
+ * @param {(string | number)[]} segments
+ */
+export function layerOf(origins, segments) {
+    for (let i = segments.length; i > 0; --i) {
+        const o = origins.get(toJSONPath(segments.slice(0, i)));
+        if (o) {
+            return o;
+        }
+    }
+    return DEFAULT_LAYER_NAME;
+}
+
+/**
+ * @param {ConfigLayer[]} layers
+ */
+export function layersToString(layers) {
+    return layers.map(l => l.file ?? l.name).join(' + ');
+}
+
+/**
+ * Removes the derived properties which come from a lower layer than one of
+ * their sources (ex: `core.smsUrl` set in the base file while `sms.port` is
+ * overridden in the local file)
+ * @param {any} configJson
+ * @param {ConfigLayer[]} layers
+ * @param {Map<string, string>} origins
+ */
+function removeStaleDerivedProperties(configJson, layers, origins) {
+    const names = layers.map(l => l.name);
+    /**
+     * @param {(string | number)[]} segments
+     */
+    const rank = (segments) => names.indexOf(layerOf(origins, segments));
+
+    derivedProperties(configJson).forEach(d => {
+        const parent = configJson.chains[d.segments[1]][d.segments[2]];
+        const key = d.segments[3];
+        if (parent[key] === undefined) {
+            return;
+        }
+        const r = rank(d.segments);
+        if (d.sources.some(s => rank(s) > r)) {
+            delete parent[key];
+            clearOrigins(origins, d.segments);
+        }
+    });
+}
+
+/**
+ * @param {any} value
+ */
+function isObject(value) {
+    return (value !== null && typeof value === 'object' && !Array.isArray(value));
+}
+
+/**
+ * Deep-merges `src` into `dst`
+ * @param {any} dst
+ * @param {any} src
+ * @param {Map<string, string>=} origins
+ * @param {string=} layer
+ * @param {(string | number)[]} segments
+ */
+function mergeInto(dst, src, origins, layer, segments = []) {
+    Object.keys(src).forEach(k => {
+        const v = src[k];
+        const p = [...segments, k];
+        if (isObject(v) && isObject(dst[k])) {
+            mergeInto(dst[k], v, origins, layer, p);
+            return;
+        }
+        if (origins && layer) {
+            clearOrigins(origins, p);
+        }
+        if (v === null) {
+            delete dst[k];
+            return;
+        }
+        dst[k] = structuredClone(v);
+        if (origins && layer) {
+            recordOrigins(origins, dst[k], layer, p);
+        }
+    });
+}
+
+/**
+ * Lists the values of `next` which differ from `prev` (arrays and scalar
+ * values are compared as a whole, like the merge rules)
+ * @param {any} prev
+ * @param {any} next
+ * @param {(string | number)[]} segments
+ * @param {{ segments: (string | number)[], value: any }[]} changes
+ */
+function diffValues(prev, next, segments, changes) {
+    if (isObject(prev) && isObject(next)) {
+        Object.keys(next).forEach(k => diffValues(prev[k], next[k], [...segments, k], changes));
+        return;
+    }
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+        changes.push({ segments, value: next });
+    }
+}
+
+/**
+ * @param {any} obj
+ * @param {(string | number)[]} segments
+ * @param {any} value
+ * @param {Map<string, string>} origins
+ * @param {string} layer
+ */
+function setLayerValue(obj, segments, value, origins, layer) {
+    let o = obj;
+    for (let i = 0; i < segments.length - 1; ++i) {
+        if (o[segments[i]] === null || typeof o[segments[i]] !== 'object') {
+            o[segments[i]] = {};
+        }
+        o = o[segments[i]];
+    }
+    const k = segments[segments.length - 1];
+    clearOrigins(origins, segments);
+    if (value === null) {
+        delete o[k];
+        return;
+    }
+    o[k] = value;
+    recordOrigins(origins, value, layer, segments);
+}
+
+/**
+ * @param {Map<string, string>} origins
+ * @param {(string | number)[]} segments
+ */
+function clearOrigins(origins, segments) {
+    const p = toJSONPath(segments);
+    [...origins.keys()].forEach(k => {
+        if (k === p || k.startsWith(p + '.') || k.startsWith(p + '[')) {
+            origins.delete(k);
+        }
+    });
+}
+
+/**
+ * @param {Map<string, string>} origins
+ * @param {any} value
+ * @param {string} layer
+ * @param {(string | number)[]} segments
+ */
+function recordOrigins(origins, value, layer, segments) {
+    if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+        Object.keys(value).forEach(k => {
+            const key = (Array.isArray(value)) ? Number.parseInt(k, 10) : k;
+            recordOrigins(origins, value[k], layer, [...segments, key]);
+        });
+        return;
+    }
+    origins.set(toJSONPath(segments), layer);
+}
+
+/**
+ * @param {string} s
+ */
+function normalizeKey(s) {
+    return s.toLowerCase().replace(/[^a-z0-9]/g, '_');
+}
+
+/**
+ * `CHAINS__1337_STANDARD__CORE__PORT` -> `['chains', '1337.standard', 'core', 'port']`
+ * - Segments are matched against the existing keys (exact match first, then
+ *   case insensitive), unknown segments are kept as is.
+ * @param {any} obj
+ * @param {string} envPath
+ */
+function resolveEnvVarPath(obj, envPath) {
+    /** @type {(string | number)[]} */
+    const segments = [];
+    let o = obj;
+    envPath.split('__').filter(s => s.length > 0).forEach(s => {
+        /** @type {string | number} */
+        let seg = s;
+        if (Array.isArray(o) && /^[0-9]+$/.test(s)) {
+            seg = Number.parseInt(s, 10);
+        } else if (isObject(o) && !(s in o)) {
+            seg = Object.keys(o).find(k => normalizeKey(k) === normalizeKey(s)) ?? s;
+        }
+        segments.push(seg);
+        o = (o !== null && typeof o === 'object') ? o[seg] : undefined;
+    });
+    return segments;
+}
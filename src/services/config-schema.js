@@ -0,0 +1,577 @@
+import { PROD_CONFIG_BASENAME } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { toJSONPath, validateJSONSchema } from '../common/json-schema.js';
+import { PoCoDeployItem } from '../poco/PoCoDeployItem.js';
+import { PORT_RANGE } from './default-ports.js';
+import { listConfigPorts } from './PortAllocator.js';
+
+/**
+ * @typedef {import('../common/json-schema.js').JSONSchemaError} ConfigError
+ */
+
+const PORT = { type: 'integer', minimum: 1, maximum: 65535 };
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+const HOST_PORT = { type: 'string', pattern: '^[^:/\\s]+:[0-9]+$', description: "'<hostname>:<port>'" };
+const URL = { type: 'string', pattern: '^https?://', description: "an 'http(s)://' url" };
+const BYTES32 = { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$', description: 'a bytes32 hex string' };
+const NEW_OR_ADDRESS = {
+    type: 'string',
+    pattern: '^(new|0x[0-9a-fA-F]{40})$',
+    description: "'new' or an address"
+};
+const NEW_OR_REF_OR_ADDRESS = {
+    type: 'string',
+    pattern: '^(new|0x[0-9a-fA-F]{40}|[A-Za-z_$][A-Za-z0-9_$]*)$',
+    description: "'new', a deploy config name or an address"
+};
+const WALLET_INDEX = { type: 'integer', minimum: 0 };
+const RESTART_POLICY_PROPERTIES = {
+    maxRetries: { type: 'integer', minimum: 0 },
+    backoffMS: { type: 'integer', minimum: 0 },
+    maxBackoffMS: { type: 'integer', minimum: 0 },
+};
+
+/**
+ * `ixcdv-config.json` JSON Schema (draft-07)
+ */
+export const CONFIG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: PROD_CONFIG_BASENAME,
+    type: 'object',
+    required: ['shared', 'chains'],
+    additionalProperties: false,
+    properties: {
+        default: { type: 'string' },
+        shared: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/sharedService' }
+        },
+        chains: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/chain' }
+        },
+        iexecsdk: { $ref: '#/definitions/iexecsdk' },
+        // partial configs, see config-layers.js
+        profiles: {
+            type: 'object',
+            additionalProperties: { type: 'object' }
+        },
+        supervisor: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                ...RESTART_POLICY_PROPERTIES,
+                services: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: RESTART_POLICY_PROPERTIES
+                    }
+                }
+            }
+        }
+    },
+    definitions: {
+        /* ------------------------------------------------------------------ */
+        package: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                directory: { type: 'string' },
+                clone: { enum: ['never', 'ifmissing'] },
+                cloneRepo: NON_EMPTY_STRING,
+                patch: { type: 'boolean' },
+                autoCheckout: { type: 'boolean' },
+                gitHubRepoName: NON_EMPTY_STRING,
+                commitish: { type: ['string', 'null'] },
+                branch: { type: ['string', 'null'] },
+                dependencies: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/repository' }
+                }
+            }
+        },
+        repository: {
+            anyOf: [{ type: 'string' }, { $ref: '#/definitions/package' }]
+        },
+        /* ------------------------------------------------------------------ */
+        sharedService: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: ['ganache', 'ipfs', 'docker', 'mongo', 'redis', 'market'] }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'ganache' } } }, then: { $ref: '#/definitions/ganache' } },
+                { if: { properties: { type: { const: 'ipfs' } } }, then: { $ref: '#/definitions/ipfs' } },
+                { if: { properties: { type: { const: 'docker' } } }, then: { $ref: '#/definitions/docker' } },
+                { if: { properties: { type: { const: 'mongo' } } }, then: { $ref: '#/definitions/dbService' } },
+                { if: { properties: { type: { const: 'redis' } } }, then: { $ref: '#/definitions/dbService' } },
+                { if: { properties: { type: { const: 'market' } } }, then: { $ref: '#/definitions/market' } },
+            ]
+        },
+        ganache: {
+            type: 'object',
+            required: ['config'],
+            additionalProperties: false,
+            properties: {
+                type: true,
+                hostname: NON_EMPTY_STRING,
+                port: PORT,
+                directory: { type: 'string' },
+                logFile: { type: 'string' },
+                pidFile: { type: 'string' },
+                config: {
+                    type: 'object',
+                    required: ['chainid', 'mnemonic', 'deploySequence'],
+                    additionalProperties: false,
+                    properties: {
+                        chainid: { type: 'integer', minimum: 1 },
+                        mnemonic: NON_EMPTY_STRING,
+                        deploySequence: {
+                            type: 'array',
+                            minItems: 1,
+                            items: { $ref: '#/definitions/deployItem' }
+                        },
+                        PoCo: { $ref: '#/definitions/repository' }
+                    }
+                }
+            }
+        },
+        // PoCoDeployItem
+        deployItem: {
+            type: 'object',
+            required: ['name', 'asset', 'WorkerpoolAccountIndex', 'WorkerpoolDescription'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', pattern: '^[A-Za-z_$][A-Za-z0-9_$]*$', description: 'a javascript identifier' },
+                asset: { enum: ['Token', 'Native'] },
+                kyc: { type: 'boolean' },
+                uniswap: { type: 'boolean' },
+                token: NEW_OR_REF_OR_ADDRESS,
+                etoken: NEW_OR_REF_OR_ADDRESS,
+                AppRegistry: NEW_OR_REF_OR_ADDRESS,
+                DatasetRegistry: NEW_OR_REF_OR_ADDRESS,
+                WorkerpoolRegistry: NEW_OR_REF_OR_ADDRESS,
+                Workerpool: NEW_OR_ADDRESS,
+                salt: BYTES32,
+                proxySalt: { anyOf: [{ const: 'auto' }, BYTES32] },
+                WorkerpoolAccountIndex: WALLET_INDEX,
+                WorkerpoolDescription: NON_EMPTY_STRING
+            }
+        },
+        ipfs: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                type: true,
+                hostname: NON_EMPTY_STRING,
+                directory: { type: 'string' },
+                logFile: { type: 'string' },
+                pidFile: { type: 'string' },
+                apiPort: PORT,
+                gatewayPort: PORT
+            }
+        },
+        docker: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                type: true,
+                hostname: NON_EMPTY_STRING,
+                port: PORT,
+                runtime: { enum: ['docker', 'podman'] },
+                socket: { type: 'string', pattern: '^/', description: 'an absolute path' }
+            }
+        },
+        // shared mongo & redis
+        dbService: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                type: true,
+                hostname: NON_EMPTY_STRING,
+                port: PORT,
+                directory: { type: 'string' },
+                logFile: { type: 'string' },
+                pidFile: { type: 'string' }
+            }
+        },
+        marketDB: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                hostname: NON_EMPTY_STRING,
+                port: PORT,
+                directory: { type: 'string' },
+                logFile: { type: 'string' }
+            }
+        },
+        market: {
+            type: 'object',
+            required: ['api'],
+            additionalProperties: false,
+            properties: {
+                type: true,
+                repository: { $ref: '#/definitions/repository' },
+                directory: { type: 'string' },
+                mongo: { $ref: '#/definitions/marketDB' },
+                redis: { $ref: '#/definitions/marketDB' },
+                api: {
+                    type: 'object',
+                    required: ['chains'],
+                    additionalProperties: false,
+                    properties: {
+                        hostname: NON_EMPTY_STRING,
+                        port: PORT,
+                        logFile: { type: 'string' },
+                        chains: { type: 'array', minItems: 1, items: NON_EMPTY_STRING }
+                    }
+                },
+                watchers: {
+                    anyOf: [
+                        { const: 'all' },
+                        {
+                            type: 'array',
+                            items: {
+                                anyOf: [
+                                    NON_EMPTY_STRING,
+                                    {
+                                        type: 'object',
+                                        required: ['hub'],
+                                        additionalProperties: false,
+                                        properties: {
+                                            hub: NON_EMPTY_STRING,
+                                            logFile: { type: 'string' }
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    ]
+                }
+            }
+        },
+        /* ------------------------------------------------------------------ */
+        chain: {
+            type: 'object',
+            required: ['hub'],
+            additionalProperties: false,
+            properties: {
+                hub: NON_EMPTY_STRING,
+                sms: { $ref: '#/definitions/sms' },
+                resultproxy: { $ref: '#/definitions/resultproxy' },
+                blockchainadapter: { $ref: '#/definitions/blockchainadapter' },
+                core: { $ref: '#/definitions/core' },
+                worker: { $ref: '#/definitions/worker' }
+            }
+        },
+        springService: {
+            type: 'object',
+            properties: {
+                type: true,
+                hostname: NON_EMPTY_STRING,
+                port: PORT,
+                protocol: { type: 'string' },
+                logFile: { type: 'string' },
+                pidFile: { type: 'string' },
+                repository: { $ref: '#/definitions/repository' },
+                hub: NON_EMPTY_STRING,
+                springConfigLocation: { type: 'string' },
+                ymlConfig: { type: 'object' },
+            }
+        },
+        // sms, resultproxy, blockchainadapter & core : see springServiceSchema()
+        worker: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                repository: { $ref: '#/definitions/repository' },
+                // default number of workers started by 'start worker'
+                count: { type: 'integer', minimum: 1 }
+            }
+        },
+        iexecsdk: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                type: { const: 'iexecsdk' },
+                repository: { $ref: '#/definitions/repository' },
+                chainsJsonLocation: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * `additionalProperties: false` does not see the properties declared in an
+ * `allOf` sub-schema (draft-07), chain service schemas are therefore
+ * generated by merging the common spring service properties.
+ * @param {string} type
+ * @param {any} properties
+ */
+function springServiceSchema(type, properties) {
+    return {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...CONFIG_SCHEMA.definitions.springService.properties,
+            type: { const: type },
+            ...properties
+        }
+    };
+}
+
+/** @type {{[name:string]: any}} */
+const DEFINITIONS = CONFIG_SCHEMA.definitions;
+
+DEFINITIONS.sms = springServiceSchema('sms', {
+    dbDirectory: { type: 'string' }
+});
+DEFINITIONS.resultproxy = springServiceSchema('resultproxy', {
+    mongoHost: HOST_PORT,
+    mongoDBName: NON_EMPTY_STRING,
+    ipfsHost: HOST_PORT
+});
+DEFINITIONS.blockchainadapter = springServiceSchema('blockchainadapter', {
+    mongoHost: HOST_PORT,
+    mongoDBName: NON_EMPTY_STRING,
+    marketApiUrl: URL,
+    walletIndex: WALLET_INDEX
+});
+DEFINITIONS.core = springServiceSchema('core', {
+    mongoHost: HOST_PORT,
+    mongoDBName: NON_EMPTY_STRING,
+    ipfsHost: HOST_PORT,
+    smsUrl: URL,
+    resultProxyUrl: URL,
+    blockchainAdapterUrl: URL,
+    walletIndex: WALLET_INDEX
+});
+
+/**
+ * Validates a `ixcdv-config.json` json object.
+ * - Structural errors : see `CONFIG_SCHEMA`
+ * - Deploy sequence items : see `PoCoDeployItem` validation rules
+ * - Cross references : default chain, chain hubs, market chains & watchers,
+ *   workers repository, core service urls and mongo hosts
+ * - Localhost ports : duplicates and worker reserved range
+ *
+ * Returns all the errors found (empty if valid).
+ * @param {any} configJson
+ * @returns {ConfigError[]}
+ */
+export function validateConfig(configJson) {
+    const errors = validateJSONSchema(configJson, CONFIG_SCHEMA);
+    if (errors.some(e => e.path === '<root>')) {
+        return errors;
+    }
+
+    /** @param {(string | number)[]} path @param {string} message */
+    const err = (path, message) => errors.push({ path: toJSONPath(path), message });
+    /** @param {(string | number)[]} path */
+    const hasErrors = (path) => {
+        const p = toJSONPath(path);
+        return errors.some(e => e.path === p || e.path.startsWith(p + '.') || e.path.startsWith(p + '['));
+    };
+
+    const shared = (typeof configJson.shared === 'object' && configJson.shared) ? configJson.shared : {};
+    const chains = (typeof configJson.chains === 'object' && configJson.chains) ? configJson.chains : {};
+
+    /* ---------------------- ganache deploy sequences ---------------------- */
+
+    /** @type {Set<string>} */
+    const hubAliases = new Set();
+    Object.entries(shared).forEach(([name, conf]) => {
+        if (conf?.type !== 'ganache' || !Array.isArray(conf?.config?.deploySequence)) {
+            return;
+        }
+        const chainid = conf.config.chainid;
+        /** @type {any[]} */
+        const seq = conf.config.deploySequence;
+        seq.forEach((item, i) => {
+            const path = ['shared', name, 'config', 'deploySequence', i];
+            if (typeof item?.name === 'string') {
+                const hubAlias = `${chainid}.${item.name}`;
+                if (hubAliases.has(hubAlias)) {
+                    err([...path, 'name'], `duplicate hub '${hubAlias}'`);
+                }
+                hubAliases.add(hubAlias);
+            }
+            if (hasErrors(path)) {
+                return;
+            }
+            try {
+                // Same defaults & validation rules as the deploy sequence
+                new PoCoDeployItem(i, item);
+            } catch (e) {
+                err(path, (e instanceof Error) ? e.message : 'invalid deploy config');
+            }
+        });
+    });
+
+    /* ---------------------------- references ------------------------------ */
+
+    /**
+     * @param {(string | number)[]} path
+     * @param {any} hub
+     */
+    const checkHub = (path, hub) => {
+        if (typeof hub === 'string' && hub.length > 0 && !hubAliases.has(hub)) {
+            err(path, `unknown hub '${hub}', expecting one of ${[...hubAliases].join(', ')}`);
+        }
+    };
+
+    if (configJson.default !== undefined && configJson.default !== '' &&
+        chains[configJson.default] === undefined) {
+        err(['default'], `unknown chain '${configJson.default}'`);
+    }
+    if (Object.keys(chains).length === 0 && !hasErrors(['chains'])) {
+        err(['chains'], 'at least one chain is required');
+    }
+
+    Object.entries(chains).forEach(([name, chain]) => {
+        checkHub(['chains', name, 'hub'], chain?.hub);
+        ['sms', 'resultproxy', 'blockchainadapter', 'core'].forEach(type => {
+            if (chain?.[type]?.hub !== undefined && chain?.[type]?.hub !== chain?.hub) {
+                err(['chains', name, type, 'hub'], `must be equal to 'chains.${name}.hub'`);
+            }
+        });
+    });
+
+    // Workers ports range is split among all the chains
+    const maxWorkers = Math.floor((PORT_RANGE.workers.to - PORT_RANGE.workers.from + 1) / Math.max(1, Object.keys(chains).length));
+    Object.entries(chains).forEach(([name, chain]) => {
+        const count = chain?.worker?.count;
+        if (typeof count === 'number' && count > maxWorkers) {
+            err(['chains', name, 'worker', 'count'], `too many workers, max=${maxWorkers}`);
+        }
+    });
+
+    // Workers repository is shared by all the chains
+    const workerChains = Object.keys(chains).filter(name => chains[name]?.worker?.repository !== undefined);
+    workerChains.forEach(name => {
+        const first = workerChains[0];
+        if (JSON.stringify(chains[name].worker.repository) !== JSON.stringify(chains[first].worker.repository)) {
+            err(['chains', name, 'worker', 'repository'], `must be equal to 'chains.${first}.worker.repository' (workers repository is shared by all chains)`);
+        }
+    });
+
+    Object.entries(shared).forEach(([name, conf]) => {
+        if (conf?.type !== 'market') {
+            return;
+        }
+        if (Array.isArray(conf.api?.chains)) {
+            conf.api.chains.forEach((/** @type {any} */ hub, /** @type {number} */ i) => checkHub(['shared', name, 'api', 'chains', i], hub));
+        }
+        if (Array.isArray(conf.watchers)) {
+            conf.watchers.forEach((/** @type {any} */ w, /** @type {number} */ i) =>
+                checkHub(['shared', name, 'watchers', i], (typeof w === 'string') ? w : w?.hub));
+        }
+    });
+
+    /** @type {Set<string>} */
+    const sharedMongoHosts = new Set();
+    Object.values(shared).forEach(conf => {
+        if (conf?.type === 'mongo' && typeof conf.port === 'number') {
+            sharedMongoHosts.add(`${conf.hostname ?? 'localhost'}:${conf.port}`);
+        }
+    });
+
+    Object.entries(chains).forEach(([name, chain]) => {
+        // Core urls must refer to the services of the same chain
+        [['smsUrl', 'sms'], ['resultProxyUrl', 'resultproxy'], ['blockchainAdapterUrl', 'blockchainadapter']].forEach(([key, type]) => {
+            const path = ['chains', name, 'core', key];
+            const url = chain?.core?.[key];
+            if (url === undefined || hasErrors(path)) {
+                return;
+            }
+            const conf = chain?.[type];
+            if (typeof conf?.port !== 'number') {
+                // port allocated when loaded
+                return;
+            }
+            const expected = `${conf.hostname ?? 'localhost'}:${conf.port}`;
+            if (urlHost(url) !== expected) {
+                err(path, `must refer to 'chains.${name}.${type}' (expecting 'http://${expected}')`);
+            }
+        });
+
+        // Mongo hosts must refer to the service own mongo (port + 2) or to a
+        // shared mongo service
+        ['resultproxy', 'blockchainadapter', 'core'].forEach(type => {
+            const path = ['chains', name, type, 'mongoHost'];
+            const mongoHost = chain?.[type]?.mongoHost;
+            if (mongoHost === undefined || hasErrors(path) || sharedMongoHosts.has(mongoHost)) {
+                return;
+            }
+            const port = chain[type].port;
+            if (typeof port === 'number' && mongoHost !== `localhost:${port + 2}`) {
+                err(path, `unknown mongo host '${mongoHost}', expecting 'localhost:${port + 2}' or a shared mongo service`);
+            }
+        });
+    });
+
+    /* ------------------------------ ports --------------------------------- */
+
+    /** @type {Map<number, string>} */
+    const usedPorts = new Map();
+    const workers = PORT_RANGE.workers;
+    listConfigPorts({ shared, chains }).forEach(p => {
+        const last = p.port + p.size - 1;
+        const portsStr = (p.size > 1) ? `ports ${p.port}-${last}` : `port ${p.port}`;
+        if (p.port <= workers.to && last >= workers.from) {
+            errors.push({ path: p.path, message: `${portsStr} : overlaps the range reserved to workers (${workers.from}-${workers.to})` });
+        }
+        for (let port = p.port; port <= last; ++port) {
+            const other = usedPorts.get(port);
+            if (other) {
+                errors.push({ path: p.path, message: `${portsStr} : port ${port} is already used by ${other}` });
+                break;
+            }
+        }
+        for (let port = p.port; port <= last; ++port) {
+            if (!usedPorts.has(port)) {
+                usedPorts.set(port, p.path);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * `http://localhost:13300/` -> `localhost:13300`
+ * @param {string} url
+ */
+function urlHost(url) {
+    try {
+        // 'URL' is the url schema
+        return new globalThis.URL(url).host;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * @param {ConfigError[]} errors
+ */
+export function formatConfigErrors(errors) {
+    return errors.map(e => `  - ${e.path} : ${e.message}`).join('\n');
+}
+
+/**
+ * Throws a `CodeError` listing all the config errors.
+ * @param {any} configJson
+ * @param {string=} configFile
+ */
+export function throwIfInvalidConfig(configJson, configFile) {
+    const errors = validateConfig(configJson);
+    if (errors.length === 0) {
+        return;
+    }
+    throw new CodeError(
+        `Invalid config file ${configFile ?? PROD_CONFIG_BASENAME} (${errors.length} error(s)) :\n` +
+        formatConfigErrors(errors));
+}
@@ -5,6 +5,13 @@ const STANDARD = 'standard';
 const ENTERPRISE = 'enterprise';
 const NATIVE = 'native';
 
+/**
+ * @typedef {'standard' | 'enterprise' | 'native'} ChainFlavour
+ */
+
+/** @type {ChainFlavour[]} */
+export const CHAIN_FLAVOURS = [STANDARD, ENTERPRISE, NATIVE];
+
 export const DEFAULT_WALLET_INDEX = {
     'admin': 0,
     'workerpool': 1,
@@ -24,14 +31,14 @@ function getDeployName(flavour) {
  * @param {number} chainId 
  * @param {string} flavour 
  */
-function computeChainName(chainId, flavour) {
+export function computeChainName(chainId, flavour) {
     return `${chainId}.${flavour}`;
 }
 /**
  * @param {number} chainId 
  * @param {string} flavour 
  */
-function computeHubAlias(chainId, flavour) {
+export function computeHubAlias(chainId, flavour) {
     return `${chainId}.${getDeployName(flavour)}`;
 }
 
@@ -69,6 +76,42 @@ function addChains(chains, chainId) {
     chains[chainNameNat] = { hub: computeHubAlias(chainId, NATIVE) };
 }
 
+/**
+ * Default PoCo deploy sequence item of a given chain flavour
+ * @param {ChainFlavour} flavour 
+ */
+export function defaultDeployItem(flavour) {
+    switch (flavour) {
+        case STANDARD:
+            return {
+                name: getDeployName(STANDARD),
+                asset: "Token",
+                salt: "0x0000000000000000000000000000000000000000000000000000000000000000",
+                WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
+                WorkerpoolDescription: `default ${PROD_NAME} standard workerpool`
+            };
+        case ENTERPRISE:
+            return {
+                name: getDeployName(ENTERPRISE),
+                asset: "Token",
+                kyc: true,
+                salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+                WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
+                WorkerpoolDescription: `default ${PROD_NAME} enterprise workerpool`
+            };
+        case NATIVE:
+            return {
+                name: getDeployName(NATIVE),
+                asset: "Native",
+                salt: "0x0000000000000000000000000000000000000000000000000000000000000002",
+                WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
+                WorkerpoolDescription: `default ${PROD_NAME} native workerpool`
+            };
+        default:
+            throw new TypeError(`Invalid chain flavour '${flavour}'`);
+    }
+}
+
 /**
  * @param {*} shared 
  * @param {string} mnemonic 
@@ -80,30 +123,7 @@ function addGanache(shared, mnemonic, chainId) {
         config: {
             chainid: chainId,
             mnemonic,
-            deploySequence: [
-                {
-                    name: getDeployName(STANDARD),
-                    asset: "Token",
-                    salt: "0x0000000000000000000000000000000000000000000000000000000000000000",
-                    WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
-                    WorkerpoolDescription: `default ${PROD_NAME} standard workerpool`
-                },
-                {
-                    name: getDeployName(ENTERPRISE),
-                    asset: "Token",
-                    kyc: true,
-                    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
-                    WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
-                    WorkerpoolDescription: `default ${PROD_NAME} enterprise workerpool`
-                },
-                {
-                    name: getDeployName(NATIVE),
-                    asset: "Native",
-                    salt: "0x0000000000000000000000000000000000000000000000000000000000000002",
-                    WorkerpoolAccountIndex: DEFAULT_WALLET_INDEX['workerpool'],
-                    WorkerpoolDescription: `default ${PROD_NAME} native workerpool`
-                },
-            ]
+            deploySequence: CHAIN_FLAVOURS.map(f => defaultDeployItem(f))
         }
     }
 }
@@ -0,0 +1,201 @@
+import { PROD_BIN } from '../common/consts.js';
+import { readFileLineByLineSync } from '../common/fs.js';
+import { Service } from '../common/service.js';
+import { springParseLogLine } from '../common/spring.js';
+import { InventoryDB } from './InventoryDB.js';
+
+/**
+ * @typedef {{
+ *      id: string
+ *      pattern: RegExp
+ *      explanation: string
+ *      fix: (type: string, name: string) => string
+ * }} FailureSignature
+ */
+
+/**
+ * @typedef {{
+ *      name: string
+ *      type: string
+ *      logFile: string
+ *      id: string
+ *      explanation: string
+ *      fix: string
+ *      logLine: string
+ *      count: number
+ * }} Diagnosis
+ */
+
+/**
+ * Converts a log source type to a `start` command argument. Mongo and redis
+ * cannot be started alone, they are started along with the service that
+ * owns them (ex: 'mongo.core.1337.standard' -> 'core').
+ * @param {string} type
+ * @param {string} name
+ */
+function startArg(type, name) {
+    const t = type.split('.')[0];
+    if (t === 'mongo' || t === 'redis') {
+        return name.split('.')[1] ?? 'market';
+    }
+    return t;
+}
+
+/**
+ * Known startup failures, the first matching signature wins.
+ * @type {FailureSignature[]}
+ */
+export const KNOWN_FAILURES = [
+    {
+        id: 'port-in-use',
+        pattern: /EADDRINUSE|Address already in use|Port \d+ (?:was|is) already in use|Web server failed to start/i,
+        explanation: 'Another process is already listening on the service port (usually a service left running by a previous session or another workspace). Either move the busy ports of this workspace, or kill the services of all the workspaces.',
+        fix: (type, name) => `${PROD_BIN} ports check --fix  (or ${PROD_BIN} kill all --global)`
+    },
+    {
+        id: 'mongo-lock',
+        pattern: /mongod\.lock|DBPathInUse|Unable to lock the lock file/i,
+        explanation: 'Another mongod instance is already using the same storage directory, or a previous mongod crashed and left its lock file behind.',
+        fix: (type, name) => `${PROD_BIN} stop all ; ${PROD_BIN} start ${startArg(type, name)}`
+    },
+    {
+        id: 'mongo-unreachable',
+        pattern: /MongoSocketOpenException|MongoTimeoutException|Timed out after \d+ ms while waiting to connect/i,
+        explanation: 'The service cannot reach its mongo database (mongo is stopped or not ready yet).',
+        fix: (type, name) => `${PROD_BIN} start ${startArg(type, name)}`
+    },
+    {
+        id: 'wrong-chainid',
+        pattern: /(?:wrong|invalid|unexpected|mismatch(?:ing)?) chain ?id|chain ?id (?:mismatch|does not match)/i,
+        explanation: 'The service is connected to a ganache instance that does not have the expected chain id (ports or chain ids were changed in the config file).',
+        fix: (type, name) => `${PROD_BIN} stop all ; ${PROD_BIN} start ${startArg(type, name)}`
+    },
+    {
+        id: 'poco-not-deployed',
+        pattern: /no contract code at given address|ContractNotFound|contract (?:is )?not deployed|Empty value \(0x\) returned from contract/i,
+        explanation: 'The PoCo contracts cannot be found on the ganache chain (the ganache db was deleted or the service points to another chain).',
+        fix: (type, name) => `${PROD_BIN} stop all ; ${PROD_BIN} install --only ganache --force-step deploy ; ${PROD_BIN} start ${startArg(type, name)}`
+    },
+    {
+        id: 'sms-secret-missing',
+        pattern: /secret (?:not found|is missing|does not exist)|No (?:ipfs|result proxy|web2) secret|Failed to get (?:enclave|tee) secrets?/i,
+        explanation: `The requester result proxy token is missing in the SMS database (it is pushed automatically by '${PROD_BIN} app run' and '${PROD_BIN} test').`,
+        fix: (type, name) => `${PROD_BIN} app run <directory> --name <app-name>`
+    },
+    {
+        id: 'docker-pull',
+        pattern: /Failed to pull image|pull access denied|manifest (?:for .* )?unknown|Cannot connect to the Docker daemon|Image not found/i,
+        explanation: 'The worker cannot pull the app docker image (docker is not running, or the image was not pushed to the local registry).',
+        fix: (type, name) => `${PROD_BIN} start docker ; ${PROD_BIN} app init <directory>`
+    },
+    {
+        id: 'java-version',
+        pattern: /UnsupportedClassVersionError|has been compiled by a more recent version of the Java Runtime/i,
+        explanation: 'The installed JDK is too old to run the service.',
+        fix: (type, name) => `${PROD_BIN} show sysreq`
+    },
+];
+
+/**
+ * Returns the pid of the last Spring line of the log
+ * @param {string[]} lines
+ */
+function lastLogPid(lines) {
+    for (let i = lines.length - 1; i >= 0; --i) {
+        const l = springParseLogLine(lines[i]);
+        if (l) {
+            return l.pid;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Returns the lines written since the last service start. Log files are 
+ * deleted at each start, but a Spring service may be restarted several times 
+ * while writing to the same file : only the lines of the last pid are kept.
+ * @param {string[]} lines
+ */
+export function currentRunLines(lines) {
+    const pid = lastLogPid(lines);
+    if (pid === undefined) {
+        return lines;
+    }
+    const first = lines.findIndex(line => springParseLogLine(line)?.pid === pid);
+    return (first < 0) ? lines : lines.slice(first);
+}
+
+/**
+ * Scans all the log files listed in the inventory and returns both :
+ * - the lines matching one of the known failure signatures
+ * - the lines matching the service own failure patterns
+ *   (`getFailureORANDPatterns`)
+ * Hits are grouped by service and signature, only the lines of the current 
+ * run are considered (see `currentRunLines`).
+ * @param {InventoryDB} inventory
+ * @returns {Promise<Diagnosis[]>}
+ */
+export async function diagnose(inventory) {
+    const sources = await inventory.getLogSources();
+
+    /** @type {Map<string, Diagnosis>} */
+    const hits = new Map();
+
+    /**
+     * @param {{ name: string, type: string, logFile: string }} source
+     * @param {string} id
+     * @param {string} explanation
+     * @param {string} fix
+     * @param {string} logLine
+     */
+    const addHit = (source, id, explanation, fix, logLine) => {
+        const key = source.name + '/' + id;
+        const h = hits.get(key);
+        if (h) {
+            // keep the most recent occurrence
+            h.count++;
+            h.logLine = logLine;
+            return;
+        }
+        hits.set(key, { name: source.name, type: source.type, logFile: source.logFile, id, explanation, fix, logLine, count: 1 });
+    };
+
+    for (let i = 0; i < sources.length; ++i) {
+        const source = sources[i];
+        const allLines = readFileLineByLineSync(source.logFile);
+        if (!allLines) {
+            continue;
+        }
+        const lines = currentRunLines(allLines);
+        const current = new Set(lines);
+
+        // Lines already explained by a known signature
+        const explained = new Set();
+        for (let j = 0; j < lines.length; ++j) {
+            const sig = KNOWN_FAILURES.find(f => f.pattern.test(lines[j]));
+            if (sig) {
+                explained.add(lines[j]);
+                addHit(source, sig.id, sig.explanation, sig.fix(source.type, source.name), lines[j].trim());
+            }
+        }
+
+        if (!(source.service instanceof Service)) {
+            continue;
+        }
+        const pid = (await source.service.getPID()) ?? lastLogPid(lines) ?? 0;
+        const failures = source.service.findFailureLogLines(pid);
+        for (let j = 0; j < failures.length; ++j) {
+            if (explained.has(failures[j].logLine) || !current.has(failures[j].logLine)) {
+                continue;
+            }
+            addHit(
+                source,
+                'service-failure',
+                `Unknown ${source.type} failure : ${failures[j].message.trim()}`,
+                `${PROD_BIN} logs ${source.name} --level ERROR`,
+                failures[j].logLine.trim());
+        }
+    }
+
+    return [...hits.values()];
+}
@@ -165,6 +165,7 @@ import * as srvTypes from './services-types.js';
   *     newInstanceFromHost: (host: string) => Promise<any>
   *     newInstanceFromHub: (type: "ganache" | "market" | "sms" | "resultproxy" | "blockchainadapter" | "core", hub: string) => Promise<any>
   *     getDockerHost : () => { hostname: string, port: number }
+  *     getContainerRuntime : () => import('../docker/container-runtime.js').ContainerRuntime
   *     getIpfsApiHost : () => { hostname: string, port: number }
   *     getHubFromHost : (host: string | URL) => string
   *     getHubServiceURL: (type: 'ganache' | 'sms' | 'blockchainadapter' | 'resultproxy' | 'core' | 'market', hub: string | import('../common/contractref.js').PoCoHubRef) => URL
@@ -248,10 +248,15 @@ export const toNonWorkerServiceType = t => /** @type {NonWorkerServiceType} */(/
  */
 
 /**   
+ * - `runtime` : container runtime used to run the private registry and to
+ *   build and push the app images (default: `docker`)
+ * - `socket` : absolute path of a rootless docker or podman API unix socket
  * @typedef {{
  *      type: 'docker',
  *      hostname?: string
  *      port: number
+ *      runtime?: 'docker' | 'podman'
+ *      socket?: string
  * }} DockerConfig
  */
 
@@ -18,6 +18,7 @@ import { PoCoHubRef } from '../common/contractref.js';
 import { springArgsParseSpringConfigLocation, springClassPathParseRepoDir } from '../common/spring.js';
 import { installPackage, toPackage } from '../pkgmgr/pkg.js';
 import { envVarName } from '../common/consts.js';
+import { getJdk11Home } from '../common/platform.js';
 
 /* -------------------------- SpringServerService Class ------------------------------ */
 
@@ -451,7 +452,7 @@ export class SpringServerService extends ServerService {
         assert(envs[envVarName('APPLICATION_YML')] === savedAppYmlHash);
         assert(envs[envVarName('SPRING_CONFIG_LOC')] === springConfigLocation);
 
-        const jdk = '/Library/Java/JavaVirtualMachines/temurin-11.jdk/Contents/Home';
+        const jdk = getJdk11Home();
         if (jdk) {
             envs['JAVA_HOME'] = jdk;
         }
@@ -0,0 +1,57 @@
+import * as types from '../common/common-types.js';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { PROD_WORKSPACE_BASENAME } from '../common/consts.js';
+import { CodeError } from '../common/error.js';
+import { readObjectFromJSONFileSync, saveToFileSync } from '../common/fs.js';
+import { isNullishOrEmptyString } from '../common/string.js';
+
+/**
+ * - `<dir>/ixcdv-workspace.json`
+ * @param {string} dir the workspace directory (where the config file is located)
+ */
+export function workspaceFile(dir) {
+    return path.join(dir, PROD_WORKSPACE_BASENAME);
+}
+
+/**
+ * Returns the workspace unique id stored in `<dir>/ixcdv-workspace.json`.
+ * This id is passed to every started service process (env var
+ * `IXCDV_WORKSPACE`) so that `stop`, `kill`, `reset` and `pid` only act on
+ * the services of the current workspace.
+ * - If `create` is true, the file is generated when missing
+ *   (workspaces created by older versions).
+ * - Returns `undefined` if the file does not exist and `create` is false.
+ * - Throws an exception if failed.
+ * @param {string} dir
+ * @param {{ create?: boolean }=} options
+ */
+export function getWorkspaceId(dir, options) {
+    const file = workspaceFile(dir);
+    const o = readObjectFromJSONFileSync(file, { strict: false });
+    if (o) {
+        if (isNullishOrEmptyString(o.id)) {
+            throw new CodeError(`Invalid workspace file ${file}, missing 'id' property`);
+        }
+        return /** @type {string} */(o.id);
+    }
+    if (options?.create !== true) {
+        return; /* undefined */
+    }
+    const id = randomUUID();
+    saveToFileSync(JSON.stringify({ id }, null, 2), dir, PROD_WORKSPACE_BASENAME, { strict: true });
+    return id;
+}
+
+/**
+ * @param {string} dir
+ * @param {{ create?: boolean }=} options
+ * @returns {types.WorkspaceRef=}
+ */
+export function getWorkspaceRef(dir, options) {
+    const id = getWorkspaceId(dir, options);
+    if (!id) {
+        return; /* undefined */
+    }
+    return { id, dir };
+}
@@ -0,0 +1,93 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PROD_CONFIG_BASENAME, PROD_LOCAL_CONFIG_BASENAME } from '../src/common/consts.js';
+import { layerOf, readLayeredConfigFile, saveLocalConfigChanges } from '../src/services/config-layers.js';
+import { ConfigFile } from '../src/services/ConfigFile.js';
+
+describe('config-layers', () => {
+    /** @type {string} */
+    let tmp;
+
+    /**
+     * @param {string} basename
+     * @param {any} json
+     */
+    const writeJSON = (basename, json) =>
+        fs.writeFileSync(path.join(tmp, basename), JSON.stringify(json, null, 2));
+    /**
+     * @param {string} basename
+     */
+    const readJSON = (basename) =>
+        JSON.parse(fs.readFileSync(path.join(tmp, basename), 'utf8'));
+
+    beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-config-layers-test-'));
+        writeJSON(PROD_CONFIG_BASENAME, {
+            default: '1337.standard',
+            chains: { '1337.standard': { hub: '1337.standard', core: { port: 13000, logFile: 'core.log' } } },
+            profiles: { ci: { chains: { '1337.standard': { core: { port: 13100 } } } } }
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('readLayeredConfigFile.merge', async () => {
+        writeJSON(PROD_LOCAL_CONFIG_BASENAME, { chains: { '1337.standard': { core: { logFile: null } } } });
+        const { configJson, origins, layers } = await readLayeredConfigFile(tmp, {
+            profile: 'ci',
+            env: { IXCDV_CONFIG_CHAINS__1337_STANDARD__CORE__PORT: '13050' }
+        });
+        assert.deepStrictEqual(configJson.chains['1337.standard'].core, { port: 13050 });
+        assert.strictEqual(configJson.profiles, undefined);
+        assert.strictEqual(layers.length, 4);
+        assert.strictEqual(layerOf(origins, ['chains', '1337.standard', 'core', 'port']), 'env IXCDV_CONFIG_CHAINS__1337_STANDARD__CORE__PORT');
+        assert.strictEqual(layerOf(origins, ['chains', '1337.standard', 'hub']), PROD_CONFIG_BASENAME);
+        assert.strictEqual(layerOf(origins, ['chains', '1337.standard', 'core', 'mongoHost']), 'default');
+    });
+    it('readLayeredConfigFile.derived-properties', async () => {
+        // base file with all the derived properties (urls, mongo hosts)
+        const inventory = await ConfigFile.loadJSON(ConfigFile.default(1337, 1), tmp);
+        writeJSON(PROD_CONFIG_BASENAME, await inventory.toConfigJSON(tmp));
+        writeJSON(PROD_LOCAL_CONFIG_BASENAME, { chains: { '1337.standard': { sms: { port: 13350 } } } });
+
+        const { configJson, layers } = await readLayeredConfigFile(tmp, {
+            env: { IXCDV_CONFIG_CHAINS__1337_STANDARD__CORE__PORT: '13060' }
+        });
+        const core = configJson.chains['1337.standard'].core;
+        assert.strictEqual(core.smsUrl, undefined);
+        assert.strictEqual(core.mongoHost, undefined);
+        // not overridden
+        assert.strictEqual(core.resultProxyUrl, 'http://localhost:13200');
+        assert.strictEqual(configJson.chains['1337.standard'].resultproxy.mongoHost, 'localhost:13202');
+
+        /** @type {any} */
+        const loaded = await (await ConfigFile.loadJSON(configJson, tmp, layers[0].file)).toConfigJSON(tmp);
+        const loadedCore = loaded.chains['1337.standard'].core;
+        assert.strictEqual(loadedCore.port, 13060);
+        assert.strictEqual(loadedCore.smsUrl, 'http://localhost:13350');
+        assert.strictEqual(loadedCore.mongoHost, 'localhost:13062');
+        assert.strictEqual(loaded.chains['1337.standard'].sms.port, 13350);
+    });
+    it('readLayeredConfigFile.unknown-profile', async () => {
+        await assert.rejects(readLayeredConfigFile(tmp, { profile: 'foo', env: {} }), /Unknown config profile 'foo'/);
+    });
+    it('saveLocalConfigChanges', async () => {
+        writeJSON(PROD_LOCAL_CONFIG_BASENAME, { profiles: { dev: {} } });
+        const { configJson } = await readLayeredConfigFile(tmp, { env: {} });
+        const previous = structuredClone(configJson);
+        configJson.chains['1337.standard'].core.port = 13003;
+
+        assert.strictEqual(await saveLocalConfigChanges(tmp, previous, configJson), 1);
+        assert.deepStrictEqual(readJSON(PROD_LOCAL_CONFIG_BASENAME), {
+            profiles: { dev: {} },
+            chains: { '1337.standard': { core: { port: 13003 } } }
+        });
+        // base file is left unchanged
+        assert.strictEqual(readJSON(PROD_CONFIG_BASENAME).chains['1337.standard'].core.port, 13000);
+        assert.strictEqual(await saveLocalConfigChanges(tmp, configJson, configJson), 0);
+    });
+});
@@ -0,0 +1,82 @@
+import * as assert from 'assert';
+import { validateConfig } from '../src/services/config-schema.js';
+import { DEFAULT_MNEMONIC, defaultDeployItem } from '../src/services/default-config.js';
+
+/**
+ * @param {any} configJson
+ */
+function errorPaths(configJson) {
+    return validateConfig(configJson).map(e => e.path);
+}
+
+describe('config-schema', () => {
+    it('chain-services.unknown-property', () => {
+        const paths = errorPaths({
+            default: 'dev',
+            shared: {},
+            chains: {
+                dev: {
+                    hub: '1337.standard',
+                    sms: { port: 13300, foo: 1 },
+                    resultproxy: { port: 13200, mongoDBName: 'rp' },
+                    blockchainadapter: { port: 13400, walletIndex: 1, bar: 1 },
+                    core: { port: 13000, mongoHost: 'localhost:13002' }
+                }
+            }
+        });
+        assert.ok(paths.includes('chains.dev.sms.foo'));
+        assert.ok(paths.includes('chains.dev.blockchainadapter.bar'));
+        assert.ok(!paths.some(p => p.startsWith('chains.dev.resultproxy')));
+        assert.ok(!paths.some(p => p.startsWith('chains.dev.core')));
+    });
+    it('references.core-urls-and-mongo-hosts', () => {
+        const errors = validateConfig({
+            default: 'dev',
+            shared: {
+                ganache: {
+                    type: 'ganache',
+                    config: { chainid: 1337, mnemonic: DEFAULT_MNEMONIC, deploySequence: [defaultDeployItem('standard'), defaultDeployItem('native')] }
+                },
+                mongo: { type: 'mongo', port: 27017 }
+            },
+            chains: {
+                dev: {
+                    hub: '1337.standard',
+                    sms: { port: 13300 },
+                    resultproxy: { port: 13200, mongoHost: 'localhost:27017' },
+                    blockchainadapter: { port: 13400, mongoHost: 'localhost:13202' },
+                    core: {
+                        port: 13000,
+                        mongoHost: 'localhost:13002',
+                        smsUrl: 'http://localhost:13310',
+                        resultProxyUrl: 'http://localhost:13200',
+                        blockchainAdapterUrl: 'http://localhost:13410'
+                    }
+                },
+                other: {
+                    hub: '1337.native',
+                    sms: { port: 13310 },
+                    blockchainadapter: { port: 13410 },
+                    core: { port: 13500, mongoHost: 'localhost:13002' }
+                }
+            }
+        });
+        assert.deepStrictEqual(errors.map(e => e.path).sort(), [
+            'chains.dev.blockchainadapter.mongoHost',
+            'chains.dev.core.blockchainAdapterUrl',
+            'chains.dev.core.smsUrl',
+            'chains.other.core.mongoHost',
+        ]);
+        assert.ok(errors.find(e => e.path === 'chains.dev.core.smsUrl')?.message.includes("must refer to 'chains.dev.sms'"));
+    });
+    it('ports.worker-range', () => {
+        const paths = errorPaths({
+            default: 'dev',
+            shared: {},
+            chains: {
+                dev: { hub: '1337.standard', core: { port: 13100 } }
+            }
+        });
+        assert.ok(paths.includes('chains.dev.core.port'));
+    });
+});
@@ -0,0 +1,39 @@
+import * as assert from 'assert';
+import { KNOWN_FAILURES, currentRunLines } from '../src/services/diagnosis.js';
+
+/**
+ * @param {string} line
+ */
+function signatureId(line) {
+    return KNOWN_FAILURES.find(f => f.pattern.test(line))?.id;
+}
+
+describe('diagnosis', () => {
+    it('signature.port-in-use', () => {
+        assert.strictEqual(signatureId('Web server failed to start. Port 13000 was already in use.'), 'port-in-use');
+    });
+    it('signature.poco-not-deployed', () => {
+        assert.strictEqual(signatureId('Error: no contract code at given address'), 'poco-not-deployed');
+        // A revert is not a missing contract
+        assert.strictEqual(signatureId('Error: call revert exception (method="viewTask(bytes32)")'), undefined);
+    });
+    it('signature.port-in-use.fix', () => {
+        const sig = KNOWN_FAILURES.find(f => f.id === 'port-in-use');
+        assert.ok(sig?.fix('core', 'core.1337.standard').includes('--global'));
+    });
+    it('signature.sms-secret-missing.fix', () => {
+        const sig = KNOWN_FAILURES.find(f => f.id === 'sms-secret-missing');
+        assert.ok(sig?.fix('sms', 'sms.1337.standard').includes('--name'));
+    });
+    it('currentRunLines', () => {
+        const lines = [
+            '2023-01-01 10:00:00.000  INFO 100 --- [main] com.iexec.core.Application : Starting',
+            '2023-01-01 10:00:01.000 ERROR 100 --- [main] com.iexec.core.Application : old failure',
+            '2023-01-01 11:00:00.000  INFO 200 --- [main] com.iexec.core.Application : Starting',
+            'java.lang.Exception: stack trace',
+            '2023-01-01 11:00:01.000  INFO 200 --- [main] com.iexec.core.Application : Started',
+        ];
+        assert.deepStrictEqual(currentRunLines(lines), lines.slice(2));
+        assert.deepStrictEqual(currentRunLines(['not a spring line']), ['not a spring line']);
+    });
+});
@@ -0,0 +1,58 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import { moveDirEntries, socketExists } from '../src/common/fs.js';
+
+describe('fs', () => {
+    /** @type {string} */
+    let tmp;
+
+    beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-fs-test-'));
+        fs.mkdirSync(path.join(tmp, 'src'));
+        fs.mkdirSync(path.join(tmp, 'dst'));
+        fs.writeFileSync(path.join(tmp, 'src', 'stdout.txt'), 'new');
+        fs.writeFileSync(path.join(tmp, 'dst', 'keep.txt'), 'keep');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('moveDirEntries.keep-other-entries', async () => {
+        const moved = await moveDirEntries(path.join(tmp, 'src'), path.join(tmp, 'dst'));
+        assert.deepStrictEqual(moved, ['stdout.txt']);
+        assert.strictEqual(fs.readFileSync(path.join(tmp, 'dst', 'stdout.txt'), 'utf8'), 'new');
+        assert.strictEqual(fs.readFileSync(path.join(tmp, 'dst', 'keep.txt'), 'utf8'), 'keep');
+    });
+    it('moveDirEntries.create-dst', async () => {
+        await moveDirEntries(path.join(tmp, 'src'), path.join(tmp, 'new'));
+        assert.ok(fs.existsSync(path.join(tmp, 'new', 'stdout.txt')));
+    });
+    it('moveDirEntries.no-overwrite', async () => {
+        fs.writeFileSync(path.join(tmp, 'dst', 'stdout.txt'), 'old');
+        await assert.rejects(moveDirEntries(path.join(tmp, 'src'), path.join(tmp, 'dst')));
+        assert.strictEqual(fs.readFileSync(path.join(tmp, 'dst', 'stdout.txt'), 'utf8'), 'old');
+        assert.ok(fs.existsSync(path.join(tmp, 'src', 'stdout.txt')));
+    });
+    it('moveDirEntries.overwrite', async () => {
+        fs.writeFileSync(path.join(tmp, 'dst', 'stdout.txt'), 'old');
+        await moveDirEntries(path.join(tmp, 'src'), path.join(tmp, 'dst'), { overwrite: true });
+        assert.strictEqual(fs.readFileSync(path.join(tmp, 'dst', 'stdout.txt'), 'utf8'), 'new');
+        assert.strictEqual(fs.readFileSync(path.join(tmp, 'dst', 'keep.txt'), 'utf8'), 'keep');
+    });
+    it('socketExists', async () => {
+        const sock = path.join(tmp, 'test.sock');
+        const server = net.createServer();
+        await new Promise(resolve => server.listen(sock, () => resolve(null)));
+        try {
+            assert.strictEqual(socketExists(sock), true);
+            assert.strictEqual(socketExists(path.join(tmp, 'dst', 'keep.txt')), false);
+            assert.strictEqual(socketExists(path.join(tmp, 'missing.sock')), false);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
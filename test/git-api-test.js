@@ -0,0 +1,52 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { execFileSync } from 'child_process';
+import { cloneSafe, setMirrorsDirectory, toMirrorRepository } from '../src/git/git-api.js';
+
+/**
+ * @param {string} cwd
+ * @param {string[]} args
+ */
+function git(cwd, args) {
+    return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@test', ...args], { cwd, encoding: 'utf8' }).trim();
+}
+
+describe('git-api', () => {
+    const upstream = 'https://github.com/iExecBlockchainComputing/iexec-test.git';
+    /** @type {string} */
+    let tmp;
+
+    beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-git-api-test-'));
+        const work = path.join(tmp, 'work');
+        fs.mkdirSync(work);
+        git(work, ['init', '-q']);
+        fs.writeFileSync(path.join(work, 'README.md'), 'test');
+        git(work, ['add', '-A']);
+        git(work, ['commit', '-q', '-m', 'init']);
+        fs.mkdirSync(path.join(tmp, 'mirrors'));
+        git(tmp, ['clone', '-q', '--mirror', work, path.join(tmp, 'mirrors', 'iexec-test.git')]);
+        setMirrorsDirectory(path.join(tmp, 'mirrors'));
+    });
+
+    afterEach(() => {
+        setMirrorsDirectory(undefined);
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('toMirrorRepository', () => {
+        assert.strictEqual(toMirrorRepository(upstream), 'file://' + path.join(tmp, 'mirrors', 'iexec-test.git'));
+        assert.throws(() => toMirrorRepository('https://github.com/iExecBlockchainComputing/iexec-foo.git'));
+        setMirrorsDirectory(undefined);
+        assert.strictEqual(toMirrorRepository(upstream), upstream);
+    });
+    it('cloneSafe.mirror-keeps-upstream-origin', async () => {
+        const out = await cloneSafe(upstream, path.join(tmp, 'dst'), 'iexec-test', { strict: false, createDir: true });
+        assert.ok(out.ok);
+        const dir = path.join(tmp, 'dst', 'iexec-test');
+        assert.ok(fs.existsSync(path.join(dir, 'README.md')));
+        assert.strictEqual(git(dir, ['config', 'remote.origin.url']), upstream);
+    });
+});
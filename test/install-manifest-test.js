@@ -0,0 +1,67 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PROD_INSTALL_MANIFEST_BASENAME } from '../src/common/consts.js';
+import { hashInputs, InstallManifest } from '../src/pkgmgr/install-manifest.js';
+
+describe('install-manifest', () => {
+    /** @type {string} */
+    let tmp;
+
+    beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-install-manifest-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('hashInputs', () => {
+        assert.strictEqual(hashInputs('v8.0.1', { a: 1 }), hashInputs('v8.0.1', { a: 1 }));
+        assert.notStrictEqual(hashInputs('v8.0.1', { a: 1 }), hashInputs('v8.0.1', { a: 2 }));
+        assert.notStrictEqual(hashInputs('v8.0.1'), hashInputs('v8.0.1', undefined, 'abc'));
+    });
+    it('isDone.setDone', () => {
+        const pkgDir = path.join(tmp, 'src', 'v8.0.1', 'iexec-core');
+        const inputs = hashInputs('v8.0.1');
+
+        let manifest = InstallManifest.load(tmp);
+        assert.ok(manifest.isUnknown(pkgDir));
+        assert.ok(!manifest.isDone(pkgDir, 'checkout', inputs));
+
+        manifest.setDone(pkgDir, 'checkout', inputs);
+        manifest.setDone(pkgDir, 'patch', inputs, 'abc');
+        manifest.setDone('ganache.1337', 'deploy', inputs);
+
+        const json = JSON.parse(fs.readFileSync(path.join(tmp, PROD_INSTALL_MANIFEST_BASENAME), 'utf8'));
+        assert.deepStrictEqual(Object.keys(json.steps), [path.join('src', 'v8.0.1', 'iexec-core'), 'ganache.1337']);
+
+        // reload from file
+        manifest = InstallManifest.load(tmp);
+        assert.ok(!manifest.isUnknown(pkgDir));
+        assert.ok(manifest.isDone(pkgDir, 'checkout', inputs));
+        assert.ok(!manifest.isDone(pkgDir, 'checkout', hashInputs('v8.0.2')));
+        assert.ok(manifest.isDone(pkgDir, 'patch', inputs));
+        assert.ok(!manifest.isDone(pkgDir, 'npm', inputs));
+        assert.strictEqual(manifest.worktree(pkgDir, 'patch'), 'abc');
+        assert.strictEqual(manifest.worktree(pkgDir, 'checkout'), undefined);
+        assert.ok(manifest.isDone('ganache.1337', 'deploy', inputs));
+    });
+    it('setForceSteps', () => {
+        const manifest = InstallManifest.load(tmp);
+        const inputs = hashInputs('v8.0.1');
+        manifest.setDone('ganache.1337', 'deploy', inputs);
+
+        manifest.setForceSteps(['deploy']);
+        assert.ok(manifest.isForced('deploy'));
+        assert.ok(!manifest.isForced('patch'));
+        assert.ok(!manifest.isDone('ganache.1337', 'deploy', inputs));
+
+        assert.throws(() => manifest.setForceSteps(['foo']), /Unknown install step 'foo'/);
+    });
+    it('load.unsupported-version', () => {
+        fs.writeFileSync(path.join(tmp, PROD_INSTALL_MANIFEST_BASENAME), JSON.stringify({ version: 2, steps: {} }));
+        assert.throws(() => InstallManifest.load(tmp), /Unsupported install manifest version 2/);
+    });
+});
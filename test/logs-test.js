@@ -0,0 +1,121 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { logLineFilter, readNewLines } from '../src/cli/cmds/logs.js';
+import { springParseLogLine } from '../src/common/spring.js';
+
+/**
+ * @param {string} logFile
+ */
+function newSource(logFile) {
+    return { name: 'core', logFile, prefix: 'core', offset: 0, partial: '', lastDate: null, lastLevel: null };
+}
+
+describe('logs', () => {
+    /** @type {string} */
+    let tmp;
+    /** @type {string} */
+    let logFile;
+
+    beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-logs-test-'));
+        logFile = path.join(tmp, 'core.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('readNewLines.flush', () => {
+        fs.writeFileSync(logFile, '2023-01-01 10:00:00 first\n2023-01-01 10:00:01 last');
+        const lines = readNewLines(newSource(logFile), { flush: true });
+        assert.deepStrictEqual(lines.map(l => l.text), ['2023-01-01 10:00:00 first', '2023-01-01 10:00:01 last']);
+    });
+    it('readNewLines.partial', () => {
+        fs.writeFileSync(logFile, '2023-01-01 10:00:00 first\n2023-01-01 10:00:01 la');
+        const source = newSource(logFile);
+        assert.deepStrictEqual(readNewLines(source).map(l => l.text), ['2023-01-01 10:00:00 first']);
+        fs.appendFileSync(logFile, 'st\n');
+        assert.deepStrictEqual(readNewLines(source).map(l => l.text), ['2023-01-01 10:00:01 last']);
+    });
+    it('springParseLogLine.spring-boot-2', () => {
+        const l = springParseLogLine('2023-03-01 10:00:00.123  WARN 4242 --- [           main] c.i.c.Application          : Something odd');
+        assert.ok(l);
+        assert.strictEqual(l.date.getTime(), new Date('2023-03-01T10:00:00.123').getTime());
+        assert.strictEqual(l.level, 'WARN');
+        assert.strictEqual(l.pid, 4242);
+        assert.strictEqual(l.thread, 'main');
+        assert.strictEqual(l.logger, 'c.i.c.Application');
+        assert.strictEqual(l.message, 'Something odd');
+    });
+    it('springParseLogLine.spring-boot-3', () => {
+        const l = springParseLogLine('2023-03-01T10:00:00.123+01:00 ERROR 4242 --- [nio-13000-exec-1] c.i.c.Application : Failed');
+        assert.ok(l);
+        assert.strictEqual(l.date.toISOString(), '2023-03-01T09:00:00.123Z');
+        assert.strictEqual(l.level, 'ERROR');
+        assert.strictEqual(l.thread, 'nio-13000-exec-1');
+        assert.strictEqual(l.message, 'Failed');
+
+        // Spring Boot 3.2+ : application name
+        const l2 = springParseLogLine('2023-03-01T10:00:00.123Z  INFO 4242 --- [iexec-core] [           main] c.i.c.Application : Started');
+        assert.strictEqual(l2?.thread, 'main');
+        assert.strictEqual(l2?.logger, 'c.i.c.Application');
+    });
+    it('springParseLogLine.not-spring', () => {
+        assert.strictEqual(springParseLogLine('java.lang.IllegalStateException: boom'), undefined);
+        assert.strictEqual(springParseLogLine('\tat com.iexec.core.Foo.bar(Foo.java:42)'), undefined);
+        assert.strictEqual(springParseLogLine('{"t":{"$date":"2023-03-01T10:00:00.123+00:00"},"s":"I","msg":"mongo"}'), undefined);
+    });
+    it('readNewLines.stack-trace', () => {
+        fs.writeFileSync(logFile, [
+            '2023-03-01 10:00:00.000 ERROR 4242 --- [main] c.i.c.Application : Failed',
+            'java.lang.IllegalStateException: boom',
+            '\tat com.iexec.core.Foo.bar(Foo.java:42)',
+            '2023-03-01 10:00:01.000  INFO 4242 --- [main] c.i.c.Application : Next',
+            ''].join('\n'));
+        const lines = readNewLines(newSource(logFile));
+        assert.deepStrictEqual(lines.map(l => l.level), ['ERROR', 'ERROR', 'ERROR', 'INFO']);
+        assert.strictEqual(lines[2].date?.getTime(), lines[0].date?.getTime());
+    });
+    it('logLineFilter.level', () => {
+        fs.writeFileSync(logFile, [
+            '2023-03-01 10:00:00.000 DEBUG 4242 --- [main] c.i.c.Application : debug',
+            '2023-03-01 10:00:01.000  INFO 4242 --- [main] c.i.c.Application : info',
+            'info continued',
+            '2023-03-01 10:00:02.000  WARN 4242 --- [main] c.i.c.Application : warn',
+            '2023-03-01 10:00:03.000 ERROR 4242 --- [main] c.i.c.Application : error',
+            '\tat com.iexec.core.Foo.bar(Foo.java:42)',
+            '2023-03-01T10:00:04.000Z not a spring line',
+            ''].join('\n'));
+        const keep = logLineFilter({ level: 'warn' });
+        const lines = readNewLines(newSource(logFile), { keep });
+        assert.deepStrictEqual(lines.map(l => l.text), [
+            '2023-03-01 10:00:02.000  WARN 4242 --- [main] c.i.c.Application : warn',
+            '2023-03-01 10:00:03.000 ERROR 4242 --- [main] c.i.c.Application : error',
+            '\tat com.iexec.core.Foo.bar(Foo.java:42)',
+        ]);
+        assert.throws(() => logLineFilter({ level: 'foo' }), /Invalid --level option 'foo'/);
+        assert.throws(() => logLineFilter({ grep: '(' }), /Invalid --grep pattern/);
+    });
+    it('readNewLines.chunks', () => {
+        // 3 chunks, multi-byte chars across the chunk boundaries
+        const line = '2023-03-01 10:00:00.000  INFO 4242 --- [main] c.i.c.Application : é€😀 '.padEnd(999, 'x');
+        const count = 3000;
+        fs.writeFileSync(logFile, Array(count).fill(line).join('\n') + '\n');
+        const lines = readNewLines(newSource(logFile));
+        assert.strictEqual(lines.length, count);
+        assert.ok(lines.every(l => l.text === line));
+
+        // a single line longer than a chunk
+        const longLine = '€'.repeat(400000);
+        fs.writeFileSync(logFile, longLine);
+        assert.deepStrictEqual(readNewLines(newSource(logFile), { flush: true }).map(l => l.text), [longLine]);
+    });
+    it('readNewLines.undated-lines', () => {
+        fs.writeFileSync(logFile, '2023-01-01 10:00:00 error\n  at foo\n');
+        const lines = readNewLines(newSource(logFile));
+        assert.strictEqual(lines.length, 2);
+        assert.strictEqual(lines[1].date?.getTime(), lines[0].date?.getTime());
+    });
+});
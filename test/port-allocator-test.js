@@ -0,0 +1,78 @@
+import * as assert from 'assert';
+import * as net from 'net';
+import { PORT_RANGE } from '../src/services/default-ports.js';
+import { listConfigPorts, listWorkerPorts, reassignBusyPorts } from '../src/services/PortAllocator.js';
+
+/**
+ * @param {number} port
+ * @returns {Promise<net.Server>}
+ */
+function listen(port) {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen({ port }, () => resolve(server));
+    });
+}
+
+/**
+ * @param {net.Server} server
+ */
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+describe('PortAllocator', () => {
+    it('listConfigPorts', () => {
+        const ports = listConfigPorts({
+            shared: {
+                ganache: { type: 'ganache', port: 8545 },
+                redis: { type: 'redis', port: 13600, hostname: 'otherhost' },
+            },
+            chains: {
+                dev: { core: { port: 13000 } }
+            }
+        });
+        assert.deepStrictEqual(ports.map(p => [p.path, p.port, p.size]), [
+            ['shared.ganache.port', 8545, 1],
+            ['chains.dev.core.port', 13000, 3],
+        ]);
+    });
+    it('listWorkerPorts', () => {
+        const ports = listWorkerPorts({ chains: { a: {}, b: { worker: { count: 4 } } } });
+        const half = Math.floor((PORT_RANGE.workers.to - PORT_RANGE.workers.from + 1) / 2);
+        assert.deepStrictEqual(ports.map(p => [p.path, p.port, p.size, p.owner]), [
+            ['chains.a.worker', PORT_RANGE.workers.from, 1, null],
+            ['chains.b.worker', PORT_RANGE.workers.from + half, 4, null],
+        ]);
+    });
+    it('reassignBusyPorts', async () => {
+        const redis = PORT_RANGE.shared.redis.from;
+        const server = await listen(redis);
+        try {
+            const configJson = {
+                shared: {
+                    redis: { type: 'redis', port: redis },
+                    market: { type: 'market', api: { port: PORT_RANGE.shared.market.api.from, url: `http://localhost:${redis}` } }
+                },
+                chains: {}
+            };
+            const changes = await reassignBusyPorts(configJson, new Set([PORT_RANGE.shared.market.api.from]));
+            const redisChange = changes.find(c => c.path === 'shared.redis.port');
+            assert.ok(redisChange && redisChange.to !== null && redisChange.to !== redis);
+            assert.strictEqual(configJson.shared.redis.port, redisChange.to);
+            assert.strictEqual(configJson.shared.market.api.url, `http://localhost:${redisChange.to}`);
+        } finally {
+            await close(server);
+        }
+    });
+    it('reassignBusyPorts.workers', async () => {
+        const server = await listen(PORT_RANGE.workers.from);
+        try {
+            const changes = await reassignBusyPorts({ shared: {}, chains: { dev: {} } });
+            assert.deepStrictEqual(changes, [{ path: 'chains.dev.worker', from: PORT_RANGE.workers.from, to: null }]);
+        } finally {
+            await close(server);
+        }
+    });
+});
@@ -0,0 +1,100 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Scenario } from '../src/services/Scenario.js';
+
+/**
+ * @param {any} obj
+ */
+function validationErrors(obj) {
+    try {
+        Scenario.validate(obj);
+    } catch (err) {
+        return (err instanceof Error) ? err.message : '';
+    }
+    return null;
+}
+
+describe('Scenario', () => {
+    it('validate.ok', () => {
+        assert.strictEqual(validationErrors({
+            name: 'hello',
+            steps: [
+                { type: 'deployApp', id: 'app', directory: './app', name: 'hello' },
+                { type: 'appOrder', id: 'ao', app: 'app' },
+                { type: 'workerpoolOrder', id: 'wo', volume: 2 },
+                { type: 'requestOrder', id: 'ro', app: 'app', volume: 2 },
+                { type: 'match', id: 'deal', appOrder: 'ao', workerpoolOrder: 'wo', requestOrder: 'ro' },
+                { type: 'wait', deal: 'deal' },
+                { type: 'assert', deal: 'deal', status: 'COMPLETED' },
+            ]
+        }), null);
+    });
+    it('validate.steps', () => {
+        assert.ok(validationErrors({})?.includes('steps: expecting a non-empty array'));
+        assert.ok(validationErrors({ steps: [] })?.includes('steps: expecting a non-empty array'));
+    });
+    it('validate.all-errors', () => {
+        const msg = validationErrors({
+            workers: 0,
+            steps: [
+                { type: 'foo' },
+                { type: 'appOrder', id: 'ao' },
+                { type: 'workerpoolOrder', id: 'ao' },
+                { type: 'assert', deal: 'deal', status: 'DONE' },
+            ]
+        });
+        assert.ok(msg);
+        assert.ok(msg.includes('workers: expecting a strictly positive integer'));
+        assert.ok(msg.includes("steps[0].type: unknown step type 'foo'"));
+        assert.ok(msg.includes('steps[1].app: missing property'));
+        assert.ok(msg.includes("steps[2].id: duplicate id 'ao'"));
+        assert.ok(msg.includes('steps[3].status: expecting one of'));
+    });
+    it('validate.order-prices-and-tags', () => {
+        const ok = validationErrors({
+            steps: [
+                { type: 'appOrder', id: 'ao', app: 'app', price: '1 RLC', tag: 'tee' },
+                { type: 'datasetOrder', id: 'do', dataset: 'dataset', price: 0 },
+                { type: 'workerpoolOrder', id: 'wo', price: '5', tag: ['gpu'] },
+                { type: 'requestOrder', id: 'ro', app: 'app', appmaxprice: 1, workerpoolmaxprice: '5 nRLC', tag: 'tee' },
+            ]
+        });
+        assert.strictEqual(ok, null);
+
+        const msg = validationErrors({
+            steps: [
+                { type: 'appOrder', id: 'ao', app: 'app', price: -1, tag: 'foo' },
+                { type: 'datasetOrder', id: 'do', dataset: 'dataset', price: 'abc' },
+                { type: 'workerpoolOrder', id: 'wo', price: '1 ETH', tag: ['tee', 'scone'] },
+                { type: 'requestOrder', id: 'ro', app: 'app', appmaxprice: 1.5, datasetmaxprice: -2, workerpoolmaxprice: 'x', tag: 'bar' },
+            ]
+        });
+        assert.ok(msg);
+        assert.ok(msg.includes("steps[0].price: invalid price '-1'"));
+        assert.ok(msg.includes("steps[0].tag: invalid tag 'foo'"));
+        assert.ok(msg.includes("steps[1].price: invalid price 'abc'"));
+        assert.ok(msg.includes("steps[2].price: invalid price '1 ETH'"));
+        assert.ok(msg.includes('steps[2].tag: invalid tag'));
+        assert.ok(msg.includes("steps[3].appmaxprice: invalid price '1.5'"));
+        assert.ok(msg.includes("steps[3].datasetmaxprice: invalid price '-2'"));
+        assert.ok(msg.includes("steps[3].workerpoolmaxprice: invalid price 'x'"));
+        assert.ok(msg.includes("steps[3].tag: invalid tag 'bar'"));
+    });
+    it('fromFile.error-includes-path', async () => {
+        const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ixcdv-scenario-test-'));
+        try {
+            const file = path.join(tmp, 'hello.yaml');
+            fs.writeFileSync(file, 'steps:\n  - type: workerpoolOrder\n    id: wo\n    price: -1\n');
+            await assert.rejects(Scenario.fromFile(file), (err) => {
+                assert.ok(err instanceof Error);
+                assert.ok(err.message.startsWith(`Invalid scenario '${file}':`));
+                assert.ok(err.message.includes("steps[0].price: invalid price '-1'"));
+                return true;
+            });
+        } finally {
+            fs.rmSync(tmp, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,37 @@
+import * as assert from 'assert';
+import { Supervisor } from '../src/services/Supervisor.js';
+
+/**
+ * @param {any} config
+ */
+function newSupervisor(config) {
+    // The inventory is only used by 'run'
+    return new Supervisor(/** @type {any} */(null), config);
+}
+
+describe('Supervisor', () => {
+    it('policy.default', () => {
+        assert.deepStrictEqual(newSupervisor(undefined).policy('core.1337.standard', 'core'), {
+            maxRetries: 3,
+            backoffMS: 1000,
+            maxBackoffMS: 30000
+        });
+    });
+    it('policy.name-over-type', () => {
+        const s = newSupervisor({
+            backoffMS: 500,
+            services: {
+                'worker': { maxRetries: 10 },
+                'core.1337.standard': { maxRetries: 0 }
+            }
+        });
+        assert.strictEqual(s.policy('core.1337.standard', 'core').maxRetries, 0);
+        assert.strictEqual(s.policy('core.1338.standard', 'core').maxRetries, 3);
+        assert.strictEqual(s.policy('worker0', 'worker').maxRetries, 10);
+        assert.strictEqual(s.policy('worker0', 'worker').backoffMS, 500);
+    });
+    it('policy.invalid', () => {
+        assert.throws(() => newSupervisor({ maxRetries: -1 }));
+        assert.throws(() => newSupervisor({ services: { worker: { backoffMS: 'fast' } } }));
+    });
+});